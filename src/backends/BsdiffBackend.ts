@@ -0,0 +1,94 @@
+import BsdiffDecoder from '../bsdiff/BsdiffDecoder.js';
+import BsdiffEncoder from '../bsdiff/BsdiffEncoder.js';
+import AbortUtils from '../utils/abortUtils.js';
+import type {
+  DeltaBackend,
+  DeltaDecodeOptions,
+  DeltaEncodeOptions,
+} from '../types/index.js';
+
+/**
+ * Delta backend using the built-in JavaScript bsdiff codec (BSDIFF40
+ * patches, as written by bsdiff 4.x and applied by bspatch). It finds moved
+ * and slightly changed data well, at the cost of holding both files in
+ * memory while encoding
+ * @class BsdiffBackend
+ * @implements DeltaBackend
+ */
+class BsdiffBackend implements DeltaBackend {
+  readonly name = 'bsdiff';
+  readonly format = 'bsdiff';
+
+  /**
+   * The built-in codec always runs
+   * @returns Promise resolving to true
+   */
+  async probe(): Promise<boolean> {
+    return true;
+  }
+
+  /**
+   * Describes the codec
+   * @returns Promise with the description
+   */
+  async describe(): Promise<string> {
+    return 'the built-in JavaScript bsdiff codec';
+  }
+
+  /**
+   * Creates a patch with the built-in encoder; the compression level is
+   * the bzip2 block size (0 is read as 1)
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param patchFile - Output patch path
+   * @param options - Encode options
+   */
+  async encode(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: DeltaEncodeOptions
+  ): Promise<void> {
+    try {
+      await BsdiffEncoder.encodeFile(oldFile, newFile, patchFile, {
+        compression: options.compression,
+        ...(options.appHeader ? { appHeader: options.appHeader } : {}),
+        onProgress: (processed, total) => {
+          options.onProgress?.(total > 0 ? processed / total : 1);
+        },
+        ...(options.signal ? { signal: options.signal } : {}),
+      });
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a patch with the built-in decoder
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param options - Decode options
+   */
+  async decode(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: DeltaDecodeOptions
+  ): Promise<void> {
+    try {
+      await BsdiffDecoder.decodeFile(oldFile, patchFile, newFile, {
+        onProgress: (processed, total) => {
+          options.onProgress?.(total > 0 ? processed / total : 1);
+        },
+        ...(options.signal ? { signal: options.signal } : {}),
+      });
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    }
+  }
+}
+
+export default BsdiffBackend;
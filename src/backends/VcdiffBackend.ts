@@ -0,0 +1,107 @@
+import path from 'path';
+import VcdiffDecoder from '../vcdiff/VcdiffDecoder.js';
+import VcdiffEncoder from '../vcdiff/VcdiffEncoder.js';
+import { formatXdeltaAppHeader } from '../vcdiff/appHeader.js';
+import AbortUtils from '../utils/abortUtils.js';
+import XdeltaOptionsUtils from '../utils/xdeltaOptionsUtils.js';
+import type {
+  DeltaBackend,
+  DeltaDecodeOptions,
+  DeltaEncodeOptions,
+} from '../types/index.js';
+
+/**
+ * Delta backend using the built-in JavaScript VCDIFF codec, compatible with
+ * xdelta3 patches
+ * @class VcdiffBackend
+ * @implements DeltaBackend
+ */
+class VcdiffBackend implements DeltaBackend {
+  readonly name = 'js';
+  readonly format = 'vcdiff';
+
+  /**
+   * The built-in codec always runs
+   * @returns Promise resolving to true
+   */
+  async probe(): Promise<boolean> {
+    return true;
+  }
+
+  /**
+   * Describes the codec
+   * @returns Promise with the description
+   */
+  async describe(): Promise<string> {
+    return 'the built-in JavaScript VCDIFF codec';
+  }
+
+  /**
+   * Creates a patch with the built-in encoder
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param patchFile - Output patch path
+   * @param options - Encode options
+   * @throws XdeltaOptionsError when options.xdeltaOptions is invalid
+   */
+  async encode(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: DeltaEncodeOptions
+  ): Promise<void> {
+    const tuning = XdeltaOptionsUtils.toVcdiffOptions(options.xdeltaOptions);
+    // The source pin, or the same application header xdelta3 writes
+    const appHeader =
+      options.appHeader ??
+      formatXdeltaAppHeader(path.basename(newFile), path.basename(oldFile));
+
+    try {
+      await VcdiffEncoder.encodeFile(oldFile, newFile, patchFile, {
+        ...tuning,
+        compression: options.compression,
+        appHeader,
+        onProgress: (processed, total) => {
+          options.onProgress?.(total > 0 ? processed / total : 1);
+        },
+        ...(options.signal ? { signal: options.signal } : {}),
+      });
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a patch with the built-in decoder
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param options - Decode options
+   * @throws XdeltaOptionsError when options.xdeltaOptions is invalid
+   */
+  async decode(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: DeltaDecodeOptions
+  ): Promise<void> {
+    XdeltaOptionsUtils.validate(options.xdeltaOptions);
+    try {
+      await VcdiffDecoder.decodeFile(oldFile, patchFile, newFile, {
+        ...(options.xdeltaOptions?.checksums === false
+          ? { verifyChecksums: false }
+          : {}),
+        onProgress: (processed, total) => {
+          options.onProgress?.(total > 0 ? processed / total : 1);
+        },
+        ...(options.signal ? { signal: options.signal } : {}),
+      });
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    }
+  }
+}
+
+export default VcdiffBackend;
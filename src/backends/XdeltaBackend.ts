@@ -0,0 +1,236 @@
+import fs from 'fs-extra';
+import path from 'path';
+import CommandUtils from '../utils/commandUtils.js';
+import XdeltaResolver from '../utils/xdeltaResolver.js';
+import XdeltaOptionsUtils from '../utils/xdeltaOptionsUtils.js';
+import ProgressTracker from '../utils/progressTracker.js';
+import AbortUtils from '../utils/abortUtils.js';
+import type {
+  CommandResult,
+  DeltaBackend,
+  DeltaDecodeOptions,
+  DeltaEncodeOptions,
+  XdeltaResolution,
+} from '../types/index.js';
+
+/**
+ * Delta backend running the xdelta3 executable (VCDIFF patches)
+ * @class XdeltaBackend
+ * @implements DeltaBackend
+ */
+class XdeltaBackend implements DeltaBackend {
+  readonly name = 'xdelta3';
+  readonly format = 'vcdiff';
+  private readonly explicitPath: string | undefined;
+  private resolution: Promise<XdeltaResolution> | undefined;
+
+  /**
+   * Creates a backend for the given executable
+   * @param xdeltaPath - Explicit executable path (resolved otherwise)
+   */
+  constructor(xdeltaPath?: string) {
+    this.explicitPath = xdeltaPath;
+  }
+
+  /**
+   * Resolves the executable once per instance
+   * @returns Promise with the resolution
+   */
+  async resolve(): Promise<XdeltaResolution> {
+    this.resolution ??= XdeltaResolver.resolve(this.explicitPath);
+    return this.resolution;
+  }
+
+  /**
+   * Checks whether a working executable was found
+   * @returns Promise with availability status
+   */
+  async probe(): Promise<boolean> {
+    return (await this.resolve()).found;
+  }
+
+  /**
+   * Describes the executable in use
+   * @returns Promise with the description
+   */
+  async describe(): Promise<string> {
+    const resolution = await this.resolve();
+    if (!resolution.found) {
+      return 'no working xdelta3 executable was found';
+    }
+
+    const sources = {
+      option: 'the xdeltaPath option',
+      env: 'the XDELTA3_PATH environment variable',
+      bundled: 'the executable shipped with the package',
+      path: 'PATH',
+    };
+    return `xdelta3 ${resolution.version ?? ''} at ${resolution.path} (from ${sources[resolution.source!]})`;
+  }
+
+  /**
+   * Creates a patch with xdelta3
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param patchFile - Output patch path
+   * @param options - Encode options
+   * @throws XdeltaOptionsError when options.xdeltaOptions is invalid
+   * @throws Error when xdelta3 fails
+   */
+  async encode(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: DeltaEncodeOptions
+  ): Promise<void> {
+    const [{ size: oldSize }, { size: newSize }] = await Promise.all([
+      fs.stat(oldFile),
+      fs.stat(newFile),
+    ]);
+    const tuning = XdeltaOptionsUtils.toEncodeArgs(
+      options.xdeltaOptions,
+      oldSize,
+      options.secondaryCompression
+    );
+
+    // Use explicit encode mode with source flag for correct argument order;
+    // -vv prints the bytes read so far after each window
+    // xdelta3 -e -vv [tuning] -<compression> [-A=<pin>] -f -s <oldFile> <newFile> <patchFile>
+    const args = [
+      '-e',
+      '-vv',
+      ...tuning,
+      `-${options.compression}`,
+      ...(options.appHeader ? [`-A=${options.appHeader.toString()}`] : []),
+      '-f',
+      '-s',
+      ...this.fileArgs(oldFile, newFile, patchFile),
+    ];
+
+    const result = await this.runWithTotals(
+      args,
+      totals => {
+        if (newSize > 0) {
+          options.onProgress?.(Math.min(1, totals.totalIn / newSize));
+        }
+      },
+      options.signal
+    );
+
+    AbortUtils.throwIfAborted(options.signal);
+    if (!result.success) {
+      throw new Error(`Failed to create patch: ${result.stderr}`);
+    }
+  }
+
+  /**
+   * Applies a patch with xdelta3
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param options - Decode options
+   * @throws XdeltaOptionsError when options.xdeltaOptions is invalid
+   * @throws Error when xdelta3 fails
+   */
+  async decode(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: DeltaDecodeOptions
+  ): Promise<void> {
+    const { size: oldSize } = await fs.stat(oldFile);
+    const tuning = XdeltaOptionsUtils.toDecodeArgs(
+      options.xdeltaOptions,
+      oldSize
+    );
+
+    // Progress is the share of the output written so far
+    const onProgress = options.onProgress;
+    const stopWatching =
+      options.targetSize && onProgress
+        ? ProgressTracker.watchFileSize(newFile, options.targetSize, onProgress)
+        : () => undefined;
+
+    try {
+      // Decode mode requires source flag and correct ordering
+      // xdelta3 -d [tuning] -f -s <oldFile> <patchFile> <newFile>
+      const result = await CommandUtils.run(
+        await this.executable(),
+        [
+          '-d',
+          ...tuning,
+          '-f',
+          '-s',
+          ...this.fileArgs(oldFile, patchFile, newFile),
+        ],
+        options.signal ? { signal: options.signal } : {}
+      );
+
+      AbortUtils.throwIfAborted(options.signal);
+      if (!result.success) {
+        throw new Error(`Failed to apply patch: ${result.stderr}`);
+      }
+    } finally {
+      stopWatching();
+    }
+    onProgress?.(1.0);
+  }
+
+  /**
+   * Gets the resolved executable path
+   * @returns Promise with the path
+   * @private
+   */
+  private async executable(): Promise<string> {
+    return (await this.resolve()).path ?? this.explicitPath ?? 'xdelta3';
+  }
+
+  /**
+   * Gets the file arguments of an xdelta3 command
+   * @param files - File paths
+   * @returns Absolute paths, so that a name starting with '-' is not read as
+   * an option
+   * @private
+   */
+  private fileArgs(...files: string[]): string[] {
+    return files.map(file => path.resolve(file));
+  }
+
+  /**
+   * Runs xdelta3 with -vv, reporting the running totals it prints
+   * @param args - xdelta3 arguments
+   * @param onTotals - Called after each window with the bytes read and
+   * written so far
+   * @param signal - Kills the command when aborted
+   * @returns Promise with the command result; stderr leaves out the totals
+   * @private
+   */
+  private async runWithTotals(
+    args: string[],
+    onTotals: (totals: { totalIn: number; totalOut: number }) => void,
+    signal?: AbortSignal
+  ): Promise<CommandResult> {
+    let pending = '';
+    const result = await CommandUtils.run(await this.executable(), args, {
+      ...(signal ? { signal } : {}),
+      onStderr: data => {
+        const lines = (pending + data).split(/\r?\n/);
+        pending = lines.pop() ?? '';
+        for (const line of lines) {
+          const totals = ProgressTracker.parseXdeltaTotals(line);
+          if (totals) onTotals(totals);
+        }
+      },
+    });
+
+    return {
+      ...result,
+      stderr: result.stderr
+        .split(/\r?\n/)
+        .filter(line => !ProgressTracker.parseXdeltaTotals(line))
+        .join('\n'),
+    };
+  }
+}
+
+export default XdeltaBackend;
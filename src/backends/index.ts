@@ -0,0 +1,3 @@
+export { default as XdeltaBackend } from './XdeltaBackend.js';
+export { default as VcdiffBackend } from './VcdiffBackend.js';
+export { default as BsdiffBackend } from './BsdiffBackend.js';
@@ -0,0 +1,169 @@
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+import { BSDIFF } from '../constants/index.js';
+import { BsdiffError } from './bsdiffError.js';
+import BsdiffReader, { readOffset } from './BsdiffReader.js';
+import { FileByteSink, FileByteSource } from '../vcdiff/byteSource.js';
+import type { ByteSink, ByteSource } from '../vcdiff/byteSource.js';
+
+export type BsdiffDecodeOptions = {
+  // Called while decoding with target bytes written and target size
+  onProgress?: (processed: number, total: number) => void;
+  // Stops decoding between control entries
+  signal?: AbortSignal;
+};
+
+export type BsdiffDecodeResult = {
+  controlEntries: number;
+  targetSize: number;
+};
+
+// Control entries applied between yields to the event loop
+const ENTRY_STEP = 256;
+
+/**
+ * Pure-JavaScript bspatch, applying BSDIFF40 patches
+ * @class BsdiffDecoder
+ */
+class BsdiffDecoder {
+  /**
+   * Decodes a patch against a source, writing the target to a sink
+   * @param patch - Patch bytes
+   * @param source - Source (original) bytes
+   * @param target - Destination of the decoded bytes
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   * @throws BsdiffError for malformed patches
+   */
+  static async decode(
+    patch: ByteSource,
+    source: ByteSource,
+    target: ByteSink,
+    options: BsdiffDecodeOptions = {}
+  ): Promise<BsdiffDecodeResult> {
+    const reader = await BsdiffReader.open(patch);
+    const { control, diff, extra } = await reader.readBlocks(options.signal);
+    const { newSize } = reader.header;
+
+    let newPosition = 0;
+    let oldPosition = 0;
+    let diffPosition = 0;
+    let extraPosition = 0;
+    let entries = 0;
+
+    for (
+      let entry = 0;
+      entry < control.length && newPosition < newSize;
+      entry += BSDIFF.CONTROL_ENTRY_SIZE
+    ) {
+      if (options.signal?.aborted) {
+        throw new BsdiffError('Decoding aborted');
+      }
+      const addLength = readOffset(control, entry);
+      const copyLength = readOffset(control, entry + 8);
+      const seek = readOffset(control, entry + 16);
+
+      if (
+        addLength < 0 ||
+        copyLength < 0 ||
+        newPosition + addLength + copyLength > newSize ||
+        diffPosition + addLength > diff.length ||
+        extraPosition + copyLength > extra.length
+      ) {
+        throw new BsdiffError('Corrupt BSDIFF40 patch: control out of range');
+      }
+
+      // Diff bytes are added to the old bytes they line up with; bytes
+      // outside the old file are taken as they are
+      const segment = Buffer.from(
+        diff.subarray(diffPosition, diffPosition + addLength)
+      );
+      const from = Math.max(0, oldPosition);
+      const to = Math.min(source.size, oldPosition + addLength);
+      if (from < to) {
+        const old = await source.read(from, to - from);
+        for (let i = 0; i < old.length; i++) {
+          const index = from - oldPosition + i;
+          segment[index] = (segment[index]! + old[i]!) & 0xff;
+        }
+      }
+      await target.write(segment);
+      await target.write(
+        extra.subarray(extraPosition, extraPosition + copyLength)
+      );
+
+      newPosition += addLength + copyLength;
+      oldPosition += addLength + seek;
+      diffPosition += addLength;
+      extraPosition += copyLength;
+      entries++;
+
+      if (entries % ENTRY_STEP === 0) {
+        options.onProgress?.(newPosition, newSize);
+        await yieldToEventLoop();
+      }
+    }
+
+    if (newPosition !== newSize) {
+      throw new BsdiffError('Corrupt BSDIFF40 patch: target is incomplete');
+    }
+    options.onProgress?.(newPosition, newSize);
+    return { controlEntries: entries, targetSize: target.written };
+  }
+
+  /**
+   * Decodes a patch file into an output file
+   * @param sourceFile - Original file path
+   * @param patchFile - Patch file path
+   * @param outputFile - Output file path
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   */
+  static async decodeFile(
+    sourceFile: string,
+    patchFile: string,
+    outputFile: string,
+    options: BsdiffDecodeOptions = {}
+  ): Promise<BsdiffDecodeResult> {
+    const patch = await FileByteSource.open(patchFile);
+    try {
+      return await BsdiffDecoder.decodeToFile(
+        sourceFile,
+        patch,
+        outputFile,
+        options
+      );
+    } finally {
+      await patch.close();
+    }
+  }
+
+  /**
+   * Decodes a patch read from any byte source (e.g. a range of a bundle)
+   * into an output file
+   * @param sourceFile - Original file path
+   * @param patch - Patch bytes (left open)
+   * @param outputFile - Output file path
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   */
+  static async decodeToFile(
+    sourceFile: string,
+    patch: ByteSource,
+    outputFile: string,
+    options: BsdiffDecodeOptions = {}
+  ): Promise<BsdiffDecodeResult> {
+    const source = await FileByteSource.open(sourceFile);
+    try {
+      const target = await FileByteSink.create(outputFile);
+      try {
+        return await BsdiffDecoder.decode(patch, source, target, options);
+      } finally {
+        await target.close();
+      }
+    } finally {
+      await source.close();
+    }
+  }
+}
+
+export default BsdiffDecoder;
@@ -0,0 +1,373 @@
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+import { BSDIFF } from '../constants/index.js';
+import { BsdiffError } from './bsdiffError.js';
+import { writeOffset } from './BsdiffReader.js';
+import { compress } from './bzip2.js';
+import { suffixSort } from './suffixSort.js';
+import { FileByteSink, FileByteSource } from '../vcdiff/byteSource.js';
+import type { ByteSink, ByteSource } from '../vcdiff/byteSource.js';
+
+export type BsdiffEncodeOptions = {
+  // bzip2 block size in units of 100 kB, 1 to 9 (0 is read as 1)
+  compression?: number;
+  // Application header stored after the extra block (the source pin)
+  appHeader?: Buffer;
+  // Called while encoding with target bytes processed and target size
+  onProgress?: (processed: number, total: number) => void;
+  // Stops encoding between steps
+  signal?: AbortSignal;
+};
+
+export type BsdiffEncodeResult = {
+  controlEntries: number;
+  targetSize: number;
+  patchSize: number;
+};
+
+// Positions scanned between checks of the signal
+const SCAN_STEP = 0x4000;
+
+/**
+ * Pure-JavaScript bsdiff encoder producing BSDIFF40 patches bspatch can
+ * apply. Both files are held in memory, with two 32-bit integers per byte
+ * of the original file for its suffix array.
+ * @class BsdiffEncoder
+ */
+class BsdiffEncoder {
+  /**
+   * Encodes the difference between a source and a target
+   * @param source - Source (original) bytes
+   * @param target - Target (new) bytes
+   * @param sink - Destination of the patch
+   * @param options - Encode options
+   * @returns Promise with encode statistics
+   */
+  static async encode(
+    source: ByteSource,
+    target: ByteSource,
+    sink: ByteSink,
+    options: BsdiffEncodeOptions = {}
+  ): Promise<BsdiffEncodeResult> {
+    if (
+      source.size > BSDIFF.MAX_FILE_SIZE ||
+      target.size > BSDIFF.MAX_FILE_SIZE
+    ) {
+      throw new BsdiffError(
+        `bsdiff supports files up to ${BSDIFF.MAX_FILE_SIZE} bytes`
+      );
+    }
+    const level = Math.min(9, Math.max(1, options.compression ?? 9));
+    const old = await source.read(0, source.size);
+    const data = await target.read(0, target.size);
+
+    options.onProgress?.(0, data.length);
+    const suffixes = await suffixSort(old, options.signal);
+    const blocks = await BsdiffEncoder.diff(old, data, suffixes, options);
+
+    const control = Buffer.alloc(blocks.control.length * 8);
+    blocks.control.forEach((value, index) =>
+      writeOffset(control, index * 8, value)
+    );
+    const compressed = [
+      await compress(control, level, options.signal),
+      await compress(blocks.diff, level, options.signal),
+      await compress(blocks.extra, level, options.signal),
+    ];
+
+    const header = Buffer.alloc(BSDIFF.HEADER_SIZE);
+    header.write(BSDIFF.MAGIC, 'latin1');
+    writeOffset(header, 8, compressed[0]!.length);
+    writeOffset(header, 16, compressed[1]!.length);
+    writeOffset(header, 24, data.length);
+    await sink.write(header);
+    for (const block of compressed) {
+      await sink.write(block);
+    }
+
+    if (options.appHeader) {
+      const trailer = Buffer.alloc(BSDIFF.TRAILER_SIZE);
+      trailer.writeUInt32BE(options.appHeader.length, 0);
+      trailer.write(BSDIFF.TRAILER_MAGIC, 4, 'latin1');
+      await sink.write(options.appHeader);
+      await sink.write(trailer);
+    }
+
+    options.onProgress?.(data.length, data.length);
+    return {
+      controlEntries: blocks.control.length / 3,
+      targetSize: data.length,
+      patchSize: sink.written,
+    };
+  }
+
+  /**
+   * Encodes a patch between two files
+   * @param sourceFile - Original file path
+   * @param targetFile - New file path
+   * @param patchFile - Output patch path
+   * @param options - Encode options
+   * @returns Promise with encode statistics
+   */
+  static async encodeFile(
+    sourceFile: string,
+    targetFile: string,
+    patchFile: string,
+    options: BsdiffEncodeOptions = {}
+  ): Promise<BsdiffEncodeResult> {
+    const source = await FileByteSource.open(sourceFile);
+    const target = await FileByteSource.open(targetFile).catch(async error => {
+      await source.close();
+      throw error;
+    });
+
+    try {
+      const sink = await FileByteSink.create(patchFile);
+      try {
+        return await BsdiffEncoder.encode(source, target, sink, options);
+      } finally {
+        await sink.close();
+      }
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  }
+
+  /**
+   * Finds approximate matches and splits the target into diff and extra
+   * bytes (the scan of bsdiff 4.3)
+   * @param old - Source bytes
+   * @param data - Target bytes
+   * @param suffixes - Sorted suffixes of the source
+   * @param options - Encode options
+   * @returns Promise with the control offsets and the uncompressed blocks
+   * @private
+   */
+  private static async diff(
+    old: Buffer,
+    data: Buffer,
+    suffixes: Int32Array,
+    options: BsdiffEncodeOptions
+  ): Promise<{ control: number[]; diff: Buffer; extra: Buffer }> {
+    const oldSize = old.length;
+    const newSize = data.length;
+    const diff = Buffer.alloc(newSize);
+    const extra = Buffer.alloc(newSize);
+    const control: number[] = [];
+    const match = { position: 0, length: 0 };
+    let diffLength = 0;
+    let extraLength = 0;
+
+    let scan = 0;
+    let length = 0;
+    let position = 0;
+    let lastScan = 0;
+    let lastPosition = 0;
+    let lastOffset = 0;
+    let steps = 0;
+    let reported = 0;
+
+    while (scan < newSize) {
+      // Long matches move the scan forward without many steps
+      if (scan - reported >= SCAN_STEP * 16) {
+        if (options.signal?.aborted) {
+          throw new BsdiffError('Encoding aborted');
+        }
+        options.onProgress?.(scan, newSize);
+        await yieldToEventLoop();
+        reported = scan;
+      }
+
+      let oldScore = 0;
+      let scored = (scan += length);
+      for (; scan < newSize; scan++) {
+        if (++steps % SCAN_STEP === 0) {
+          if (options.signal?.aborted) {
+            throw new BsdiffError('Encoding aborted');
+          }
+          options.onProgress?.(scan, newSize);
+          await yieldToEventLoop();
+        }
+
+        BsdiffEncoder.search(suffixes, old, data, scan, match);
+        length = match.length;
+        position = match.position;
+
+        // Bytes the previous offset would also have matched
+        for (; scored < scan + length; scored++) {
+          if (
+            scored + lastOffset < oldSize &&
+            old[scored + lastOffset] === data[scored]
+          ) {
+            oldScore++;
+          }
+        }
+        if ((length === oldScore && length !== 0) || length > oldScore + 8) {
+          break;
+        }
+        if (
+          scan + lastOffset < oldSize &&
+          old[scan + lastOffset] === data[scan]
+        ) {
+          oldScore--;
+        }
+      }
+
+      if (length === oldScore && scan !== newSize) continue;
+
+      // Extend the previous match forwards and this one backwards while
+      // more than half of the bytes agree
+      let score = 0;
+      let bestScore = 0;
+      let forward = 0;
+      for (let i = 0; lastScan + i < scan && lastPosition + i < oldSize;) {
+        if (old[lastPosition + i] === data[lastScan + i]) score++;
+        i++;
+        if (score * 2 - i > bestScore * 2 - forward) {
+          bestScore = score;
+          forward = i;
+        }
+      }
+
+      let backward = 0;
+      if (scan < newSize) {
+        score = 0;
+        bestScore = 0;
+        for (let i = 1; scan >= lastScan + i && position >= i; i++) {
+          if (old[position - i] === data[scan - i]) score++;
+          if (score * 2 - i > bestScore * 2 - backward) {
+            bestScore = score;
+            backward = i;
+          }
+        }
+      }
+
+      // Split an overlap where each side matches best
+      if (lastScan + forward > scan - backward) {
+        const overlap = lastScan + forward - (scan - backward);
+        score = 0;
+        bestScore = 0;
+        let split = 0;
+        for (let i = 0; i < overlap; i++) {
+          if (
+            data[lastScan + forward - overlap + i] ===
+            old[lastPosition + forward - overlap + i]
+          ) {
+            score++;
+          }
+          if (data[scan - backward + i] === old[position - backward + i]) {
+            score--;
+          }
+          if (score > bestScore) {
+            bestScore = score;
+            split = i + 1;
+          }
+        }
+        forward += split - overlap;
+        backward -= split;
+      }
+
+      for (let i = 0; i < forward; i++) {
+        diff[diffLength + i] =
+          (data[lastScan + i]! - old[lastPosition + i]!) & 0xff;
+      }
+      const extraBytes = scan - backward - (lastScan + forward);
+      data.copy(extra, extraLength, lastScan + forward, scan - backward);
+      diffLength += forward;
+      extraLength += extraBytes;
+      control.push(
+        forward,
+        extraBytes,
+        position - backward - (lastPosition + forward)
+      );
+
+      lastScan = scan - backward;
+      lastPosition = position - backward;
+      lastOffset = position - scan;
+    }
+
+    return {
+      control,
+      diff: diff.subarray(0, diffLength),
+      extra: extra.subarray(0, extraLength),
+    };
+  }
+
+  /**
+   * Finds the longest match of the target at a position among the sorted
+   * suffixes of the source (binary search)
+   * @param suffixes - Sorted suffixes of the source
+   * @param old - Source bytes
+   * @param data - Target bytes
+   * @param start - Target position
+   * @param match - Receives the source position and length of the match
+   * @private
+   */
+  private static search(
+    suffixes: Int32Array,
+    old: Buffer,
+    data: Buffer,
+    start: number,
+    match: { position: number; length: number }
+  ): void {
+    let low = 0;
+    let high = old.length;
+    while (high - low >= 2) {
+      const middle = low + ((high - low) >> 1);
+      const suffix = suffixes[middle]!;
+      const length = Math.min(old.length - suffix, data.length - start);
+      if (
+        old.compare(data, start, start + length, suffix, suffix + length) < 0
+      ) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const lowLength = BsdiffEncoder.matchLength(
+      old,
+      suffixes[low]!,
+      data,
+      start
+    );
+    const highLength = BsdiffEncoder.matchLength(
+      old,
+      suffixes[high]!,
+      data,
+      start
+    );
+    if (lowLength > highLength) {
+      match.position = suffixes[low]!;
+      match.length = lowLength;
+    } else {
+      match.position = suffixes[high]!;
+      match.length = highLength;
+    }
+  }
+
+  /**
+   * Counts the equal bytes at the start of two positions
+   * @param old - Source bytes
+   * @param oldStart - Source position
+   * @param data - Target bytes
+   * @param start - Target position
+   * @returns Length of the common prefix
+   * @private
+   */
+  private static matchLength(
+    old: Buffer,
+    oldStart: number,
+    data: Buffer,
+    start: number
+  ): number {
+    const limit = Math.min(old.length - oldStart, data.length - start);
+    let length = 0;
+    while (length < limit && old[oldStart + length] === data[start + length]) {
+      length++;
+    }
+    return length;
+  }
+}
+
+export default BsdiffEncoder;
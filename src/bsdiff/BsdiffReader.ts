@@ -0,0 +1,177 @@
+import fs from 'fs-extra';
+import { BSDIFF } from '../constants/index.js';
+import { BsdiffError } from './bsdiffError.js';
+import { decompress } from './bzip2.js';
+import type { ByteSource } from '../vcdiff/byteSource.js';
+
+/**
+ * Header of a BSDIFF40 patch
+ */
+export type BsdiffHeader = {
+  // Compressed size of each block
+  controlLength: number;
+  diffLength: number;
+  extraLength: number;
+  // Size of the file the patch produces
+  newSize: number;
+  // Application header stored after the extra block (the source pin)
+  appHeader?: Buffer;
+};
+
+/**
+ * Decompressed blocks of a BSDIFF40 patch
+ */
+export type BsdiffBlocks = {
+  // Entries of three offsets: bytes to add to the old file, bytes to copy
+  // from the extra block, and how far to move in the old file
+  control: Buffer;
+  diff: Buffer;
+  extra: Buffer;
+};
+
+/**
+ * Reads an offset as bsdiff stores it (64-bit little-endian magnitude with
+ * the sign in the top bit)
+ * @param buffer - Buffer holding the offset
+ * @param position - Position of the offset
+ * @returns Offset value
+ * @throws BsdiffError when the value does not fit in a safe integer
+ */
+export function readOffset(buffer: Buffer, position: number): number {
+  const high = buffer.readUInt32LE(position + 4) & 0x7fffffff;
+  if (high >= 0x200000) {
+    throw new BsdiffError('Corrupt BSDIFF40 patch: offset out of range');
+  }
+  const value = high * 0x100000000 + buffer.readUInt32LE(position);
+  return buffer[position + 7]! & 0x80 ? -value : value;
+}
+
+/**
+ * Writes an offset as bsdiff stores it
+ * @param buffer - Destination buffer
+ * @param position - Position of the offset
+ * @param value - Offset value
+ */
+export function writeOffset(
+  buffer: Buffer,
+  position: number,
+  value: number
+): void {
+  const magnitude = Math.abs(value);
+  buffer.writeUInt32LE(magnitude % 0x100000000, position);
+  buffer.writeUInt32LE(Math.floor(magnitude / 0x100000000), position + 4);
+  if (value < 0) {
+    buffer[position + 7]! |= 0x80;
+  }
+}
+
+/**
+ * Reader of BSDIFF40 patches, as written by bsdiff 4.x
+ * @class BsdiffReader
+ */
+class BsdiffReader {
+  readonly header: BsdiffHeader;
+  private readonly patch: ByteSource;
+
+  private constructor(patch: ByteSource, header: BsdiffHeader) {
+    this.patch = patch;
+    this.header = header;
+  }
+
+  /**
+   * Checks whether a file starts with the BSDIFF40 magic
+   * @param patchPath - Patch path
+   * @returns Promise with true for BSDIFF40 patches
+   */
+  static async isBsdiffFile(patchPath: string): Promise<boolean> {
+    const fd = await fs.open(patchPath, 'r');
+    try {
+      const magic = Buffer.alloc(BSDIFF.MAGIC.length);
+      const { bytesRead } = await fs.read(fd, magic, 0, magic.length, 0);
+      return (
+        bytesRead === magic.length && magic.toString('latin1') === BSDIFF.MAGIC
+      );
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Reads the header and application header of a patch
+   * @param patch - Patch bytes (left open)
+   * @returns Promise with the reader
+   * @throws BsdiffError when the data is not a BSDIFF40 patch
+   */
+  static async open(patch: ByteSource): Promise<BsdiffReader> {
+    const header = await patch.read(0, BSDIFF.HEADER_SIZE);
+    if (
+      header.length < BSDIFF.HEADER_SIZE ||
+      header.toString('latin1', 0, BSDIFF.MAGIC.length) !== BSDIFF.MAGIC
+    ) {
+      throw new BsdiffError('Not a BSDIFF40 patch');
+    }
+
+    const controlLength = readOffset(header, 8);
+    const diffLength = readOffset(header, 16);
+    const newSize = readOffset(header, 24);
+    if (controlLength < 0 || diffLength < 0 || newSize < 0) {
+      throw new BsdiffError('Corrupt BSDIFF40 patch: negative length');
+    }
+
+    const extraStart = BSDIFF.HEADER_SIZE + controlLength + diffLength;
+    let end = patch.size;
+    let appHeader: Buffer | undefined;
+    if (patch.size >= extraStart + BSDIFF.TRAILER_SIZE) {
+      const trailer = await patch.read(
+        patch.size - BSDIFF.TRAILER_SIZE,
+        BSDIFF.TRAILER_SIZE
+      );
+      const start = patch.size - BSDIFF.TRAILER_SIZE - trailer.readUInt32BE(0);
+      if (
+        trailer.toString('latin1', 4) === BSDIFF.TRAILER_MAGIC &&
+        start >= extraStart
+      ) {
+        appHeader = await patch.read(start, trailer.readUInt32BE(0));
+        end = start;
+      }
+    }
+    if (extraStart > end) {
+      throw new BsdiffError('Truncated BSDIFF40 patch');
+    }
+
+    return new BsdiffReader(patch, {
+      controlLength,
+      diffLength,
+      extraLength: end - extraStart,
+      newSize,
+      ...(appHeader ? { appHeader } : {}),
+    });
+  }
+
+  /**
+   * Reads and decompresses the three blocks
+   * @param signal - Stops decompressing between bzip2 blocks
+   * @returns Promise with the blocks
+   * @throws BsdiffError for corrupt blocks
+   */
+  async readBlocks(signal?: AbortSignal): Promise<BsdiffBlocks> {
+    const { controlLength, diffLength, extraLength } = this.header;
+    const block = async (position: number, length: number) =>
+      decompress(await this.patch.read(position, length), signal);
+
+    const control = await block(BSDIFF.HEADER_SIZE, controlLength);
+    if (control.length % BSDIFF.CONTROL_ENTRY_SIZE !== 0) {
+      throw new BsdiffError('Corrupt BSDIFF40 patch: truncated control block');
+    }
+    return {
+      control,
+      diff: await block(BSDIFF.HEADER_SIZE + controlLength, diffLength),
+      extra: await block(
+        BSDIFF.HEADER_SIZE + controlLength + diffLength,
+        extraLength
+      ),
+    };
+  }
+}
+
+export default BsdiffReader;
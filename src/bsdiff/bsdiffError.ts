@@ -0,0 +1,9 @@
+/**
+ * Error raised for malformed BSDIFF40 patches and bzip2 blocks
+ */
+export class BsdiffError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BsdiffError';
+  }
+}
@@ -0,0 +1,853 @@
+/**
+ * bzip2 compressor and decompressor used for the blocks of BSDIFF40 patches
+ *
+ * Blocks are run-length encoded, sorted with the Burrows-Wheeler transform,
+ * move-to-front coded and written with two to six Huffman tables, as
+ * bzip2 1.0 does. Randomised blocks (bzip2 0.9) are not supported.
+ */
+
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+import { BsdiffError } from './bsdiffError.js';
+
+// 48-bit block and end-of-stream markers, in two 24-bit halves
+const BLOCK_MAGIC = [0x314159, 0x265359] as const;
+const END_MAGIC = [0x177245, 0x385090] as const;
+// Symbols coded with the same Huffman table
+const GROUP_SIZE = 50;
+const MAX_SELECTORS = 18002;
+const MAX_CODE_LENGTH = 20;
+// bzip2 keeps its codes this short
+const MAX_ENCODE_CODE_LENGTH = 17;
+const HUFFMAN_ITERATIONS = 4;
+// Digits of the bijective base-2 numbers that code runs of zeros
+const RUN_A = 0;
+const RUN_B = 1;
+
+// Table for the CRC-32 bzip2 computes most significant bit first
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n << 24;
+  for (let k = 0; k < 8; k++) {
+    c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Computes the checksum bzip2 stores for each block
+ * @param data - Uncompressed bytes
+ * @param start - First byte of the block
+ * @param end - End of the block
+ * @returns Unsigned 32-bit checksum
+ */
+function blockCrc(data: Uint8Array, start: number, end: number): number {
+  let crc = 0xffffffff;
+  for (let index = start; index < end; index++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ data[index]!) & 0xff]!) >>> 0;
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Combines block checksums into the stream checksum
+ * @param combined - Checksum of the previous blocks
+ * @param crc - Checksum of the next block
+ * @returns Stream checksum
+ */
+function combineCrc(combined: number, crc: number): number {
+  return (((combined << 1) | (combined >>> 31)) ^ crc) >>> 0;
+}
+
+/**
+ * Writes bits most significant first
+ */
+class BitWriter {
+  private buffer = new Uint8Array(64 * 1024);
+  private length = 0;
+  private bits = 0;
+  private count = 0;
+
+  /**
+   * Appends a value
+   * @param width - Number of bits, at most 24
+   * @param value - Value to write
+   */
+  write(width: number, value: number): void {
+    this.bits = (this.bits << width) | (value & ((1 << width) - 1));
+    this.count += width;
+    while (this.count >= 8) {
+      this.count -= 8;
+      this.push((this.bits >>> this.count) & 0xff);
+    }
+    this.bits &= (1 << this.count) - 1;
+  }
+
+  /**
+   * Appends a 32-bit value
+   * @param value - Value to write
+   */
+  write32(value: number): void {
+    this.write(16, value >>> 16);
+    this.write(16, value & 0xffff);
+  }
+
+  /**
+   * Pads the last byte with zeros
+   * @returns Everything written
+   */
+  finish(): Buffer {
+    if (this.count > 0) {
+      this.push((this.bits << (8 - this.count)) & 0xff);
+      this.bits = 0;
+      this.count = 0;
+    }
+    return Buffer.from(this.buffer.buffer, 0, this.length);
+  }
+
+  private push(byte: number): void {
+    if (this.length === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.length++] = byte;
+  }
+}
+
+/**
+ * Reads bits most significant first
+ */
+class BitReader {
+  private readonly data: Uint8Array;
+  private position = 0;
+  private bits = 0;
+  private count = 0;
+
+  constructor(data: Uint8Array) {
+    this.data = data;
+  }
+
+  /**
+   * Whether every byte has been read
+   */
+  get atEnd(): boolean {
+    return this.count === 0 && this.position >= this.data.length;
+  }
+
+  /**
+   * Reads a value
+   * @param width - Number of bits, at most 24
+   * @returns Value read
+   */
+  read(width: number): number {
+    while (this.count < width) {
+      if (this.position >= this.data.length) {
+        throw new BsdiffError('Unexpected end of bzip2 data');
+      }
+      this.bits = (this.bits << 8) | this.data[this.position++]!;
+      this.count += 8;
+    }
+    this.count -= width;
+    const value = (this.bits >>> this.count) & ((1 << width) - 1);
+    this.bits &= (1 << this.count) - 1;
+    return value;
+  }
+
+  /**
+   * Reads a 32-bit value
+   * @returns Value read
+   */
+  read32(): number {
+    const high = this.read(16);
+    return ((high << 16) | this.read(16)) >>> 0;
+  }
+
+  /**
+   * Skips the rest of the current byte
+   */
+  alignToByte(): void {
+    this.bits = 0;
+    this.count = 0;
+  }
+}
+
+/**
+ * Canonical Huffman code, by code length
+ */
+type DecodeTable = {
+  minLength: number;
+  // Codes of each length, their first code and where their symbols start
+  counts: Int32Array;
+  firstCodes: Int32Array;
+  offsets: Int32Array;
+  // Symbols ordered by code length, then by value
+  symbols: Uint16Array;
+};
+
+/**
+ * Builds the decoding table of a Huffman code
+ * @param lengths - Code length of each symbol
+ * @returns Decoding table
+ */
+function createDecodeTable(lengths: Uint8Array): DecodeTable {
+  const counts = new Int32Array(MAX_CODE_LENGTH + 1);
+  let minLength = MAX_CODE_LENGTH;
+  for (const length of lengths) {
+    counts[length]!++;
+    minLength = Math.min(minLength, length);
+  }
+
+  const firstCodes = new Int32Array(MAX_CODE_LENGTH + 1);
+  const offsets = new Int32Array(MAX_CODE_LENGTH + 2);
+  let code = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    firstCodes[length] = code;
+    offsets[length + 1] = offsets[length]! + counts[length]!;
+    code = (code + counts[length]!) << 1;
+  }
+
+  const symbols = new Uint16Array(lengths.length);
+  const next = offsets.slice();
+  lengths.forEach((length, symbol) => {
+    symbols[next[length]!++] = symbol;
+  });
+  return { minLength, counts, firstCodes, offsets, symbols };
+}
+
+/**
+ * Reads one Huffman-coded symbol
+ * @param reader - Bit reader
+ * @param table - Decoding table
+ * @returns Symbol
+ */
+function decodeSymbol(reader: BitReader, table: DecodeTable): number {
+  let code = reader.read(table.minLength);
+  for (let length = table.minLength; length <= MAX_CODE_LENGTH; length++) {
+    const index = code - table.firstCodes[length]!;
+    if (index < table.counts[length]!) {
+      return table.symbols[table.offsets[length]! + index]!;
+    }
+    code = (code << 1) | reader.read(1);
+  }
+  throw new BsdiffError('Corrupt bzip2 data: invalid Huffman code');
+}
+
+/**
+ * Decodes one block
+ * @param reader - Bit reader, after the block header and checksum
+ * @param maxSize - Block size of the stream
+ * @returns Uncompressed bytes of the block
+ */
+function decodeBlock(reader: BitReader, maxSize: number): Buffer {
+  if (reader.read(1)) {
+    throw new BsdiffError('Randomised bzip2 blocks are not supported');
+  }
+  const origPtr = reader.read(24);
+
+  // Bytes used in the block, in 16 ranges of 16
+  const seqToUnseq = new Uint8Array(256);
+  let inUse = 0;
+  const ranges = reader.read(16);
+  for (let range = 0; range < 16; range++) {
+    if (ranges & (0x8000 >>> range)) {
+      const bits = reader.read(16);
+      for (let byte = 0; byte < 16; byte++) {
+        if (bits & (0x8000 >>> byte)) {
+          seqToUnseq[inUse++] = range * 16 + byte;
+        }
+      }
+    }
+  }
+  if (inUse === 0) {
+    throw new BsdiffError('Corrupt bzip2 data: empty symbol map');
+  }
+  const alphaSize = inUse + 2;
+  const endOfBlock = inUse + 1;
+
+  // Table used by each group of symbols, move-to-front coded
+  const groups = reader.read(3);
+  const selectorCount = reader.read(15);
+  if (groups < 2 || groups > 6 || selectorCount === 0) {
+    throw new BsdiffError('Corrupt bzip2 data: bad Huffman table count');
+  }
+  const selectors = new Uint8Array(Math.min(selectorCount, MAX_SELECTORS));
+  const tableOrder = new Uint8Array([0, 1, 2, 3, 4, 5]);
+  for (let index = 0; index < selectorCount; index++) {
+    let position = 0;
+    while (reader.read(1)) {
+      if (++position >= groups) {
+        throw new BsdiffError('Corrupt bzip2 data: bad selector');
+      }
+    }
+    const table = tableOrder[position]!;
+    tableOrder.copyWithin(1, 0, position);
+    tableOrder[0] = table;
+    if (index < selectors.length) {
+      selectors[index] = table;
+    }
+  }
+
+  // Code lengths, each coded as a change from the previous one
+  const tables: DecodeTable[] = [];
+  for (let table = 0; table < groups; table++) {
+    const lengths = new Uint8Array(alphaSize);
+    let length = reader.read(5);
+    for (let symbol = 0; symbol < alphaSize; symbol++) {
+      for (;;) {
+        if (length < 1 || length > MAX_CODE_LENGTH) {
+          throw new BsdiffError('Corrupt bzip2 data: bad code length');
+        }
+        if (!reader.read(1)) break;
+        length += reader.read(1) ? -1 : 1;
+      }
+      lengths[symbol] = length;
+    }
+    tables.push(createDecodeTable(lengths));
+  }
+
+  // Move-to-front values, with runs of the front byte
+  const tt = new Uint32Array(maxSize);
+  const counts = new Int32Array(256);
+  const order = new Uint8Array(256).map((_, index) => index);
+  let length = 0;
+  let group = -1;
+  let left = 0;
+  let table = tables[0]!;
+  let run = 0;
+  let weight = 1;
+  for (;;) {
+    if (left === 0) {
+      if (++group >= selectors.length) {
+        throw new BsdiffError('Corrupt bzip2 data: missing selectors');
+      }
+      table = tables[selectors[group]!]!;
+      left = GROUP_SIZE;
+    }
+    left--;
+
+    const symbol = decodeSymbol(reader, table);
+    if (symbol === RUN_A || symbol === RUN_B) {
+      if (run === 0) {
+        weight = 1;
+      }
+      run += weight << symbol;
+      weight <<= 1;
+      if (weight > 2 * 1024 * 1024) {
+        throw new BsdiffError('Corrupt bzip2 data: run too long');
+      }
+      continue;
+    }
+
+    if (run > 0) {
+      const byte = seqToUnseq[order[0]!]!;
+      if (length + run > maxSize) {
+        throw new BsdiffError('Corrupt bzip2 data: block too large');
+      }
+      counts[byte]! += run;
+      tt.fill(byte, length, length + run);
+      length += run;
+      run = 0;
+    }
+    if (symbol === endOfBlock) break;
+
+    if (length >= maxSize) {
+      throw new BsdiffError('Corrupt bzip2 data: block too large');
+    }
+    const position = symbol - 1;
+    const value = order[position]!;
+    order.copyWithin(1, 0, position);
+    order[0] = value;
+    const byte = seqToUnseq[value]!;
+    counts[byte]!++;
+    tt[length++] = byte;
+  }
+  if (origPtr >= length) {
+    throw new BsdiffError('Corrupt bzip2 data: bad origin pointer');
+  }
+
+  // Undo the Burrows-Wheeler transform
+  const starts = new Int32Array(256);
+  for (let byte = 0, sum = 0; byte < 256; byte++) {
+    starts[byte] = sum;
+    sum += counts[byte]!;
+  }
+  for (let index = 0; index < length; index++) {
+    tt[starts[tt[index]! & 0xff]!++]! |= index << 8;
+  }
+  const runs = new Uint8Array(length);
+  let position = tt[origPtr]! >>> 8;
+  for (let index = 0; index < length; index++) {
+    position = tt[position]!;
+    runs[index] = position & 0xff;
+    position >>>= 8;
+  }
+
+  // Undo the initial run-length encoding: four equal bytes are followed
+  // by the number of further copies
+  const expand = (output?: Buffer): number => {
+    let size = 0;
+    let last = -1;
+    let same = 0;
+    for (const byte of runs) {
+      if (same === 4) {
+        output?.fill(last, size, size + byte);
+        size += byte;
+        last = -1;
+        same = 0;
+        continue;
+      }
+      same = byte === last ? same + 1 : 1;
+      last = byte;
+      if (output) output[size] = byte;
+      size++;
+    }
+    return size;
+  };
+  const output = Buffer.alloc(expand());
+  expand(output);
+  return output;
+}
+
+/**
+ * Sorts the rotations of a block (prefix doubling with counting sorts)
+ * @param block - Block bytes
+ * @returns Start of each rotation, in sorted order
+ */
+function sortRotations(block: Uint8Array): Int32Array {
+  const size = block.length;
+  const order = new Int32Array(size);
+  const nextOrder = new Int32Array(size);
+  let classes = new Int32Array(size);
+  let nextClasses = new Int32Array(size);
+  const counts = new Int32Array(Math.max(256, size));
+
+  for (const byte of block) counts[byte]!++;
+  for (let byte = 1; byte < 256; byte++) counts[byte]! += counts[byte - 1]!;
+  for (let index = size - 1; index >= 0; index--) {
+    order[--counts[block[index]!]!] = index;
+  }
+  let classCount = 1;
+  for (let index = 1; index < size; index++) {
+    if (block[order[index]!] !== block[order[index - 1]!]) classCount++;
+    classes[order[index]!] = classCount - 1;
+  }
+
+  // Rotations are sorted by their first 2^k bytes after k passes
+  for (let span = 1; span < size && classCount < size; span *= 2) {
+    for (let index = 0; index < size; index++) {
+      const start = order[index]! - span;
+      nextOrder[index] = start < 0 ? start + size : start;
+    }
+    counts.fill(0, 0, classCount);
+    for (let index = 0; index < size; index++) {
+      counts[classes[nextOrder[index]!]!]!++;
+    }
+    for (let value = 1; value < classCount; value++) {
+      counts[value]! += counts[value - 1]!;
+    }
+    for (let index = size - 1; index >= 0; index--) {
+      const start = nextOrder[index]!;
+      order[--counts[classes[start]!]!] = start;
+    }
+
+    nextClasses[order[0]!] = 0;
+    classCount = 1;
+    for (let index = 1; index < size; index++) {
+      const current = order[index]!;
+      const previous = order[index - 1]!;
+      if (
+        classes[current] !== classes[previous] ||
+        classes[(current + span) % size] !== classes[(previous + span) % size]
+      ) {
+        classCount++;
+      }
+      nextClasses[current] = classCount - 1;
+    }
+    [classes, nextClasses] = [nextClasses, classes];
+  }
+  return order;
+}
+
+/**
+ * Computes length-limited Huffman code lengths
+ * @param frequencies - Occurrences of each symbol
+ * @returns Code length of each symbol (every symbol gets a code)
+ */
+function buildCodeLengths(frequencies: Int32Array): Uint8Array {
+  const symbolCount = frequencies.length;
+  const weights = Array.from(frequencies, frequency => frequency || 1);
+  const lengths = new Uint8Array(symbolCount);
+
+  for (;;) {
+    const nodeWeights = weights.slice();
+    const parents = new Array<number>(symbolCount).fill(-1);
+    const active = weights.map((_, symbol) => symbol);
+    const takeLightest = (): number => {
+      let best = 0;
+      for (let index = 1; index < active.length; index++) {
+        if (nodeWeights[active[index]!]! < nodeWeights[active[best]!]!) {
+          best = index;
+        }
+      }
+      return active.splice(best, 1)[0]!;
+    };
+    while (active.length > 1) {
+      const first = takeLightest();
+      const second = takeLightest();
+      const node = nodeWeights.length;
+      nodeWeights.push(nodeWeights[first]! + nodeWeights[second]!);
+      parents.push(-1);
+      parents[first] = node;
+      parents[second] = node;
+      active.push(node);
+    }
+
+    let longest = 0;
+    for (let symbol = 0; symbol < symbolCount; symbol++) {
+      let depth = 0;
+      for (let node = symbol; parents[node] !== -1; node = parents[node]!) {
+        depth++;
+      }
+      lengths[symbol] = depth;
+      longest = Math.max(longest, depth);
+    }
+    if (longest <= MAX_ENCODE_CODE_LENGTH) {
+      return lengths;
+    }
+
+    // Flatten the weights until the longest code is short enough
+    for (let symbol = 0; symbol < symbolCount; symbol++) {
+      weights[symbol] = 1 + (weights[symbol]! >> 1);
+    }
+  }
+}
+
+/**
+ * Assigns canonical Huffman codes (by length, then by symbol)
+ * @param lengths - Code length of each symbol
+ * @returns Code of each symbol
+ */
+function assignCodes(lengths: Uint8Array): Int32Array {
+  const codes = new Int32Array(lengths.length);
+  let code = 0;
+  for (let length = 1; length <= MAX_ENCODE_CODE_LENGTH; length++) {
+    lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === length) {
+        codes[symbol] = code++;
+      }
+    });
+    code <<= 1;
+  }
+  return codes;
+}
+
+/**
+ * Compresses one block
+ * @param writer - Bit writer
+ * @param block - Run-length encoded bytes of the block
+ * @param crc - Checksum of the bytes before run-length encoding
+ */
+function encodeBlock(writer: BitWriter, block: Uint8Array, crc: number): void {
+  const size = block.length;
+
+  // Last column of the sorted rotations, and the row of the block itself
+  const order = sortRotations(block);
+  const last = new Uint8Array(size);
+  let origPtr = 0;
+  for (let index = 0; index < size; index++) {
+    const start = order[index]!;
+    if (start === 0) origPtr = index;
+    last[index] = block[start === 0 ? size - 1 : start - 1]!;
+  }
+
+  const used = new Uint8Array(256);
+  for (const byte of block) used[byte] = 1;
+  const unseqToSeq = new Uint8Array(256);
+  let inUse = 0;
+  for (let byte = 0; byte < 256; byte++) {
+    if (used[byte]) unseqToSeq[byte] = inUse++;
+  }
+  const alphaSize = inUse + 2;
+  const endOfBlock = inUse + 1;
+
+  // Move-to-front values, with runs of zeros as RUNA/RUNB digits
+  const symbols = new Uint16Array(size + 1);
+  const frequencies = new Int32Array(alphaSize);
+  const mtf = new Uint8Array(inUse).map((_, index) => index);
+  let symbolCount = 0;
+  let zeros = 0;
+  const flushZeros = () => {
+    if (zeros === 0) return;
+    for (let run = zeros - 1; ; run = (run - 2) >> 1) {
+      const digit = run & 1 ? RUN_B : RUN_A;
+      symbols[symbolCount++] = digit;
+      frequencies[digit]!++;
+      if (run < 2) break;
+    }
+    zeros = 0;
+  };
+  for (const byte of last) {
+    const value = unseqToSeq[byte]!;
+    if (mtf[0] === value) {
+      zeros++;
+      continue;
+    }
+    flushZeros();
+    let position = 1;
+    let carried = mtf[0]!;
+    while (mtf[position] !== value) {
+      const next = mtf[position]!;
+      mtf[position++] = carried;
+      carried = next;
+    }
+    mtf[position] = carried;
+    mtf[0] = value;
+    symbols[symbolCount++] = position + 1;
+    frequencies[position + 1]!++;
+  }
+  flushZeros();
+  symbols[symbolCount++] = endOfBlock;
+  frequencies[endOfBlock]!++;
+
+  // Initial tables each cover a band of symbols with a similar share of
+  // the frequencies, then each group of symbols picks its cheapest table
+  // and the tables are rebuilt from the groups that picked them
+  const groups =
+    symbolCount < 200
+      ? 2
+      : symbolCount < 600
+        ? 3
+        : symbolCount < 1200
+          ? 4
+          : symbolCount < 2400
+            ? 5
+            : 6;
+  let lengths: Uint8Array[] = Array.from(
+    { length: groups },
+    () => new Uint8Array(alphaSize)
+  );
+  for (
+    let parts = groups, remaining = symbolCount, first = 0;
+    parts > 0;
+    parts--
+  ) {
+    const share = Math.floor(remaining / parts);
+    let end = first - 1;
+    let sum = 0;
+    while (sum < share && end < alphaSize - 1) {
+      sum += frequencies[++end]!;
+    }
+    if (
+      end > first &&
+      parts !== groups &&
+      parts !== 1 &&
+      (groups - parts) % 2 === 1
+    ) {
+      sum -= frequencies[end--]!;
+    }
+    lengths[parts - 1]!.forEach((_, symbol, band) => {
+      band[symbol] = symbol >= first && symbol <= end ? 0 : 15;
+    });
+    first = end + 1;
+    remaining -= sum;
+  }
+
+  const selectorCount = Math.ceil(symbolCount / GROUP_SIZE);
+  const selectors = new Uint8Array(selectorCount);
+  for (let iteration = 0; iteration < HUFFMAN_ITERATIONS; iteration++) {
+    const tableFrequencies = Array.from(
+      { length: groups },
+      () => new Int32Array(alphaSize)
+    );
+    for (let group = 0; group < selectorCount; group++) {
+      const start = group * GROUP_SIZE;
+      const end = Math.min(start + GROUP_SIZE, symbolCount);
+      let best = 0;
+      let bestCost = Infinity;
+      for (let table = 0; table < groups; table++) {
+        let cost = 0;
+        for (let index = start; index < end; index++) {
+          cost += lengths[table]![symbols[index]!]!;
+        }
+        if (cost < bestCost) {
+          bestCost = cost;
+          best = table;
+        }
+      }
+      selectors[group] = best;
+      for (let index = start; index < end; index++) {
+        tableFrequencies[best]![symbols[index]!]!++;
+      }
+    }
+    lengths = tableFrequencies.map(buildCodeLengths);
+  }
+  const codes = lengths.map(assignCodes);
+
+  writer.write(24, BLOCK_MAGIC[0]);
+  writer.write(24, BLOCK_MAGIC[1]);
+  writer.write32(crc);
+  writer.write(1, 0);
+  writer.write(24, origPtr);
+
+  let ranges = 0;
+  for (let byte = 0; byte < 256; byte++) {
+    if (used[byte]) ranges |= 0x8000 >>> (byte >> 4);
+  }
+  writer.write(16, ranges);
+  for (let range = 0; range < 16; range++) {
+    if (!(ranges & (0x8000 >>> range))) continue;
+    let bits = 0;
+    for (let byte = 0; byte < 16; byte++) {
+      if (used[range * 16 + byte]) bits |= 0x8000 >>> byte;
+    }
+    writer.write(16, bits);
+  }
+
+  writer.write(3, groups);
+  writer.write(15, selectorCount);
+  const tableOrder = new Uint8Array(groups).map((_, index) => index);
+  for (const selector of selectors) {
+    const position = tableOrder.indexOf(selector);
+    tableOrder.copyWithin(1, 0, position);
+    tableOrder[0] = selector;
+    for (let bit = 0; bit < position; bit++) writer.write(1, 1);
+    writer.write(1, 0);
+  }
+
+  for (const tableLengths of lengths) {
+    let length = tableLengths[0]!;
+    writer.write(5, length);
+    for (const symbolLength of tableLengths) {
+      for (; length < symbolLength; length++) writer.write(2, 0b10);
+      for (; length > symbolLength; length--) writer.write(2, 0b11);
+      writer.write(1, 0);
+    }
+  }
+
+  for (let group = 0; group < selectorCount; group++) {
+    const table = selectors[group]!;
+    const end = Math.min((group + 1) * GROUP_SIZE, symbolCount);
+    for (let index = group * GROUP_SIZE; index < end; index++) {
+      const symbol = symbols[index]!;
+      writer.write(lengths[table]![symbol]!, codes[table]![symbol]!);
+    }
+  }
+}
+
+/**
+ * Compresses data into a bzip2 stream
+ * @param data - Bytes to compress
+ * @param level - Block size in units of 100 kB (1 to 9)
+ * @param signal - Stops compressing between blocks
+ * @returns Promise with the compressed stream
+ */
+export async function compress(
+  data: Uint8Array,
+  level: number = 9,
+  signal?: AbortSignal
+): Promise<Buffer> {
+  const writer = new BitWriter();
+  for (const byte of Buffer.from(`BZh${level}`, 'latin1')) {
+    writer.write(8, byte);
+  }
+
+  // Room for the last run added to a block
+  const maxBlockSize = level * 100000 - 19;
+  const block = new Uint8Array(level * 100000);
+  let combined = 0;
+  let position = 0;
+  while (position < data.length) {
+    if (signal?.aborted) {
+      throw new BsdiffError('Encoding aborted');
+    }
+
+    // Runs of 4 to 255 equal bytes become 4 bytes and a count
+    const start = position;
+    let length = 0;
+    while (position < data.length && length < maxBlockSize) {
+      const byte = data[position]!;
+      let run = 1;
+      while (
+        run < 255 &&
+        position + run < data.length &&
+        data[position + run] === byte
+      ) {
+        run++;
+      }
+      block.fill(byte, length, length + Math.min(run, 4));
+      length += Math.min(run, 4);
+      if (run >= 4) {
+        block[length++] = run - 4;
+      }
+      position += run;
+    }
+
+    const crc = blockCrc(data, start, position);
+    combined = combineCrc(combined, crc);
+    encodeBlock(writer, block.subarray(0, length), crc);
+    await yieldToEventLoop();
+  }
+
+  writer.write(24, END_MAGIC[0]);
+  writer.write(24, END_MAGIC[1]);
+  writer.write32(combined);
+  return writer.finish();
+}
+
+/**
+ * Decompresses one or more concatenated bzip2 streams
+ * @param data - Compressed bytes
+ * @param signal - Stops decompressing between blocks
+ * @returns Promise with the uncompressed bytes
+ * @throws BsdiffError for malformed data or checksum mismatches
+ */
+export async function decompress(
+  data: Uint8Array,
+  signal?: AbortSignal
+): Promise<Buffer> {
+  const reader = new BitReader(data);
+  const blocks: Buffer[] = [];
+
+  do {
+    const magic = String.fromCharCode(
+      reader.read(8),
+      reader.read(8),
+      reader.read(8)
+    );
+    const level = reader.read(8) - 0x30;
+    if (magic !== 'BZh' || level < 1 || level > 9) {
+      throw new BsdiffError('Not a bzip2 stream');
+    }
+
+    let combined = 0;
+    for (;;) {
+      const high = reader.read(24);
+      const low = reader.read(24);
+      const crc = reader.read32();
+      if (high === END_MAGIC[0] && low === END_MAGIC[1]) {
+        if (crc !== combined) {
+          throw new BsdiffError('bzip2 stream checksum mismatch');
+        }
+        break;
+      }
+      if (high !== BLOCK_MAGIC[0] || low !== BLOCK_MAGIC[1]) {
+        throw new BsdiffError('Corrupt bzip2 data: bad block header');
+      }
+
+      const block = decodeBlock(reader, level * 100000);
+      if (blockCrc(block, 0, block.length) !== crc) {
+        throw new BsdiffError('bzip2 block checksum mismatch');
+      }
+      combined = combineCrc(combined, crc);
+      blocks.push(block);
+
+      if (signal?.aborted) {
+        throw new BsdiffError('Decoding aborted');
+      }
+      await yieldToEventLoop();
+    }
+    reader.alignToByte();
+  } while (!reader.atEnd);
+
+  return Buffer.concat(blocks);
+}
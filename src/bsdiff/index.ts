@@ -0,0 +1,17 @@
+export { default as BsdiffDecoder } from './BsdiffDecoder.js';
+export { default as BsdiffEncoder } from './BsdiffEncoder.js';
+export { default as BsdiffReader } from './BsdiffReader.js';
+export { BsdiffError } from './bsdiffError.js';
+export {
+  compress as bzip2Compress,
+  decompress as bzip2Decompress,
+} from './bzip2.js';
+export type { BsdiffHeader, BsdiffBlocks } from './BsdiffReader.js';
+export type {
+  BsdiffDecodeOptions,
+  BsdiffDecodeResult,
+} from './BsdiffDecoder.js';
+export type {
+  BsdiffEncodeOptions,
+  BsdiffEncodeResult,
+} from './BsdiffEncoder.js';
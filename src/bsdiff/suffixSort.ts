@@ -0,0 +1,179 @@
+/**
+ * Suffix sorting used by the bsdiff encoder (Larsson and Sadakane's
+ * qsufsort, as in bsdiff 4.3)
+ */
+
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+import { BsdiffError } from './bsdiffError.js';
+
+// Groups smaller than this are sorted by selection instead of split
+const SMALL_GROUP = 16;
+// Suffixes sorted between checks of the signal
+const SORT_STEP = 1 << 20;
+// Kinds of pending work in split
+const SPLIT = 0;
+const CLOSE = 1;
+
+/**
+ * Refines the group of suffixes I[start..start + length) by the rank of
+ * the suffix h bytes further (ternary quicksort), as bsdiff's recursive
+ * split does, with an explicit stack
+ * @param I - Suffixes, with sorted groups as negative lengths
+ * @param V - Group of each suffix
+ * @param start - First suffix of the group
+ * @param length - Size of the group
+ * @param h - Bytes the suffixes of the group are known to share
+ */
+function split(
+  I: Int32Array,
+  V: Int32Array,
+  start: number,
+  length: number,
+  h: number
+): void {
+  const swap = (a: number, b: number) => {
+    const value = I[a]!;
+    I[a] = I[b]!;
+    I[b] = value;
+  };
+  const work = [SPLIT, start, length];
+
+  while (work.length > 0) {
+    const second = work.pop()!;
+    const first = work.pop()!;
+    const kind = work.pop()!;
+
+    if (kind === CLOSE) {
+      // The suffixes equal to the pivot form a new group
+      for (let i = first; i < second; i++) V[I[i]!] = second - 1;
+      if (first === second - 1) I[first] = -1;
+      continue;
+    }
+
+    const begin = first;
+    const end = first + second;
+    if (second < SMALL_GROUP) {
+      for (let k = begin, j = 1; k < end; k += j) {
+        j = 1;
+        let x = V[I[k]! + h]!;
+        for (let i = 1; k + i < end; i++) {
+          const value = V[I[k + i]! + h]!;
+          if (value < x) {
+            x = value;
+            j = 0;
+          }
+          if (value === x) {
+            swap(k + j, k + i);
+            j++;
+          }
+        }
+        for (let i = 0; i < j; i++) V[I[k + i]!] = k + j - 1;
+        if (j === 1) I[k] = -1;
+      }
+      continue;
+    }
+
+    const x = V[I[begin + (second >> 1)]! + h]!;
+    let jj = 0;
+    let kk = 0;
+    for (let i = begin; i < end; i++) {
+      const value = V[I[i]! + h]!;
+      if (value < x) jj++;
+      if (value === x) kk++;
+    }
+    jj += begin;
+    kk += jj;
+
+    let i = begin;
+    let j = 0;
+    let k = 0;
+    while (i < jj) {
+      const value = V[I[i]! + h]!;
+      if (value < x) {
+        i++;
+      } else if (value === x) {
+        swap(i, jj + j);
+        j++;
+      } else {
+        swap(i, kk + k);
+        k++;
+      }
+    }
+    while (jj + j < kk) {
+      if (V[I[jj + j]! + h] === x) {
+        j++;
+      } else {
+        swap(jj + j, kk + k);
+        k++;
+      }
+    }
+
+    // Smaller suffixes first, then the pivot group, then the larger ones
+    if (end > kk) work.push(SPLIT, kk, end - kk);
+    work.push(CLOSE, jj, kk);
+    if (jj > begin) work.push(SPLIT, begin, jj - begin);
+  }
+}
+
+/**
+ * Sorts the suffixes of a buffer
+ * @param data - Bytes to index
+ * @param signal - Stops sorting between passes
+ * @returns Promise with the start of each suffix (including the empty one
+ * at data.length) in sorted order
+ */
+export async function suffixSort(
+  data: Uint8Array,
+  signal?: AbortSignal
+): Promise<Int32Array> {
+  const size = data.length;
+  const I = new Int32Array(size + 1);
+  const V = new Int32Array(size + 1);
+  const buckets = new Int32Array(256);
+
+  // Bucket the suffixes by their first byte
+  for (const byte of data) buckets[byte]!++;
+  for (let byte = 1; byte < 256; byte++) buckets[byte]! += buckets[byte - 1]!;
+  buckets.copyWithin(1, 0, 255);
+  buckets[0] = 0;
+
+  for (let i = 0; i < size; i++) I[++buckets[data[i]!]!] = i;
+  I[0] = size;
+  for (let i = 0; i < size; i++) V[i] = buckets[data[i]!]!;
+  V[size] = 0;
+  for (let byte = 1; byte < 256; byte++) {
+    if (buckets[byte] === buckets[byte - 1]! + 1) I[buckets[byte]!] = -1;
+  }
+  I[0] = -1;
+
+  // Each pass doubles the sorted prefix length, until one group remains
+  for (let h = 1; I[0] !== -(size + 1); h += h) {
+    let length = 0;
+    let i = 0;
+    let checked = -SORT_STEP;
+    while (i < size + 1) {
+      if (i - checked >= SORT_STEP) {
+        if (signal?.aborted) {
+          throw new BsdiffError('Encoding aborted');
+        }
+        await yieldToEventLoop();
+        checked = i;
+      }
+
+      if (I[i]! < 0) {
+        length -= I[i]!;
+        i -= I[i]!;
+      } else {
+        if (length) I[i - length] = -length;
+        length = V[I[i]!]! + 1 - i;
+        split(I, V, i, length, h);
+        i += length;
+        length = 0;
+      }
+    }
+    if (length) I[i - length] = -length;
+  }
+
+  for (let i = 0; i < size + 1; i++) I[V[i]!] = i;
+  return I;
+}
@@ -0,0 +1,140 @@
+/**
+ * Minimal argv parser for the command-line interface
+ */
+
+export type FlagSpec = {
+  // Flags that expect a value (`--flag value` or `--flag=value`)
+  values: readonly string[];
+  // Flags that are simple switches (`--flag` / `--no-flag`)
+  booleans: readonly string[];
+  // Short aliases, e.g. { h: 'help' }
+  aliases?: Record<string, string>;
+};
+
+export type ParsedArgs = {
+  positionals: string[];
+  flags: Record<string, string | boolean>;
+};
+
+/**
+ * Error thrown for invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses command-line arguments according to a flag specification
+ * @param argv - Arguments without the node binary and script path
+ * @param spec - Accepted flags
+ * @returns Positional arguments and flags
+ * @throws UsageError when an unknown flag is found or a value is missing
+ */
+export function parseArgs(argv: string[], spec: FlagSpec): ParsedArgs {
+  const positionals: string[] = [];
+  const flags: Record<string, string | boolean> = {};
+  let onlyPositionals = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!;
+
+    if (onlyPositionals || !arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (arg === '--') {
+      onlyPositionals = true;
+      continue;
+    }
+
+    let name: string;
+    let inlineValue: string | undefined;
+
+    if (arg.startsWith('--')) {
+      const eqIndex = arg.indexOf('=');
+      name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+      inlineValue = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    } else {
+      const short = arg.slice(1);
+      const alias = spec.aliases?.[short];
+      if (!alias) {
+        throw new UsageError(`Unknown option: ${arg}`);
+      }
+      name = alias;
+    }
+
+    if (spec.values.includes(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Option --${name} requires a value`);
+      }
+      flags[name] = value;
+    } else if (spec.booleans.includes(name)) {
+      flags[name] = inlineValue === undefined ? true : inlineValue !== 'false';
+    } else if (
+      name.startsWith('no-') &&
+      spec.booleans.includes(name.slice(3))
+    ) {
+      flags[name.slice(3)] = false;
+    } else {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Reads an integer flag, validating its range
+ * @param flags - Parsed flags
+ * @param name - Flag name
+ * @param min - Minimum accepted value
+ * @param max - Maximum accepted value
+ * @returns The integer value, or undefined when the flag is absent
+ * @throws UsageError when the value is not an integer within range
+ */
+export function getIntegerFlag(
+  flags: Record<string, string | boolean>,
+  name: string,
+  min: number,
+  max: number
+): number | undefined {
+  const raw = flags[name];
+  if (raw === undefined) return undefined;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new UsageError(
+      `Option --${name} must be an integer between ${min} and ${max}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Reads a flag whose value must be one of a fixed set
+ * @param flags - Parsed flags
+ * @param name - Flag name
+ * @param choices - Accepted values
+ * @returns The value, or undefined when the flag is absent
+ * @throws UsageError when the value is not one of the choices
+ */
+export function getChoiceFlag<T extends string>(
+  flags: Record<string, string | boolean>,
+  name: string,
+  choices: readonly T[]
+): T | undefined {
+  const raw = flags[name];
+  if (raw === undefined) return undefined;
+
+  if (!choices.includes(raw as T)) {
+    throw new UsageError(
+      `Option --${name} must be one of: ${choices.join(', ')}`
+    );
+  }
+  return raw as T;
+}
@@ -0,0 +1,645 @@
+import AdvancedPatchGenerator from '../lib/AdvancedPatchGenerator.js';
+import PatchAnalyzer from '../lib/PatchAnalyzer.js';
+import DisplayUtils from '../utils/displayUtils.js';
+import MetricsUtils from '../utils/metrics.js';
+import { getChoiceFlag, getIntegerFlag } from './args.js';
+import type { FlagSpec, ParsedArgs } from './args.js';
+import type { AdvancedPatchGeneratorOptions } from '../types/index.js';
+
+/**
+ * Process exit codes used by the CLI
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  VERIFICATION_FAILED: 3,
+} as const;
+
+// Flags accepted by every command
+export const GLOBAL_FLAGS: FlagSpec = {
+  values: ['xdelta', 'timeout', 'backend'],
+  booleans: ['json', 'quiet', 'help', 'version'],
+  aliases: { h: 'help', v: 'version', q: 'quiet' },
+};
+
+export type CommandContext = {
+  args: ParsedArgs;
+  json: boolean;
+  quiet: boolean;
+  // Aborted when the user interrupts the CLI (Ctrl+C)
+  signal: AbortSignal;
+  log: (message: string) => void;
+};
+
+export type CommandOutcome = {
+  exitCode: number;
+  data: unknown;
+};
+
+export type CommandDefinition = {
+  name: string;
+  usage: string;
+  description: string;
+  positionals: readonly string[];
+  flags: Pick<FlagSpec, 'values' | 'booleans'>;
+  run: (context: CommandContext) => Promise<CommandOutcome>;
+};
+
+/**
+ * Creates a generator wired to the CLI progress bar
+ * @param context - Command context
+ * @param options - Extra generator options
+ * @returns Generator instance and a function that finishes the progress line
+ */
+function createGenerator(
+  context: CommandContext,
+  options: AdvancedPatchGeneratorOptions = {}
+): { generator: AdvancedPatchGenerator; finishProgress: () => void } {
+  const xdeltaPath = context.args.flags.xdelta;
+  const timeout = getIntegerFlag(
+    context.args.flags,
+    'timeout',
+    0,
+    Number.MAX_SAFE_INTEGER
+  );
+  const backend = getChoiceFlag(context.args.flags, 'backend', [
+    'auto',
+    'xdelta3',
+    'js',
+    'bsdiff',
+  ] as const);
+  const generator = new AdvancedPatchGenerator({
+    ...options,
+    ...(typeof xdeltaPath === 'string' ? { xdeltaPath } : {}),
+    ...(timeout !== undefined ? { timeout } : {}),
+    ...(backend !== undefined ? { backend } : {}),
+    showProgress: false,
+  });
+
+  const showBar = !context.json && !context.quiet && process.stdout.isTTY;
+  let barActive = false;
+
+  if (showBar) {
+    const updateBar = DisplayUtils.createProgressBar(100);
+    generator.on('progress', data => {
+      barActive = true;
+      updateBar(Math.max(0, Math.min(100, data.percentage)));
+    });
+  }
+
+  return {
+    generator,
+    finishProgress: () => {
+      if (barActive) {
+        process.stdout.write('\n');
+        barActive = false;
+      }
+    },
+  };
+}
+
+const createCommand: CommandDefinition = {
+  name: 'create',
+  usage:
+    'create <oldFile> <newFile> <patchFile> [--compression <0-9>] [--format <vcdiff|grf|zip>] [--no-verify]',
+  description: 'Create a patch that turns oldFile into newFile',
+  positionals: ['oldFile', 'newFile', 'patchFile'],
+  flags: { values: ['compression', 'format'], booleans: ['verify'] },
+  async run(context) {
+    const [oldFile, newFile, patchFile] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const compression = getIntegerFlag(context.args.flags, 'compression', 0, 9);
+    const format = getChoiceFlag(context.args.flags, 'format', [
+      'vcdiff',
+      'grf',
+      'zip',
+    ] as const);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const result = await generator.createPatch(oldFile, newFile, patchFile, {
+      signal: context.signal,
+      ...(compression !== undefined ? { compression } : {}),
+      ...(format !== undefined ? { format } : {}),
+      ...(context.args.flags.verify === false ? { verify: false } : {}),
+    });
+    finishProgress();
+
+    context.log(DisplayUtils.formatPatchResult(result));
+    if (result.success) {
+      context.log(`⏱️  ${result.metrics.durationFormatted}`);
+    }
+
+    return {
+      exitCode: result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+      data: result,
+    };
+  },
+};
+
+const applyCommand: CommandDefinition = {
+  name: 'apply',
+  usage:
+    'apply <oldFile> <patchFile> <outputFile> [--backup] [--grf-mode <rebuild|append>]',
+  description:
+    'Apply a patch to oldFile and write the result to outputFile (may equal oldFile)',
+  positionals: ['oldFile', 'patchFile', 'outputFile'],
+  flags: { values: ['grf-mode'], booleans: ['backup'] },
+  async run(context) {
+    const [oldFile, patchFile, outputFile] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const grfMode = getChoiceFlag(context.args.flags, 'grf-mode', [
+      'rebuild',
+      'append',
+    ] as const);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const result = await generator.applyPatch(oldFile, patchFile, outputFile, {
+      signal: context.signal,
+      ...(context.args.flags.backup === true ? { backup: true } : {}),
+      ...(grfMode !== undefined ? { grfMode } : {}),
+    });
+    finishProgress();
+
+    if (result.success) {
+      context.log(`✅ ${DisplayUtils.formatFileInfo(result.newFile)}`);
+      context.log(`⏱️  ${result.metrics.durationFormatted}`);
+    } else {
+      context.log(`❌ Failed: ${result.error}`);
+      if (result.errorCode === 'SOURCE_MISMATCH') {
+        context.log(
+          '   The original file is not the version this patch was made for'
+        );
+      }
+    }
+
+    return {
+      exitCode: result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+      data: result,
+    };
+  },
+};
+
+const verifyCommand: CommandDefinition = {
+  name: 'verify',
+  usage:
+    'verify <oldFile> <patchFile> <expectedFile> [--algorithm <sha256|sha512|...>]',
+  description: 'Check that applying the patch to oldFile yields expectedFile',
+  positionals: ['oldFile', 'patchFile', 'expectedFile'],
+  flags: { values: ['algorithm'], booleans: [] },
+  async run(context) {
+    const [oldFile, patchFile, expectedFile] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const { generator, finishProgress } = createGenerator(context);
+
+    const algorithm = context.args.flags.algorithm;
+    const result = await generator.verifyPatch(
+      oldFile,
+      patchFile,
+      expectedFile,
+      {
+        signal: context.signal,
+        ...(typeof algorithm === 'string' ? { algorithm } : {}),
+      }
+    );
+    finishProgress();
+
+    if (result.error) {
+      context.log(`❌ Failed: ${result.error}`);
+    } else if (result.isValid) {
+      context.log('✅ Patch is valid');
+      context.log(`   ${result.algorithm}: ${result.actualDigest}`);
+    } else if (result.differentEntry !== undefined) {
+      context.log(
+        `❌ Patch output differs (first different entry: ${result.differentEntry})`
+      );
+      context.log(`   Expected ${result.algorithm}: ${result.expectedDigest}`);
+      context.log(`   Actual ${result.algorithm}:   ${result.actualDigest}`);
+    } else {
+      context.log(
+        `❌ Patch output differs (first difference at byte ${result.firstDifference})`
+      );
+      context.log(`   Expected ${result.algorithm}: ${result.expectedDigest}`);
+      context.log(`   Actual ${result.algorithm}:   ${result.actualDigest}`);
+    }
+
+    let exitCode: number = EXIT_CODES.SUCCESS;
+    if (result.error) {
+      exitCode = EXIT_CODES.FAILURE;
+    } else if (!result.isValid) {
+      exitCode = EXIT_CODES.VERIFICATION_FAILED;
+    }
+
+    return { exitCode, data: result };
+  },
+};
+
+const infoCommand: CommandDefinition = {
+  name: 'info',
+  usage: 'info <patchFile>',
+  description: 'Show information about a patch file',
+  positionals: ['patchFile'],
+  flags: { values: [], booleans: [] },
+  async run(context) {
+    const [patchFile] = context.args.positionals as [string];
+    const info = await PatchAnalyzer.getPatchInfo(patchFile);
+    const analysis = await PatchAnalyzer.analyzePatch(patchFile);
+
+    if (info.success) {
+      context.log(`📄 ${patchFile}`);
+      context.log(`   Size:    ${info.info.sizeFormatted}`);
+      context.log(
+        `   Format:  ${info.info.format}${info.info.version ? ` v${info.info.version}` : ''}`
+      );
+      if (info.info.flags && info.info.flags.length > 0) {
+        context.log(`   Flags:   ${info.info.flags.join(', ')}`);
+      }
+      const metadata = info.info.metadata;
+      if (metadata) {
+        if (metadata.sourceFileName !== undefined) {
+          context.log(
+            `   Files:   ${metadata.sourceFileName || '?'} -> ${metadata.targetFileName || '?'}`
+          );
+        }
+        if (metadata.grfEntries) {
+          const count = (action: string) =>
+            metadata.grfEntries!.filter(entry => entry.action === action)
+              .length;
+          context.log(
+            `   Target:  ${MetricsUtils.formatBytes(metadata.targetSize)} GRF archive`
+          );
+          context.log(
+            `   Entries: ${count('add')} added, ${count('change')} changed, ${count('remove')} removed`
+          );
+        } else if (metadata.zipEntries) {
+          const count = (encoding: string) =>
+            metadata.zipEntries!.filter(entry => entry.encoding === encoding)
+              .length;
+          context.log(
+            `   Target:  ${MetricsUtils.formatBytes(metadata.targetSize)} ZIP archive`
+          );
+          context.log(
+            `   Entries: ${count('deflate')} recompressed, ${count('raw')} raw, ${count('copy')} unchanged`
+          );
+        } else if (metadata.bsdiff) {
+          context.log(
+            `   Target:  ${MetricsUtils.formatBytes(metadata.targetSize)} (blocks: control ${MetricsUtils.formatBytes(metadata.bsdiff.controlLength)}, diff ${MetricsUtils.formatBytes(metadata.bsdiff.diffLength)}, extra ${MetricsUtils.formatBytes(metadata.bsdiff.extraLength)})`
+          );
+        } else {
+          context.log(
+            `   Target:  ${MetricsUtils.formatBytes(metadata.targetSize)} in ${metadata.windowCount} window(s)`
+          );
+        }
+        if (metadata.sourcePin) {
+          const pin = metadata.sourcePin;
+          context.log(
+            `   Pinned:  source ${pin.algorithm} ${pin.sourceHash} (${MetricsUtils.formatBytes(pin.sourceSize)})`
+          );
+        }
+        context.log(
+          `   Secondary compression: ${metadata.secondaryCompressor ?? 'none'}`
+        );
+      }
+    } else {
+      context.log(`❌ Failed: ${info.error}`);
+    }
+
+    const { breakdown } = analysis;
+    if (breakdown && analysis.patchInfo.estimatedNewSize) {
+      const total = analysis.patchInfo.estimatedNewSize;
+      const share = (bytes: number) =>
+        `${MetricsUtils.formatBytes(bytes)} (${Math.round((bytes / total) * 100)}%)`;
+      context.log(`   ADD:         ${share(breakdown.addBytes)}`);
+      context.log(`   COPY source: ${share(breakdown.copySourceBytes)}`);
+      context.log(`   COPY target: ${share(breakdown.copyTargetBytes)}`);
+      context.log(`   RUN:         ${share(breakdown.runBytes)}`);
+    }
+
+    return {
+      exitCode:
+        info.success && analysis.success
+          ? EXIT_CODES.SUCCESS
+          : EXIT_CODES.FAILURE,
+      data: { info, analysis },
+    };
+  },
+};
+
+const compareCommand: CommandDefinition = {
+  name: 'compare',
+  usage: 'compare <patch1> <patch2> [--source <oldFile>]',
+  description:
+    'Compare two patches (applies both to --source to prove equivalence)',
+  positionals: ['patch1', 'patch2'],
+  flags: { values: ['source'], booleans: [] },
+  async run(context) {
+    const [patch1, patch2] = context.args.positionals as [string, string];
+    const sourceFile = context.args.flags.source;
+    const result = await PatchAnalyzer.comparePatches(
+      patch1,
+      patch2,
+      typeof sourceFile === 'string' ? { sourceFile } : {}
+    );
+
+    if (result.success) {
+      const { comparison } = result;
+      const equivalent =
+        comparison.equivalent === undefined
+          ? 'unknown (use --source to check)'
+          : comparison.equivalent
+            ? 'yes'
+            : 'no';
+      context.log(`🔍 Equivalent: ${equivalent}`);
+      context.log(`   Size difference: ${comparison.sizeDifferenceFormatted}`);
+      context.log(`   Instruction mix similarity: ${comparison.similarity}%`);
+      for (const difference of comparison.settingsDifferences ?? []) {
+        context.log(`   ≠ ${difference}`);
+      }
+    } else {
+      context.log(`❌ Failed: ${result.error}`);
+    }
+
+    return {
+      exitCode: result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+      data: result,
+    };
+  },
+};
+
+const batchCreateCommand: CommandDefinition = {
+  name: 'batch-create',
+  usage:
+    'batch-create <oldDir> <newDir> <patchesDir> [--compression <0-9>] [--parallel <n>]',
+  description: 'Create patches for every file that differs between two trees',
+  positionals: ['oldDir', 'newDir', 'patchesDir'],
+  flags: { values: ['compression', 'parallel'], booleans: [] },
+  async run(context) {
+    const [oldDir, newDir, patchesDir] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const compression = getIntegerFlag(context.args.flags, 'compression', 0, 9);
+    const maxParallel = getIntegerFlag(context.args.flags, 'parallel', 1, 64);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const results = await generator.createBatchPatches(
+      oldDir,
+      newDir,
+      patchesDir,
+      {
+        signal: context.signal,
+        ...(compression !== undefined ? { compression } : {}),
+        ...(maxParallel !== undefined ? { maxParallel } : {}),
+      }
+    );
+    finishProgress();
+
+    context.log(DisplayUtils.formatBatchResult(results));
+    for (const result of results.filter(r => r.status === 'error')) {
+      context.log(`   ❌ ${result.file}: ${result.error}`);
+    }
+
+    return {
+      exitCode: results.some(r => r.status === 'error')
+        ? EXIT_CODES.FAILURE
+        : EXIT_CODES.SUCCESS,
+      data: results,
+    };
+  },
+};
+
+const batchApplyCommand: CommandDefinition = {
+  name: 'batch-apply',
+  usage:
+    'batch-apply <oldDir> <patchesDir> <outputDir> [--parallel <n>] [--backup]',
+  description:
+    'Apply a directory of patches created with batch-create (outputDir may equal oldDir)',
+  positionals: ['oldDir', 'patchesDir', 'outputDir'],
+  flags: { values: ['parallel'], booleans: ['backup'] },
+  async run(context) {
+    const [oldDir, patchesDir, outputDir] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const maxParallel = getIntegerFlag(context.args.flags, 'parallel', 1, 64);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const results = await generator.applyBatchPatches(
+      oldDir,
+      patchesDir,
+      outputDir,
+      {
+        signal: context.signal,
+        ...(maxParallel !== undefined ? { maxParallel } : {}),
+        ...(context.args.flags.backup === true ? { backup: true } : {}),
+      }
+    );
+    finishProgress();
+
+    context.log(DisplayUtils.formatBatchResult(results));
+    for (const result of results.filter(r => r.status === 'error')) {
+      context.log(`   ❌ ${result.file}: ${result.error}`);
+    }
+
+    return {
+      exitCode: results.some(r => r.status === 'error')
+        ? EXIT_CODES.FAILURE
+        : EXIT_CODES.SUCCESS,
+      data: results,
+    };
+  },
+};
+
+const bundleCreateCommand: CommandDefinition = {
+  name: 'bundle-create',
+  usage:
+    'bundle-create <oldDir> <newDir> <bundleFile> [--compression <0-9>] [--parallel <n>]',
+  description: 'Pack the differences between two trees into one .apgpack file',
+  positionals: ['oldDir', 'newDir', 'bundleFile'],
+  flags: { values: ['compression', 'parallel'], booleans: [] },
+  async run(context) {
+    const [oldDir, newDir, bundleFile] = context.args.positionals as [
+      string,
+      string,
+      string,
+    ];
+    const compression = getIntegerFlag(context.args.flags, 'compression', 0, 9);
+    const maxParallel = getIntegerFlag(context.args.flags, 'parallel', 1, 64);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const results = await generator.createBundle(oldDir, newDir, bundleFile, {
+      signal: context.signal,
+      ...(compression !== undefined ? { compression } : {}),
+      ...(maxParallel !== undefined ? { maxParallel } : {}),
+    });
+    finishProgress();
+
+    context.log(DisplayUtils.formatBatchResult(results));
+    for (const result of results.filter(r => r.status === 'error')) {
+      context.log(`   ❌ ${result.file}: ${result.error}`);
+    }
+
+    return {
+      exitCode: results.some(r => r.status === 'error')
+        ? EXIT_CODES.FAILURE
+        : EXIT_CODES.SUCCESS,
+      data: results,
+    };
+  },
+};
+
+const bundleApplyCommand: CommandDefinition = {
+  name: 'bundle-apply',
+  usage: 'bundle-apply <targetDir> <bundleFile> [--parallel <n>] [--backup]',
+  description: 'Update a directory in place from an .apgpack file',
+  positionals: ['targetDir', 'bundleFile'],
+  flags: { values: ['parallel'], booleans: ['backup'] },
+  async run(context) {
+    const [targetDir, bundleFile] = context.args.positionals as [
+      string,
+      string,
+    ];
+    const maxParallel = getIntegerFlag(context.args.flags, 'parallel', 1, 64);
+    const { generator, finishProgress } = createGenerator(context);
+
+    const results = await generator.applyBundle(targetDir, bundleFile, {
+      signal: context.signal,
+      ...(maxParallel !== undefined ? { maxParallel } : {}),
+      ...(context.args.flags.backup === true ? { backup: true } : {}),
+    });
+    finishProgress();
+
+    context.log(DisplayUtils.formatBatchResult(results));
+    for (const result of results.filter(r => r.status === 'error')) {
+      context.log(`   ❌ ${result.file}: ${result.error}`);
+    }
+
+    return {
+      exitCode: results.some(r => r.status === 'error')
+        ? EXIT_CODES.FAILURE
+        : EXIT_CODES.SUCCESS,
+      data: results,
+    };
+  },
+};
+
+const bundleInfoCommand: CommandDefinition = {
+  name: 'bundle-info',
+  usage: 'bundle-info <bundleFile> [--verify]',
+  description: 'Show the contents of an .apgpack file',
+  positionals: ['bundleFile'],
+  flags: { values: [], booleans: ['verify'] },
+  async run(context) {
+    const [bundleFile] = context.args.positionals as [string];
+    const result = await PatchAnalyzer.inspectBundle(bundleFile, {
+      verifyChecksums: context.args.flags.verify === true,
+    });
+    const { bundleInfo } = result;
+
+    if (bundleInfo.operations) {
+      const { operations } = bundleInfo;
+      context.log(`📦 ${bundleFile}`);
+      context.log(
+        `   Size:    ${bundleInfo.sizeFormatted} (format v${bundleInfo.formatVersion})`
+      );
+      context.log(`   Created: ${bundleInfo.createdAt}`);
+      context.log(
+        `   Files:   ${operations.patch} patched, ${operations.add} added, ${operations.delete} deleted, ${operations.unchanged} unchanged`
+      );
+      context.log(
+        `   Tree:    ${MetricsUtils.formatBytes(bundleInfo.oldSize!)} -> ${MetricsUtils.formatBytes(bundleInfo.newSize!)}`
+      );
+      if (!bundleInfo.complete) {
+        context.log('   ⚠️  Incomplete: some files failed when it was created');
+      }
+      for (const entry of result.corruptEntries ?? []) {
+        context.log(`   ❌ Corrupted payload: ${entry}`);
+      }
+    }
+    if (!result.success) {
+      context.log(`❌ Failed: ${result.error}`);
+    }
+
+    return {
+      exitCode: result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+      data: result,
+    };
+  },
+};
+
+const rollbackCommand: CommandDefinition = {
+  name: 'rollback',
+  usage: 'rollback <target>',
+  description:
+    'Restore a file or directory patched with --backup to its previous version',
+  positionals: ['target'],
+  flags: { values: [], booleans: [] },
+  async run(context) {
+    const [target] = context.args.positionals as [string];
+    const { generator } = createGenerator(context);
+
+    const result = await generator.rollback(target);
+
+    if (result.success) {
+      context.log(
+        `✅ Restored ${result.restored.length} file(s), removed ${result.removed.length}`
+      );
+      context.log(`⏱️  ${result.metrics.durationFormatted}`);
+    } else {
+      context.log(`❌ Failed: ${result.error}`);
+    }
+
+    return {
+      exitCode: result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+      data: result,
+    };
+  },
+};
+
+const backendCommand: CommandDefinition = {
+  name: 'backend',
+  usage: 'backend',
+  description: 'Show which delta backend is used and why',
+  positionals: [],
+  flags: { values: [], booleans: [] },
+  async run(context) {
+    const { generator } = createGenerator(context);
+    const description = await generator.describeBackend();
+
+    context.log(`🔧 Backend: ${description.selected}`);
+    context.log(`   ${description.reason}`);
+    for (const candidate of description.xdelta3.candidates) {
+      context.log(
+        `   ${candidate.usable ? '✅' : '❌'} [${candidate.source}] ${candidate.path}${candidate.reason ? ` - ${candidate.reason}` : ''}`
+      );
+    }
+
+    return { exitCode: EXIT_CODES.SUCCESS, data: description };
+  },
+};
+
+export const COMMANDS: readonly CommandDefinition[] = [
+  createCommand,
+  applyCommand,
+  verifyCommand,
+  infoCommand,
+  compareCommand,
+  batchCreateCommand,
+  batchApplyCommand,
+  bundleCreateCommand,
+  bundleApplyCommand,
+  bundleInfoCommand,
+  rollbackCommand,
+  backendCommand,
+];
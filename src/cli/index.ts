@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for Advanced Patch Generator
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { parseArgs, UsageError } from './args.js';
+import { COMMANDS, EXIT_CODES, GLOBAL_FLAGS } from './commands.js';
+import type { CommandDefinition } from './commands.js';
+
+const BIN_NAME = 'advanced-patch-generator';
+
+/**
+ * Reads the package version from package.json
+ * @returns Version string
+ */
+function readVersion(): string {
+  try {
+    const __dirname = path.dirname(fileURLToPath(import.meta.url));
+    const pkg = fs.readJsonSync(path.resolve(__dirname, '../../package.json'));
+    return String(pkg.version);
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Builds the general help text
+ * @returns Help text
+ */
+function formatHelp(): string {
+  const width = Math.max(...COMMANDS.map(c => c.name.length));
+  const lines = [
+    `Usage: ${BIN_NAME} <command> [options]`,
+    '',
+    'Commands:',
+    ...COMMANDS.map(c => `  ${c.name.padEnd(width)}  ${c.description}`),
+    '',
+    'Global options:',
+    '  --json            Print the result as JSON (for scripts)',
+    '  --quiet, -q       Suppress human-readable output',
+    '  --xdelta <path>   Path to the xdelta3 executable',
+    '  --timeout <ms>    Time limit of each operation (0: no limit)',
+    '  --backend <name>  Delta backend: auto, xdelta3, js or bsdiff',
+    '  --help, -h        Show help',
+    '  --version, -v     Show version',
+    '',
+    `Run "${BIN_NAME} <command> --help" for command usage.`,
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Builds the help text of a single command
+ * @param command - Command definition
+ * @returns Help text
+ */
+function formatCommandHelp(command: CommandDefinition): string {
+  return [
+    `Usage: ${BIN_NAME} ${command.usage} [--json] [--quiet] [--xdelta <path>] [--timeout <ms>] [--backend <name>]`,
+    '',
+    command.description,
+  ].join('\n');
+}
+
+/**
+ * Finds the position of the command name, skipping global option values
+ * @param argv - Command-line arguments
+ * @returns Index of the command name, or -1 when there is none
+ */
+function findCommandIndex(argv: string[]): number {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!;
+    if (!arg.startsWith('-')) return i;
+    if (arg.startsWith('--') && GLOBAL_FLAGS.values.includes(arg.slice(2))) {
+      i++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Runs the CLI
+ * @param argv - Arguments without the node binary and script path
+ * @returns Process exit code
+ */
+export async function main(argv: string[]): Promise<number> {
+  const json = argv.includes('--json');
+  const commandIndex = findCommandIndex(argv);
+  const commandName = commandIndex === -1 ? undefined : argv[commandIndex];
+  let command: CommandDefinition | undefined;
+  // Ctrl+C stops the running operation, which cleans up after itself
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once('SIGINT', interrupt);
+
+  try {
+    if (commandName === undefined) {
+      const { flags } = parseArgs(argv, GLOBAL_FLAGS);
+      if (flags.version) {
+        console.log(readVersion());
+        return EXIT_CODES.SUCCESS;
+      }
+      console.log(formatHelp());
+      return flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    command = COMMANDS.find(c => c.name === commandName);
+    if (!command) {
+      throw new UsageError(`Unknown command: ${commandName}`);
+    }
+
+    const args = parseArgs(
+      [...argv.slice(0, commandIndex), ...argv.slice(commandIndex + 1)],
+      {
+        values: [...GLOBAL_FLAGS.values, ...command.flags.values],
+        booleans: [...GLOBAL_FLAGS.booleans, ...command.flags.booleans],
+        ...(GLOBAL_FLAGS.aliases ? { aliases: GLOBAL_FLAGS.aliases } : {}),
+      }
+    );
+
+    if (args.flags.help) {
+      console.log(formatCommandHelp(command));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (args.positionals.length !== command.positionals.length) {
+      throw new UsageError(
+        `Expected ${command.positionals.length} argument(s): ${command.positionals.join(' ')}`
+      );
+    }
+
+    const quiet = args.flags.quiet === true;
+    const outcome = await command.run({
+      args,
+      json,
+      quiet,
+      signal: controller.signal,
+      log: message => {
+        if (!json && !quiet) console.log(message);
+      },
+    });
+
+    if (json) {
+      console.log(JSON.stringify(outcome.data, null, 2));
+    }
+    return outcome.exitCode;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const isUsage = error instanceof UsageError;
+
+    if (json) {
+      console.log(JSON.stringify({ success: false, error: message }, null, 2));
+    } else {
+      console.error(`❌ ${message}`);
+      if (isUsage) {
+        console.error(
+          `\n${command ? formatCommandHelp(command) : formatHelp()}`
+        );
+      }
+    }
+    return isUsage ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
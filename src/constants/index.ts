@@ -2,174 +2,21 @@
  * System constants
  */
 
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs-extra';
-
-// Function to validate if the found file is actually the correct xdelta3-3.1.0.exe
-function validateXdeltaExecutable(filePath: string): boolean {
-  try {
-    // Verifica se o arquivo existe
-    if (!fs.existsSync(filePath)) {
-      return false;
-    }
-
-    // Verifica se é realmente um arquivo
-    const stats = fs.statSync(filePath);
-    if (!stats.isFile()) {
-      return false;
-    }
-
-    // Verifica se o nome do arquivo está correto
-    const fileName = path.basename(filePath);
-    if (fileName !== 'xdelta3-3.1.0.exe') {
-      return false;
-    }
-
-    // Verifica se está dentro do diretório do pacote (quando possível)
-    try {
-      const packagePath = require.resolve(
-        'advanced-patch-generator/package.json'
-      );
-      const packageDir = path.dirname(packagePath);
-      const relativePath = path.relative(packageDir, filePath);
-
-      // O arquivo deve estar no diretório raiz do pacote ou em subdiretórios válidos
-      return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
-    } catch {
-      // Se não conseguir resolver o pacote, aceita o arquivo se passar nas outras validações
-      return true;
-    }
-  } catch {
-    return false;
-  }
-}
-
-// Helper function to check if a path is valid and log debug info
-function checkPath(possiblePath: string, debug: boolean): string | null {
-  if (!possiblePath) return null;
-
-  try {
-    if (fs.existsSync(possiblePath)) {
-      const isValidXdelta = validateXdeltaExecutable(possiblePath);
-      if (isValidXdelta) {
-        if (debug) {
-          console.log(
-            `✅ [DEBUG] Found valid xdelta3-3.1.0.exe at: ${possiblePath}`
-          );
-        }
-        return possiblePath;
-      } else if (debug) {
-        console.log(
-          `⚠️ [DEBUG] Found file but validation failed: ${possiblePath}`
-        );
-      }
-    } else if (debug) {
-      console.log(`❌ [DEBUG] Not found at: ${possiblePath}`);
-    }
-  } catch (error) {
-    if (debug) {
-      const errorMessage =
-        error instanceof Error ? error.message : String(error);
-      console.log(
-        `⚠️ [DEBUG] Error checking: ${possiblePath} - ${errorMessage}`
-      );
-    }
-  }
-
-  return null;
-}
-
-// Function to find the xdelta3-3.1.0.exe file
-function findXdeltaExecutable(): string {
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-
-  // Debug information
-  const debug =
-    process.env.NODE_ENV === 'development' ||
-    process.env.DEBUG === 'advanced-patch-generator';
-
-  if (debug) {
-    console.log('🔍 [DEBUG] Searching for xdelta3-3.1.0.exe...');
-    console.log('📁 [DEBUG] Current module dir:', __dirname);
-    console.log('📁 [DEBUG] Current working dir:', process.cwd());
-  }
-
-  // Possible locations for the executable
-  const possiblePaths = [
-    // ✅ CORRIGIDO: Para instalação via npm (dist/constants -> package root)
-    path.resolve(__dirname, '../xdelta3-3.1.0.exe'),
-    // Development: from src/constants to project root
-    path.resolve(__dirname, '../../../xdelta3-3.1.0.exe'),
-    // ✅ NOVO: Busca usando require.resolve (mais confiável para npm)
-    (() => {
-      try {
-        const packagePath = require.resolve(
-          'advanced-patch-generator/package.json'
-        );
-        return path.resolve(path.dirname(packagePath), 'xdelta3-3.1.0.exe');
-      } catch {
-        return null;
-      }
-    })(),
-    // ✅ NOVO: Busca usando import.meta.resolve (ES6 moderno)
-    (() => {
-      try {
-        const resolved = import.meta.resolve(
-          'advanced-patch-generator/xdelta3-3.1.0.exe'
-        );
-        return path.resolve(resolved);
-      } catch {
-        return null;
-      }
-    })(),
-    // Fallback: try to find in current working directory
-    path.resolve(process.cwd(), 'xdelta3-3.1.0.exe'),
-    // Fallback: try to find in node_modules
-    path.resolve(
-      process.cwd(),
-      'node_modules/advanced-patch-generator/xdelta3-3.1.0.exe'
-    ),
-    // Legacy fallback: old path structure
-    path.resolve(__dirname, '../../xdelta3-3.1.0.exe'),
-  ];
-
-  // Check each possible path synchronously
-  for (const possiblePath of possiblePaths) {
-    if (possiblePath) {
-      const result = checkPath(possiblePath, debug);
-      if (result) {
-        return result;
-      }
-    }
-  }
-
-  // If none found, return the most likely path (development/production)
-  const fallbackPath = path.resolve(__dirname, '../xdelta3-3.1.0.exe');
-  if (debug) {
-    console.log(
-      `⚠️ [DEBUG] No xdelta3-3.1.0.exe found, using fallback: ${fallbackPath}`
-    );
-  }
-  return fallbackPath;
-}
-
 export const DEFAULT_OPTIONS = {
-  // Use the included xdelta3-3.1.0.exe file with automatic detection
-  xdeltaPath: findXdeltaExecutable(),
+  // xdeltaPath is resolved lazily (see XdeltaResolver)
   compression: 9,
   verify: true,
   showProgress: true,
   // New options for large files
   largeFileThreshold: 10 * 1024 * 1024, // 10MB - activates optimizations very early
   hugeFileThreshold: 500 * 1024 * 1024, // 500MB - much lower threshold
-  extremeFileThreshold: 1000 * 1024 * 1024, // 1GB - activates extreme mode for 500MB+ files
+  extremeFileThreshold: 1000 * 1024 * 1024, // 1GB - larger files get a chunked patch when chunkedPatch is on
   chunkSize: 64 * 1024 * 1024, // 64MB for chunk processing
   memoryLimit: 512 * 1024 * 1024, // 512MB memory limit
-  timeout: 300000, // 5 minutes
+  timeout: 0, // No limit
   // New options for extremely large files
   enableChunkProcessing: true,
+  chunkedPatch: false, // Chunked patches cannot be applied by xdelta3
   maxChunkSize: 128 * 1024 * 1024, // 128MB per chunk - optimized for maximum speed
   enableStreaming: true,
 } as const;
@@ -188,6 +35,7 @@ export const FILE_EXTENSIONS = {
   PATCH: '.xdelta',
   TEMP: '.temp',
   CHUNK: '.chunk',
+  BUNDLE: '.apgpack',
 } as const;
 
 export const LARGE_FILE_OPTIONS = {
@@ -204,17 +52,22 @@ export const LARGE_FILE_OPTIONS = {
 
 export const MESSAGES = {
   XDELTA_NOT_FOUND:
-    'Xdelta3 local executable not found. The included xdelta3-3.1.0.exe file may be missing or corrupted.',
+    'Xdelta3 executable not found. Set xdeltaPath or XDELTA3_PATH, or install xdelta3 on PATH.',
   XDELTA_INSTALL_INSTRUCTIONS: `
-📋 The library uses ONLY the included xdelta3-3.1.0.exe file and does not use system-installed xdelta.
+📋 The xdelta3 executable is looked up in this order:
+1. The xdeltaPath option
+2. The XDELTA3_PATH environment variable
+3. The xdelta3-3.1.0.exe shipped with the package (Windows only)
+4. xdelta3 on PATH
 
 🔧 If you encounter issues, you can:
-1. Ensure xdelta3-3.1.0.exe is present in the project root
+1. Install xdelta3 (apt install xdelta3, brew install xdelta, choco install xdelta3)
 2. Check if the file has proper execution permissions
 3. Or configure a custom path manually:
    const patchGen = new AdvancedPatchGenerator({
      xdeltaPath: "C:\\path\\to\\xdelta3.exe"
    });
+4. Run describeBackend() to see why each candidate was rejected
 `,
   PATCH_CREATED: '🎉 PATCH CREATED SUCCESSFULLY!',
   PATCH_APPLIED: '✅ PATCH APPLIED SUCCESSFULLY!',
@@ -233,12 +86,181 @@ export const MESSAGES = {
   CHUNK_PROCESSING_COMPLETE: 'Chunk processing completed!',
 } as const;
 
+export const BATCH = {
+  // Manifest written at the root of the patches directory
+  MANIFEST_FILE: 'manifest.json',
+  MANIFEST_VERSION: 1,
+  // Subdirectories holding deltas and added files
+  PATCHES_DIR: 'patches',
+  FILES_DIR: 'files',
+  HASH_ALGORITHM: 'sha256',
+  // Files processed at once when maxParallel is not set
+  DEFAULT_PARALLEL: 4,
+} as const;
+
+// Atomic writes: outputs are decoded next to their target, then renamed
+// over it; backups live in '<target>.apgbak/' until rolled back
+export const ATOMIC = {
+  // Suffix of files being written until they are verified
+  TEMP_SUFFIX: '.apgtmp',
+  BACKUP_SUFFIX: '.apgbak',
+  // Journal (JSON lines) and copies of the previous versions
+  JOURNAL_FILE: 'journal.jsonl',
+  FILES_DIR: 'files',
+  JOURNAL_VERSION: 1,
+} as const;
+
+// File hashing and comparison
+export const HASH = {
+  DEFAULT_ALGORITHM: 'sha256',
+  // Bytes read at a time when comparing files
+  BUFFER_SIZE: 1024 * 1024,
+} as const;
+
+// Source pinning stored in the VCDIFF application header
+// ("apg1:<algorithm>:<sourceSize>:<sourceHash>:<targetSize>:<targetHash>")
+export const SOURCE_PIN = {
+  PREFIX: 'apg1',
+  ALGORITHM: 'sha256',
+} as const;
+
+// Single-file patch bundle (.apgpack), see BUNDLE_FORMAT.md
+export const BUNDLE = {
+  MAGIC: 'APGPACK\0',
+  FORMAT_VERSION: 1,
+  // magic (8) + version (2) + reserved (2) + manifest length (4) + SHA-256 (32)
+  HEADER_SIZE: 48,
+} as const;
+
+// Chunked patch for very large files, see CHUNKED_PATCH_FORMAT.md
+export const CHUNKED_PATCH = {
+  MAGIC: 'APGCHUNK',
+  FORMAT_VERSION: 1,
+  // magic (8) + version (2) + reserved (2) + index length (4) + SHA-256 (32)
+  HEADER_SIZE: 48,
+  // Source bytes added on each side of the range matched with a chunk
+  DEFAULT_OVERLAP: 8 * 1024 * 1024,
+} as const;
+
+// Ragnarok Online GRF archives (version 0x200)
+export const GRF = {
+  MAGIC: 'Master of Magic',
+  // magic (16) + key (14) + table offset (4) + seed (4) + count (4) +
+  // version (4)
+  HEADER_SIZE: 46,
+  VERSION: 0x200,
+  // Stored file count is the real count + seed + 7
+  COUNT_OFFSET: 7,
+  // Entry flags
+  FLAG_FILE: 0x01,
+  FLAG_MIXCRYPT: 0x02,
+  FLAG_DES: 0x04,
+  // Entry data is padded to this many bytes
+  ALIGNMENT: 8,
+  // zlib level used for entries rebuilt from a delta
+  COMPRESSION_LEVEL: 6,
+} as const;
+
+// Entry-by-entry patch between GRF archives, see GRF_PATCH_FORMAT.md
+export const GRF_PATCH = {
+  MAGIC: 'APGGRFPT',
+  FORMAT_VERSION: 1,
+  // magic (8) + version (2) + reserved (2) + index length (4) + SHA-256 (32)
+  HEADER_SIZE: 48,
+} as const;
+
+// ZIP archives (also JAR, APK, PAK and other ZIP-based containers)
+export const ZIP = {
+  LOCAL_HEADER_SIGNATURE: 0x04034b50,
+  CENTRAL_HEADER_SIGNATURE: 0x02014b50,
+  END_SIGNATURE: 0x06054b50,
+  ZIP64_END_SIGNATURE: 0x06064b50,
+  ZIP64_LOCATOR_SIGNATURE: 0x07064b50,
+  LOCAL_HEADER_SIZE: 30,
+  CENTRAL_HEADER_SIZE: 46,
+  END_SIZE: 22,
+  ZIP64_LOCATOR_SIZE: 20,
+  // The end record is followed by a comment of up to 65535 bytes
+  MAX_COMMENT_SIZE: 0xffff,
+  ZIP64_EXTRA_ID: 0x0001,
+  METHOD_STORED: 0,
+  METHOD_DEFLATED: 8,
+  FLAG_ENCRYPTED: 0x0001,
+  // Deflate settings tried when looking for the ones an entry was made with
+  LEVELS: [6, 9, 1, 5, 4, 3, 2, 7, 8],
+  MEM_LEVELS: [8, 9],
+  // Entries in a row that no setting reproduces before the search stops
+  MAX_PROBE_MISSES: 8,
+} as const;
+
+// Entry-by-entry patch between ZIP archives, see ZIP_PATCH_FORMAT.md
+export const ZIP_PATCH = {
+  MAGIC: 'APGZIPPT',
+  FORMAT_VERSION: 1,
+  // magic (8) + version (2) + reserved (2) + index length (4) + SHA-256 (32)
+  HEADER_SIZE: 48,
+} as const;
+
+// HTTP patch distribution (PatchServer and PatchClient)
+export const PATCH_SERVER = {
+  MANIFEST_PATH: '/manifest.json',
+  // Files are served under this prefix, by their manifest path
+  FILES_PATH: '/files/',
+  MANIFEST_VERSION: 1,
+  HASH_ALGORITHM: 'sha256',
+  // Checksums name the downloaded files, so nothing else is accepted
+  CHECKSUM_PATTERN: /^[0-9a-f]{64}$/,
+  DEFAULT_HOST: '127.0.0.1',
+  // Downloads in progress, resumed with a Range request
+  PARTIAL_SUFFIX: '.part',
+  // Largest manifest the client reads
+  MAX_MANIFEST_SIZE: 16 * 1024 * 1024,
+  // Default download directory of the client, in the user's cache directory
+  CACHE_DIR: 'advanced-patch-generator',
+  // Share of the client's progress taken by downloads (the rest is applying)
+  DOWNLOAD_SHARE: 0.6,
+} as const;
+
+export const XDELTA = {
+  // Environment variable with the path of the executable
+  ENV_VAR: 'XDELTA3_PATH',
+  // Command name searched on PATH
+  COMMAND: 'xdelta3',
+  // Executable shipped at the package root (Windows only)
+  LEGACY_BUNDLED: 'xdelta3-3.1.0.exe',
+  // Source window xdelta3 uses without -B
+  DEFAULT_SOURCE_WINDOW_SIZE: 64 * 1024 * 1024,
+  // Limits xdelta3 accepts for -B and -W
+  MIN_SOURCE_WINDOW_SIZE: 16 * 1024,
+  MAX_SOURCE_WINDOW_SIZE: 2 * 1024 * 1024 * 1024,
+  MIN_WINDOW_SIZE: 16 * 1024,
+  MAX_WINDOW_SIZE: 16 * 1024 * 1024,
+  // A source window set to 'auto' is rounded up to a multiple of this
+  SOURCE_WINDOW_ALIGNMENT: 1024 * 1024,
+  // Largest window 'auto' asks for (DEFAULT_OPTIONS.memoryLimit): xdelta3
+  // allocates the whole window, so larger ones must be set explicitly
+  MAX_AUTO_SOURCE_WINDOW_SIZE: 512 * 1024 * 1024,
+  SECONDARY_COMPRESSORS: ['djw', 'fgk', 'lzma', 'none'],
+} as const;
+
+// Output kept from the commands run by CommandUtils.run
+export const COMMAND_OUTPUT = {
+  // Characters of stdout and of stderr kept (the last ones)
+  MAX_LENGTH: 1024 * 1024,
+} as const;
+
 export const PROGRESS_BAR = {
   DEFAULT_WIDTH: 30,
   FILLED_CHAR: '█',
   EMPTY_CHAR: '░',
 } as const;
 
+// Progress reporting for work done by the xdelta3 executable
+export const PROGRESS = {
+  // How often the size of a file being written is checked (ms)
+  POLL_INTERVAL: 200,
+} as const;
+
 export const METRICS = {
   BYTES_CONVERSION: 1024,
   TIME_UNITS: {
@@ -251,3 +273,54 @@ export const METRICS = {
   EXTREME_FILE_THRESHOLD: 1000 * 1024 * 1024, // 1GB
   // Removed MAX_FILE_SIZE to allow files larger than 2GB
 } as const;
+
+export const VCDIFF = {
+  // "VCD" with the high bit set on each byte, followed by the version
+  MAGIC: [0xd6, 0xc3, 0xc4] as readonly number[],
+  VERSION: 0x00,
+  // Header indicator bits
+  HDR_SECONDARY: 0x01,
+  HDR_CODETABLE: 0x02,
+  HDR_APPHEADER: 0x04,
+  // Window indicator bits (VCD_ADLER32 is an xdelta3 extension)
+  WIN_SOURCE: 0x01,
+  WIN_TARGET: 0x02,
+  WIN_ADLER32: 0x04,
+  // Delta indicator bits (sections compressed by the secondary compressor)
+  DELTA_DATACOMP: 0x01,
+  DELTA_INSTCOMP: 0x02,
+  DELTA_ADDRCOMP: 0x04,
+  // Secondary compressor ids used by xdelta3
+  SECONDARY: {
+    1: 'djw',
+    2: 'lzma',
+    16: 'fgk',
+  } as Readonly<Record<number, string>>,
+  // Address cache sizes of the default code table
+  NEAR_CACHE_SIZE: 4,
+  SAME_CACHE_SIZE: 3,
+  // Buffer size used when reading patch files
+  READ_BUFFER_SIZE: 64 * 1024,
+  // Encoder defaults (same as xdelta3's -W and -B defaults)
+  DEFAULT_WINDOW_SIZE: 8 * 1024 * 1024,
+  DEFAULT_SOURCE_WINDOW_SIZE: 64 * 1024 * 1024,
+  // Largest windows the decoder accepts (xdelta3's -W and -B limits);
+  // checked before the window is allocated
+  MAX_WINDOW_SIZE: 16 * 1024 * 1024,
+  MAX_SOURCE_WINDOW_SIZE: 2 * 1024 * 1024 * 1024,
+} as const;
+
+// BSDIFF40 patches (bsdiff 4.x): header, then bzip2-compressed control,
+// diff and extra blocks
+export const BSDIFF = {
+  MAGIC: 'BSDIFF40',
+  HEADER_SIZE: 32,
+  // Application header (the source pin) appended after the extra block,
+  // followed by its length (u32BE) and this magic; bspatch ignores it
+  TRAILER_MAGIC: 'APGAPPHD',
+  TRAILER_SIZE: 12,
+  // Each control entry holds three 8-byte offsets
+  CONTROL_ENTRY_SIZE: 24,
+  // Suffix array positions are 32-bit
+  MAX_FILE_SIZE: 0x7ffffffe,
+} as const;
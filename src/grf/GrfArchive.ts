@@ -0,0 +1,340 @@
+import { createHash } from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { GRF } from '../constants/index.js';
+import type { GrfEntry } from '../types/index.js';
+
+const inflate = promisify(zlib.inflate);
+
+// Size of the fields that follow each name in the file table
+const ENTRY_FIELDS_SIZE = 17;
+
+/**
+ * Read access to a GRF archive (version 0x200): header, zlib-compressed
+ * file table and entry data
+ * @class GrfArchive
+ */
+class GrfArchive {
+  private readonly byName = new Map<string, GrfEntry>();
+
+  /**
+   * @param file - Archive path
+   * @param fd - Open file descriptor
+   * @param size - Archive size
+   * @param key - Header key bytes
+   * @param entries - File table, in archive order
+   */
+  private constructor(
+    readonly file: string,
+    private readonly fd: number,
+    readonly size: number,
+    readonly key: Buffer,
+    readonly entries: GrfEntry[]
+  ) {
+    for (const entry of entries) {
+      this.byName.set(entry.name, entry);
+    }
+  }
+
+  /**
+   * Checks whether a file starts with the GRF magic
+   * @param file - File path
+   * @returns Promise with true for a GRF archive
+   */
+  static async isGrf(file: string): Promise<boolean> {
+    const fd = await fs.open(file, 'r');
+    try {
+      const magic = Buffer.alloc(GRF.MAGIC.length + 1);
+      const { bytesRead } = await fs.read(fd, magic, 0, magic.length, 0);
+      return (
+        bytesRead === magic.length &&
+        magic.toString('latin1') === `${GRF.MAGIC}\0`
+      );
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Opens an archive and reads its file table
+   * @param file - Archive path
+   * @returns Promise with the open archive; close it when done
+   * @throws Error when the file is not a supported GRF archive
+   */
+  static async open(file: string): Promise<GrfArchive> {
+    const fd = await fs.open(file, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const header = Buffer.alloc(GRF.HEADER_SIZE);
+      const { bytesRead } = await fs.read(fd, header, 0, header.length, 0);
+      if (
+        bytesRead < GRF.HEADER_SIZE ||
+        header.toString('latin1', 0, GRF.MAGIC.length + 1) !== `${GRF.MAGIC}\0`
+      ) {
+        throw new Error(`Not a GRF archive: ${file}`);
+      }
+
+      const version = header.readUInt32LE(42);
+      if (version !== GRF.VERSION) {
+        throw new Error(
+          `Unsupported GRF version 0x${version.toString(16)}: ${file}`
+        );
+      }
+
+      const tableStart = GRF.HEADER_SIZE + header.readUInt32LE(30);
+      const count =
+        header.readUInt32LE(38) - header.readUInt32LE(34) - GRF.COUNT_OFFSET;
+      if (tableStart + 8 > size) {
+        throw new Error(`GRF file table is truncated: ${file}`);
+      }
+
+      const sizes = Buffer.alloc(8);
+      await fs.read(fd, sizes, 0, 8, tableStart);
+      const compressedSize = sizes.readUInt32LE(0);
+      if (tableStart + 8 + compressedSize > size) {
+        throw new Error(`GRF file table is truncated: ${file}`);
+      }
+      const compressed = Buffer.alloc(compressedSize);
+      await fs.read(fd, compressed, 0, compressedSize, tableStart + 8);
+      const table = await inflate(compressed);
+
+      const entries = GrfArchive.parseTable(table, count, tableStart, file);
+      return new GrfArchive(
+        file,
+        fd,
+        size,
+        Buffer.from(header.subarray(16, 30)),
+        entries
+      );
+    } catch (error) {
+      await fs.close(fd);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether an entry's stored data is encrypted
+   * @param entry - Archive entry
+   * @returns True for encrypted entries, whose data is kept as stored
+   */
+  static isEncrypted(entry: Pick<GrfEntry, 'flags'>): boolean {
+    return (entry.flags & (GRF.FLAG_MIXCRYPT | GRF.FLAG_DES)) !== 0;
+  }
+
+  /**
+   * Checks whether an entry is a file (the others are directories)
+   * @param entry - Archive entry
+   * @returns True for files
+   */
+  static isFile(entry: Pick<GrfEntry, 'flags'>): boolean {
+    return (entry.flags & GRF.FLAG_FILE) !== 0;
+  }
+
+  /**
+   * Gets the data of an entry from its stored data: the decompressed
+   * content, or the stored data itself when it is encrypted
+   * @param entry - Entry fields
+   * @param stored - Stored data, padding included
+   * @returns Promise with the entry data
+   * @throws Error when the content does not have the entry's size
+   */
+  static async decode(
+    entry: Omit<GrfEntry, 'offset'>,
+    stored: Buffer
+  ): Promise<Buffer> {
+    if (GrfArchive.isEncrypted(entry)) {
+      return stored;
+    }
+
+    const content = await inflate(stored.subarray(0, entry.compressedSize));
+    if (content.length !== entry.size) {
+      throw new Error(
+        `GRF entry ${entry.name} decompressed to ${content.length} bytes instead of ${entry.size}`
+      );
+    }
+    return content;
+  }
+
+  /**
+   * Compares the entries of two archives, ignoring their order and how
+   * their data is compressed
+   * @param expectedFile - Expected archive
+   * @param actualFile - Archive to check
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @returns Promise with a digest of each archive's entries and the first
+   * entry (by name) that differs
+   */
+  static async compare(
+    expectedFile: string,
+    actualFile: string,
+    algorithm: string
+  ): Promise<{
+    algorithm: string;
+    expectedDigest: string;
+    actualDigest: string;
+    differentEntry?: string;
+  }> {
+    const expected = await GrfArchive.open(expectedFile);
+    try {
+      const actual = await GrfArchive.open(actualFile);
+      try {
+        const names = [
+          ...new Set([
+            ...expected.entries.map(entry => entry.name),
+            ...actual.entries.map(entry => entry.name),
+          ]),
+        ].sort();
+        const expectedHash = createHash(algorithm);
+        const actualHash = createHash(algorithm);
+        let differentEntry: string | undefined;
+
+        for (const name of names) {
+          const [left, right] = await Promise.all([
+            expected.digest(name, algorithm),
+            actual.digest(name, algorithm),
+          ]);
+          expectedHash.update(left);
+          actualHash.update(right);
+          if (differentEntry === undefined && left !== right) {
+            differentEntry = name;
+          }
+        }
+
+        return {
+          algorithm,
+          expectedDigest: expectedHash.digest('hex'),
+          actualDigest: actualHash.digest('hex'),
+          ...(differentEntry !== undefined ? { differentEntry } : {}),
+        };
+      } finally {
+        await actual.close();
+      }
+    } finally {
+      await expected.close();
+    }
+  }
+
+  /**
+   * Finds an entry by name
+   * @param name - Entry name
+   * @returns The entry, or undefined when the archive does not have it
+   */
+  get(name: string): GrfEntry | undefined {
+    return this.byName.get(name);
+  }
+
+  /**
+   * Reads the data of an entry as stored in the archive
+   * @param entry - Archive entry
+   * @returns Promise with the stored data, padding included
+   */
+  async readStored(entry: GrfEntry): Promise<Buffer> {
+    const data = Buffer.alloc(entry.alignedSize);
+    const { bytesRead } = await fs.read(
+      this.fd,
+      data,
+      0,
+      data.length,
+      entry.offset
+    );
+    if (bytesRead !== data.length) {
+      throw new Error(`GRF entry data is truncated: ${entry.name}`);
+    }
+    return data;
+  }
+
+  /**
+   * Reads the data of an entry: its decompressed content, or its stored
+   * data when it is encrypted
+   * @param entry - Archive entry
+   * @returns Promise with the entry data (empty for directories)
+   */
+  async read(entry: GrfEntry): Promise<Buffer> {
+    if (!GrfArchive.isFile(entry)) {
+      return Buffer.alloc(0);
+    }
+    return GrfArchive.decode(entry, await this.readStored(entry));
+  }
+
+  /**
+   * Closes the archive
+   */
+  async close(): Promise<void> {
+    await fs.close(this.fd);
+  }
+
+  /**
+   * Hashes an entry's name, flags and data, for compare()
+   * @param name - Entry name
+   * @param algorithm - Hash algorithm
+   * @returns Promise with the digest line ('' when the entry is missing)
+   * @private
+   */
+  private async digest(name: string, algorithm: string): Promise<string> {
+    const entry = this.byName.get(name);
+    if (!entry) {
+      return '';
+    }
+
+    const data = createHash(algorithm)
+      .update(await this.read(entry))
+      .digest('hex');
+    return `${name}\0${entry.flags}\0${data}\n`;
+  }
+
+  /**
+   * Parses an inflated file table
+   * @param table - Inflated table
+   * @param count - Entry count from the header
+   * @param dataEnd - Where entry data must end (the table start)
+   * @param file - Archive path, for error messages
+   * @returns Entries, in table order
+   * @private
+   */
+  private static parseTable(
+    table: Buffer,
+    count: number,
+    dataEnd: number,
+    file: string
+  ): GrfEntry[] {
+    const entries: GrfEntry[] = [];
+    let position = 0;
+    while (position < table.length) {
+      const end = table.indexOf(0, position);
+      if (end === -1 || end + 1 + ENTRY_FIELDS_SIZE > table.length) {
+        throw new Error(`GRF file table is corrupt: ${file}`);
+      }
+
+      const name = table.toString('latin1', position, end);
+      position = end + 1;
+      const entry: GrfEntry = {
+        name,
+        compressedSize: table.readUInt32LE(position),
+        alignedSize: table.readUInt32LE(position + 4),
+        size: table.readUInt32LE(position + 8),
+        flags: table.readUInt8(position + 12),
+        offset: GRF.HEADER_SIZE + table.readUInt32LE(position + 13),
+      };
+      position += ENTRY_FIELDS_SIZE;
+
+      if (
+        GrfArchive.isFile(entry) &&
+        (entry.compressedSize > entry.alignedSize ||
+          entry.offset + entry.alignedSize > dataEnd)
+      ) {
+        throw new Error(`GRF entry ${name} lies outside the archive: ${file}`);
+      }
+      entries.push(entry);
+    }
+
+    if (entries.length !== count) {
+      throw new Error(
+        `GRF file table lists ${entries.length} entries instead of ${count}: ${file}`
+      );
+    }
+    return entries;
+  }
+}
+
+export default GrfArchive;
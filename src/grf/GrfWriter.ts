@@ -0,0 +1,226 @@
+import { promisify } from 'util';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { GRF } from '../constants/index.js';
+import GrfArchive from './GrfArchive.js';
+import type { GrfEntry } from '../types/index.js';
+
+const deflate = promisify(zlib.deflate);
+
+// Key of archives written from scratch (unencrypted)
+const DEFAULT_KEY = Buffer.from([
+  1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14,
+]);
+
+/**
+ * Writes a GRF archive (version 0x200): entry data first, then the file
+ * table, then the header, so an archive being appended to stays readable
+ * until finish() rewrites its header
+ * @class GrfWriter
+ */
+class GrfWriter {
+  // File table, in archive order
+  private readonly entries = new Map<string, GrfEntry>();
+  private finished = false;
+  private closed = false;
+  // Where the writer started adding data
+  private readonly start: number;
+
+  /**
+   * @param fd - Open file descriptor
+   * @param position - Where the next entry data is written
+   * @param key - Header key bytes
+   */
+  private constructor(
+    private readonly fd: number,
+    private position: number,
+    private readonly key: Buffer
+  ) {
+    this.start = position;
+  }
+
+  /**
+   * Starts a new archive, replacing any existing file
+   * @param file - Archive path
+   * @param key - Header key bytes (default: an unencrypted key)
+   * @returns Promise with the writer
+   */
+  static async create(
+    file: string,
+    key: Buffer = DEFAULT_KEY
+  ): Promise<GrfWriter> {
+    const fd = await fs.open(file, 'w');
+    return new GrfWriter(fd, GRF.HEADER_SIZE, key);
+  }
+
+  /**
+   * Opens an archive to add entries after its current end; its entries
+   * keep their data where it is
+   * @param archive - Archive to append to, already open
+   * @returns Promise with the writer
+   */
+  static async append(archive: GrfArchive): Promise<GrfWriter> {
+    const fd = await fs.open(archive.file, 'r+');
+    const writer = new GrfWriter(fd, archive.size, archive.key);
+    for (const entry of archive.entries) {
+      writer.entries.set(entry.name, entry);
+    }
+    return writer;
+  }
+
+  /**
+   * Adds an entry from its stored data, replacing any entry with the same
+   * name in its place in the table
+   * @param entry - Entry fields (the offset is assigned here)
+   * @param stored - Stored data, padding included
+   */
+  async addStored(
+    entry: Omit<GrfEntry, 'offset'>,
+    stored: Buffer
+  ): Promise<void> {
+    if (stored.length !== entry.alignedSize) {
+      throw new Error(
+        `GRF entry ${entry.name} has ${stored.length} bytes of data instead of ${entry.alignedSize}`
+      );
+    }
+    if (this.position + stored.length > 0xffffffff) {
+      throw new Error('GRF archive would exceed 4 GiB');
+    }
+
+    await this.write(stored, this.position);
+    this.entries.set(entry.name, { ...entry, offset: this.position });
+    this.position += stored.length;
+  }
+
+  /**
+   * Adds an unencrypted file entry, compressing its content
+   * @param name - Entry name
+   * @param content - Decompressed content
+   */
+  async addFile(name: string, content: Buffer): Promise<void> {
+    const compressed = await deflate(content, {
+      level: GRF.COMPRESSION_LEVEL,
+    });
+    const alignedSize =
+      Math.ceil(compressed.length / GRF.ALIGNMENT) * GRF.ALIGNMENT;
+    const stored = Buffer.alloc(alignedSize);
+    compressed.copy(stored);
+
+    await this.addStored(
+      {
+        name,
+        flags: GRF.FLAG_FILE,
+        compressedSize: compressed.length,
+        alignedSize,
+        size: content.length,
+      },
+      stored
+    );
+  }
+
+  /**
+   * Adds an entry without data (a directory), or changes the flags of an
+   * appended archive's entry
+   * @param entry - Entry fields
+   */
+  addEntry(entry: GrfEntry): void {
+    this.entries.set(entry.name, entry);
+  }
+
+  /**
+   * Removes an entry from the table; its data is left where it is
+   * @param name - Entry name
+   * @returns True when the entry existed
+   */
+  remove(name: string): boolean {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Writes the file table and the header, then closes the archive
+   * @returns Promise with the archive size
+   */
+  async finish(): Promise<number> {
+    try {
+      const parts: Buffer[] = [];
+      for (const entry of this.entries.values()) {
+        const fields = Buffer.alloc(17);
+        fields.writeUInt32LE(entry.compressedSize, 0);
+        fields.writeUInt32LE(entry.alignedSize, 4);
+        fields.writeUInt32LE(entry.size, 8);
+        fields.writeUInt8(entry.flags, 12);
+        fields.writeUInt32LE(
+          GrfArchive.isFile(entry) ? entry.offset - GRF.HEADER_SIZE : 0,
+          13
+        );
+        parts.push(Buffer.from(`${entry.name}\0`, 'latin1'), fields);
+      }
+      const table = Buffer.concat(parts);
+      const compressed = await deflate(table, {
+        level: GRF.COMPRESSION_LEVEL,
+      });
+
+      const tableHeader = Buffer.alloc(8);
+      tableHeader.writeUInt32LE(compressed.length, 0);
+      tableHeader.writeUInt32LE(table.length, 4);
+      const tableStart = this.position;
+      await this.write(Buffer.concat([tableHeader, compressed]), tableStart);
+      const size = tableStart + 8 + compressed.length;
+      await fs.ftruncate(this.fd, size);
+      await fs.fsync(this.fd);
+
+      // The header switches readers to the new table
+      const header = Buffer.alloc(GRF.HEADER_SIZE);
+      header.write(`${GRF.MAGIC}\0`, 0, 'latin1');
+      this.key.copy(header, 16, 0, 14);
+      header.writeUInt32LE(tableStart - GRF.HEADER_SIZE, 30);
+      header.writeUInt32LE(0, 34);
+      header.writeUInt32LE(this.entries.size + GRF.COUNT_OFFSET, 38);
+      header.writeUInt32LE(GRF.VERSION, 42);
+      await this.write(header, 0);
+      await fs.fsync(this.fd);
+      this.finished = true;
+      return size;
+    } finally {
+      await this.close();
+    }
+  }
+
+  /**
+   * Closes the archive; before finish(), the data added so far is cut off,
+   * which leaves an appended archive as it was
+   */
+  async close(): Promise<void> {
+    if (this.closed) return;
+    this.closed = true;
+    try {
+      if (!this.finished) {
+        await fs.ftruncate(this.fd, this.start);
+      }
+    } finally {
+      await fs.close(this.fd);
+    }
+  }
+
+  /**
+   * Writes a whole buffer at a position
+   * @param data - Data to write
+   * @param position - File position
+   * @private
+   */
+  private async write(data: Buffer, position: number): Promise<void> {
+    let written = 0;
+    while (written < data.length) {
+      const { bytesWritten } = await fs.write(
+        this.fd,
+        data,
+        written,
+        data.length - written,
+        position + written
+      );
+      written += bytesWritten;
+    }
+  }
+}
+
+export default GrfWriter;
@@ -0,0 +1,2 @@
+export { default as GrfArchive } from './GrfArchive.js';
+export { default as GrfWriter } from './GrfWriter.js';
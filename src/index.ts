@@ -1,6 +1,16 @@
 // Main exports
 export { default as AdvancedPatchGenerator } from './lib/AdvancedPatchGenerator.js';
 export { default as PatchAnalyzer } from './lib/PatchAnalyzer.js';
+export { default as PatchGraph } from './lib/PatchGraph.js';
+export { default as PatchServer } from './lib/PatchServer.js';
+export { default as PatchClient } from './lib/PatchClient.js';
+export { GrfArchive, GrfWriter } from './grf/index.js';
+export { ZipArchive } from './zip/index.js';
+export {
+  XdeltaBackend,
+  VcdiffBackend,
+  BsdiffBackend,
+} from './backends/index.js';
 
 // Default export for backward compatibility
 export { default } from './lib/AdvancedPatchGenerator.js';
@@ -12,35 +22,102 @@ export type {
   ErrorData,
   FileInfo,
   PatchResult,
+  BufferPatchResult,
+  StreamPatchResult,
+  PatchInput,
   ApplyPatchResult,
+  StreamApplyResult,
+  PatchChainResult,
+  PatchChainStep,
   VerifyPatchResult,
+  FileComparison,
+  SourcePin,
+  SourceCheck,
   BatchResult,
+  BatchOperation,
+  BatchManifest,
+  BatchManifestEntry,
+  BundleManifest,
+  BundleManifestEntry,
+  OpenedBundle,
+  BackupJournalEntry,
+  RollbackResult,
+  PatchBackend,
+  DeltaBackend,
+  DeltaFormat,
+  DeltaEncodeOptions,
+  DeltaDecodeOptions,
+  PatchFormat,
+  GrfApplyMode,
+  BackendDescription,
+  XdeltaCandidate,
+  XdeltaResolution,
+  XdeltaSource,
+  XdeltaOptions,
+  XdeltaSecondaryCompressor,
 
   // Options types
   AdvancedPatchGeneratorOptions,
   CreatePatchOptions,
   ApplyPatchOptions,
+  VerifyPatchOptions,
   BatchOptions,
   LargeFileOptions,
+  PatchChunk,
+  ChunkedPatchIndex,
+  OpenedChunkedPatch,
+  GrfEntry,
+  GrfPatchEntry,
+  GrfPatchIndex,
+  OpenedGrfPatch,
+  ZipEntry,
+  DeflateParams,
+  ZipPatchEntry,
+  ZipPatchIndex,
+  OpenedZipPatch,
 
   // Utility types
   CommandResult,
+  RunCommandOptions,
   ChunkInfo,
 
   // Analysis types
   PatchAnalysisResult,
+  InstructionBreakdown,
+  WindowAnalysis,
   PatchComparisonResult,
+  ComparePatchesOptions,
+  PatchSettings,
   PatchInfoResult,
+  PatchMetadata,
+  BundleInspectionResult,
+  InspectBundleOptions,
+
+  // Version graph types
+  PatchGraphEdge,
+  PatchGraphFile,
+  PatchPlan,
+
+  // Distribution types
+  PatchServerFile,
+  PatchServerManifest,
+  PatchServerOptions,
+  PatchClientOptions,
+  UpdateOptions,
+  UpdateResult,
 
   // Interface types
   IAdvancedPatchGenerator,
   IPatchAnalyzer,
+  IPatchGraph,
 } from './types/index.js';
 
 // Export utilities
 export * from './utils/index.js';
 export * from './validations/index.js';
 export * from './constants/index.js';
+export * from './vcdiff/index.js';
+export * from './bsdiff/index.js';
 
 // Re-export for convenience
 export { DEFAULT_OPTIONS, MESSAGES } from './constants/index.js';
@@ -1,24 +1,131 @@
 import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
 import { EventEmitter } from 'events';
-import CommandUtils from '../utils/commandUtils.js';
+import { pipeline } from 'stream/promises';
+import type { Writable } from 'stream';
 import MetricsUtils from '../utils/metrics.js';
-import { DEFAULT_OPTIONS, MESSAGES } from '../constants/index.js';
+import BatchUtils from '../utils/batchUtils.js';
+import HashUtils from '../utils/hashUtils.js';
+import BundleUtils from '../utils/bundleUtils.js';
+import AtomicUtils from '../utils/atomicUtils.js';
+import BackupJournal from '../utils/backupJournal.js';
+import ProgressTracker from '../utils/progressTracker.js';
+import AbortUtils from '../utils/abortUtils.js';
+import ChunkedPatchUtils from '../utils/chunkedPatchUtils.js';
+import GrfPatchUtils from '../utils/grfPatchUtils.js';
+import ZipPatchUtils from '../utils/zipPatchUtils.js';
+import { EntryMismatchError } from '../utils/entryMismatchError.js';
+import LargeFileUtils from '../utils/largeFileUtils.js';
+import XdeltaOptionsUtils, {
+  XdeltaOptionsError,
+} from '../utils/xdeltaOptionsUtils.js';
+import {
+  BATCH,
+  BSDIFF,
+  CHUNKED_PATCH,
+  DEFAULT_OPTIONS,
+  FILE_EXTENSIONS,
+  HASH,
+  MESSAGES,
+  SOURCE_PIN,
+  VCDIFF,
+  ZIP,
+} from '../constants/index.js';
+import GrfArchive from '../grf/GrfArchive.js';
+import GrfWriter from '../grf/GrfWriter.js';
+import ZipArchive from '../zip/ZipArchive.js';
+import { crc32 } from '../zip/crc32.js';
+import VcdiffDecoder from '../vcdiff/VcdiffDecoder.js';
+import VcdiffEncoder from '../vcdiff/VcdiffEncoder.js';
+import VcdiffReader from '../vcdiff/VcdiffReader.js';
+import BsdiffDecoder from '../bsdiff/BsdiffDecoder.js';
+import BsdiffReader from '../bsdiff/BsdiffReader.js';
+import XdeltaBackend from '../backends/XdeltaBackend.js';
+import VcdiffBackend from '../backends/VcdiffBackend.js';
+import BsdiffBackend from '../backends/BsdiffBackend.js';
+import { formatSourcePin, parseSourcePin } from '../vcdiff/appHeader.js';
+import {
+  BufferByteSink,
+  BufferByteSource,
+  FileByteSink,
+  FileByteSource,
+} from '../vcdiff/byteSource.js';
 import type {
   AdvancedPatchGeneratorOptions,
   FileInfo,
   PatchResult,
+  BufferPatchResult,
+  StreamPatchResult,
+  PatchInput,
   ApplyPatchResult,
+  StreamApplyResult,
+  PatchChainResult,
+  PatchChainStep,
+  GrfApplyMode,
+  GrfPatchEntry,
+  DeflateParams,
+  PatchFormat,
+  ZipPatchEntry,
+  ZipPatchIndex,
   VerifyPatchResult,
   BatchResult,
   CreatePatchOptions,
   ApplyPatchOptions,
+  VerifyPatchOptions,
   BatchOptions,
+  BatchOperation,
+  BatchManifest,
+  BatchManifestEntry,
+  BundleManifestEntry,
   ProgressData,
   ErrorData,
   LargeFileOptions,
+  PatchChunk,
+  ChunkedPatchIndex,
   IAdvancedPatchGenerator,
+  PatchBackend,
+  DeltaBackend,
+  DeltaFormat,
+  BackendDescription,
+  XdeltaOptions,
+  XdeltaResolution,
+  SourcePin,
+  SourceCheck,
+  RollbackResult,
 } from '../types/index.js';
 
+/**
+ * Gives access to the deltas and added files of a batch manifest
+ */
+type BatchPayloads<E extends BatchManifestEntry> = {
+  applyDelta(
+    entry: E,
+    sourceFile: string,
+    outputFile: string,
+    onProgress: (progress: number) => void,
+    signal: AbortSignal
+  ): Promise<void>;
+  copyAdded(entry: E, targetFile: string): Promise<void>;
+};
+
+/**
+ * Result passed to the complete event and the onComplete callbacks
+ */
+type CompletedResult = Parameters<
+  NonNullable<AdvancedPatchGeneratorOptions['onComplete']>
+>[0];
+
+/**
+ * Streamed inputs and output of createPatchStream and applyPatchToStream
+ */
+type StagedStreams = {
+  // Writes the inputs to their staging files
+  stage(signal: AbortSignal): Promise<void>;
+  // Receives the result once it is verified
+  output: Writable;
+};
+
 /**
  * Advanced Patch Generator
  * Simplifies the process of creating and applying patches using Xdelta
@@ -34,11 +141,15 @@ class AdvancedPatchGenerator
   public defaultOptions: AdvancedPatchGeneratorOptions;
   private _xdeltaChecked: boolean;
   private _xdeltaAvailable: boolean;
+  // Built-in delta backends, selected by name
+  private readonly _backends: {
+    xdelta3: XdeltaBackend;
+    js: VcdiffBackend;
+    bsdiff: BsdiffBackend;
+  };
   private onProgressCallback: ((progress: ProgressData) => void) | undefined;
   private onErrorCallback: ((error: ErrorData) => void) | undefined;
-  private onCompleteCallback:
-    | ((result: PatchResult | ApplyPatchResult | VerifyPatchResult) => void)
-    | undefined;
+  private onCompleteCallback: AdvancedPatchGeneratorOptions['onComplete'];
 
   /**
    * Creates a new instance of AdvancedPatchGenerator
@@ -47,25 +158,21 @@ class AdvancedPatchGenerator
   constructor(options: AdvancedPatchGeneratorOptions = {}) {
     super();
 
-    // Se xdeltaPath foi fornecido, use apenas ele (sem busca automática)
-    if (options.xdeltaPath) {
-      this.xdeltaPath = options.xdeltaPath;
-      this.defaultOptions = {
-        ...DEFAULT_OPTIONS,
-        ...options,
-        xdeltaPath: options.xdeltaPath, // Garante que o caminho personalizado seja mantido
-      };
-    } else {
-      // Se não foi fornecido, use a busca automática padrão
-      this.defaultOptions = {
-        ...DEFAULT_OPTIONS,
-        ...options,
-      };
-      this.xdeltaPath = this.defaultOptions.xdeltaPath!;
-    }
+    this.defaultOptions = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+    };
+
+    // Filled in with the resolved executable the first time it is needed
+    this.xdeltaPath = options.xdeltaPath ?? '';
 
     this._xdeltaChecked = false;
     this._xdeltaAvailable = false;
+    this._backends = {
+      xdelta3: new XdeltaBackend(this.defaultOptions.xdeltaPath),
+      js: new VcdiffBackend(),
+      bsdiff: new BsdiffBackend(),
+    };
 
     // Optional callbacks
     this.onProgressCallback = options.onProgress;
@@ -93,7 +200,8 @@ class AdvancedPatchGenerator
    */
   private _emitProgressWithOptions(
     data: ProgressData,
-    options?: CreatePatchOptions | ApplyPatchOptions | BatchOptions
+    options?:
+      CreatePatchOptions | ApplyPatchOptions | VerifyPatchOptions | BatchOptions
   ): void {
     this.emit('progress', data);
     if (this.onProgressCallback) {
@@ -110,7 +218,11 @@ class AdvancedPatchGenerator
    * @private
    */
   private _emitError(error: ErrorData): void {
-    this.emit('error', error);
+    // Failures are also returned as results, so an 'error' event nobody
+    // listens to must not throw
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
     if (this.onErrorCallback) {
       this.onErrorCallback(error);
     }
@@ -124,9 +236,12 @@ class AdvancedPatchGenerator
    */
   private _emitErrorWithOptions(
     error: ErrorData,
-    options?: CreatePatchOptions | ApplyPatchOptions | BatchOptions
+    options?:
+      CreatePatchOptions | ApplyPatchOptions | VerifyPatchOptions | BatchOptions
   ): void {
-    this.emit('error', error);
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
     if (this.onErrorCallback) {
       this.onErrorCallback(error);
     }
@@ -140,9 +255,7 @@ class AdvancedPatchGenerator
    * @param result - Operation result
    * @private
    */
-  private _emitComplete(
-    result: PatchResult | ApplyPatchResult | VerifyPatchResult
-  ): void {
+  private _emitComplete(result: CompletedResult): void {
     this.emit('complete', result);
     if (this.onCompleteCallback) {
       this.onCompleteCallback(result);
@@ -156,15 +269,17 @@ class AdvancedPatchGenerator
    * @private
    */
   private _emitCompleteWithOptions(
-    result: PatchResult | ApplyPatchResult | VerifyPatchResult,
-    options?: CreatePatchOptions | ApplyPatchOptions | BatchOptions
+    result: CompletedResult,
+    options?:
+      CreatePatchOptions | ApplyPatchOptions | VerifyPatchOptions | BatchOptions
   ): void {
     this.emit('complete', result);
     if (this.onCompleteCallback) {
       this.onCompleteCallback(result);
     }
     if (options?.onComplete) {
-      options.onComplete(result as any); // Type assertion needed due to callback signature differences
+      // Each option type narrows the callback to its own result
+      (options.onComplete as (result: CompletedResult) => void)(result);
     }
   }
 
@@ -197,8 +312,9 @@ class AdvancedPatchGenerator
   }
 
   /**
-   * Checks if the local Xdelta executable is available
+   * Checks if an Xdelta executable is available
    * @returns Promise with availability status
+   * @throws Error when no working executable is found
    */
   async checkXdelta(): Promise<boolean> {
     if (this._xdeltaChecked && this._xdeltaAvailable) {
@@ -207,84 +323,97 @@ class AdvancedPatchGenerator
 
     this._emitProgress({
       percentage: 0,
-      message: 'Verificando Xdelta3 local...',
+      message: 'Procurando Xdelta3...',
     });
 
-    try {
-      // Check if the local xdelta3-3.1.0.exe file exists
-      const fileExists = await fs.pathExists(this.xdeltaPath);
-
-      if (!fileExists) {
-        this._xdeltaChecked = true;
-        this._xdeltaAvailable = false;
+    const resolution = await this._resolveXdelta();
 
-        this._emitProgress({
-          percentage: 100,
-          message: 'Xdelta3 local não encontrado',
-        });
+    this._emitProgress({
+      percentage: 100,
+      message: resolution.found
+        ? `Xdelta3 ${resolution.version ?? ''} encontrado em ${resolution.path}`
+        : 'Xdelta3 não encontrado',
+    });
 
-        const error = new Error(MESSAGES.XDELTA_NOT_FOUND);
-        this._emitError({ message: error.message });
-        throw error;
-      }
+    if (!resolution.found) {
+      const error = new Error(MESSAGES.XDELTA_NOT_FOUND);
+      this._emitError({
+        message: error.message,
+        code: 'XDELTA_NOT_FOUND',
+        details: resolution.candidates,
+      });
+      throw error;
+    }
 
-      // Test the local executable with a simple command
-      const testCommand = `"${this.xdeltaPath}" -h`;
+    return true;
+  }
 
-      try {
-        const result = await CommandUtils.executeCommand(testCommand);
-
-        // Check if the command executed successfully or if xdelta responded
-        const isWorking =
-          result.success ||
-          result.stdout.includes('xdelta') ||
-          result.stderr.includes('xdelta') ||
-          result.stdout.includes('usage') ||
-          result.stderr.includes('usage');
-
-        this._xdeltaChecked = true;
-        this._xdeltaAvailable = isWorking;
-
-        this._emitProgress({
-          percentage: 100,
-          message: this._xdeltaAvailable
-            ? 'Xdelta3 local funcionando!'
-            : 'Xdelta3 local não está funcionando',
-        });
+  /**
+   * Reports which backend is used and why
+   * @returns Promise with the backend description
+   */
+  async describeBackend(): Promise<BackendDescription> {
+    const requested = this.defaultOptions.backend ?? 'auto';
+    const xdelta3 = await this._resolveXdelta();
 
-        if (!this._xdeltaAvailable) {
-          const error = new Error(MESSAGES.XDELTA_NOT_FOUND);
-          this._emitError({ message: error.message });
-          throw error;
-        }
+    if (typeof requested === 'object') {
+      return {
+        requested: requested.name,
+        selected: requested.name,
+        reason: `Using ${await requested.describe()}`,
+        xdelta3,
+      };
+    }
 
-        return this._xdeltaAvailable;
-      } catch (commandError) {
-        this._xdeltaChecked = true;
-        this._xdeltaAvailable = false;
+    if (requested === 'js' || requested === 'bsdiff') {
+      return {
+        requested,
+        selected: requested,
+        reason: `Using ${await this._backends[requested].describe()}, as requested`,
+        xdelta3,
+      };
+    }
 
-        this._emitProgress({
-          percentage: 100,
-          message: 'Erro ao executar Xdelta3 local',
-        });
+    if (xdelta3.found) {
+      return {
+        requested,
+        selected: 'xdelta3',
+        reason: `Using ${await this._backends.xdelta3.describe()}`,
+        xdelta3,
+      };
+    }
 
-        const error = new Error(MESSAGES.XDELTA_NOT_FOUND);
-        this._emitError({ message: error.message });
-        throw error;
-      }
-    } catch (error) {
-      this._xdeltaChecked = true;
-      this._xdeltaAvailable = false;
+    if (requested === 'xdelta3') {
+      return {
+        requested,
+        selected: 'xdelta3',
+        reason: 'xdelta3 was requested but no working executable was found',
+        xdelta3,
+      };
+    }
 
-      this._emitProgress({
-        percentage: 100,
-        message: 'Erro ao verificar Xdelta3 local',
-      });
+    return {
+      requested,
+      selected: 'js',
+      reason:
+        'No working xdelta3 executable was found, using the built-in JavaScript codec',
+      xdelta3,
+    };
+  }
 
-      const errorMessage = (error as Error).message;
-      this._emitError({ message: errorMessage });
-      throw new Error(MESSAGES.XDELTA_NOT_FOUND);
+  /**
+   * Resolves the Xdelta executable once per instance
+   * @returns Promise with the resolution
+   * @private
+   */
+  private async _resolveXdelta(): Promise<XdeltaResolution> {
+    const resolution = await this._backends.xdelta3.resolve();
+    this._xdeltaChecked = true;
+    this._xdeltaAvailable = resolution.found;
+    if (resolution.path) {
+      this.xdeltaPath = resolution.path;
     }
+    return resolution;
   }
 
   /**
@@ -301,48 +430,343 @@ class AdvancedPatchGenerator
     patchFile: string,
     options: CreatePatchOptions = {}
   ): Promise<PatchResult> {
+    return (await this._createPatch(
+      oldFile,
+      newFile,
+      patchFile,
+      options
+    )) as PatchResult;
+  }
+
+  /**
+   * Creates a patch from two buffers, in memory, with the built-in VCDIFF
+   * encoder (the backend option is not used)
+   * @param oldData - Original data
+   * @param newData - New data
+   * @param options - Patch creation options
+   * @returns Promise with patch result, holding the patch in `patch`
+   */
+  async createPatchFromBuffers(
+    oldData: Buffer,
+    newData: Buffer,
+    options: CreatePatchOptions = {}
+  ): Promise<BufferPatchResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
     const startTime = Date.now();
     const mergedOptions = { ...this.defaultOptions, ...options };
-
-    // Emit initial progress
-    this._emitProgressWithOptions(
-      {
-        percentage: 0,
-        message: 'Iniciando criação do patch...',
-        current: 0,
-        total: 100,
-      },
-      options
+    const abort = AbortUtils.createSignal(
+      options.signal,
+      mergedOptions.timeout
     );
+    const totalSize = newData.length;
+
+    tracker.update({
+      percentage: 0,
+      message: 'Iniciando criação do patch...',
+      current: 0,
+      total: 100,
+    });
 
     try {
-      // Check Xdelta availability
-      this._emitProgressWithOptions(
-        {
-          percentage: 10,
-          message: 'Verificando Xdelta3...',
-          current: 10,
-          total: 100,
-        },
-        options
+      const tuning = XdeltaOptionsUtils.toVcdiffOptions(
+        mergedOptions.xdeltaOptions
       );
+      const appHeader =
+        options.pinSource === false
+          ? undefined
+          : formatSourcePin({
+              algorithm: SOURCE_PIN.ALGORITHM,
+              sourceSize: oldData.length,
+              sourceHash: HashUtils.hashBuffer(oldData, SOURCE_PIN.ALGORITHM),
+              targetSize: newData.length,
+              targetHash: HashUtils.hashBuffer(newData, SOURCE_PIN.ALGORITHM),
+            });
 
-      const xdeltaAvailable = await this.checkXdelta();
-      if (!xdeltaAvailable) {
-        throw new Error(MESSAGES.XDELTA_NOT_FOUND);
+      const sink = new BufferByteSink();
+      try {
+        await VcdiffEncoder.encode(
+          new BufferByteSource(oldData),
+          new BufferByteSource(newData),
+          sink,
+          {
+            ...tuning,
+            compression: mergedOptions.compression ?? 9,
+            ...(appHeader ? { appHeader } : {}),
+            onProgress: (processed, total) => {
+              const progress = total > 0 ? processed / total : 1;
+              tracker.update({
+                percentage: Math.round(10 + progress * 80), // 10% to 90%
+                message: 'Criando patch...',
+                current: processed,
+                total: totalSize,
+              });
+            },
+            signal: abort.signal,
+          }
+        );
+      } catch (error) {
+        AbortUtils.throwIfAborted(abort.signal);
+        throw error;
       }
+      const patch = sink.toBuffer();
 
-      // Validate files
-      this._emitProgressWithOptions(
+      // Decode the new patch and compare it with newData (verify option)
+      let verification: VerifyPatchResult | undefined;
+      if (mergedOptions.verify) {
+        tracker.update({
+          percentage: 90,
+          message: 'Verificando patch...',
+          current: 0,
+          total: totalSize,
+        });
+
+        const verifyStart = Date.now();
+        const output = new BufferByteSink();
+        try {
+          await VcdiffDecoder.decode(
+            new BufferByteSource(patch),
+            new BufferByteSource(oldData),
+            output,
+            { signal: abort.signal }
+          );
+        } catch (error) {
+          AbortUtils.throwIfAborted(abort.signal);
+          throw error;
+        }
+
+        const comparison = HashUtils.compareBuffers(newData, output.toBuffer());
+        const verifyDuration = Date.now() - verifyStart;
+        verification = {
+          isValid: comparison.firstDifference === undefined,
+          algorithm: comparison.algorithm,
+          expectedDigest: comparison.expectedDigest,
+          actualDigest: comparison.actualDigest,
+          ...(comparison.firstDifference !== undefined
+            ? { firstDifference: comparison.firstDifference }
+            : {}),
+          metrics: {
+            duration: verifyDuration,
+            durationFormatted: MetricsUtils.formatDuration(verifyDuration),
+          },
+        };
+        if (!verification.isValid) {
+          throw new Error(
+            `Patch verification failed: output differs from the new data at byte ${verification.firstDifference}`
+          );
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      const finalResult: BufferPatchResult = {
+        success: true,
+        backend: 'js',
+        patch,
+        ...(verification ? { verification } : {}),
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+          compressionRatio: MetricsUtils.calculateCompressionRatio(
+            newData.length,
+            patch.length
+          ),
+          originalSize: oldData.length,
+          patchSize: patch.length,
+          isLargeFile: newData.length > this.defaultOptions.largeFileThreshold!,
+        },
+      };
+
+      tracker.update({
+        percentage: 100,
+        message: 'Patch criado com sucesso!',
+        current: totalSize,
+        total: totalSize,
+      });
+
+      this._emitCompleteWithOptions(finalResult, options);
+
+      return finalResult;
+    } catch (error) {
+      const aborted = AbortUtils.getError(abort.signal);
+      const errorCode =
+        aborted?.code ??
+        (error instanceof XdeltaOptionsError
+          ? error.code
+          : 'PATCH_CREATION_FAILED');
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+
+      this._emitErrorWithOptions(
         {
-          percentage: 20,
-          message: 'Validando arquivos de entrada...',
-          current: 20,
-          total: 100,
+          message: `Failed to create patch: ${errorMessage}`,
+          code: errorCode,
+          details: error,
         },
         options
       );
 
+      const duration = Date.now() - startTime;
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode,
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+          compressionRatio: 0,
+          originalSize: 0,
+          patchSize: 0,
+          isLargeFile: false,
+        },
+      };
+    } finally {
+      abort.dispose();
+    }
+  }
+
+  /**
+   * Creates a patch from buffers or readable streams and writes it to a
+   * writable stream, which is ended once the patch is verified and written.
+   * Both inputs are staged in a temporary directory first, as the original
+   * must be read out of order.
+   * @param oldData - Original data
+   * @param newData - New data
+   * @param output - Stream receiving the patch
+   * @param options - Patch creation options
+   * @returns Promise with patch result
+   */
+  async createPatchStream(
+    oldData: PatchInput,
+    newData: PatchInput,
+    output: Writable,
+    options: CreatePatchOptions = {}
+  ): Promise<StreamPatchResult> {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-stream-'));
+    const oldFile = path.join(tempDir, 'old');
+    const newFile = path.join(tempDir, 'new');
+    try {
+      return await this._createPatch(
+        oldFile,
+        newFile,
+        path.join(tempDir, `patch${FILE_EXTENSIONS.PATCH}`),
+        options,
+        {
+          stage: async signal => {
+            await Promise.all([
+              AdvancedPatchGenerator._stageInput(oldData, oldFile, signal),
+              AdvancedPatchGenerator._stageInput(newData, newFile, signal),
+            ]);
+          },
+          output,
+        }
+      );
+    } finally {
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Writes a buffer or a readable stream to a file
+   * @param input - Data to write
+   * @param file - Destination file
+   * @param signal - Stops writing when aborted
+   * @private
+   */
+  private static async _stageInput(
+    input: PatchInput,
+    file: string,
+    signal: AbortSignal
+  ): Promise<void> {
+    if (Buffer.isBuffer(input)) {
+      await fs.writeFile(file, input, { signal });
+    } else {
+      await pipeline(input, fs.createWriteStream(file), { signal });
+    }
+  }
+
+  /**
+   * Creates a patch from old and new files, which createPatchStream stages
+   * from its inputs first
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param patchFile - Output patch file path
+   * @param options - Patch creation options
+   * @param streams - Inputs to stage and the stream receiving the patch
+   * @returns Promise with patch result (without patchFile for streams)
+   * @private
+   */
+  private async _createPatch(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: CreatePatchOptions,
+    streams?: StagedStreams
+  ): Promise<PatchResult | StreamPatchResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    const startTime = Date.now();
+    const mergedOptions = { ...this.defaultOptions, ...options };
+    const abort = AbortUtils.createSignal(
+      options.signal,
+      mergedOptions.timeout
+    );
+    // Removed when the operation is stopped halfway
+    let partialFile: string | undefined;
+
+    // Emit initial progress
+    tracker.update({
+      percentage: 0,
+      message: 'Iniciando criação do patch...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      if (streams) {
+        tracker.update({
+          percentage: 5,
+          message: 'Recebendo dados...',
+        });
+        await streams.stage(abort.signal);
+      }
+
+      XdeltaOptionsUtils.validate(mergedOptions.xdeltaOptions);
+
+      // Select the encoder (xdelta3 executable or built-in JavaScript)
+      tracker.update({
+        percentage: 10,
+        message: 'Verificando Xdelta3...',
+      });
+
+      // A ZIP patch is only chosen by itself when no backend was asked for:
+      // xdelta3 and bspatch cannot apply it. GRF and ZIP entry deltas are
+      // always encoded by the built-in encoder
+      const format =
+        options.format ??
+        ((mergedOptions.backend ?? 'auto') === 'auto'
+          ? await this._detectFormat(oldFile, newFile)
+          : 'vcdiff');
+      let backend =
+        format !== 'vcdiff'
+          ? this._backends.js
+          : await this._selectBackend(mergedOptions.backend ?? 'auto');
+      // A detected archive format is kept only when its patch is smaller
+      // than a whole-file delta
+      const compareWholeFile =
+        options.format === undefined && format !== 'vcdiff';
+      const archiveShare = compareWholeFile ? 30 : 60;
+
+      // Validate files
+      tracker.update({
+        percentage: 20,
+        message: 'Validando arquivos de entrada...',
+      });
+
       const oldFileInfo = await this.getFileInfo(oldFile);
       const newFileInfo = await this.getFileInfo(newFile);
 
@@ -356,60 +780,167 @@ class AdvancedPatchGenerator
 
       // Calculate total size for progress tracking
       const totalSize = newFileInfo.size;
-      const chunkSize = 1024 * 1024; // 1MB chunks for progress updates
-      let processedSize = 0;
+      const processedSize = 0;
 
       // Determine if large file processing is needed
       const isLargeFile =
         newFileInfo.size > this.defaultOptions.largeFileThreshold!;
 
-      this._emitProgressWithOptions(
-        {
-          percentage: 30,
-          message: isLargeFile
-            ? 'Processando arquivo grande...'
-            : 'Criando patch...',
-          current: processedSize,
-          total: totalSize,
-        },
-        options
-      );
+      tracker.update({
+        percentage: 30,
+        message: isLargeFile
+          ? 'Processando arquivo grande...'
+          : 'Criando patch...',
+        current: processedSize,
+        total: totalSize,
+      });
 
       let result: PatchResult;
+      const chunked =
+        mergedOptions.chunkedPatch === true &&
+        newFileInfo.size >
+          (mergedOptions.extremeFileThreshold ??
+            DEFAULT_OPTIONS.extremeFileThreshold);
 
-      if (isLargeFile && this.defaultOptions.enableChunkProcessing) {
-        result = await this.createPatchWithChunks(
+      AbortUtils.throwIfAborted(abort.signal);
+      partialFile = patchFile;
+      if (format === 'grf') {
+        result = await this._createGrfPatch(
+          oldFile,
+          newFile,
+          patchFile,
+          { ...mergedOptions, signal: abort.signal },
+          progress => {
+            tracker.update({
+              percentage: Math.round(30 + progress * archiveShare),
+              message: 'Comparando entradas do GRF...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
+          }
+        );
+      } else if (format === 'zip') {
+        result = await this._createZipPatch(
           oldFile,
           newFile,
           patchFile,
-          mergedOptions
+          { ...mergedOptions, signal: abort.signal },
+          progress => {
+            tracker.update({
+              percentage: Math.round(30 + progress * archiveShare),
+              message: 'Comparando entradas do ZIP...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
+          }
+        );
+      } else if (chunked) {
+        result = await this._createChunkedPatch(
+          oldFile,
+          newFile,
+          patchFile,
+          {
+            ...(mergedOptions.compression !== undefined
+              ? { compression: mergedOptions.compression }
+              : {}),
+            ...(options.pinSource !== undefined
+              ? { pinSource: options.pinSource }
+              : {}),
+            ...(mergedOptions.xdeltaOptions
+              ? { xdeltaOptions: mergedOptions.xdeltaOptions }
+              : {}),
+            backend,
+            signal: abort.signal,
+          },
+          progress => {
+            tracker.update({
+              percentage: Math.round(30 + progress * 60), // 30% to 90%
+              message: 'Criando patch em partes...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
+          }
         );
       } else {
-        // Simulate progress during patch creation for standard files
         result = await this._createStandardPatchWithProgress(
           oldFile,
           newFile,
           patchFile,
-          mergedOptions,
+          { ...mergedOptions, backend, signal: abort.signal },
           progress => {
-            const percentage = Math.min(90, 30 + progress * 0.6); // 30% to 90%
-            this._emitProgressWithOptions(
-              {
-                percentage: Math.round(percentage),
-                message: 'Criando patch...',
-                current: Math.round(progress * totalSize),
-                total: totalSize,
-              },
-              options
-            );
+            const percentage = 30 + progress * 60; // 30% to 90%
+            tracker.update({
+              percentage: Math.round(percentage),
+              message: 'Criando patch...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
+          }
+        );
+      }
+
+      if (compareWholeFile && result.success) {
+        ({ result, backend } = await this._keepSmallerPatch(
+          oldFile,
+          newFile,
+          patchFile,
+          result,
+          { ...mergedOptions, signal: abort.signal },
+          progress => {
+            tracker.update({
+              percentage: Math.round(60 + progress * 30), // 60% to 90%
+              message: 'Comparando com o patch do arquivo inteiro...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
+          }
+        ));
+      }
+
+      // Decode the new patch and compare it with newFile (verify option)
+      let verification: VerifyPatchResult | undefined;
+      if (mergedOptions.verify && result.success) {
+        verification = await this._verifyPatch(
+          oldFile,
+          patchFile,
+          newFile,
+          { backend, signal: abort.signal },
+          progress => {
+            tracker.update({
+              percentage: Math.round(90 + progress * 10), // 90% to 100%
+              message: 'Verificando patch...',
+              current: Math.round(progress * totalSize),
+              total: totalSize,
+            });
           }
         );
+        if (!verification.isValid) {
+          throw new Error(
+            verification.error ??
+              `Patch verification failed: output differs from ${newFile} ${
+                verification.differentEntry !== undefined
+                  ? `in entry ${verification.differentEntry}`
+                  : `at byte ${verification.firstDifference}`
+              }`
+          );
+        }
+      }
+
+      if (streams) {
+        await pipeline(fs.createReadStream(patchFile), streams.output, {
+          signal: abort.signal,
+        });
       }
 
       const duration = Date.now() - startTime;
 
+      // A streamed patch only exists in the output stream
+      const { patchFile: patchFileInfo, ...created } = result;
       const finalResult = {
-        ...result,
+        ...created,
+        ...(streams ? {} : { patchFile: patchFileInfo }),
+        backend: result.backend ?? backend.name,
+        ...(verification ? { verification } : {}),
         metrics: {
           ...result.metrics,
           duration,
@@ -419,26 +950,36 @@ class AdvancedPatchGenerator
       };
 
       // Emit completion progress and event
-      this._emitProgressWithOptions(
-        {
-          percentage: 100,
-          message: 'Patch criado com sucesso!',
-          current: totalSize,
-          total: totalSize,
-        },
-        options
-      );
+      tracker.update({
+        percentage: 100,
+        message: 'Patch criado com sucesso!',
+        current: totalSize,
+        total: totalSize,
+      });
 
       this._emitCompleteWithOptions(finalResult, options);
 
       return finalResult;
     } catch (error) {
-      const errorMessage =
-        error instanceof Error ? error.message : String(error);
+      const aborted = AbortUtils.getError(abort.signal);
+      const errorCode =
+        aborted?.code ??
+        (error instanceof XdeltaOptionsError
+          ? error.code
+          : 'PATCH_CREATION_FAILED');
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      if (aborted && partialFile) {
+        await fs.remove(partialFile);
+      }
+
       this._emitErrorWithOptions(
         {
           message: `Failed to create patch: ${errorMessage}`,
-          code: 'PATCH_CREATION_FAILED',
+          code: errorCode,
           details: error,
         },
         options
@@ -447,6 +988,7 @@ class AdvancedPatchGenerator
       return {
         success: false,
         error: errorMessage,
+        errorCode,
         patchFile: {} as FileInfo,
         metrics: {
           duration: Date.now() - startTime,
@@ -459,9 +1001,10 @@ class AdvancedPatchGenerator
           isLargeFile: false,
         },
       };
+    } finally {
+      abort.dispose();
     }
   }
-
   /**
    * Creates a standard patch with progress tracking
    * @param oldFile - Original file path
@@ -478,131 +1021,254 @@ class AdvancedPatchGenerator
     options: CreatePatchOptions,
     progressCallback: (progress: number) => void
   ): Promise<PatchResult> {
+    const backend = await this._selectBackend(options.backend ?? 'auto');
+    const startTime = Date.now();
     const compression =
       options.compression ?? this.defaultOptions.compression ?? 9;
 
-    // Simulate progress during Xdelta3 execution
-    // Since we can't get real-time progress from xdelta3, we'll simulate it
-    const progressInterval = setInterval(() => {
-      const randomProgress = Math.random() * 0.8 + 0.1; // 10% to 90%
-      progressCallback(randomProgress);
-    }, 100);
+    const xdeltaOptions =
+      options.xdeltaOptions ?? this.defaultOptions.xdeltaOptions;
 
-    try {
-      // Use explicit encode mode with source flag for correct argument order
-      // xdelta3 -e -<compression> -f -s <oldFile> <newFile> <patchFile>
-      const command = `"${this.xdeltaPath}" -e -${compression} -f -s "${oldFile}" "${newFile}" "${patchFile}"`;
+    const pin = await this._createSourcePin(oldFile, newFile, options);
+    await backend.encode(oldFile, newFile, patchFile, {
+      compression,
+      ...(pin ? { appHeader: pin } : {}),
+      ...(xdeltaOptions ? { xdeltaOptions } : {}),
+      onProgress: progressCallback,
+      ...(options.signal ? { signal: options.signal } : {}),
+    });
+    AbortUtils.throwIfAborted(options.signal);
 
-      const result = await CommandUtils.executeCommand(command);
+    progressCallback(1.0); // 100%
 
-      if (!result.success) {
-        throw new Error(`Failed to create patch: ${result.stderr}`);
-      }
+    const duration = Date.now() - startTime;
+    const patchFileInfo = await this.getFileInfo(patchFile);
+    const oldFileInfo = await this.getFileInfo(oldFile);
+    const newFileInfo = await this.getFileInfo(newFile);
 
-      // Clear progress interval and send final progress
-      clearInterval(progressInterval);
-      progressCallback(1.0); // 100%
+    const compressionRatio = MetricsUtils.calculateCompressionRatio(
+      newFileInfo.size,
+      patchFileInfo.size
+    );
 
-      const patchFileInfo = await this.getFileInfo(patchFile);
-      const oldFileInfo = await this.getFileInfo(oldFile);
-      const newFileInfo = await this.getFileInfo(newFile);
+    return {
+      success: true,
+      backend: backend.name,
+      patchFile: patchFileInfo,
+      metrics: {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+        compressionRatio,
+        originalSize: oldFileInfo.size,
+        patchSize: patchFileInfo.size,
+        isLargeFile: false,
+      },
+    };
+  }
 
-      const compressionRatio = MetricsUtils.calculateCompressionRatio(
-        newFileInfo.size,
-        patchFileInfo.size
+  /**
+   * Encodes a whole-file delta of an archive and keeps it in place of the
+   * archive patch when it is smaller
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param patchFile - Path of the archive patch
+   * @param archiveResult - Result of the archive patch
+   * @param options - Patch creation options
+   * @param progressCallback - Progress callback function
+   * @returns Promise with the result of the kept patch and the backend that
+   * decodes it
+   * @private
+   */
+  private async _keepSmallerPatch(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    archiveResult: PatchResult,
+    options: CreatePatchOptions,
+    progressCallback: (progress: number) => void
+  ): Promise<{ result: PatchResult; backend: DeltaBackend }> {
+    const wholeFile = AtomicUtils.tempPathFor(patchFile);
+    try {
+      const backend = await this._selectBackend(options.backend ?? 'auto');
+      const result = await this._createStandardPatchWithProgress(
+        oldFile,
+        newFile,
+        wholeFile,
+        { ...options, backend },
+        progressCallback
       );
+      if (result.metrics.patchSize >= archiveResult.metrics.patchSize) {
+        return { result: archiveResult, backend: this._backends.js };
+      }
 
+      await fs.move(wholeFile, patchFile, { overwrite: true });
       return {
-        success: true,
-        patchFile: patchFileInfo,
-        metrics: {
-          duration: result.duration,
-          durationFormatted: MetricsUtils.formatDuration(result.duration),
-          compressionRatio,
-          originalSize: oldFileInfo.size,
-          patchSize: patchFileInfo.size,
-          isLargeFile: false,
-        },
+        result: { ...result, patchFile: await this.getFileInfo(patchFile) },
+        backend,
       };
+    } catch {
+      // The archive patch is valid on its own
+      AbortUtils.throwIfAborted(options.signal);
+      return { result: archiveResult, backend: this._backends.js };
     } finally {
-      clearInterval(progressInterval);
+      await fs.remove(wholeFile);
     }
   }
 
   /**
-   * Creates a standard patch (for smaller files)
+   * Builds the application header that pins a new patch to its files
    * @param oldFile - Original file path
    * @param newFile - New file path
-   * @param patchFile - Output patch file path
    * @param options - Patch creation options
-   * @returns Promise with patch result
+   * @returns Promise with the header, or undefined when pinSource is false
    * @private
    */
-  private async _createStandardPatch(
+  private async _createSourcePin(
     oldFile: string,
     newFile: string,
-    patchFile: string,
     options: CreatePatchOptions
-  ): Promise<PatchResult> {
-    const compression =
-      options.compression ?? this.defaultOptions.compression ?? 9;
+  ): Promise<Buffer | undefined> {
+    if (options.pinSource === false) {
+      return undefined;
+    }
 
-    this._emitProgressWithOptions(
-      {
-        percentage: 70,
-        message: 'Executando Xdelta3...',
-      },
-      options
-    );
+    const [sourceHash, targetHash, oldStats, newStats] = await Promise.all([
+      HashUtils.hashFile(oldFile, SOURCE_PIN.ALGORITHM, options.signal),
+      HashUtils.hashFile(newFile, SOURCE_PIN.ALGORITHM, options.signal),
+      fs.stat(oldFile),
+      fs.stat(newFile),
+    ]);
+    return formatSourcePin({
+      algorithm: SOURCE_PIN.ALGORITHM,
+      sourceSize: oldStats.size,
+      sourceHash,
+      targetSize: newStats.size,
+      targetHash,
+    });
+  }
 
-    // Use explicit encode mode with source flag for correct argument order
-    // xdelta3 -e -<compression> -f -s <oldFile> <newFile> <patchFile>
-    const command = `"${this.xdeltaPath}" -e -${compression} -f -s "${oldFile}" "${newFile}" "${patchFile}"`;
+  /**
+   * Chooses the patch format from the signatures of both files: 'zip' when
+   * both are ZIP archives the reader can open, 'vcdiff' otherwise
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @returns Promise with the format
+   * @private
+   */
+  private async _detectFormat(
+    oldFile: string,
+    newFile: string
+  ): Promise<PatchFormat> {
+    try {
+      if (
+        (await ZipArchive.isZip(oldFile)) &&
+        (await ZipArchive.isZip(newFile))
+      ) {
+        // Archives the reader rejects get a whole-file delta
+        for (const file of [oldFile, newFile]) {
+          await (await ZipArchive.open(file)).close();
+        }
+        return 'zip';
+      }
+    } catch {
+      // Missing files are reported by the caller
+    }
+    return 'vcdiff';
+  }
 
-    const result = await CommandUtils.executeCommand(command);
+  /**
+   * Reads the source pin stored in a patch
+   * @param patchFile - Patch file path
+   * @returns Promise with the pin, or null when the patch has none
+   * @private
+   */
+  private async _readSourcePin(patchFile: string): Promise<SourcePin | null> {
+    if (await ZipPatchUtils.isZipPatch(patchFile)) {
+      const opened = await ZipPatchUtils.read(patchFile).catch(() => null);
+      return opened?.index.pin ?? null;
+    }
+    if (await ChunkedPatchUtils.isChunkedPatch(patchFile)) {
+      const opened = await ChunkedPatchUtils.read(patchFile).catch(() => null);
+      return opened?.index.pin ?? null;
+    }
 
-    if (!result.success) {
-      throw new Error(`Failed to create patch: ${result.stderr}`);
+    const source = await FileByteSource.open(patchFile);
+    try {
+      const { header } = (await BsdiffReader.isBsdiffFile(patchFile))
+        ? await BsdiffReader.open(source)
+        : await VcdiffReader.open(source);
+      return header.appHeader ? parseSourcePin(header.appHeader) : null;
+    } catch {
+      // Not a VCDIFF patch: the decoder reports it
+      return null;
+    } finally {
+      await source.close();
     }
+  }
 
-    this._emitProgressWithOptions(
-      {
-        percentage: 80,
-        message: 'Calculando métricas...',
-      },
-      options
-    );
+  /**
+   * Reads the size of the file a patch produces, from its source pin or
+   * by adding up its window lengths
+   * @param patchFile - Patch file path
+   * @returns Promise with the size, or null when the patch is unreadable
+   * @private
+   */
+  private async _readTargetSize(patchFile: string): Promise<number | null> {
+    // A rebuilt GRF archive has about the size of the new one
+    if (await GrfPatchUtils.isGrfPatch(patchFile)) {
+      const opened = await GrfPatchUtils.read(patchFile).catch(() => null);
+      return opened?.index.targetSize ?? null;
+    }
+    if (await ZipPatchUtils.isZipPatch(patchFile)) {
+      const opened = await ZipPatchUtils.read(patchFile).catch(() => null);
+      return opened?.index.targetSize ?? null;
+    }
+    if (await ChunkedPatchUtils.isChunkedPatch(patchFile)) {
+      const opened = await ChunkedPatchUtils.read(patchFile).catch(() => null);
+      return opened?.index.targetSize ?? null;
+    }
 
-    const patchFileInfo = await this.getFileInfo(patchFile);
-    const oldFileInfo = await this.getFileInfo(oldFile);
-    const newFileInfo = await this.getFileInfo(newFile);
+    const source = await FileByteSource.open(patchFile);
+    try {
+      // BSDIFF40 headers record the size
+      if (await BsdiffReader.isBsdiffFile(patchFile)) {
+        return (await BsdiffReader.open(source)).header.newSize;
+      }
 
-    const compressionRatio = MetricsUtils.calculateCompressionRatio(
-      newFileInfo.size,
-      patchFileInfo.size
-    );
+      const reader = await VcdiffReader.open(source);
+      const pin = reader.header.appHeader
+        ? parseSourcePin(reader.header.appHeader)
+        : null;
+      if (pin) {
+        return pin.targetSize;
+      }
 
-    return {
-      success: true,
-      patchFile: patchFileInfo,
-      metrics: {
-        duration: result.duration,
-        durationFormatted: MetricsUtils.formatDuration(result.duration),
-        compressionRatio,
-        originalSize: oldFileInfo.size,
-        patchSize: patchFileInfo.size,
-        isLargeFile: false,
-      },
-    };
+      let size = 0;
+      for (
+        let window = await reader.nextWindow(false);
+        window;
+        window = await reader.nextWindow(false)
+      ) {
+        size += window.targetWindowLength;
+      }
+      return size;
+    } catch {
+      return null;
+    } finally {
+      await source.close();
+    }
   }
 
   /**
-   * Creates a patch using chunk processing for large files
+   * Creates a chunked patch: the new file is split into chunks, each one
+   * encoded against the matching range of the original file, several at a
+   * time within the memoryLimit option
    * @param oldFile - Original file path
    * @param newFile - New file path
    * @param patchFile - Output patch file path
    * @param options - Large file options
    * @returns Promise with patch result
+   * @throws Error when a chunk cannot be encoded
    */
   async createPatchWithChunks(
     oldFile: string,
@@ -610,297 +1276,3103 @@ class AdvancedPatchGenerator
     patchFile: string,
     options: LargeFileOptions = {}
   ): Promise<PatchResult> {
-    // Implementation for chunk processing
-    // This is a simplified version - the full implementation would be more complex
-    return this._createStandardPatch(oldFile, newFile, patchFile, options);
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    const { size: totalSize } = await fs.stat(newFile);
+
+    return this._createChunkedPatch(
+      oldFile,
+      newFile,
+      patchFile,
+      options,
+      progress => {
+        tracker.update({
+          percentage: Math.round(progress * 100),
+          message: 'Criando patch em partes...',
+          current: Math.round(progress * totalSize),
+          total: totalSize,
+        });
+      }
+    );
   }
 
   /**
-   * Combines patch chunks into a single patch file
-   * @param _patchChunks - Array of patch chunk paths
-   * @param _outputPath - Output combined patch path
+   * Writes chunk payloads into a single chunked patch file
+   * @param patchChunks - VCDIFF payload of each chunk, in index order
+   * @param outputPath - Output combined patch path
+   * @param index - Chunk index; offsets and lengths are filled in
+   * @returns Promise with the stored index
    */
   async combinePatchChunks(
-    _patchChunks: string[],
-    _outputPath: string
-  ): Promise<void> {
-    // Implementation for combining chunks
-    // This would concatenate the chunk files
+    patchChunks: string[],
+    outputPath: string,
+    index: ChunkedPatchIndex
+  ): Promise<ChunkedPatchIndex> {
+    return ChunkedPatchUtils.write(outputPath, index, patchChunks);
   }
 
   /**
-   * Applies a patch to a file
+   * Creates a chunked patch
    * @param oldFile - Original file path
-   * @param patchFile - Patch file path
-   * @param newFile - Output file path
-   * @param options - Apply patch options
-   * @returns Promise with apply result
+   * @param newFile - New file path
+   * @param patchFile - Output patch file path
+   * @param options - Large file options
+   * @param progressCallback - Called with the fraction of the new file encoded
+   * @returns Promise with patch result
+   * @private
    */
-  async applyPatch(
+  private async _createChunkedPatch(
     oldFile: string,
-    patchFile: string,
     newFile: string,
-    options: ApplyPatchOptions = {}
-  ): Promise<ApplyPatchResult> {
+    patchFile: string,
+    options: LargeFileOptions,
+    progressCallback: (progress: number) => void
+  ): Promise<PatchResult> {
     const startTime = Date.now();
-    const mergedOptions = { ...this.defaultOptions, ...options };
-
-    // Emit initial progress
-    this._emitProgressWithOptions(
-      {
-        percentage: 0,
-        message: 'Iniciando aplicação do patch...',
-        current: 0,
-        total: 100,
-      },
-      options
+    // Chunk payloads are VCDIFF, whatever the requested backend
+    const selected = await this._selectBackend(
+      options.backend ?? this.defaultOptions.backend ?? 'auto'
     );
+    const backend = selected.format === 'vcdiff' ? selected : this._backends.js;
+    const [{ size: sourceSize }, { size: targetSize }] = await Promise.all([
+      fs.stat(oldFile),
+      fs.stat(newFile),
+    ]);
 
-    try {
-      // Check Xdelta availability
-      this._emitProgressWithOptions(
-        {
-          percentage: 15,
-          message: 'Verificando Xdelta3...',
-          current: 15,
-          total: 100,
-        },
-        options
+    const chunkSize =
+      options.chunkSize ??
+      Math.min(
+        LargeFileUtils.getOptimalChunkSize(targetSize),
+        this.defaultOptions.maxChunkSize ?? DEFAULT_OPTIONS.maxChunkSize
       );
+    const overlap = options.overlap ?? CHUNKED_PATCH.DEFAULT_OVERLAP;
 
-      const xdeltaAvailable = await this.checkXdelta();
-      if (!xdeltaAvailable) {
-        throw new Error(MESSAGES.XDELTA_NOT_FOUND);
-      }
+    // Each chunk is matched with the same relative range of the original
+    // file, widened by the overlap on both sides
+    const ratio = targetSize > 0 ? sourceSize / targetSize : 0;
+    const chunks: PatchChunk[] = (
+      await LargeFileUtils.createChunks(newFile, chunkSize)
+    ).map(chunk => {
+      const sourceStart = Math.max(
+        0,
+        Math.floor(chunk.start * ratio) - overlap
+      );
+      const sourceEnd = Math.min(
+        sourceSize,
+        Math.ceil(chunk.end * ratio) + overlap
+      );
+      return {
+        index: chunk.index,
+        targetStart: chunk.start,
+        targetLength: chunk.size,
+        sourceStart,
+        sourceLength: Math.max(0, sourceEnd - sourceStart),
+      };
+    });
 
-      // Validate files
-      this._emitProgressWithOptions(
-        {
-          percentage: 25,
-          message: 'Validando arquivos de entrada...',
-          current: 25,
-          total: 100,
-        },
-        options
+    const pin = await this._createSourcePin(oldFile, newFile, options);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-chunks-'));
+    try {
+      const payloads = chunks.map(chunk =>
+        path.join(tempDir, `${chunk.index}${FILE_EXTENSIONS.CHUNK}`)
       );
 
-      const oldFileInfo = await this.getFileInfo(oldFile);
-      const patchFileInfo = await this.getFileInfo(patchFile);
+      let done = 0;
+      const inFlight = new Map<number, number>();
+      const report = () => {
+        let current = done;
+        for (const bytes of inFlight.values()) current += bytes;
+        progressCallback(targetSize > 0 ? current / targetSize : 1);
+      };
 
-      if (!oldFileInfo.exists) {
-        throw new Error(`Original file not found: ${oldFile}`);
-      }
+      await this._runChunks(
+        chunks,
+        chunk => chunk.targetLength + chunk.sourceLength,
+        options.signal,
+        async (chunk, signal) => {
+          await this._createChunk(
+            backend,
+            oldFile,
+            newFile,
+            chunk,
+            payloads[chunk.index]!,
+            tempDir,
+            { ...options, signal },
+            progress => {
+              inFlight.set(chunk.index, progress * chunk.targetLength);
+              report();
+            }
+          );
+          inFlight.delete(chunk.index);
+          done += chunk.targetLength;
+          report();
+        }
+      );
 
-      if (!patchFileInfo.exists) {
-        throw new Error(`Patch file not found: ${patchFile}`);
-      }
+      await this.combinePatchChunks(payloads, patchFile, {
+        createdAt: new Date().toISOString(),
+        chunkSize,
+        overlap,
+        sourceSize,
+        targetSize,
+        ...(pin ? { pin: parseSourcePin(pin)! } : {}),
+        chunks,
+      });
+    } finally {
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+    progressCallback(1);
 
-      // Calculate total size for progress tracking
-      const totalSize = oldFileInfo.size + patchFileInfo.size;
-      let processedSize = 0;
+    const patchFileInfo = await this.getFileInfo(patchFile);
+    const duration = Date.now() - startTime;
+    return {
+      success: true,
+      backend: backend.name,
+      patchFile: patchFileInfo,
+      metrics: {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+        compressionRatio: MetricsUtils.calculateCompressionRatio(
+          targetSize,
+          patchFileInfo.size
+        ),
+        originalSize: sourceSize,
+        patchSize: patchFileInfo.size,
+        isLargeFile: true,
+        chunks: chunks.length,
+      },
+    };
+  }
 
-      // Apply patch
-      this._emitProgressWithOptions(
-        {
-          percentage: 40,
-          message: 'Aplicando patch...',
-          current: processedSize,
-          total: totalSize,
-        },
-        options
-      );
+  /**
+   * Encodes one chunk of a chunked patch
+   * @param backend - VCDIFF encoder to use
+   * @param oldFile - Original file path
+   * @param newFile - New file path
+   * @param chunk - Ranges of both files
+   * @param payloadFile - Output VCDIFF payload path
+   * @param tempDir - Directory for the ranges handed to other backends
+   * @param options - Large file options
+   * @param progressCallback - Called with the fraction of the chunk encoded
+   * @private
+   */
+  private async _createChunk(
+    backend: DeltaBackend,
+    oldFile: string,
+    newFile: string,
+    chunk: PatchChunk,
+    payloadFile: string,
+    tempDir: string,
+    options: LargeFileOptions,
+    progressCallback: (progress: number) => void
+  ): Promise<void> {
+    const compression =
+      options.compression ?? this.defaultOptions.compression ?? 9;
+    const xdeltaOptions =
+      options.xdeltaOptions ?? this.defaultOptions.xdeltaOptions;
 
-      // Simulate progress during patch application
-      const progressInterval = setInterval(() => {
-        const randomProgress = Math.random() * 0.4 + 0.4; // 40% to 80%
-        const percentage = Math.min(80, 40 + randomProgress * 0.4);
-        this._emitProgressWithOptions(
-          {
-            percentage: Math.round(percentage),
-            message: 'Aplicando patch...',
-            current: Math.round(randomProgress * totalSize),
-            total: totalSize,
-          },
-          options
+    if (backend === this._backends.js) {
+      // The built-in encoder reads both ranges in place
+      const source = await FileByteSource.open(
+        oldFile,
+        chunk.sourceStart,
+        chunk.sourceLength
+      );
+      try {
+        const target = await FileByteSource.open(
+          newFile,
+          chunk.targetStart,
+          chunk.targetLength
         );
-      }, 200);
+        try {
+          const sink = await FileByteSink.create(payloadFile);
+          try {
+            await VcdiffEncoder.encode(source, target, sink, {
+              ...XdeltaOptionsUtils.toVcdiffOptions(xdeltaOptions),
+              compression,
+              ...(options.signal ? { signal: options.signal } : {}),
+              onProgress: (processed, total) =>
+                progressCallback(total > 0 ? processed / total : 1),
+            });
+          } finally {
+            await sink.close();
+          }
+        } finally {
+          await target.close();
+        }
+      } finally {
+        await source.close();
+      }
+      AbortUtils.throwIfAborted(options.signal);
+      return;
+    }
 
-      try {
-        // Decode mode requires source flag and correct ordering
-        // xdelta3 -d -f -s <oldFile> <patchFile> <newFile>
-        const command = `"${this.xdeltaPath}" -d -f -s "${oldFile}" "${patchFile}" "${newFile}"`;
+    // Other backends need each range as a file of its own
+    const sourceFile = path.join(tempDir, `${chunk.index}.source`);
+    const targetFile = path.join(tempDir, `${chunk.index}.target`);
+    try {
+      await LargeFileUtils.copyRange(
+        oldFile,
+        chunk.sourceStart,
+        chunk.sourceLength,
+        sourceFile
+      );
+      await LargeFileUtils.copyRange(
+        newFile,
+        chunk.targetStart,
+        chunk.targetLength,
+        targetFile
+      );
+      AbortUtils.throwIfAborted(options.signal);
+
+      // No secondary compression: chunks are decoded by the built-in
+      // decoder, straight from the patch file
+      await backend.encode(sourceFile, targetFile, payloadFile, {
+        compression,
+        secondaryCompression: false,
+        ...(xdeltaOptions ? { xdeltaOptions } : {}),
+        onProgress: progressCallback,
+        ...(options.signal ? { signal: options.signal } : {}),
+      });
+      AbortUtils.throwIfAborted(options.signal);
+    } finally {
+      await fs.remove(sourceFile);
+      await fs.remove(targetFile);
+    }
+  }
 
-        const result = await CommandUtils.executeCommand(command);
+  /**
+   * Applies a chunked patch, decoding each chunk straight from the patch
+   * file into its place in the output, several at a time within the
+   * memoryLimit option
+   * @param oldFile - Original file path
+   * @param patchFile - Chunked patch path
+   * @param newFile - Output file path
+   * @param progressCallback - Progress callback function (0 to 1)
+   * @param signal - Stops decoding when aborted
+   * @private
+   */
+  private async _applyChunkedPatch(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    progressCallback: (progress: number) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const { index, payloadStart } = await ChunkedPatchUtils.read(patchFile);
+    const { size: sourceSize } = await fs.stat(oldFile);
+    if (sourceSize !== index.sourceSize) {
+      throw new Error(
+        `Original file does not match the patch: expected ${index.sourceSize} bytes, got ${sourceSize}`
+      );
+    }
 
-        if (!result.success) {
-          throw new Error(`Failed to apply patch: ${result.stderr}`);
-        }
+    // The output gets its final size first, so chunks can be written in
+    // any order
+    await fs.writeFile(newFile, Buffer.alloc(0));
+    await fs.truncate(newFile, index.targetSize);
 
-        // Clear progress interval
-        clearInterval(progressInterval);
+    let done = 0;
+    const inFlight = new Map<number, number>();
+    const report = () => {
+      let current = done;
+      for (const bytes of inFlight.values()) current += bytes;
+      progressCallback(index.targetSize > 0 ? current / index.targetSize : 1);
+    };
 
-        this._emitProgressWithOptions(
-          {
-            percentage: 85,
-            message: 'Verificando resultado...',
-            current: Math.round(totalSize * 0.85),
-            total: totalSize,
-          },
-          options
+    await this._runChunks(
+      index.chunks,
+      // Decoding holds one window and its source segment at a time
+      chunk =>
+        Math.min(chunk.sourceLength, VCDIFF.DEFAULT_SOURCE_WINDOW_SIZE) +
+        Math.min(chunk.targetLength, VCDIFF.DEFAULT_WINDOW_SIZE),
+      signal,
+      async (chunk, chunkSignal) => {
+        const source = await FileByteSource.open(
+          oldFile,
+          chunk.sourceStart,
+          chunk.sourceLength
         );
+        try {
+          const payload = await FileByteSource.open(
+            patchFile,
+            payloadStart + chunk.offset!,
+            chunk.length!
+          );
+          try {
+            const sink = await FileByteSink.open(newFile, chunk.targetStart);
+            try {
+              await VcdiffDecoder.decode(payload, source, sink, {
+                signal: chunkSignal,
+                onProgress: (processed, total) => {
+                  inFlight.set(
+                    chunk.index,
+                    (total > 0 ? processed / total : 1) * chunk.targetLength
+                  );
+                  report();
+                },
+              });
+              if (sink.written !== chunk.targetLength) {
+                throw new Error(
+                  `Chunk ${chunk.index} decoded to ${sink.written} bytes instead of ${chunk.targetLength}`
+                );
+              }
+            } finally {
+              await sink.close();
+            }
+          } finally {
+            await payload.close();
+          }
+        } finally {
+          await source.close();
+        }
+        inFlight.delete(chunk.index);
+        done += chunk.targetLength;
+        report();
+      }
+    );
+    progressCallback(1);
+  }
 
-        const newFileInfo = await this.getFileInfo(newFile);
-        const duration = Date.now() - startTime;
+  /**
+   * Processes the chunks of a chunked patch, as many at once as the
+   * memoryLimit option allows; the first failure stops the others
+   * @param chunks - Chunks to process
+   * @param chunkMemory - Memory one chunk needs
+   * @param signal - Stops every chunk when aborted
+   * @param task - Processes one chunk; receives a signal that is also
+   * aborted when another chunk fails
+   * @private
+   */
+  private async _runChunks(
+    chunks: PatchChunk[],
+    chunkMemory: (chunk: PatchChunk) => number,
+    signal: AbortSignal | undefined,
+    task: (chunk: PatchChunk, signal: AbortSignal) => Promise<void>
+  ): Promise<void> {
+    const parallel = LargeFileUtils.getChunkParallelism(
+      Math.max(0, ...chunks.map(chunkMemory)),
+      this.defaultOptions.memoryLimit ?? DEFAULT_OPTIONS.memoryLimit
+    );
+    const scope = AbortUtils.createSignal(signal);
+    let failure: { error: unknown } | undefined;
 
-        const finalResult = {
-          success: true,
-          newFile: newFileInfo,
-          metrics: {
-            duration,
-            durationFormatted: MetricsUtils.formatDuration(duration),
+    try {
+      // Every running chunk has stopped before this returns
+      await BatchUtils.runWithConcurrency(chunks, parallel, async chunk => {
+        if (failure || scope.signal.aborted) return;
+        try {
+          await task(chunk, scope.signal);
+        } catch (error) {
+          if (!failure) failure = { error };
+          scope.abort();
+        }
+      });
+    } finally {
+      scope.dispose();
+    }
+
+    AbortUtils.throwIfAborted(signal);
+    if (failure) {
+      throw failure.error;
+    }
+  }
+
+  /**
+   * Creates a GRF patch: compares two archives entry by entry and stores
+   * the added entries, a delta (or the new stored data, when smaller) for
+   * each changed one and the names of the removed ones
+   * @param oldFile - Original archive path
+   * @param newFile - New archive path
+   * @param patchFile - Output patch file path
+   * @param options - Patch creation options
+   * @param progressCallback - Called with the fraction of the new entries
+   * compared
+   * @returns Promise with patch result
+   * @private
+   */
+  private async _createGrfPatch(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: CreatePatchOptions,
+    progressCallback: (progress: number) => void
+  ): Promise<PatchResult> {
+    const startTime = Date.now();
+    const compression =
+      options.compression ?? this.defaultOptions.compression ?? 9;
+    const algorithm = SOURCE_PIN.ALGORITHM;
+    const pin = options.pinSource !== false;
+    const counts = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    const entries: GrfPatchEntry[] = [];
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-grf-'));
+    const payloadFile = path.join(tempDir, 'payload');
+    const source = await GrfArchive.open(oldFile);
+    try {
+      const target = await GrfArchive.open(newFile);
+      try {
+        const payload = await FileByteSink.create(payloadFile);
+        try {
+          for (const [position, next] of target.entries.entries()) {
+            AbortUtils.throwIfAborted(options.signal);
+            progressCallback(position / target.entries.length);
+
+            // Identical stored data needs no decompression
+            const previous = source.get(next.name);
+            if (
+              previous &&
+              previous.flags === next.flags &&
+              previous.compressedSize === next.compressedSize &&
+              previous.size === next.size
+            ) {
+              const [before, after] = await Promise.all([
+                source.readStored(previous),
+                target.readStored(next),
+              ]);
+              if (before.equals(after)) {
+                counts.unchanged++;
+                continue;
+              }
+            }
+
+            // Recompressed entries with the same content are unchanged too
+            const newData = await target.read(next);
+            let oldData: Buffer | undefined;
+            if (previous) {
+              oldData = await source.read(previous);
+              if (previous.flags === next.flags && oldData.equals(newData)) {
+                counts.unchanged++;
+                continue;
+              }
+            }
+
+            const entry: GrfPatchEntry = {
+              name: next.name,
+              action: previous ? 'change' : 'add',
+              flags: next.flags,
+              size: next.size,
+              encoding: 'stored',
+              ...(pin && oldData
+                ? { sourceHash: HashUtils.hashBuffer(oldData, algorithm) }
+                : {}),
+              ...(pin
+                ? { targetHash: HashUtils.hashBuffer(newData, algorithm) }
+                : {}),
+            };
+            counts[previous ? 'changed' : 'added']++;
+
+            let data = GrfArchive.isFile(next)
+              ? await target.readStored(next)
+              : Buffer.alloc(0);
+            if (oldData && GrfArchive.isFile(next)) {
+              const delta = new BufferByteSink();
+              await VcdiffEncoder.encode(
+                new BufferByteSource(oldData),
+                new BufferByteSource(newData),
+                delta,
+                {
+                  compression,
+                  ...(options.signal ? { signal: options.signal } : {}),
+                }
+              );
+              if (delta.written < data.length) {
+                entry.encoding = 'vcdiff';
+                data = delta.toBuffer();
+              }
+            }
+            // Encrypted entries and stored data are written back as they are
+            if (entry.encoding === 'stored' || GrfArchive.isEncrypted(next)) {
+              entry.compressedSize = next.compressedSize;
+              entry.alignedSize = next.alignedSize;
+            }
+
+            entry.offset = payload.written;
+            entry.length = data.length;
+            await payload.write(data);
+            entries.push(entry);
+          }
+        } finally {
+          await payload.close();
+        }
+
+        for (const previous of source.entries) {
+          if (!target.get(previous.name)) {
+            entries.push({ name: previous.name, action: 'remove' });
+            counts.removed++;
+          }
+        }
+
+        await GrfPatchUtils.write(
+          patchFile,
+          {
+            createdAt: new Date().toISOString(),
+            algorithm,
+            sourceSize: source.size,
+            sourceEntries: source.entries.length,
+            targetSize: target.size,
+            targetEntries: target.entries.length,
+            unchanged: counts.unchanged,
+            entries,
           },
+          payloadFile
+        );
+      } finally {
+        await target.close();
+      }
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    } finally {
+      await source.close();
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+    progressCallback(1);
+
+    const patchFileInfo = await this.getFileInfo(patchFile);
+    const { size: targetSize } = await fs.stat(newFile);
+    const duration = Date.now() - startTime;
+    return {
+      success: true,
+      backend: 'js',
+      patchFile: patchFileInfo,
+      metrics: {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+        compressionRatio: MetricsUtils.calculateCompressionRatio(
+          targetSize,
+          patchFileInfo.size
+        ),
+        originalSize: (await fs.stat(oldFile)).size,
+        patchSize: patchFileInfo.size,
+        isLargeFile: targetSize > this.defaultOptions.largeFileThreshold!,
+        grfEntries: counts,
+      },
+    };
+  }
+
+  /**
+   * Applies a GRF patch. 'rebuild' writes a new archive with the original
+   * entries' stored data copied as is; 'append' writes the new entries and
+   * file table after the end of the archive, which is newFile itself when
+   * patching in place or a copy of oldFile otherwise.
+   * @param oldFile - Original archive path
+   * @param patchFile - GRF patch path
+   * @param newFile - Output archive path
+   * @param progressCallback - Progress callback function (0 to 1)
+   * @param signal - Stops applying when aborted
+   * @param options - Apply mode and whether entry hashes are checked
+   * @throws EntryMismatchError when an entry does not match the patch
+   * @private
+   */
+  private async _applyGrfPatch(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    progressCallback: (progress: number) => void,
+    signal: AbortSignal | undefined,
+    options: { mode?: GrfApplyMode; checkSource?: boolean }
+  ): Promise<void> {
+    const { index, payloadStart } = await GrfPatchUtils.read(patchFile);
+    const check = options.checkSource !== false;
+    const changes = new Map(index.entries.map(entry => [entry.name, entry]));
+    const inPlace = path.resolve(oldFile) === path.resolve(newFile);
+
+    const source = await GrfArchive.open(oldFile);
+    let output: GrfArchive | undefined;
+    let writer: GrfWriter | undefined;
+    const patch = await fs.open(patchFile, 'r');
+    try {
+      // The original archive is checked before anything is written: its
+      // entry count, the entries the patch adds or removes, and the data of
+      // every entry it changes
+      if (check && source.entries.length !== index.sourceEntries) {
+        throw new EntryMismatchError(
+          'SOURCE_MISMATCH',
+          `Original archive has ${source.entries.length} entries instead of ${index.sourceEntries}`
+        );
+      }
+      for (const entry of index.entries) {
+        const exists = source.get(entry.name) !== undefined;
+        if (
+          check &&
+          entry.action !== 'change' &&
+          exists !== (entry.action === 'remove')
+        ) {
+          throw new EntryMismatchError(
+            'SOURCE_MISMATCH',
+            exists
+              ? `Original archive already has entry ${entry.name}`
+              : `Original archive has no entry ${entry.name}`
+          );
+        }
+
+        if (entry.action !== 'change') continue;
+        const previous = source.get(entry.name);
+        if (!previous) {
+          throw new EntryMismatchError(
+            'SOURCE_MISMATCH',
+            `Original archive has no entry ${entry.name}`
+          );
+        }
+        if (check && entry.sourceHash !== undefined) {
+          const actual = HashUtils.hashBuffer(
+            await source.read(previous),
+            index.algorithm
+          );
+          if (actual !== entry.sourceHash) {
+            throw new EntryMismatchError(
+              'SOURCE_MISMATCH',
+              `Entry ${entry.name} of the original archive does not match the patch: expected ${index.algorithm} ${entry.sourceHash}, got ${actual}`
+            );
+          }
+        }
+      }
+
+      const writeEntry = async (entry: GrfPatchEntry) => {
+        AbortUtils.throwIfAborted(signal);
+        const fields = {
+          name: entry.name,
+          flags: entry.flags!,
+          size: entry.size!,
+          compressedSize: entry.compressedSize ?? 0,
+          alignedSize: entry.alignedSize ?? 0,
         };
+        if (!GrfArchive.isFile(fields)) {
+          writer!.addEntry({ ...fields, offset: 0 });
+          return;
+        }
+
+        const payload = Buffer.alloc(entry.length!);
+        await fs.read(
+          patch,
+          payload,
+          0,
+          payload.length,
+          payloadStart + entry.offset!
+        );
+
+        let data: Buffer;
+        if (entry.encoding === 'vcdiff') {
+          const decoded = new BufferByteSink();
+          await VcdiffDecoder.decode(
+            new BufferByteSource(payload),
+            new BufferByteSource(await source.read(source.get(entry.name)!)),
+            decoded,
+            signal ? { signal } : {}
+          );
+          data = decoded.toBuffer();
+        } else {
+          data = await GrfArchive.decode(fields, payload);
+        }
+
+        if (check && entry.targetHash !== undefined) {
+          const actual = HashUtils.hashBuffer(data, index.algorithm);
+          if (actual !== entry.targetHash) {
+            throw new EntryMismatchError(
+              'TARGET_MISMATCH',
+              `Entry ${entry.name} does not match the patch after applying: expected ${index.algorithm} ${entry.targetHash}, got ${actual}`
+            );
+          }
+        }
+
+        // A delta rebuilds the content, which is compressed again
+        if (entry.encoding === 'vcdiff' && !GrfArchive.isEncrypted(fields)) {
+          await writer!.addFile(entry.name, data);
+        } else {
+          await writer!.addStored(
+            fields,
+            entry.encoding === 'vcdiff' ? data : payload
+          );
+        }
+      };
+
+      const total = index.entries.length;
+      let done = 0;
+      if (options.mode === 'append') {
+        if (inPlace) {
+          writer = await GrfWriter.append(source);
+        } else {
+          await fs.copy(oldFile, newFile);
+          output = await GrfArchive.open(newFile);
+          writer = await GrfWriter.append(output);
+        }
+
+        for (const entry of index.entries) {
+          if (entry.action === 'remove') {
+            writer.remove(entry.name);
+          } else {
+            await writeEntry(entry);
+          }
+          progressCallback(++done / total);
+        }
+      } else {
+        writer = await GrfWriter.create(newFile, source.key);
+        const work = total + source.entries.length;
+        // Original entries keep their order; added entries go last
+        for (const previous of source.entries) {
+          AbortUtils.throwIfAborted(signal);
+          const entry = changes.get(previous.name);
+          if (!entry) {
+            if (GrfArchive.isFile(previous)) {
+              await writer.addStored(
+                previous,
+                await source.readStored(previous)
+              );
+            } else {
+              writer.addEntry(previous);
+            }
+          } else if (entry.action !== 'remove') {
+            await writeEntry(entry);
+          }
+          progressCallback(++done / work);
+        }
+
+        for (const entry of index.entries) {
+          if (entry.action === 'add' && !source.get(entry.name)) {
+            await writeEntry(entry);
+          }
+          progressCallback(++done / work);
+        }
+      }
+
+      await writer.finish();
+    } catch (error) {
+      AbortUtils.throwIfAborted(signal);
+      throw error;
+    } finally {
+      await writer?.close();
+      await output?.close();
+      await source.close();
+      await fs.close(patch);
+    }
+    progressCallback(1);
+  }
+
+  /**
+   * Creates a ZIP patch. The bytes around the entry data (local headers,
+   * central directory) get one delta; the data of each entry is rebuilt
+   * from a delta of its decompressed content when zlib compresses that
+   * content back into exactly the same bytes, and from a delta of the data
+   * as stored otherwise.
+   * @param oldFile - Original archive path
+   * @param newFile - New archive path
+   * @param patchFile - Output patch file path
+   * @param options - Patch creation options
+   * @param progressCallback - Called with the fraction of the new entries
+   * encoded
+   * @returns Promise with patch result
+   * @private
+   */
+  private async _createZipPatch(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: CreatePatchOptions,
+    progressCallback: (progress: number) => void
+  ): Promise<PatchResult> {
+    const startTime = Date.now();
+    const compression =
+      options.compression ?? this.defaultOptions.compression ?? 9;
+    const algorithm = SOURCE_PIN.ALGORITHM;
+    const pin = await this._createSourcePin(oldFile, newFile, options);
+    const counts = { recompressed: 0, raw: 0, unchanged: 0 };
+    const entries: ZipPatchEntry[] = [];
+    const encode = async (source: Buffer, target: Buffer) => {
+      const delta = new BufferByteSink();
+      await VcdiffEncoder.encode(
+        new BufferByteSource(source),
+        new BufferByteSource(target),
+        delta,
+        {
+          compression,
+          ...(options.signal ? { signal: options.signal } : {}),
+        }
+      );
+      return delta.toBuffer();
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-zip-'));
+    const payloadFile = path.join(tempDir, 'payload');
+    const source = await ZipArchive.open(oldFile);
+    try {
+      const target = await ZipArchive.open(newFile);
+      try {
+        const payload = await FileByteSink.create(payloadFile);
+        let layout: ZipPatchIndex['skeleton'];
+        try {
+          const [oldLayout, newLayout] = await Promise.all([
+            source.readLayout(),
+            target.readLayout(),
+          ]);
+          const layoutDelta = await encode(oldLayout, newLayout);
+          layout = {
+            sourceLength: oldLayout.length,
+            targetLength: newLayout.length,
+            offset: 0,
+            length: layoutDelta.length,
+          };
+          await payload.write(layoutDelta);
 
-        // Emit completion progress and event
-        this._emitProgressWithOptions(
+          // Archives are usually written with one setting, so the last one
+          // found is tried first, and the search stops for archives whose
+          // compressor zlib does not reproduce
+          let preferred: DeflateParams | undefined;
+          let misses = 0;
+          for (const [position, next] of target.entries.entries()) {
+            AbortUtils.throwIfAborted(options.signal);
+            progressCallback(position / target.entries.length);
+
+            const data = await target.readData(next);
+            const previous = source.get(next.name);
+            const oldData = previous
+              ? await source.readData(previous)
+              : undefined;
+            const entry: ZipPatchEntry = {
+              name: next.name,
+              dataOffset: next.dataOffset,
+              compressedSize: next.compressedSize,
+              encoding: 'raw',
+              ...(pin
+                ? { dataHash: HashUtils.hashBuffer(data, algorithm) }
+                : {}),
+            };
+            if (previous && oldData!.equals(data)) {
+              entry.encoding = 'copy';
+              entry.source = previous.name;
+              counts.unchanged++;
+              entries.push(entry);
+              continue;
+            }
+
+            let delta = data;
+            if (previous) {
+              const dataDelta = await encode(oldData!, data);
+              if (dataDelta.length < delta.length) {
+                delta = dataDelta;
+                entry.source = previous.name;
+              }
+            }
+
+            if (
+              previous &&
+              next.method === ZIP.METHOD_DEFLATED &&
+              ZipArchive.canInflate(next) &&
+              ZipArchive.canInflate(previous) &&
+              misses < ZIP.MAX_PROBE_MISSES
+            ) {
+              const content = await target.read(next).catch(() => undefined);
+              const params =
+                content &&
+                (await ZipArchive.findDeflateParams(content, data, preferred));
+              const oldContent =
+                params && (await source.read(previous).catch(() => undefined));
+              if (params) {
+                preferred = params;
+                misses = 0;
+              } else if (content) {
+                misses++;
+              }
+
+              if (content && params && oldContent) {
+                const contentDelta = await encode(oldContent, content);
+                if (contentDelta.length < delta.length) {
+                  delta = contentDelta;
+                  entry.encoding = 'deflate';
+                  entry.source = previous.name;
+                  entry.deflate = params;
+                  entry.size = next.size;
+                  entry.crc32 = next.crc32;
+                }
+              }
+            }
+
+            counts[entry.encoding === 'deflate' ? 'recompressed' : 'raw']++;
+            entry.offset = payload.written;
+            entry.length = delta.length;
+            await payload.write(delta);
+            entries.push(entry);
+          }
+        } finally {
+          await payload.close();
+        }
+
+        await ZipPatchUtils.write(
+          patchFile,
           {
-            percentage: 100,
-            message: 'Patch aplicado com sucesso!',
-            current: totalSize,
-            total: totalSize,
+            createdAt: new Date().toISOString(),
+            algorithm,
+            sourceSize: source.size,
+            targetSize: target.size,
+            ...(pin ? { pin: parseSourcePin(pin)! } : {}),
+            skeleton: layout,
+            entries,
+          },
+          payloadFile
+        );
+      } finally {
+        await target.close();
+      }
+    } catch (error) {
+      AbortUtils.throwIfAborted(options.signal);
+      throw error;
+    } finally {
+      await source.close();
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+    progressCallback(1);
+
+    const patchFileInfo = await this.getFileInfo(patchFile);
+    const { size: targetSize } = await fs.stat(newFile);
+    const duration = Date.now() - startTime;
+    return {
+      success: true,
+      backend: 'js',
+      patchFile: patchFileInfo,
+      metrics: {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+        compressionRatio: MetricsUtils.calculateCompressionRatio(
+          targetSize,
+          patchFileInfo.size
+        ),
+        originalSize: (await fs.stat(oldFile)).size,
+        patchSize: patchFileInfo.size,
+        isLargeFile: targetSize > this.defaultOptions.largeFileThreshold!,
+        zipEntries: counts,
+      },
+    };
+  }
+
+  /**
+   * Applies a ZIP patch, writing the new archive in order: the bytes around
+   * the entry data come from one delta, and the data of each entry is
+   * copied, decoded or decoded and compressed again
+   * @param oldFile - Original archive path
+   * @param patchFile - ZIP patch path
+   * @param newFile - Output archive path
+   * @param progressCallback - Progress callback function (0 to 1)
+   * @param signal - Stops applying when aborted
+   * @throws EntryMismatchError when the archive or an entry does not match
+   * the patch
+   * @private
+   */
+  private async _applyZipPatch(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    progressCallback: (progress: number) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const { index, payloadStart } = await ZipPatchUtils.read(patchFile);
+    const source = await ZipArchive.open(oldFile);
+    const patch = await fs.open(patchFile, 'r');
+    let output: FileByteSink | undefined;
+
+    const readPayload = async (offset: number, length: number) => {
+      const data = Buffer.alloc(length);
+      await fs.read(patch, data, 0, length, payloadStart + offset);
+      return data;
+    };
+    const decode = async (delta: Buffer, from: Buffer) => {
+      const sink = new BufferByteSink();
+      await VcdiffDecoder.decode(
+        new BufferByteSource(delta),
+        new BufferByteSource(from),
+        sink,
+        signal ? { signal } : {}
+      );
+      return sink.toBuffer();
+    };
+    const sourceOf = (entry: ZipPatchEntry) => {
+      const previous = source.get(entry.source!);
+      if (!previous) {
+        throw new EntryMismatchError(
+          'SOURCE_MISMATCH',
+          `Original archive has no entry ${entry.source}`
+        );
+      }
+      return previous;
+    };
+
+    try {
+      const oldLayout = await source.readLayout();
+      if (oldLayout.length !== index.skeleton.sourceLength) {
+        throw new EntryMismatchError(
+          'SOURCE_MISMATCH',
+          `Original archive does not match the patch: ${oldLayout.length} bytes of headers instead of ${index.skeleton.sourceLength}`
+        );
+      }
+      const layout = await decode(
+        await readPayload(index.skeleton.offset, index.skeleton.length),
+        oldLayout
+      );
+
+      output = await FileByteSink.create(newFile);
+      // Bytes of the layout and of entry data written so far
+      let position = 0;
+      let dataWritten = 0;
+      for (const [done, entry] of index.entries.entries()) {
+        AbortUtils.throwIfAborted(signal);
+        const start = entry.dataOffset - dataWritten;
+        if (start < position || start > layout.length) {
+          throw new Error(`ZIP patch is corrupt (position of ${entry.name})`);
+        }
+        await output.write(layout.subarray(position, start));
+        position = start;
+
+        let data: Buffer;
+        if (entry.encoding === 'copy') {
+          data = await source.readData(sourceOf(entry));
+        } else {
+          const payload = await readPayload(entry.offset!, entry.length!);
+          if (entry.encoding === 'deflate') {
+            const content = await decode(
+              payload,
+              await source.read(sourceOf(entry))
+            );
+            if (
+              content.length !== entry.size ||
+              crc32(content) !== entry.crc32
+            ) {
+              throw new EntryMismatchError(
+                'TARGET_MISMATCH',
+                `Entry ${entry.name} does not match the patch after applying`
+              );
+            }
+            data = await ZipArchive.deflate(content, entry.deflate!);
+          } else if (entry.source !== undefined) {
+            data = await decode(
+              payload,
+              await source.readData(sourceOf(entry))
+            );
+          } else {
+            data = payload;
+          }
+        }
+
+        // zlib builds other than the one that created the patch may
+        // compress differently
+        if (
+          data.length !== entry.compressedSize ||
+          (entry.dataHash !== undefined &&
+            HashUtils.hashBuffer(data, index.algorithm) !== entry.dataHash)
+        ) {
+          throw new EntryMismatchError(
+            'TARGET_MISMATCH',
+            entry.encoding === 'deflate'
+              ? `zlib did not compress entry ${entry.name} back into its original data`
+              : `Entry ${entry.name} does not match the patch after applying`
+          );
+        }
+        await output.write(data);
+        dataWritten += data.length;
+        progressCallback((done + 1) / index.entries.length);
+      }
+      await output.write(layout.subarray(position));
+    } catch (error) {
+      AbortUtils.throwIfAborted(signal);
+      throw error;
+    } finally {
+      await output?.close();
+      await source.close();
+      await fs.close(patch);
+    }
+    progressCallback(1);
+  }
+
+  /**
+   * Applies a patch to a file
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param options - Apply patch options
+   * @returns Promise with apply result
+   */
+  async applyPatch(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: ApplyPatchOptions = {}
+  ): Promise<ApplyPatchResult> {
+    return (await this._applyPatch(
+      oldFile,
+      patchFile,
+      newFile,
+      options
+    )) as ApplyPatchResult;
+  }
+
+  /**
+   * Applies a patch given as a buffer or readable stream and writes the new
+   * file to a writable stream, which is ended once the output matches the
+   * patch's pinned target. The inputs are staged in a temporary directory
+   * first; the atomic and backup options are not used.
+   * @param oldData - Original data
+   * @param patch - Patch data
+   * @param output - Stream receiving the new file
+   * @param options - Apply patch options
+   * @returns Promise with apply result
+   */
+  async applyPatchToStream(
+    oldData: PatchInput,
+    patch: PatchInput,
+    output: Writable,
+    options: ApplyPatchOptions = {}
+  ): Promise<StreamApplyResult> {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-stream-'));
+    const oldFile = path.join(tempDir, 'old');
+    const patchFile = path.join(tempDir, `patch${FILE_EXTENSIONS.PATCH}`);
+    try {
+      return await this._applyPatch(
+        oldFile,
+        patchFile,
+        path.join(tempDir, 'new'),
+        { ...options, atomic: false, backup: false },
+        {
+          stage: async signal => {
+            await Promise.all([
+              AdvancedPatchGenerator._stageInput(oldData, oldFile, signal),
+              AdvancedPatchGenerator._stageInput(patch, patchFile, signal),
+            ]);
           },
-          options
+          output,
+        }
+      );
+    } finally {
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Applies a patch to a file, which applyPatchToStream stages from its
+   * inputs first
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param options - Apply patch options
+   * @param streams - Inputs to stage and the stream receiving the new file
+   * @returns Promise with apply result (without newFile for streams)
+   * @private
+   */
+  private async _applyPatch(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: ApplyPatchOptions,
+    streams?: StagedStreams
+  ): Promise<ApplyPatchResult | StreamApplyResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    const startTime = Date.now();
+    const mergedOptions = { ...this.defaultOptions, ...options };
+    let errorCode = 'PATCH_APPLY_FAILED';
+    let sourceCheck: SourceCheck | undefined;
+    // Patching in place and keeping a backup both need the atomic mode
+    const atomic =
+      options.atomic !== false ||
+      options.backup === true ||
+      path.resolve(oldFile) === path.resolve(newFile);
+    let tempFile = atomic ? AtomicUtils.tempPathFor(newFile) : undefined;
+    const abort = AbortUtils.createSignal(
+      options.signal,
+      mergedOptions.timeout
+    );
+    // Removed when the operation is stopped halfway
+    let partialFile: string | undefined;
+
+    // Emit initial progress
+    tracker.update({
+      percentage: 0,
+      message: 'Iniciando aplicação do patch...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      if (streams) {
+        tracker.update({
+          percentage: 5,
+          message: 'Recebendo dados...',
+        });
+        await streams.stage(abort.signal);
+      }
+
+      XdeltaOptionsUtils.validate(mergedOptions.xdeltaOptions);
+
+      // Select the decoder (xdelta3 executable or built-in JavaScript)
+      tracker.update({
+        percentage: 15,
+        message: 'Verificando Xdelta3...',
+      });
+
+      const backend = await this._selectBackend(
+        mergedOptions.backend ?? 'auto'
+      );
+
+      // Validate files
+      tracker.update({
+        percentage: 25,
+        message: 'Validando arquivos de entrada...',
+      });
+
+      const oldFileInfo = await this.getFileInfo(oldFile);
+      const patchFileInfo = await this.getFileInfo(patchFile);
+
+      if (!oldFileInfo.exists) {
+        throw new Error(`Original file not found: ${oldFile}`);
+      }
+
+      if (!patchFileInfo.exists) {
+        throw new Error(`Patch file not found: ${patchFile}`);
+      }
+
+      const grf = await GrfPatchUtils.isGrfPatch(patchFile);
+      const patchFormat: PatchFormat = grf
+        ? 'grf'
+        : (await ZipPatchUtils.isZipPatch(patchFile))
+          ? 'zip'
+          : 'vcdiff';
+      if (options.format && options.format !== patchFormat) {
+        throw new Error(`Not a ${options.format} patch: ${patchFile}`);
+      }
+      // Appending to a GRF archive in place needs no temporary copy: its
+      // file table stays valid until the new header is written
+      const appendInPlace =
+        grf &&
+        options.grfMode === 'append' &&
+        options.atomic === false &&
+        !options.backup &&
+        path.resolve(oldFile) === path.resolve(newFile);
+      if (appendInPlace) {
+        tempFile = undefined;
+      }
+
+      // Progress counts the bytes written to the output
+      const totalSize =
+        (await this._readTargetSize(patchFile)) ?? patchFileInfo.size;
+
+      // Refuse a source other than the one the patch was created from
+      const pin =
+        options.checkSource === false
+          ? null
+          : await this._readSourcePin(patchFile);
+      if (pin) {
+        tracker.update({
+          percentage: 30,
+          message: 'Verificando arquivo original...',
+          current: 0,
+          total: totalSize,
+        });
+
+        sourceCheck = {
+          algorithm: pin.algorithm,
+          expectedSourceSize: pin.sourceSize,
+          actualSourceSize: oldFileInfo.size,
+          expectedSourceHash: pin.sourceHash,
+          actualSourceHash: await HashUtils.hashFile(
+            oldFile,
+            pin.algorithm,
+            abort.signal
+          ),
+          expectedTargetHash: pin.targetHash,
+        };
+        if (
+          sourceCheck.actualSourceSize !== pin.sourceSize ||
+          sourceCheck.actualSourceHash !== pin.sourceHash
+        ) {
+          errorCode = 'SOURCE_MISMATCH';
+          throw new Error(
+            `Original file does not match the patch: expected ${pin.algorithm} ${pin.sourceHash} (${pin.sourceSize} bytes), got ${sourceCheck.actualSourceHash} (${oldFileInfo.size} bytes)`
+          );
+        }
+      }
+
+      // Apply patch
+      tracker.update({
+        percentage: 40,
+        message: 'Aplicando patch...',
+        current: 0,
+        total: totalSize,
+      });
+
+      const outputFile = tempFile ?? newFile;
+      AbortUtils.throwIfAborted(abort.signal);
+      // An archive appended to in place is restored by the GRF writer
+      partialFile = appendInPlace ? undefined : outputFile;
+      const decodedBy = await this._applyPatchWithBackend(
+        backend,
+        oldFile,
+        patchFile,
+        outputFile,
+        progress => {
+          tracker.update({
+            percentage: Math.round(40 + progress * 40), // 40% to 80%
+            message: 'Aplicando patch...',
+            current: Math.round(progress * totalSize),
+            total: totalSize,
+          });
+        },
+        abort.signal,
+        {
+          ...(options.grfMode ? { mode: options.grfMode } : {}),
+          ...(options.checkSource === false ? { checkSource: false } : {}),
+          ...(mergedOptions.xdeltaOptions
+            ? { xdeltaOptions: mergedOptions.xdeltaOptions }
+            : {}),
+        }
+      );
+
+      tracker.update({
+        percentage: 85,
+        message: 'Verificando resultado...',
+        current: totalSize,
+        total: totalSize,
+      });
+
+      if (pin && sourceCheck) {
+        sourceCheck.actualTargetHash = await HashUtils.hashFile(
+          outputFile,
+          pin.algorithm,
+          abort.signal
+        );
+        if (sourceCheck.actualTargetHash !== pin.targetHash) {
+          errorCode = 'TARGET_MISMATCH';
+          await fs.remove(outputFile);
+          throw new Error(
+            `Patch output does not match the pinned target: expected ${pin.algorithm} ${pin.targetHash}, got ${sourceCheck.actualTargetHash}`
+          );
+        }
+      }
+
+      // The verified output replaces the target in a single rename
+      if (tempFile) {
+        if (options.backup) {
+          const journal = await BackupJournal.create(newFile, 'file');
+          await journal.record(path.basename(newFile));
+        }
+        await AtomicUtils.replace(tempFile, newFile);
+        tempFile = undefined;
+      }
+
+      // A streamed output only exists in the output stream
+      if (streams) {
+        await pipeline(fs.createReadStream(newFile), streams.output, {
+          signal: abort.signal,
+        });
+      }
+
+      const newFileInfo = streams ? undefined : await this.getFileInfo(newFile);
+      const duration = Date.now() - startTime;
+
+      const finalResult = {
+        success: true,
+        backend: decodedBy,
+        ...(newFileInfo ? { newFile: newFileInfo } : {}),
+        ...(sourceCheck ? { sourceCheck } : {}),
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+        },
+      };
+
+      // Emit completion progress and event
+      tracker.update({
+        percentage: 100,
+        message: 'Patch aplicado com sucesso!',
+        current: totalSize,
+        total: totalSize,
+      });
+
+      this._emitCompleteWithOptions(finalResult, options);
+
+      return finalResult;
+    } catch (error) {
+      // The target is left as it was
+      if (tempFile) {
+        await fs.remove(tempFile);
+      }
+      if (
+        error instanceof EntryMismatchError ||
+        error instanceof XdeltaOptionsError
+      ) {
+        errorCode = error.code;
+      }
+
+      const aborted = AbortUtils.getError(abort.signal);
+      if (aborted) {
+        errorCode = aborted.code;
+        if (partialFile) {
+          await fs.remove(partialFile);
+        }
+      }
+
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to apply patch: ${errorMessage}`,
+          code: errorCode,
+          details: sourceCheck ?? error,
+        },
+        options
+      );
+
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode,
+        newFile: {} as FileInfo,
+        ...(sourceCheck ? { sourceCheck } : {}),
+        metrics: {
+          duration: Date.now() - startTime,
+          durationFormatted: MetricsUtils.formatDuration(
+            Date.now() - startTime
+          ),
+        },
+      };
+    } finally {
+      abort.dispose();
+    }
+  }
+  /**
+   * Applies a sequence of patches (v1 -> v2 -> v3...) in one call. Every
+   * intermediate version is decoded into a temporary directory and checked
+   * against the pins of the patches around it; only the last output is
+   * written next to newFile and renamed over it.
+   * @param oldFile - Original file path
+   * @param patchFiles - Patch file paths, in the order they apply
+   * @param newFile - Output file path
+   * @param options - Apply patch options (timeout covers the whole chain)
+   * @returns Promise with chain result, with the failing patch in failedStep
+   */
+  async applyPatchChain(
+    oldFile: string,
+    patchFiles: string[],
+    newFile: string,
+    options: ApplyPatchOptions = {}
+  ): Promise<PatchChainResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    const startTime = Date.now();
+    const mergedOptions = { ...this.defaultOptions, ...options };
+    let errorCode = 'PATCH_APPLY_FAILED';
+    const steps: PatchChainStep[] = [];
+    let failedStep: number | undefined;
+    const atomic =
+      options.atomic !== false ||
+      options.backup === true ||
+      path.resolve(oldFile) === path.resolve(newFile);
+    const abort = AbortUtils.createSignal(
+      options.signal,
+      mergedOptions.timeout
+    );
+    // Output of the last step, removed if the chain does not complete
+    let partialFile: string | undefined;
+    let stepStart = startTime;
+    const stepMetrics = () => {
+      const duration = Date.now() - stepStart;
+      return {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+      };
+    };
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-chain-'));
+
+    tracker.update({
+      percentage: 0,
+      message: 'Iniciando aplicação dos patches...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      if (patchFiles.length === 0) {
+        throw new Error('No patches to apply');
+      }
+      XdeltaOptionsUtils.validate(mergedOptions.xdeltaOptions);
+
+      const backend = await this._selectBackend(
+        mergedOptions.backend ?? 'auto'
+      );
+
+      tracker.update({
+        percentage: 5,
+        message: 'Validando arquivos de entrada...',
+      });
+
+      if (!(await fs.pathExists(oldFile))) {
+        throw new Error(`Original file not found: ${oldFile}`);
+      }
+
+      // Every patch is read before anything is decoded, so a chain with a
+      // missing or out-of-order patch fails at once
+      const plan: { patchFile: string; pin: SourcePin | null; size: number }[] =
+        [];
+      for (const [index, patchFile] of patchFiles.entries()) {
+        failedStep = index;
+        if (!(await fs.pathExists(patchFile))) {
+          throw new Error(`Patch file not found: ${patchFile}`);
+        }
+
+        const pin =
+          options.checkSource === false
+            ? null
+            : await this._readSourcePin(patchFile);
+        const previous = plan[index - 1]?.pin;
+        if (
+          pin &&
+          previous &&
+          pin.algorithm === previous.algorithm &&
+          (pin.sourceSize !== previous.targetSize ||
+            pin.sourceHash !== previous.targetHash)
+        ) {
+          errorCode = 'SOURCE_MISMATCH';
+          throw new Error(
+            `Patch does not apply to the output of the previous one: expected ${pin.algorithm} ${pin.sourceHash} (${pin.sourceSize} bytes), the previous patch produces ${previous.targetHash} (${previous.targetSize} bytes)`
+          );
+        }
+
+        // Progress counts the bytes written by every step
+        const size =
+          (await this._readTargetSize(patchFile)) ??
+          (await fs.stat(patchFile)).size;
+        plan.push({ patchFile, pin, size });
+      }
+      failedStep = undefined;
+
+      const totalSize = plan.reduce((sum, step) => sum + step.size, 0);
+      let doneSize = 0;
+      const report = (message: string, current: number) => {
+        tracker.update({
+          percentage: Math.round(
+            5 + (totalSize > 0 ? current / totalSize : 1) * 90 // 5% to 95%
+          ),
+          message,
+          current,
+          total: totalSize,
+        });
+      };
+
+      // File the next patch applies to, and its hash once it is known
+      let sourceFile = oldFile;
+      let sourceHash: { algorithm: string; digest: string } | undefined;
+      // Backends that decoded the steps, which may differ in format
+      const decodedBy = new Set<string>();
+
+      for (const [index, step] of plan.entries()) {
+        failedStep = index;
+        stepStart = Date.now();
+        const label = `${index + 1}/${plan.length}`;
+        const chainStep: PatchChainStep = {
+          patchFile: step.patchFile,
+          success: false,
+          metrics: { duration: 0, durationFormatted: '' },
+        };
+        steps.push(chainStep);
+
+        const { pin } = step;
+        if (pin) {
+          report(`Verificando origem do patch ${label}...`, doneSize);
+          const actualSourceHash =
+            sourceHash?.algorithm === pin.algorithm
+              ? sourceHash.digest
+              : await HashUtils.hashFile(
+                  sourceFile,
+                  pin.algorithm,
+                  abort.signal
+                );
+          chainStep.sourceCheck = {
+            algorithm: pin.algorithm,
+            expectedSourceSize: pin.sourceSize,
+            actualSourceSize: (await fs.stat(sourceFile)).size,
+            expectedSourceHash: pin.sourceHash,
+            actualSourceHash,
+            expectedTargetHash: pin.targetHash,
+          };
+          if (
+            chainStep.sourceCheck.actualSourceSize !== pin.sourceSize ||
+            actualSourceHash !== pin.sourceHash
+          ) {
+            errorCode = 'SOURCE_MISMATCH';
+            throw new Error(
+              `Source does not match the patch: expected ${pin.algorithm} ${pin.sourceHash} (${pin.sourceSize} bytes), got ${actualSourceHash} (${chainStep.sourceCheck.actualSourceSize} bytes)`
+            );
+          }
+        }
+
+        const last = index === plan.length - 1;
+        const outputFile = !last
+          ? path.join(tempDir, `step-${index}`)
+          : atomic
+            ? AtomicUtils.tempPathFor(newFile)
+            : newFile;
+        AbortUtils.throwIfAborted(abort.signal);
+        if (last) {
+          partialFile = outputFile;
+        }
+        const stepBackend = await this._applyPatchWithBackend(
+          backend,
+          sourceFile,
+          step.patchFile,
+          outputFile,
+          progress => {
+            report(
+              `Aplicando patch ${label}...`,
+              Math.round(doneSize + progress * step.size)
+            );
+          },
+          abort.signal,
+          mergedOptions.xdeltaOptions
+            ? { xdeltaOptions: mergedOptions.xdeltaOptions }
+            : {}
+        );
+        decodedBy.add(stepBackend);
+
+        sourceHash = undefined;
+        if (pin && chainStep.sourceCheck) {
+          const actualTargetHash = await HashUtils.hashFile(
+            outputFile,
+            pin.algorithm,
+            abort.signal
+          );
+          chainStep.sourceCheck.actualTargetHash = actualTargetHash;
+          if (actualTargetHash !== pin.targetHash) {
+            errorCode = 'TARGET_MISMATCH';
+            throw new Error(
+              `Patch output does not match the pinned target: expected ${pin.algorithm} ${pin.targetHash}, got ${actualTargetHash}`
+            );
+          }
+          sourceHash = { algorithm: pin.algorithm, digest: actualTargetHash };
+        }
+
+        // The previous intermediate version is no longer needed
+        if (sourceFile !== oldFile) {
+          await fs.remove(sourceFile);
+        }
+        sourceFile = outputFile;
+        doneSize += step.size;
+
+        chainStep.success = true;
+        chainStep.metrics = stepMetrics();
+      }
+      failedStep = undefined;
+
+      // The verified output replaces the target in a single rename
+      if (atomic && partialFile) {
+        if (options.backup) {
+          const journal = await BackupJournal.create(newFile, 'file');
+          await journal.record(path.basename(newFile));
+        }
+        await AtomicUtils.replace(partialFile, newFile);
+      }
+      partialFile = undefined;
+
+      const newFileInfo = await this.getFileInfo(newFile);
+      const duration = Date.now() - startTime;
+
+      const finalResult: PatchChainResult = {
+        success: true,
+        backend: [...decodedBy].join(', '),
+        newFile: newFileInfo,
+        steps,
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+        },
+      };
+
+      tracker.update({
+        percentage: 100,
+        message: 'Patches aplicados com sucesso!',
+        current: totalSize,
+        total: totalSize,
+      });
+
+      this._emitCompleteWithOptions(finalResult, options);
+
+      return finalResult;
+    } catch (error) {
+      const aborted = AbortUtils.getError(abort.signal);
+      if (aborted) {
+        errorCode = aborted.code;
+      } else if (
+        error instanceof EntryMismatchError ||
+        error instanceof XdeltaOptionsError
+      ) {
+        errorCode = error.code;
+      }
+      const failed = steps[steps.length - 1];
+      if (failed && !failed.success) {
+        failed.metrics = stepMetrics();
+      }
+      // newFile itself is only removed when the chain was stopped halfway
+      if (partialFile && (atomic || aborted)) {
+        await fs.remove(partialFile);
+      }
+
+      const message = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      const errorMessage =
+        failedStep === undefined
+          ? message
+          : `Patch ${failedStep + 1} of ${patchFiles.length} (${patchFiles[failedStep]}): ${message}`;
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to apply patch chain: ${errorMessage}`,
+          code: errorCode,
+          details: error,
+        },
+        options
+      );
+
+      const duration = Date.now() - startTime;
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode,
+        ...(failedStep !== undefined ? { failedStep } : {}),
+        newFile: {} as FileInfo,
+        steps,
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+        },
+      };
+    } finally {
+      abort.dispose();
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Chooses the backend used to create or apply a patch
+   * @param requested - Requested backend
+   * @returns Promise with the backend to use
+   * @throws Error when the backend cannot run here
+   * @private
+   */
+  private async _selectBackend(
+    requested: PatchBackend | DeltaBackend
+  ): Promise<DeltaBackend> {
+    if (typeof requested === 'object') {
+      if (!(await requested.probe())) {
+        throw new Error(`Delta backend not available: ${requested.name}`);
+      }
+      return requested;
+    }
+
+    if (requested === 'js' || requested === 'bsdiff') {
+      return this._backends[requested];
+    }
+
+    if (requested === 'xdelta3') {
+      const xdeltaAvailable = await this.checkXdelta();
+      if (!xdeltaAvailable) {
+        throw new Error(MESSAGES.XDELTA_NOT_FOUND);
+      }
+      return this._backends.xdelta3;
+    }
+
+    // Automatic selection falls back to the built-in codec
+    return (await this._isXdeltaUsable())
+      ? this._backends.xdelta3
+      : this._backends.js;
+  }
+
+  /**
+   * Checks whether the Xdelta executable runs, without emitting events
+   * @returns Promise with availability status
+   * @private
+   */
+  private async _isXdeltaUsable(): Promise<boolean> {
+    return (await this._resolveXdelta()).found;
+  }
+
+  /**
+   * Recognizes the encoding of a whole-file patch from its first bytes
+   * @param patchFile - Patch file path
+   * @returns Promise with the format, or null when it is not recognized
+   * @private
+   */
+  private async _detectDeltaFormat(
+    patchFile: string
+  ): Promise<DeltaFormat | null> {
+    const source = await FileByteSource.open(patchFile);
+    try {
+      const magic = await source.read(0, BSDIFF.MAGIC.length);
+      if (magic.toString('latin1') === BSDIFF.MAGIC) {
+        return 'bsdiff';
+      }
+      return VCDIFF.MAGIC.every((byte, index) => magic[index] === byte)
+        ? 'vcdiff'
+        : null;
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Applies a patch with the given backend
+   * @param backend - Backend returned by _selectBackend; a patch in another
+   * format is decoded by the built-in backend for it
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param newFile - Output file path
+   * @param progressCallback - Progress callback function (0 to 1)
+   * @param signal - Stops decoding when aborted
+   * @param options - How GRF patches are applied, and the xdelta3 settings
+   * (the generator's by default)
+   * @returns Promise with the name of the backend that decoded the patch
+   * @private
+   */
+  private async _applyPatchWithBackend(
+    backend: DeltaBackend,
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    progressCallback: (progress: number) => void,
+    signal?: AbortSignal,
+    options: {
+      mode?: GrfApplyMode;
+      checkSource?: boolean;
+      xdeltaOptions?: XdeltaOptions;
+    } = {}
+  ): Promise<string> {
+    // Chunked, GRF and ZIP patches are always decoded by the built-in
+    // decoder
+    if (await GrfPatchUtils.isGrfPatch(patchFile)) {
+      await this._applyGrfPatch(
+        oldFile,
+        patchFile,
+        newFile,
+        progressCallback,
+        signal,
+        options
+      );
+      return this._backends.js.name;
+    }
+    if (await ZipPatchUtils.isZipPatch(patchFile)) {
+      await this._applyZipPatch(
+        oldFile,
+        patchFile,
+        newFile,
+        progressCallback,
+        signal
+      );
+      return this._backends.js.name;
+    }
+    if (await ChunkedPatchUtils.isChunkedPatch(patchFile)) {
+      await this._applyChunkedPatch(
+        oldFile,
+        patchFile,
+        newFile,
+        progressCallback,
+        signal
+      );
+      return this._backends.js.name;
+    }
+
+    // Unrecognized patches are left to the selected backend
+    const format = await this._detectDeltaFormat(patchFile);
+    const decoder =
+      format === null || format === backend.format
+        ? backend
+        : format === 'bsdiff'
+          ? this._backends.bsdiff
+          : this._backends.js;
+    const targetSize = await this._readTargetSize(patchFile);
+    const xdeltaOptions =
+      options.xdeltaOptions ?? this.defaultOptions.xdeltaOptions;
+    await decoder.decode(oldFile, patchFile, newFile, {
+      ...(targetSize !== null ? { targetSize } : {}),
+      ...(xdeltaOptions ? { xdeltaOptions } : {}),
+      onProgress: progressCallback,
+      ...(signal ? { signal } : {}),
+    });
+    return decoder.name;
+  }
+
+  /**
+   * Creates patches in batch for multiple files
+   * @param oldDir - Original directory path
+   * @param newDir - New directory path
+   * @param patchesDir - Patches output directory path
+   * @param options - Batch options
+   * @returns Promise with batch results
+   */
+  async createBatchPatches(
+    oldDir: string,
+    newDir: string,
+    patchesDir: string,
+    options: BatchOptions = {}
+  ): Promise<BatchResult[]> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    tracker.update({
+      percentage: 0,
+      message: 'Listando arquivos...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      const { results, failures } = await this._createBatch(
+        oldDir,
+        newDir,
+        patchesDir,
+        [patchesDir],
+        options,
+        progress => tracker.update(progress)
+      );
+
+      return this._finishBatch(results, failures, options);
+    } catch (error) {
+      const aborted = AbortUtils.getError(options.signal);
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to create batch patches: ${errorMessage}`,
+          code: aborted?.code ?? 'BATCH_CREATION_FAILED',
+          details: error,
+        },
+        options
+      );
+
+      return [
+        {
+          file: newDir,
+          status: 'error',
+          error: errorMessage,
+          ...(aborted ? { errorCode: aborted.code } : {}),
+        },
+      ];
+    }
+  }
+
+  /**
+   * Compares two trees and writes the deltas, added files and manifest
+   * @param oldDir - Original directory path
+   * @param newDir - New directory path
+   * @param patchesDir - Patches output directory path
+   * @param exclude - Paths left out of both trees
+   * @param options - Batch options
+   * @param emitProgress - Receives progress for the whole batch
+   * @param builtInDecoder - The deltas will be decoded by the built-in
+   * decoder (bundles)
+   * @returns Promise with the manifest, the results and the failed results
+   * @private
+   */
+  private async _createBatch(
+    oldDir: string,
+    newDir: string,
+    patchesDir: string,
+    exclude: string[],
+    options: BatchOptions,
+    emitProgress: (progress: ProgressData) => void,
+    builtInDecoder = false
+  ): Promise<{
+    manifest: BatchManifest;
+    results: BatchResult[];
+    failures: BatchResult[];
+  }> {
+    const mergedOptions = { ...this.defaultOptions, ...options };
+    const outputRoot = path.resolve(patchesDir);
+    const maxParallel = options.maxParallel ?? BATCH.DEFAULT_PARALLEL;
+    const failures: BatchResult[] = [];
+
+    const backend = await this._selectBackend(mergedOptions.backend ?? 'auto');
+    const xdeltaOptions = builtInDecoder
+      ? XdeltaOptionsUtils.forBuiltInDecoder(mergedOptions.xdeltaOptions)
+      : mergedOptions.xdeltaOptions;
+    const [oldFiles, newFiles] = await Promise.all([
+      BatchUtils.listFiles(oldDir, exclude),
+      BatchUtils.listFiles(newDir, exclude),
+    ]);
+    const paths = [...new Set([...oldFiles.keys(), ...newFiles.keys()])].sort();
+
+    // Progress covers the bytes hashed (0-30%) then the bytes written (30-100%)
+    let compareTotal = 0;
+    for (const file of paths) {
+      compareTotal += (oldFiles.get(file) ?? 0) + (newFiles.get(file) ?? 0);
+    }
+    let compareDone = 0;
+
+    const entries = await BatchUtils.runWithConcurrency(
+      paths,
+      maxParallel,
+      async (file): Promise<BatchManifestEntry> => {
+        AbortUtils.throwIfAborted(options.signal);
+        const oldSize = oldFiles.get(file);
+        const newSize = newFiles.get(file);
+        const [oldHash, newHash] = await Promise.all([
+          oldSize === undefined
+            ? undefined
+            : HashUtils.hashFile(
+                BatchUtils.resolveInside(oldDir, file),
+                undefined,
+                options.signal
+              ),
+          newSize === undefined
+            ? undefined
+            : HashUtils.hashFile(
+                BatchUtils.resolveInside(newDir, file),
+                undefined,
+                options.signal
+              ),
+        ]);
+
+        compareDone += (oldSize ?? 0) + (newSize ?? 0);
+        emitProgress({
+          percentage: Math.round(
+            compareTotal > 0 ? (compareDone / compareTotal) * 30 : 30
+          ),
+          message: 'Comparando arquivos...',
+          current: compareDone,
+          total: compareTotal,
+        });
+
+        // Sizes are compared first; the hashes settle equal-size files
+        let operation: BatchOperation;
+        if (oldSize === undefined) {
+          operation = 'add';
+        } else if (newSize === undefined) {
+          operation = 'delete';
+        } else if (oldSize === newSize && oldHash === newHash) {
+          operation = 'unchanged';
+        } else {
+          operation = 'patch';
+        }
+
+        return {
+          path: file,
+          operation,
+          ...(oldSize !== undefined ? { oldSize, oldHash: oldHash! } : {}),
+          ...(newSize !== undefined ? { newSize, newHash: newHash! } : {}),
+        };
+      }
+    );
+
+    const writeTotal = entries.reduce(
+      (sum, entry) =>
+        entry.operation === 'patch' || entry.operation === 'add'
+          ? sum + entry.newSize!
+          : sum,
+      0
+    );
+    let writeDone = 0;
+    const inFlight = new Map<string, number>();
+    const emitWriteProgress = () => {
+      let current = writeDone;
+      for (const bytes of inFlight.values()) current += bytes;
+      emitProgress({
+        percentage: Math.round(
+          30 + (writeTotal > 0 ? (current / writeTotal) * 70 : 70)
+        ),
+        message: 'Criando patches...',
+        current,
+        total: writeTotal,
+      });
+    };
+
+    const results = await BatchUtils.runWithConcurrency(
+      entries,
+      maxParallel,
+      async (entry): Promise<BatchResult> => {
+        const startTime = Date.now();
+        const result = (status: BatchResult['status']): BatchResult => {
+          const duration = Date.now() - startTime;
+          return {
+            file: entry.path,
+            status,
+            operation: entry.operation,
+            metrics: {
+              duration,
+              durationFormatted: MetricsUtils.formatDuration(duration),
+            },
+          };
+        };
+
+        if (entry.operation === 'unchanged') return result('skipped');
+        if (entry.operation === 'delete') return result('success');
+
+        const newFile = BatchUtils.resolveInside(newDir, entry.path);
+        // The timeout applies to each file
+        const abort = AbortUtils.createSignal(
+          options.signal,
+          mergedOptions.timeout
+        );
+        let target: string | undefined;
+        try {
+          AbortUtils.throwIfAborted(abort.signal);
+          if (entry.operation === 'add') {
+            entry.file = `${BATCH.FILES_DIR}/${entry.path}`;
+            target = BatchUtils.resolveInside(outputRoot, entry.file);
+            await fs.ensureDir(path.dirname(target));
+            await fs.copy(newFile, target);
+            AbortUtils.throwIfAborted(abort.signal);
+          } else {
+            entry.patch = `${BATCH.PATCHES_DIR}/${entry.path}${FILE_EXTENSIONS.PATCH}`;
+            target = BatchUtils.resolveInside(outputRoot, entry.patch);
+            await fs.ensureDir(path.dirname(target));
+            await this._createStandardPatchWithProgress(
+              BatchUtils.resolveInside(oldDir, entry.path),
+              newFile,
+              target,
+              {
+                ...(options.compression !== undefined
+                  ? { compression: options.compression }
+                  : {}),
+                ...(xdeltaOptions ? { xdeltaOptions } : {}),
+                backend,
+                signal: abort.signal,
+              },
+              progress => {
+                inFlight.set(entry.path, progress * entry.newSize!);
+                emitWriteProgress();
+              }
+            );
+          }
+
+          return result('success');
+        } catch (error) {
+          delete entry.file;
+          delete entry.patch;
+          const aborted = AbortUtils.getError(abort.signal);
+          if (aborted && target) {
+            await fs.remove(target);
+          }
+          const failed: BatchResult = {
+            ...result('error'),
+            error: aborted
+              ? aborted.message
+              : error instanceof Error
+                ? error.message
+                : String(error),
+            ...(aborted ? { errorCode: aborted.code } : {}),
+          };
+          failures.push(failed);
+          return failed;
+        } finally {
+          abort.dispose();
+          inFlight.delete(entry.path);
+          writeDone += entry.newSize!;
+          emitWriteProgress();
+        }
+      }
+    );
+
+    const manifest: BatchManifest = {
+      version: BATCH.MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      hashAlgorithm: BATCH.HASH_ALGORITHM,
+      complete: failures.length === 0,
+      entries: entries.filter(
+        (_entry, index) => results[index]!.status !== 'error'
+      ),
+    };
+    await fs.ensureDir(outputRoot);
+    await fs.writeJson(path.join(outputRoot, BATCH.MANIFEST_FILE), manifest, {
+      spaces: 2,
+    });
+
+    return { manifest, results, failures };
+  }
+
+  /**
+   * Applies patches in batch
+   * @param oldDir - Original directory path
+   * @param patchesDir - Patches directory path
+   * @param outputDir - Output directory path
+   * @param options - Batch options
+   * @returns Promise with batch results
+   */
+  async applyBatchPatches(
+    oldDir: string,
+    patchesDir: string,
+    outputDir: string,
+    options: BatchOptions = {}
+  ): Promise<BatchResult[]> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    const mergedOptions = { ...this.defaultOptions, ...options };
+
+    tracker.update({
+      percentage: 0,
+      message: 'Lendo manifesto...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      const manifestFile = path.join(patchesDir, BATCH.MANIFEST_FILE);
+      if (!(await fs.pathExists(manifestFile))) {
+        throw new Error(`Batch manifest not found: ${manifestFile}`);
+      }
+      const manifest = (await fs.readJson(manifestFile)) as BatchManifest;
+      if (manifest.version !== BATCH.MANIFEST_VERSION) {
+        throw new Error(
+          `Unsupported batch manifest version: ${manifest.version}`
         );
+      }
 
-        this._emitCompleteWithOptions(finalResult, options);
+      const backend = await this._selectBackend(
+        mergedOptions.backend ?? 'auto'
+      );
+      const { results, failures } = await this._applyBatch(
+        manifest,
+        oldDir,
+        outputDir,
+        {
+          applyDelta: async (
+            entry,
+            sourceFile,
+            outputFile,
+            onProgress,
+            signal
+          ) => {
+            await this._applyPatchWithBackend(
+              backend,
+              sourceFile,
+              BatchUtils.resolveInside(patchesDir, entry.patch!),
+              outputFile,
+              onProgress,
+              signal
+            );
+          },
+          copyAdded: (entry, targetFile) =>
+            fs.copy(
+              BatchUtils.resolveInside(patchesDir, entry.file!),
+              targetFile
+            ),
+        },
+        options,
+        progress => tracker.update(progress)
+      );
 
-        return finalResult;
-      } finally {
-        clearInterval(progressInterval);
-      }
+      return this._finishBatch(results, failures, options);
     } catch (error) {
-      const errorMessage =
-        error instanceof Error ? error.message : String(error);
+      const aborted = AbortUtils.getError(options.signal);
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
       this._emitErrorWithOptions(
         {
-          message: `Failed to apply patch: ${errorMessage}`,
-          code: 'PATCH_APPLY_FAILED',
+          message: `Failed to apply batch patches: ${errorMessage}`,
+          code: aborted?.code ?? 'BATCH_APPLY_FAILED',
           details: error,
         },
         options
       );
 
-      return {
-        success: false,
-        error: errorMessage,
-        newFile: {} as FileInfo,
-        metrics: {
-          duration: Date.now() - startTime,
-          durationFormatted: MetricsUtils.formatDuration(
-            Date.now() - startTime
-          ),
+      return [
+        {
+          file: patchesDir,
+          status: 'error',
+          error: errorMessage,
+          ...(aborted ? { errorCode: aborted.code } : {}),
         },
+      ];
+    }
+  }
+
+  /**
+   * Checks every source file against a manifest, then applies its entries
+   * @param manifest - Batch or bundle manifest
+   * @param oldDir - Original directory path
+   * @param outputDir - Output directory path (may be oldDir)
+   * @param payloads - Access to the deltas and added files
+   * @param options - Batch options
+   * @param emitProgress - Receives progress for the whole batch
+   * @returns Promise with the results and the failed results
+   * @private
+   */
+  private async _applyBatch<E extends BatchManifestEntry>(
+    manifest: { hashAlgorithm: string; entries: E[] },
+    oldDir: string,
+    outputDir: string,
+    payloads: BatchPayloads<E>,
+    options: BatchOptions,
+    emitProgress: (progress: ProgressData) => void
+  ): Promise<{ results: BatchResult[]; failures: BatchResult[] }> {
+    const inPlace = path.resolve(outputDir) === path.resolve(oldDir);
+    const maxParallel = options.maxParallel ?? BATCH.DEFAULT_PARALLEL;
+    // Keeping a backup needs the journal of the atomic mode
+    const atomic = options.atomic !== false || options.backup === true;
+    const failures: BatchResult[] = [];
+
+    const isFile = async (file: string): Promise<boolean> =>
+      (await fs.pathExists(file)) && (await fs.stat(file)).isFile();
+    const hashOf = async (file: string): Promise<string | undefined> =>
+      (await isFile(file))
+        ? HashUtils.hashFile(file, manifest.hashAlgorithm, options.signal)
+        : undefined;
+
+    // Every source is checked (0-30%) before anything is written (30-100%)
+    type Plan = {
+      entry: E;
+      status: BatchResult['status'];
+      action: 'apply' | 'copy' | 'remove' | 'none';
+      error?: string;
+    };
+    const checkTotal = manifest.entries.reduce(
+      (sum, entry) =>
+        sum + (entry.operation === 'add' ? entry.newSize! : entry.oldSize!),
+      0
+    );
+    let checkDone = 0;
+
+    const plans = await BatchUtils.runWithConcurrency(
+      manifest.entries,
+      maxParallel,
+      async (entry): Promise<Plan> => {
+        AbortUtils.throwIfAborted(options.signal);
+        try {
+          // Added files are checked where they would be written
+          const hash = await hashOf(
+            BatchUtils.resolveInside(
+              entry.operation === 'add' ? outputDir : oldDir,
+              entry.path
+            )
+          );
+
+          switch (entry.operation) {
+            case 'add':
+              return hash === entry.newHash
+                ? { entry, status: 'skipped', action: 'none' }
+                : { entry, status: 'success', action: 'copy' };
+            case 'delete':
+              if (hash === undefined) {
+                return { entry, status: 'skipped', action: 'remove' };
+              }
+              break;
+            case 'patch':
+              // Already updated: nothing to apply
+              if (hash === entry.newHash) {
+                return { entry, status: 'skipped', action: 'copy' };
+              }
+              break;
+          }
+
+          if (hash !== entry.oldHash) {
+            return {
+              entry,
+              status: 'error',
+              action: 'none',
+              error:
+                hash === undefined
+                  ? `Source file not found: ${entry.path}`
+                  : `Source file does not match the manifest: ${entry.path}`,
+            };
+          }
+
+          switch (entry.operation) {
+            case 'patch':
+              return { entry, status: 'success', action: 'apply' };
+            case 'delete':
+              return { entry, status: 'success', action: 'remove' };
+            default:
+              return { entry, status: 'skipped', action: 'copy' };
+          }
+        } catch (error) {
+          return {
+            entry,
+            status: 'error',
+            action: 'none',
+            error: error instanceof Error ? error.message : String(error),
+          };
+        } finally {
+          checkDone +=
+            entry.operation === 'add' ? entry.newSize! : entry.oldSize!;
+          emitProgress({
+            percentage: Math.round(
+              checkTotal > 0 ? (checkDone / checkTotal) * 30 : 30
+            ),
+            message: 'Verificando arquivos de origem...',
+            current: checkDone,
+            total: checkTotal,
+          });
+        }
+      }
+    );
+
+    // All or nothing: one failed check leaves every file untouched
+    const rejected = plans.filter(plan => plan.status === 'error').length;
+    if (atomic && rejected > 0) {
+      for (const plan of plans) {
+        if (plan.status !== 'error') {
+          plan.status = 'skipped';
+          plan.action = 'none';
+          plan.error = `Batch not applied: ${rejected} file(s) failed the check`;
+        }
+      }
+    }
+    const journal =
+      atomic && rejected === 0
+        ? await BackupJournal.create(outputDir, 'directory')
+        : undefined;
+    let aborted = false;
+
+    const writeTotal = plans.reduce(
+      (sum, plan) =>
+        plan.action === 'apply' || (plan.action === 'copy' && !inPlace)
+          ? sum + plan.entry.newSize!
+          : sum,
+      0
+    );
+    let writeDone = 0;
+    const inFlight = new Map<string, number>();
+    const emitWriteProgress = () => {
+      let current = writeDone;
+      for (const bytes of inFlight.values()) current += bytes;
+      emitProgress({
+        percentage: Math.round(
+          30 + (writeTotal > 0 ? (current / writeTotal) * 70 : 70)
+        ),
+        message: 'Aplicando patches...',
+        current,
+        total: writeTotal,
+      });
+    };
+
+    const execute = async (plan: Plan): Promise<BatchResult> => {
+      const { entry } = plan;
+      const startTime = Date.now();
+      const result = (
+        status: BatchResult['status'],
+        error?: string
+      ): BatchResult => {
+        const duration = Date.now() - startTime;
+        return {
+          file: entry.path,
+          status,
+          operation: entry.operation,
+          ...(error !== undefined ? { error } : {}),
+          metrics: {
+            duration,
+            durationFormatted: MetricsUtils.formatDuration(duration),
+          },
+        };
+      };
+
+      if (plan.status === 'error') {
+        const failed = result('error', plan.error);
+        failures.push(failed);
+        return failed;
+      }
+      // Files not started before the batch was stopped
+      const stopped = AbortUtils.getError(options.signal);
+      if (stopped && plan.action !== 'none') {
+        const failed = {
+          ...result('error', stopped.message),
+          errorCode: stopped.code,
+        };
+        failures.push(failed);
+        return failed;
+      }
+      if (aborted && plan.action !== 'none') {
+        return result('error', 'Not applied: another file failed');
+      }
+
+      const sourceFile = BatchUtils.resolveInside(oldDir, entry.path);
+      const targetFile = BatchUtils.resolveInside(outputDir, entry.path);
+      const writes =
+        plan.action === 'apply' || (plan.action === 'copy' && !inPlace);
+      // In place or atomic, the target stays untouched until the output
+      // is complete and verified
+      const outputFile =
+        (plan.action === 'apply' && inPlace) || journal
+          ? AtomicUtils.tempPathFor(targetFile)
+          : targetFile;
+      const commit = async (): Promise<void> => {
+        await journal?.record(entry.path);
+        if (outputFile !== targetFile) {
+          await AtomicUtils.replace(outputFile, targetFile);
+        }
       };
+      // The timeout applies to each file
+      const abort = AbortUtils.createSignal(
+        options.signal,
+        options.timeout ?? this.defaultOptions.timeout
+      );
+      try {
+        if (plan.action === 'remove') {
+          // A directory may already have replaced the file
+          if (await isFile(targetFile)) {
+            await journal?.record(entry.path);
+            await fs.remove(targetFile);
+          }
+        } else if (
+          plan.action === 'copy' &&
+          (entry.operation === 'add' || !inPlace)
+        ) {
+          await fs.ensureDir(path.dirname(outputFile));
+          try {
+            if (entry.operation === 'add') {
+              await payloads.copyAdded(entry, outputFile);
+            } else {
+              await fs.copy(sourceFile, outputFile);
+            }
+            await commit();
+          } catch (error) {
+            await fs.remove(outputFile);
+            throw error;
+          }
+        } else if (plan.action === 'apply') {
+          await fs.ensureDir(path.dirname(outputFile));
+          try {
+            await payloads.applyDelta(
+              entry,
+              sourceFile,
+              outputFile,
+              progress => {
+                inFlight.set(entry.path, progress * entry.newSize!);
+                emitWriteProgress();
+              },
+              abort.signal
+            );
+            AbortUtils.throwIfAborted(abort.signal);
+            const hash = await HashUtils.hashFile(
+              outputFile,
+              manifest.hashAlgorithm,
+              abort.signal
+            );
+            if (hash !== entry.newHash) {
+              throw new Error(
+                `Patched file does not match the manifest: ${entry.path}`
+              );
+            }
+            await commit();
+          } catch (error) {
+            await fs.remove(outputFile);
+            throw error;
+          }
+        }
+
+        return result(plan.status, plan.error);
+      } catch (error) {
+        aborted = atomic;
+        const stopped = AbortUtils.getError(abort.signal);
+        const failed = stopped
+          ? { ...result('error', stopped.message), errorCode: stopped.code }
+          : result(
+              'error',
+              error instanceof Error ? error.message : String(error)
+            );
+        failures.push(failed);
+        return failed;
+      } finally {
+        abort.dispose();
+        if (writes) {
+          inFlight.delete(entry.path);
+          writeDone += entry.newSize!;
+          emitWriteProgress();
+        }
+      }
+    };
+
+    // Deletions run first so a removed file can make way for a directory
+    const removals = plans.filter(plan => plan.action === 'remove');
+    const others = plans.filter(plan => plan.action !== 'remove');
+    const outcomes = new Map<Plan, BatchResult>();
+    for (const group of [removals, others]) {
+      const groupResults = await BatchUtils.runWithConcurrency(
+        group,
+        maxParallel,
+        execute
+      );
+      group.forEach((plan, index) => outcomes.set(plan, groupResults[index]!));
+    }
+    const results = plans.map(plan => outcomes.get(plan)!);
+
+    if (journal) {
+      if (failures.length > 0) {
+        // Put back every file written before the failure
+        await journal.restore();
+        await journal.discard();
+        for (const result of results) {
+          if (result.status === 'success') {
+            result.status = 'error';
+            result.error = 'Rolled back: another file failed';
+          }
+        }
+      } else if (!options.backup) {
+        await journal.discard();
+      }
     }
+
+    return { results, failures };
   }
 
   /**
-   * Creates patches in batch for multiple files
+   * Creates a single-file bundle (.apgpack) with every delta and added file
    * @param oldDir - Original directory path
    * @param newDir - New directory path
-   * @param patchesDir - Patches output directory path
+   * @param bundlePath - Output bundle path
    * @param options - Batch options
    * @returns Promise with batch results
    */
-  async createBatchPatches(
-    _oldDir: string,
-    _newDir: string,
-    _patchesDir: string,
-    _options: BatchOptions = {}
+  async createBundle(
+    oldDir: string,
+    newDir: string,
+    bundlePath: string,
+    options: BatchOptions = {}
   ): Promise<BatchResult[]> {
-    // Implementation for batch patch creation
-    return [];
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    tracker.update({
+      percentage: 0,
+      message: 'Listando arquivos...',
+      current: 0,
+      total: 100,
+    });
+
+    // Deltas are staged as regular batch files, then packed
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-bundle-'));
+    try {
+      const { manifest, results, failures } = await this._createBatch(
+        oldDir,
+        newDir,
+        stagingDir,
+        [stagingDir, bundlePath],
+        options,
+        progress =>
+          tracker.update({
+            ...progress,
+            percentage: Math.round(progress.percentage * 0.9),
+          }),
+        true
+      );
+
+      // A cancelled bundle is not written at all
+      AbortUtils.throwIfAborted(options.signal);
+      tracker.update({
+        percentage: 90,
+        message: 'Empacotando...',
+      });
+
+      await fs.ensureDir(path.dirname(path.resolve(bundlePath)));
+      await BundleUtils.write(
+        bundlePath,
+        {
+          ...manifest,
+          // Payloads are located by offset instead of staged paths
+          entries: manifest.entries.map(entry => {
+            const stored: BundleManifestEntry = { ...entry };
+            delete stored.patch;
+            delete stored.file;
+            return stored;
+          }),
+        },
+        manifest.entries.map(entry => {
+          const payload = entry.patch ?? entry.file;
+          return payload === undefined
+            ? undefined
+            : BatchUtils.resolveInside(stagingDir, payload);
+        })
+      );
+
+      return this._finishBatch(results, failures, options);
+    } catch (error) {
+      const aborted = AbortUtils.getError(options.signal);
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to create bundle: ${errorMessage}`,
+          code: aborted?.code ?? 'BUNDLE_CREATION_FAILED',
+          details: error,
+        },
+        options
+      );
+
+      return [
+        {
+          file: bundlePath,
+          status: 'error',
+          error: errorMessage,
+          ...(aborted ? { errorCode: aborted.code } : {}),
+        },
+      ];
+    } finally {
+      await fs.remove(stagingDir);
+    }
   }
 
   /**
-   * Applies patches in batch
-   * @param oldDir - Original directory path
-   * @param patchesDir - Patches directory path
-   * @param outputDir - Output directory path
+   * Applies a bundle (.apgpack) to a directory, in place
+   *
+   * Deltas are decoded straight out of the bundle with the built-in decoder.
+   * @param targetDir - Directory to update
+   * @param bundlePath - Bundle path
    * @param options - Batch options
    * @returns Promise with batch results
    */
-  async applyBatchPatches(
-    _oldDir: string,
-    _patchesDir: string,
-    _outputDir: string,
-    _options: BatchOptions = {}
+  async applyBundle(
+    targetDir: string,
+    bundlePath: string,
+    options: BatchOptions = {}
   ): Promise<BatchResult[]> {
-    // Implementation for batch patch application
-    return [];
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    tracker.update({
+      percentage: 0,
+      message: 'Lendo pacote...',
+      current: 0,
+      total: 100,
+    });
+
+    try {
+      const bundle = await BundleUtils.read(bundlePath);
+      const checkPayload = async (entry: BundleManifestEntry) => {
+        if (!(await BundleUtils.verifyPayload(bundlePath, bundle, entry))) {
+          throw new Error(`Bundle payload is corrupted: ${entry.path}`);
+        }
+      };
+
+      const { results, failures } = await this._applyBatch(
+        bundle.manifest,
+        targetDir,
+        targetDir,
+        {
+          applyDelta: async (
+            entry,
+            sourceFile,
+            outputFile,
+            onProgress,
+            signal
+          ) => {
+            await checkPayload(entry);
+            const patch = await FileByteSource.open(
+              bundlePath,
+              bundle.payloadStart + entry.offset!,
+              entry.length!
+            );
+            try {
+              const magic = await patch.read(0, BSDIFF.MAGIC.length);
+              const decoder =
+                magic.toString('latin1') === BSDIFF.MAGIC
+                  ? BsdiffDecoder
+                  : VcdiffDecoder;
+              await decoder.decodeToFile(sourceFile, patch, outputFile, {
+                onProgress: (processed, total) =>
+                  onProgress(total > 0 ? processed / total : 1),
+                signal,
+              });
+            } finally {
+              await patch.close();
+            }
+          },
+          copyAdded: async (entry, targetFile) => {
+            await checkPayload(entry);
+            await BundleUtils.extractPayload(
+              bundlePath,
+              bundle,
+              entry,
+              targetFile
+            );
+          },
+        },
+        options,
+        progress => tracker.update(progress)
+      );
+
+      return this._finishBatch(results, failures, options);
+    } catch (error) {
+      const aborted = AbortUtils.getError(options.signal);
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to apply bundle: ${errorMessage}`,
+          code: aborted?.code ?? 'BUNDLE_APPLY_FAILED',
+          details: error,
+        },
+        options
+      );
+
+      return [
+        {
+          file: bundlePath,
+          status: 'error',
+          error: errorMessage,
+          ...(aborted ? { errorCode: aborted.code } : {}),
+        },
+      ];
+    }
+  }
+
+  /**
+   * Emits the end of a batch: final progress, per-file errors and results
+   * @param results - Batch results
+   * @param failures - Failed results
+   * @param options - Batch options
+   * @returns The batch results
+   * @private
+   */
+  private _finishBatch(
+    results: BatchResult[],
+    failures: BatchResult[],
+    options: BatchOptions
+  ): BatchResult[] {
+    this._emitProgressWithOptions(
+      {
+        percentage: 100,
+        message: 'Lote concluído!',
+        current: 100,
+        total: 100,
+      },
+      options
+    );
+
+    // Reported once the batch output is written
+    for (const failure of failures) {
+      this._emitErrorWithOptions(
+        {
+          message: `Failed to process ${failure.file}: ${failure.error}`,
+          code: failure.errorCode ?? 'BATCH_FILE_FAILED',
+          details: failure,
+        },
+        options
+      );
+    }
+
+    options.onComplete?.(results);
+    return results;
   }
 
   /**
-   * Verifies the integrity of a patch
+   * Verifies that a patch turns oldFile into exactly expectedFile
    * @param oldFile - Original file path
    * @param patchFile - Patch file path
    * @param expectedFile - Expected result file path
+   * @param options - Verification options
    * @returns Promise with verification result
    */
   async verifyPatch(
     oldFile: string,
     patchFile: string,
-    expectedFile: string
+    expectedFile: string,
+    options: VerifyPatchOptions = {}
+  ): Promise<VerifyPatchResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgressWithOptions(data, options)
+    );
+    tracker.update({
+      percentage: 0,
+      message: 'Verificando patch...',
+      current: 0,
+      total: 100,
+    });
+
+    const abort = AbortUtils.createSignal(
+      options.signal,
+      options.timeout ?? this.defaultOptions.timeout
+    );
+    const result = await this._verifyPatch(
+      oldFile,
+      patchFile,
+      expectedFile,
+      { ...options, signal: abort.signal },
+      progress => {
+        tracker.update({
+          percentage: Math.round(progress * 100),
+          message: 'Verificando patch...',
+        });
+      }
+    ).finally(() => abort.dispose());
+
+    if (result.error) {
+      this._emitErrorWithOptions(
+        {
+          message: `${MESSAGES.ERROR_VERIFY_PATCH} ${result.error}`,
+          code: result.errorCode ?? 'PATCH_VERIFY_FAILED',
+          details: result,
+        },
+        options
+      );
+    } else {
+      this._emitCompleteWithOptions(result, options);
+    }
+
+    return result;
+  }
+
+  /**
+   * Applies a patch to a temporary file and compares it with expectedFile
+   * @param oldFile - Original file path
+   * @param patchFile - Patch file path
+   * @param expectedFile - Expected result file path
+   * @param options - Verification options
+   * @param progressCallback - Progress callback function (0 to 1)
+   * @returns Promise with verification result
+   * @private
+   */
+  private async _verifyPatch(
+    oldFile: string,
+    patchFile: string,
+    expectedFile: string,
+    options: VerifyPatchOptions,
+    progressCallback: (progress: number) => void
   ): Promise<VerifyPatchResult> {
     const startTime = Date.now();
+    const metrics = () => {
+      const duration = Date.now() - startTime;
+      return {
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
+      };
+    };
 
+    // The patch output never lands next to the expected file
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apg-verify-'));
     try {
-      // Apply the patch to a temporary file
-      const tempFile = `${expectedFile}.temp`;
-      const applyResult = await this.applyPatch(oldFile, patchFile, tempFile);
+      if (!(await fs.pathExists(expectedFile))) {
+        throw new Error(`Expected file not found: ${expectedFile}`);
+      }
 
-      if (!applyResult.success) {
+      const backend = await this._selectBackend(options.backend ?? 'auto');
+      const tempFile = path.join(
+        tempDir,
+        `${path.basename(expectedFile)}${FILE_EXTENSIONS.TEMP}`
+      );
+      try {
+        await this._applyPatchWithBackend(
+          backend,
+          oldFile,
+          patchFile,
+          tempFile,
+          progress => progressCallback(progress * 0.8),
+          options.signal
+        );
+      } catch (error) {
+        AbortUtils.throwIfAborted(options.signal);
         throw new Error(
-          `Failed to apply patch for verification: ${applyResult.error}`
+          `Failed to apply patch for verification: ${error instanceof Error ? error.message : String(error)}`
         );
       }
 
-      // Compare with expected file
-      const expectedFileInfo = await this.getFileInfo(expectedFile);
-      const tempFileInfo = await this.getFileInfo(tempFile);
+      progressCallback(0.8);
+      // A rebuilt GRF archive only matches the expected one entry by entry
+      if (await GrfPatchUtils.isGrfPatch(patchFile)) {
+        const comparison = await GrfArchive.compare(
+          expectedFile,
+          tempFile,
+          options.algorithm ?? HASH.DEFAULT_ALGORITHM
+        );
+        progressCallback(1);
 
-      if (!expectedFileInfo.exists) {
-        throw new Error(`Expected file not found: ${expectedFile}`);
+        return {
+          isValid: comparison.differentEntry === undefined,
+          algorithm: comparison.algorithm,
+          expectedDigest: comparison.expectedDigest,
+          actualDigest: comparison.actualDigest,
+          ...(comparison.differentEntry !== undefined
+            ? { differentEntry: comparison.differentEntry }
+            : {}),
+          metrics: metrics(),
+        };
       }
 
-      // Simple size comparison (in a real implementation, you'd do content comparison)
-      const isValid = expectedFileInfo.size === tempFileInfo.size;
+      const comparison = await HashUtils.compareFiles(
+        expectedFile,
+        tempFile,
+        options.algorithm
+      );
+      progressCallback(1);
 
-      // Clean up temp file
-      try {
-        await fs.remove(tempFile);
-      } catch (error) {
-        // Ignore cleanup errors
-      }
+      return {
+        isValid: comparison.firstDifference === undefined,
+        algorithm: comparison.algorithm,
+        expectedDigest: comparison.expectedDigest,
+        actualDigest: comparison.actualDigest,
+        ...(comparison.firstDifference !== undefined
+          ? { firstDifference: comparison.firstDifference }
+          : {}),
+        metrics: metrics(),
+      };
+    } catch (error) {
+      const aborted = AbortUtils.getError(options.signal);
+      return {
+        isValid: false,
+        error: aborted
+          ? aborted.message
+          : error instanceof Error
+            ? error.message
+            : String(error),
+        ...(aborted ? { errorCode: aborted.code } : {}),
+        metrics: metrics(),
+      };
+    } finally {
+      await fs.remove(tempDir).catch(() => undefined);
+    }
+  }
 
+  /**
+   * Restores the files changed by the last applyPatch, applyBatchPatches or
+   * applyBundle run with the backup option, then deletes the backup
+   * @param target - Patched file (applyPatch) or directory (batch, bundle)
+   * @returns Promise with rollback result
+   */
+  async rollback(target: string): Promise<RollbackResult> {
+    const startTime = Date.now();
+    const metrics = () => {
       const duration = Date.now() - startTime;
-
       return {
-        isValid,
-        metrics: {
-          duration,
-          durationFormatted: MetricsUtils.formatDuration(duration),
-        },
+        duration,
+        durationFormatted: MetricsUtils.formatDuration(duration),
       };
+    };
+
+    try {
+      const journal = await BackupJournal.load(target);
+      if (!journal) {
+        throw new Error(`No backup found for ${target}`);
+      }
+
+      const { restored, removed } = await journal.restore();
+      await journal.discard();
+      return { success: true, restored, removed, metrics: metrics() };
     } catch (error) {
-      const duration = Date.now() - startTime;
+      const errorMessage =
+        error instanceof Error ? error.message : String(error);
+      this._emitError({
+        message: `Failed to roll back: ${errorMessage}`,
+        code: 'ROLLBACK_FAILED',
+        details: error,
+      });
+
       return {
-        isValid: false,
-        error: (error as Error).message,
-        metrics: {
-          duration,
-          durationFormatted: MetricsUtils.formatDuration(duration),
-        },
+        success: false,
+        error: errorMessage,
+        restored: [],
+        removed: [],
+        metrics: metrics(),
       };
     }
   }
@@ -1,8 +1,34 @@
 import fs from 'fs-extra';
+import { BSDIFF, VCDIFF } from '../constants/index.js';
+import MetricsUtils from '../utils/metrics.js';
+import BundleUtils from '../utils/bundleUtils.js';
+import ChunkedPatchUtils from '../utils/chunkedPatchUtils.js';
+import GrfPatchUtils from '../utils/grfPatchUtils.js';
+import ZipPatchUtils from '../utils/zipPatchUtils.js';
+import VcdiffReader, {
+  VcdiffUnsupportedError,
+} from '../vcdiff/VcdiffReader.js';
+import AddressCache from '../vcdiff/addressCache.js';
+import { INSTRUCTION } from '../vcdiff/codeTable.js';
+import { walkInstructions } from '../vcdiff/instructions.js';
+import { VcdiffError } from '../vcdiff/readers.js';
+import VcdiffDecoder from '../vcdiff/VcdiffDecoder.js';
+import { FileByteSource, HashByteSink } from '../vcdiff/byteSource.js';
+import { parseSourcePin, parseXdeltaAppHeader } from '../vcdiff/appHeader.js';
+import BsdiffDecoder from '../bsdiff/BsdiffDecoder.js';
+import BsdiffReader, { readOffset } from '../bsdiff/BsdiffReader.js';
 import type {
   PatchAnalysisResult,
   PatchComparisonResult,
+  ComparePatchesOptions,
+  PatchSettings,
   PatchInfoResult,
+  PatchMetadata,
+  BatchOperation,
+  BundleInspectionResult,
+  InspectBundleOptions,
+  InstructionBreakdown,
+  WindowAnalysis,
   IPatchAnalyzer,
 } from '../types/index.js';
 
@@ -13,69 +39,238 @@ import type {
  */
 class PatchAnalyzer implements IPatchAnalyzer {
   /**
-   * Analyzes a patch file and returns detailed information
+   * Analyzes a patch file instruction by instruction
    * @param patchFile - Path to the patch file
    * @returns Promise with patch analysis result
    */
   async analyzePatch(patchFile: string): Promise<PatchAnalysisResult> {
+    let size = 0;
+
     try {
       const stats = await fs.stat(patchFile);
+      size = stats.size;
 
-      return {
-        success: true,
-        patchInfo: {
-          size: stats.size,
-          sizeFormatted: PatchAnalyzer.formatBytes(stats.size),
-        },
-      };
+      if (await BsdiffReader.isBsdiffFile(patchFile)) {
+        return await PatchAnalyzer.analyzeBsdiffPatch(patchFile, size);
+      }
+
+      const source = await FileByteSource.open(patchFile);
+      try {
+        const reader = await VcdiffReader.open(source);
+        reader.assertDecodable();
+
+        const cache = new AddressCache();
+        const breakdown = PatchAnalyzer.emptyBreakdown();
+        const windows: WindowAnalysis[] = [];
+        let targetSize = 0;
+        let minimumSourceSize = 0;
+
+        for (;;) {
+          const window = await reader.nextWindow();
+          if (!window) break;
+
+          const sections = reader.decodeSections(window);
+          const sourceType =
+            window.indicator & VCDIFF.WIN_SOURCE
+              ? 'source'
+              : window.indicator & VCDIFF.WIN_TARGET
+                ? 'target'
+                : 'none';
+          const windowStats: WindowAnalysis = {
+            index: window.index,
+            encodedSize: window.size,
+            targetSize: window.targetWindowLength,
+            sourceType,
+            sourceSegmentSize: window.sourceSegmentSize,
+            sourceSegmentPosition: window.sourceSegmentPosition,
+            secondaryCompressed: window.deltaIndicator !== 0,
+            ...(window.checksum !== undefined
+              ? { checksum: window.checksum }
+              : {}),
+            ...PatchAnalyzer.emptyBreakdown(),
+          };
+
+          walkInstructions(
+            sections.instructions,
+            sections.addresses,
+            window.sourceSegmentSize,
+            window.targetWindowLength,
+            cache,
+            (type, length, _position, address) => {
+              windowStats.instructionCount++;
+              if (type === INSTRUCTION.ADD) {
+                windowStats.addBytes += length;
+              } else if (type === INSTRUCTION.RUN) {
+                windowStats.runBytes += length;
+              } else if (
+                sourceType === 'source' &&
+                address < window.sourceSegmentSize
+              ) {
+                windowStats.copySourceBytes += length;
+              } else {
+                windowStats.copyTargetBytes += length;
+              }
+            }
+          );
+
+          breakdown.addBytes += windowStats.addBytes;
+          breakdown.copySourceBytes += windowStats.copySourceBytes;
+          breakdown.copyTargetBytes += windowStats.copyTargetBytes;
+          breakdown.runBytes += windowStats.runBytes;
+          breakdown.instructionCount += windowStats.instructionCount;
+          targetSize += window.targetWindowLength;
+          if (sourceType === 'source') {
+            minimumSourceSize = Math.max(
+              minimumSourceSize,
+              window.sourceSegmentPosition + window.sourceSegmentSize
+            );
+          }
+          windows.push(windowStats);
+        }
+
+        return {
+          success: true,
+          patchInfo: {
+            size,
+            sizeFormatted: PatchAnalyzer.formatBytes(size),
+            compressionRatio: MetricsUtils.calculateCompressionRatio(
+              targetSize,
+              size
+            ),
+            estimatedOriginalSize: minimumSourceSize,
+            estimatedNewSize: targetSize,
+          },
+          breakdown,
+          windows,
+        };
+      } finally {
+        await source.close();
+      }
     } catch (error) {
       return {
         success: false,
-        error: error instanceof Error ? error.message : String(error),
+        error: PatchAnalyzer.describeError(error),
         patchInfo: {
-          size: 0,
-          sizeFormatted: '0 B',
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
         },
       };
     }
   }
 
   /**
-   * Compares two patch files and returns comparison metrics
+   * Compares two patch files by their headers and instructions
    * @param patch1 - Path to first patch file
    * @param patch2 - Path to second patch file
+   * @param options - Comparison options
    * @returns Promise with patch comparison result
    */
   async comparePatches(
     patch1: string,
-    patch2: string
+    patch2: string,
+    options: ComparePatchesOptions = {}
   ): Promise<PatchComparisonResult> {
     try {
-      const stats1 = await fs.stat(patch1);
-      const stats2 = await fs.stat(patch2);
-
-      const sizeDifference = Math.abs(stats1.size - stats2.size);
-      const similarity =
-        stats1.size === stats2.size
-          ? 100
-          : Math.max(
-              0,
-              100 - (sizeDifference / Math.max(stats1.size, stats2.size)) * 100
-            );
+      const [analysis1, analysis2] = await Promise.all([
+        this.analyzePatch(patch1),
+        this.analyzePatch(patch2),
+      ]);
+      const [info1, info2] = await Promise.all([
+        this.getPatchInfo(patch1),
+        this.getPatchInfo(patch2),
+      ]);
+      for (const [name, analysis, info] of [
+        [patch1, analysis1, info1],
+        [patch2, analysis2, info2],
+      ] as const) {
+        if (!analysis.success || !info.success) {
+          throw new Error(`${name}: ${analysis.error ?? info.error}`);
+        }
+      }
 
-      return {
-        success: true,
-        comparison: {
-          sizeDifference,
-          sizeDifferenceFormatted: PatchAnalyzer.formatBytes(sizeDifference),
-          compressionRatioDifference: 0, // Would need actual analysis
-          similarity,
+      const breakdown1 = analysis1.breakdown!;
+      const breakdown2 = analysis2.breakdown!;
+      const targetSize1 = analysis1.patchInfo.estimatedNewSize ?? 0;
+      const targetSize2 = analysis2.patchInfo.estimatedNewSize ?? 0;
+      const sizeDifference = Math.abs(
+        analysis1.patchInfo.size - analysis2.patchInfo.size
+      );
+
+      const settings: [PatchSettings, PatchSettings] = [
+        PatchAnalyzer.getSettings(analysis1, info1),
+        PatchAnalyzer.getSettings(analysis2, info2),
+      ];
+
+      const comparison: PatchComparisonResult['comparison'] = {
+        sizeDifference,
+        sizeDifferenceFormatted: PatchAnalyzer.formatBytes(sizeDifference),
+        compressionRatioDifference:
+          (analysis2.patchInfo.compressionRatio ?? 0) -
+          (analysis1.patchInfo.compressionRatio ?? 0),
+        similarity: PatchAnalyzer.mixSimilarity(
+          breakdown1,
+          targetSize1,
+          breakdown2,
+          targetSize2
+        ),
+        sameTargetSize: targetSize1 === targetSize2,
+        instructionDifference: {
+          addBytes: breakdown2.addBytes - breakdown1.addBytes,
+          copySourceBytes:
+            breakdown2.copySourceBytes - breakdown1.copySourceBytes,
+          copyTargetBytes:
+            breakdown2.copyTargetBytes - breakdown1.copyTargetBytes,
+          runBytes: breakdown2.runBytes - breakdown1.runBytes,
+          instructionCount:
+            breakdown2.instructionCount - breakdown1.instructionCount,
         },
+        settings,
+        settingsDifferences: PatchAnalyzer.diffSettings(...settings),
+        equivalenceCheck: 'none',
       };
+
+      if (options.sourceFile) {
+        // Applying both patches is the only definitive check
+        const checksums: [string, string] = [
+          await PatchAnalyzer.hashTarget(patch1, options.sourceFile),
+          await PatchAnalyzer.hashTarget(patch2, options.sourceFile),
+        ];
+        comparison.targetChecksums = checksums;
+        comparison.sameTargetChecksum = checksums[0] === checksums[1];
+        comparison.equivalent = comparison.sameTargetChecksum;
+        comparison.equivalenceCheck = 'decoded';
+      } else if (!comparison.sameTargetSize) {
+        comparison.sameTargetChecksum = false;
+        comparison.equivalent = false;
+        comparison.equivalenceCheck = 'targetSize';
+      } else {
+        // Identical window layouts can be compared by their Adler-32 values
+        const windows1 = analysis1.windows!;
+        const windows2 = analysis2.windows!;
+        const comparable =
+          info1.info.format === 'vcdiff' &&
+          info2.info.format === 'vcdiff' &&
+          windows1.length === windows2.length &&
+          windows1.every(
+            (window, i) =>
+              window.checksum !== undefined &&
+              windows2[i]!.checksum !== undefined &&
+              window.targetSize === windows2[i]!.targetSize
+          );
+        if (comparable) {
+          comparison.sameTargetChecksum = windows1.every(
+            (window, i) => window.checksum === windows2[i]!.checksum
+          );
+          comparison.equivalent = comparison.sameTargetChecksum;
+          comparison.equivalenceCheck = 'windowChecksums';
+        }
+      }
+
+      return { success: true, comparison };
     } catch (error) {
       return {
         success: false,
-        error: error instanceof Error ? error.message : String(error),
+        error: PatchAnalyzer.describeError(error),
         comparison: {
           sizeDifference: 0,
           sizeDifferenceFormatted: '0 B',
@@ -87,38 +282,573 @@ class PatchAnalyzer implements IPatchAnalyzer {
   }
 
   /**
-   * Gets basic information about a patch file
+   * Reads the VCDIFF header and window headers of a patch file (or the
+   * header of a BSDIFF40 or container patch)
    * @param patchFile - Path to the patch file
    * @returns Promise with patch information result
    */
   async getPatchInfo(patchFile: string): Promise<PatchInfoResult> {
+    let size = 0;
+
     try {
       const stats = await fs.stat(patchFile);
+      size = stats.size;
+
+      if (await ChunkedPatchUtils.isChunkedPatch(patchFile)) {
+        return await PatchAnalyzer.getChunkedPatchInfo(patchFile, size);
+      }
+      if (await GrfPatchUtils.isGrfPatch(patchFile)) {
+        return await PatchAnalyzer.getGrfPatchInfo(patchFile, size);
+      }
+      if (await ZipPatchUtils.isZipPatch(patchFile)) {
+        return await PatchAnalyzer.getZipPatchInfo(patchFile, size);
+      }
+      if (await BsdiffReader.isBsdiffFile(patchFile)) {
+        return await PatchAnalyzer.getBsdiffPatchInfo(patchFile, size);
+      }
+
+      const source = await FileByteSource.open(patchFile);
+      try {
+        const reader = await VcdiffReader.open(source);
+        const { header } = reader;
+
+        const flags: string[] = [];
+        if (header.secondaryId !== undefined) flags.push('VCD_DECOMPRESS');
+        if (header.hasCodeTable) flags.push('VCD_CODETABLE');
+        if (header.appHeader) flags.push('VCD_APPHEADER');
+
+        const metadata: PatchMetadata = {
+          hasCodeTable: header.hasCodeTable,
+          windowCount: 0,
+          targetSize: 0,
+          sourceSegmentSizes: [],
+        };
+        if (header.secondaryCompressor) {
+          metadata.secondaryCompressor = header.secondaryCompressor;
+        }
+        if (header.appHeader) {
+          metadata.appHeader = header.appHeader.toString('utf8');
+          const names = parseXdeltaAppHeader(header.appHeader);
+          if (names) {
+            metadata.sourceFileName = names.sourceName;
+            metadata.targetFileName = names.targetName;
+          }
+          const pin = parseSourcePin(header.appHeader);
+          if (pin) {
+            metadata.sourcePin = pin;
+          }
+        }
+
+        // Window flags are reported once, in the order they are found
+        const windowFlags = new Set<string>();
+        for (;;) {
+          const window = await reader.nextWindow(false);
+          if (!window) break;
+
+          metadata.windowCount++;
+          metadata.targetSize += window.targetWindowLength;
+          metadata.sourceSegmentSizes.push(window.sourceSegmentSize);
+
+          if (window.indicator & VCDIFF.WIN_SOURCE)
+            windowFlags.add('VCD_SOURCE');
+          if (window.indicator & VCDIFF.WIN_TARGET)
+            windowFlags.add('VCD_TARGET');
+          if (window.indicator & VCDIFF.WIN_ADLER32) {
+            windowFlags.add('VCD_ADLER32');
+          }
+        }
+        flags.push(...windowFlags);
+
+        return {
+          success: true,
+          info: {
+            size,
+            sizeFormatted: PatchAnalyzer.formatBytes(size),
+            format: 'vcdiff',
+            version: String(header.version),
+            flags,
+            metadata,
+          },
+        };
+      } finally {
+        await source.close();
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: PatchAnalyzer.describeError(error),
+        info: {
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
+          format: 'unknown',
+          flags: [],
+        },
+      };
+    }
+  }
+
+  /**
+   * Describes a chunked patch from its index (one window per chunk)
+   * @param patchFile - Path to the chunked patch
+   * @param size - Size of the patch file
+   * @returns Promise with patch information result
+   * @private
+   */
+  private static async getChunkedPatchInfo(
+    patchFile: string,
+    size: number
+  ): Promise<PatchInfoResult> {
+    const { formatVersion, index } = await ChunkedPatchUtils.read(patchFile);
+    const metadata: PatchMetadata = {
+      hasCodeTable: false,
+      windowCount: index.chunks.length,
+      targetSize: index.targetSize,
+      sourceSegmentSizes: index.chunks.map(chunk => chunk.sourceLength),
+      chunks: index.chunks,
+    };
+    if (index.pin) {
+      metadata.sourcePin = index.pin;
+    }
+
+    return {
+      success: true,
+      info: {
+        size,
+        sizeFormatted: PatchAnalyzer.formatBytes(size),
+        format: 'apg-chunked',
+        version: String(formatVersion),
+        flags: [],
+        metadata,
+      },
+    };
+  }
+
+  /**
+   * Describes a GRF patch from its index (its entries instead of windows)
+   * @param patchFile - Path to the GRF patch
+   * @param size - Size of the patch file
+   * @returns Promise with patch information result
+   * @private
+   */
+  private static async getGrfPatchInfo(
+    patchFile: string,
+    size: number
+  ): Promise<PatchInfoResult> {
+    const { formatVersion, index } = await GrfPatchUtils.read(patchFile);
+    return {
+      success: true,
+      info: {
+        size,
+        sizeFormatted: PatchAnalyzer.formatBytes(size),
+        format: 'apg-grf',
+        version: String(formatVersion),
+        flags: [],
+        metadata: {
+          hasCodeTable: false,
+          windowCount: 0,
+          targetSize: index.targetSize,
+          sourceSegmentSizes: [],
+          grfEntries: index.entries,
+        },
+      },
+    };
+  }
+
+  /**
+   * Describes a ZIP patch from its index (its entries instead of windows)
+   * @param patchFile - Path to the ZIP patch
+   * @param size - Size of the patch file
+   * @returns Promise with patch information result
+   * @private
+   */
+  private static async getZipPatchInfo(
+    patchFile: string,
+    size: number
+  ): Promise<PatchInfoResult> {
+    const { formatVersion, index } = await ZipPatchUtils.read(patchFile);
+    const metadata: PatchMetadata = {
+      hasCodeTable: false,
+      windowCount: 0,
+      targetSize: index.targetSize,
+      sourceSegmentSizes: [],
+      zipEntries: index.entries,
+    };
+    if (index.pin) {
+      metadata.sourcePin = index.pin;
+    }
+
+    return {
+      success: true,
+      info: {
+        size,
+        sizeFormatted: PatchAnalyzer.formatBytes(size),
+        format: 'apg-zip',
+        version: String(formatVersion),
+        flags: [],
+        metadata,
+      },
+    };
+  }
+
+  /**
+   * Describes a BSDIFF40 patch from its header (no windows)
+   * @param patchFile - Path to the BSDIFF40 patch
+   * @param size - Size of the patch file
+   * @returns Promise with patch information result
+   * @private
+   */
+  private static async getBsdiffPatchInfo(
+    patchFile: string,
+    size: number
+  ): Promise<PatchInfoResult> {
+    const source = await FileByteSource.open(patchFile);
+    try {
+      const { header } = await BsdiffReader.open(source);
+      const metadata: PatchMetadata = {
+        // Every block is a bzip2 stream
+        secondaryCompressor: 'bzip2',
+        hasCodeTable: false,
+        windowCount: 0,
+        targetSize: header.newSize,
+        sourceSegmentSizes: [],
+        bsdiff: {
+          controlLength: header.controlLength,
+          diffLength: header.diffLength,
+          extraLength: header.extraLength,
+        },
+      };
+      if (header.appHeader) {
+        metadata.appHeader = header.appHeader.toString('utf8');
+        const pin = parseSourcePin(header.appHeader);
+        if (pin) {
+          metadata.sourcePin = pin;
+        }
+      }
 
       return {
         success: true,
         info: {
-          size: stats.size,
-          sizeFormatted: PatchAnalyzer.formatBytes(stats.size),
-          format: 'xdelta',
-          version: '3',
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
+          format: 'bsdiff',
+          version: BSDIFF.MAGIC.slice(-2),
           flags: [],
+          metadata,
+        },
+      };
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Analyzes a BSDIFF40 patch from its control block: bytes added to the
+   * source count as source copies, extra bytes as additions
+   * @param patchFile - Path to the BSDIFF40 patch
+   * @param size - Size of the patch file
+   * @returns Promise with patch analysis result
+   * @private
+   */
+  private static async analyzeBsdiffPatch(
+    patchFile: string,
+    size: number
+  ): Promise<PatchAnalysisResult> {
+    const source = await FileByteSource.open(patchFile);
+    try {
+      const reader = await BsdiffReader.open(source);
+      const { control } = await reader.readBlocks();
+      const breakdown = PatchAnalyzer.emptyBreakdown();
+      let oldPosition = 0;
+      let minimumSourceSize = 0;
+
+      for (
+        let entry = 0;
+        entry < control.length;
+        entry += BSDIFF.CONTROL_ENTRY_SIZE
+      ) {
+        const addLength = readOffset(control, entry);
+        breakdown.copySourceBytes += addLength;
+        breakdown.addBytes += readOffset(control, entry + 8);
+        breakdown.instructionCount++;
+        if (addLength > 0) {
+          minimumSourceSize = Math.max(
+            minimumSourceSize,
+            oldPosition + addLength
+          );
+        }
+        oldPosition += addLength + readOffset(control, entry + 16);
+      }
+
+      const targetSize = reader.header.newSize;
+      return {
+        success: true,
+        patchInfo: {
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
+          compressionRatio: MetricsUtils.calculateCompressionRatio(
+            targetSize,
+            size
+          ),
+          estimatedOriginalSize: minimumSourceSize,
+          estimatedNewSize: targetSize,
         },
+        breakdown,
+        windows: [],
+      };
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Reads the header and manifest of an .apgpack bundle
+   * @param bundlePath - Path to the bundle
+   * @param options - Inspection options
+   * @returns Promise with bundle inspection result
+   */
+  async inspectBundle(
+    bundlePath: string,
+    options: InspectBundleOptions = {}
+  ): Promise<BundleInspectionResult> {
+    let size = 0;
+
+    try {
+      const stats = await fs.stat(bundlePath);
+      size = stats.size;
+
+      const bundle = await BundleUtils.read(bundlePath);
+      const { manifest } = bundle;
+      const operations: Record<BatchOperation, number> = {
+        patch: 0,
+        add: 0,
+        delete: 0,
+        unchanged: 0,
+      };
+      let oldSize = 0;
+      let newSize = 0;
+      const corruptEntries: string[] = [];
+
+      for (const entry of manifest.entries) {
+        operations[entry.operation]++;
+        oldSize += entry.oldSize ?? 0;
+        newSize += entry.newSize ?? 0;
+        if (
+          options.verifyChecksums &&
+          entry.offset !== undefined &&
+          !(await BundleUtils.verifyPayload(bundlePath, bundle, entry))
+        ) {
+          corruptEntries.push(entry.path);
+        }
+      }
+
+      return {
+        success: corruptEntries.length === 0,
+        ...(corruptEntries.length > 0
+          ? { error: `${corruptEntries.length} corrupted payload(s)` }
+          : {}),
+        bundleInfo: {
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
+          formatVersion: bundle.formatVersion,
+          createdAt: manifest.createdAt,
+          hashAlgorithm: manifest.hashAlgorithm,
+          complete: manifest.complete,
+          payloadSize: bundle.payloadSize,
+          operations,
+          oldSize,
+          newSize,
+        },
+        entries: manifest.entries,
+        ...(options.verifyChecksums ? { corruptEntries } : {}),
       };
     } catch (error) {
       return {
         success: false,
-        error: error instanceof Error ? error.message : String(error),
-        info: {
-          size: 0,
-          sizeFormatted: '0 B',
-          format: 'unknown',
-          flags: [],
+        error: PatchAnalyzer.describeError(error),
+        bundleInfo: {
+          size,
+          sizeFormatted: PatchAnalyzer.formatBytes(size),
         },
       };
     }
   }
 
+  /**
+   * Turns an exception into the error message of a result
+   * @param error - Caught error
+   * @returns Error message
+   * @private
+   */
+  private static describeError(error: unknown): string {
+    const message = error instanceof Error ? error.message : String(error);
+    if (
+      error instanceof VcdiffError &&
+      !(error instanceof VcdiffUnsupportedError)
+    ) {
+      return `Not a valid VCDIFF patch: ${message}`;
+    }
+    return message;
+  }
+
+  /**
+   * Extracts the encoding settings compared by comparePatches
+   * @param analysis - Successful analysis of the patch
+   * @param info - Successful header information of the patch
+   * @returns Patch settings
+   * @private
+   */
+  private static getSettings(
+    analysis: PatchAnalysisResult,
+    info: PatchInfoResult
+  ): PatchSettings {
+    const windows = analysis.windows ?? [];
+    const settings: PatchSettings = {
+      windowCount: windows.length,
+      windowSize: windows.reduce(
+        (largest, window) => Math.max(largest, window.targetSize),
+        0
+      ),
+      hasChecksums:
+        windows.length > 0 &&
+        windows.every(window => window.checksum !== undefined),
+    };
+    if (info.info.metadata?.secondaryCompressor) {
+      settings.secondaryCompressor = info.info.metadata.secondaryCompressor;
+    }
+    return settings;
+  }
+
+  /**
+   * Lists the settings that differ between two patches
+   * @param settings1 - Settings of the first patch
+   * @param settings2 - Settings of the second patch
+   * @returns Human-readable differences
+   * @private
+   */
+  private static diffSettings(
+    settings1: PatchSettings,
+    settings2: PatchSettings
+  ): string[] {
+    const differences: string[] = [];
+    if (settings1.windowCount !== settings2.windowCount) {
+      differences.push(
+        `windowCount: ${settings1.windowCount} vs ${settings2.windowCount}`
+      );
+    }
+    if (settings1.windowSize !== settings2.windowSize) {
+      differences.push(
+        `windowSize: ${PatchAnalyzer.formatBytes(settings1.windowSize)} vs ${PatchAnalyzer.formatBytes(settings2.windowSize)}`
+      );
+    }
+    if (settings1.secondaryCompressor !== settings2.secondaryCompressor) {
+      differences.push(
+        `secondaryCompressor: ${settings1.secondaryCompressor ?? 'none'} vs ${settings2.secondaryCompressor ?? 'none'}`
+      );
+    }
+    if (settings1.hasChecksums !== settings2.hasChecksums) {
+      differences.push(
+        `checksums: ${settings1.hasChecksums ? 'yes' : 'no'} vs ${settings2.hasChecksums ? 'yes' : 'no'}`
+      );
+    }
+    return differences;
+  }
+
+  /**
+   * Similarity of two instruction mixes (100 minus half the L1 distance
+   * between the byte shares of each instruction type)
+   * @param breakdown1 - Instruction bytes of the first patch
+   * @param targetSize1 - Target size of the first patch
+   * @param breakdown2 - Instruction bytes of the second patch
+   * @param targetSize2 - Target size of the second patch
+   * @returns Similarity percentage (0-100)
+   * @private
+   */
+  private static mixSimilarity(
+    breakdown1: InstructionBreakdown,
+    targetSize1: number,
+    breakdown2: InstructionBreakdown,
+    targetSize2: number
+  ): number {
+    if (targetSize1 === 0 || targetSize2 === 0) {
+      return targetSize1 === targetSize2 ? 100 : 0;
+    }
+
+    const share = (bytes: number, total: number) => bytes / total;
+    const distance =
+      Math.abs(
+        share(breakdown1.addBytes, targetSize1) -
+          share(breakdown2.addBytes, targetSize2)
+      ) +
+      Math.abs(
+        share(breakdown1.copySourceBytes, targetSize1) -
+          share(breakdown2.copySourceBytes, targetSize2)
+      ) +
+      Math.abs(
+        share(breakdown1.copyTargetBytes, targetSize1) -
+          share(breakdown2.copyTargetBytes, targetSize2)
+      ) +
+      Math.abs(
+        share(breakdown1.runBytes, targetSize1) -
+          share(breakdown2.runBytes, targetSize2)
+      );
+
+    return Math.round((1 - distance / 2) * 10000) / 100;
+  }
+
+  /**
+   * Applies a patch in memory and hashes the output
+   * @param patchFile - Patch file path
+   * @param sourceFile - Source file path
+   * @returns Promise with the SHA-256 of the target
+   * @private
+   */
+  private static async hashTarget(
+    patchFile: string,
+    sourceFile: string
+  ): Promise<string> {
+    const patch = await FileByteSource.open(patchFile);
+    try {
+      const source = await FileByteSource.open(sourceFile);
+      try {
+        const sink = new HashByteSink('sha256');
+        try {
+          const magic = await patch.read(0, BSDIFF.MAGIC.length);
+          if (magic.toString('latin1') === BSDIFF.MAGIC) {
+            await BsdiffDecoder.decode(patch, source, sink);
+          } else {
+            await VcdiffDecoder.decode(patch, source, sink);
+          }
+        } catch (error) {
+          const message =
+            error instanceof Error ? error.message : String(error);
+          throw new Error(
+            `Could not apply ${patchFile} to ${sourceFile}: ${message}`
+          );
+        }
+        return sink.digest();
+      } finally {
+        await source.close();
+      }
+    } finally {
+      await patch.close();
+    }
+  }
+
+  /**
+   * Returns a breakdown with every counter at zero
+   * @returns Empty instruction breakdown
+   * @private
+   */
+  private static emptyBreakdown(): InstructionBreakdown {
+    return {
+      addBytes: 0,
+      copySourceBytes: 0,
+      copyTargetBytes: 0,
+      runBytes: 0,
+      instructionCount: 0,
+    };
+  }
+
   /**
    * Formats bytes into human-readable format
    * @param bytes - Number of bytes
@@ -143,16 +873,25 @@ class PatchAnalyzer implements IPatchAnalyzer {
 
   static async comparePatches(
     patch1: string,
-    patch2: string
+    patch2: string,
+    options?: ComparePatchesOptions
   ): Promise<PatchComparisonResult> {
     const instance = new PatchAnalyzer();
-    return instance.comparePatches(patch1, patch2);
+    return instance.comparePatches(patch1, patch2, options);
   }
 
   static async getPatchInfo(patchFile: string): Promise<PatchInfoResult> {
     const instance = new PatchAnalyzer();
     return instance.getPatchInfo(patchFile);
   }
+
+  static async inspectBundle(
+    bundlePath: string,
+    options?: InspectBundleOptions
+  ): Promise<BundleInspectionResult> {
+    const instance = new PatchAnalyzer();
+    return instance.inspectBundle(bundlePath, options);
+  }
 }
 
 export default PatchAnalyzer;
@@ -0,0 +1,633 @@
+import fs from 'fs-extra';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import AdvancedPatchGenerator from './AdvancedPatchGenerator.js';
+import PatchGraph from './PatchGraph.js';
+import MetricsUtils from '../utils/metrics.js';
+import HashUtils from '../utils/hashUtils.js';
+import AtomicUtils from '../utils/atomicUtils.js';
+import BackupJournal from '../utils/backupJournal.js';
+import ProgressTracker from '../utils/progressTracker.js';
+import AbortUtils from '../utils/abortUtils.js';
+import { PATCH_SERVER } from '../constants/index.js';
+import type {
+  ErrorData,
+  IAdvancedPatchGenerator,
+  PatchChainResult,
+  PatchClientOptions,
+  PatchGraphEdge,
+  PatchPlan,
+  PatchServerFile,
+  PatchServerManifest,
+  ProgressData,
+  UpdateOptions,
+  UpdateResult,
+} from '../types/index.js';
+
+/**
+ * Error of one update step, with the code reported in UpdateResult
+ */
+class UpdateError extends Error {
+  constructor(
+    readonly code: string,
+    message: string
+  ) {
+    super(message);
+    this.name = 'UpdateError';
+  }
+}
+
+/**
+ * Updates a file from a PatchServer: reads its manifest, plans the smallest
+ * download, downloads the files (resuming interrupted downloads), checks
+ * their checksums and applies them with applyPatchChain
+ * @class PatchClient
+ * @extends EventEmitter
+ */
+class PatchClient extends EventEmitter {
+  private readonly baseUrl: URL;
+  private readonly generator: IAdvancedPatchGenerator;
+  private readonly downloadDir: string;
+  private readonly keepDownloads: boolean;
+  private onProgressCallback: ((progress: ProgressData) => void) | undefined;
+  private onErrorCallback: ((error: ErrorData) => void) | undefined;
+  private onCompleteCallback: ((result: UpdateResult) => void) | undefined;
+
+  /**
+   * @param url - Base URL of the server
+   * @param options - Client options
+   */
+  constructor(url: string, options: PatchClientOptions = {}) {
+    super();
+    // Manifest and file paths resolve below the base URL
+    this.baseUrl = new URL(url.endsWith('/') ? url : `${url}/`);
+    if (options.generator) {
+      this.generator = options.generator;
+    } else {
+      this.generator = new AdvancedPatchGenerator({ showProgress: false });
+    }
+    this.downloadDir = options.downloadDir ?? PatchClient._defaultDownloadDir();
+    this.keepDownloads = options.keepDownloads ?? false;
+    this.onProgressCallback = options.onProgress;
+    this.onErrorCallback = options.onError;
+    this.onCompleteCallback = options.onComplete;
+  }
+
+  /**
+   * Emits progress event with options callback support
+   * @param data - Progress data
+   * @param options - Options that may contain callbacks
+   * @private
+   */
+  private _emitProgress(data: ProgressData, options?: UpdateOptions): void {
+    this.emit('progress', data);
+    if (this.onProgressCallback) {
+      this.onProgressCallback(data);
+    }
+    if (options?.onProgress) {
+      options.onProgress(data);
+    }
+  }
+
+  /**
+   * Emits error event
+   * @param error - Error occurred
+   * @private
+   */
+  private _emitError(error: ErrorData): void {
+    // update() also returns the failure, so an 'error' event nobody listens
+    // to must not throw
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+    if (this.onErrorCallback) {
+      this.onErrorCallback(error);
+    }
+  }
+
+  /**
+   * Emits completion event
+   * @param result - Update result
+   * @private
+   */
+  private _emitComplete(result: UpdateResult): void {
+    this.emit('complete', result);
+    if (this.onCompleteCallback) {
+      this.onCompleteCallback(result);
+    }
+  }
+
+  /**
+   * Downloads the server manifest
+   * @param signal - Signal that stops the request
+   * @returns Promise with the manifest
+   * @throws Error when the request fails or the manifest is not supported
+   * or lists an invalid checksum
+   */
+  async fetchManifest(signal?: AbortSignal): Promise<PatchServerManifest> {
+    const response = await PatchClient._get(
+      new URL(PATCH_SERVER.MANIFEST_PATH.slice(1), this.baseUrl),
+      {},
+      signal
+    );
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new UpdateError(
+        'DOWNLOAD_FAILED',
+        `Manifest request failed: HTTP ${response.statusCode}`
+      );
+    }
+
+    const tooLarge = () =>
+      new UpdateError(
+        'INVALID_MANIFEST',
+        `Manifest is larger than ${MetricsUtils.formatBytes(PATCH_SERVER.MAX_MANIFEST_SIZE)}`
+      );
+    if (
+      Number(response.headers['content-length']) >
+      PATCH_SERVER.MAX_MANIFEST_SIZE
+    ) {
+      response.destroy();
+      throw tooLarge();
+    }
+    const chunks: Buffer[] = [];
+    let size = 0;
+    // Leaving the loop early destroys the response
+    for await (const chunk of response as AsyncIterable<Buffer>) {
+      size += chunk.length;
+      if (size > PATCH_SERVER.MAX_MANIFEST_SIZE) {
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+
+    const manifest = JSON.parse(
+      Buffer.concat(chunks).toString('utf8')
+    ) as PatchServerManifest;
+    if (manifest.version !== PATCH_SERVER.MANIFEST_VERSION) {
+      throw new UpdateError(
+        'DOWNLOAD_FAILED',
+        `Unsupported manifest version: ${manifest.version}`
+      );
+    }
+    if (!Array.isArray(manifest.files)) {
+      throw new UpdateError('INVALID_MANIFEST', 'Manifest has no file list');
+    }
+    for (const entry of manifest.files) {
+      if (
+        typeof entry?.checksum !== 'string' ||
+        !PATCH_SERVER.CHECKSUM_PATTERN.test(entry.checksum)
+      ) {
+        throw new UpdateError(
+          'INVALID_MANIFEST',
+          `Invalid checksum in manifest for ${String(entry?.path)}`
+        );
+      }
+    }
+    return manifest;
+  }
+
+  /**
+   * Plans the downloads from one version to another, without downloading
+   * them
+   * @param from - Installed version, or null when there is none
+   * @param to - Wanted version (default: the manifest's latest)
+   * @returns Promise with the plan; step files are manifest paths
+   */
+  async plan(from: string | null, to?: string): Promise<PatchPlan> {
+    const manifest = await this.fetchManifest();
+    return PatchClient._planFrom(manifest, from, to);
+  }
+
+  /**
+   * Updates a file to another version
+   * @param file - File to update (created when from is null)
+   * @param from - Version of the file, or null when there is none
+   * @param options - Update options
+   * @returns Promise with the update result
+   */
+  async update(
+    file: string,
+    from: string | null,
+    options: UpdateOptions = {}
+  ): Promise<UpdateResult> {
+    const tracker = new ProgressTracker(data =>
+      this._emitProgress(data, options)
+    );
+    const startTime = Date.now();
+    const abort = AbortUtils.createSignal(options.signal, options.timeout);
+    const downloadShare = PATCH_SERVER.DOWNLOAD_SHARE * 100;
+    let to = options.to;
+    let steps: PatchGraphEdge[] = [];
+    let downloadedBytes = 0;
+    let chain: PatchChainResult | undefined;
+    const downloads: string[] = [];
+
+    try {
+      tracker.update({ percentage: 0, message: 'Obtendo manifesto...' });
+      const manifest = await this.fetchManifest(abort.signal);
+      const plan = PatchClient._planFrom(manifest, from, to);
+      if (plan.to) {
+        to = plan.to;
+      }
+      if (!plan.found) {
+        throw new UpdateError('UNREACHABLE', plan.error!);
+      }
+      steps = plan.steps;
+
+      const entries = new Map(manifest.files.map(entry => [entry.path, entry]));
+      const files = steps.map(step => entries.get(step.file!)!);
+
+      await this._prepareDownloadDir();
+      let received = 0;
+      for (const [index, entry] of files.entries()) {
+        const done = received;
+        const label = `${index + 1}/${files.length}`;
+        const download = await this._download(entry, abort.signal, bytes => {
+          received = done + bytes;
+          tracker.update({
+            percentage:
+              plan.totalSize > 0
+                ? (received / plan.totalSize) * downloadShare
+                : downloadShare,
+            message: `Baixando arquivo ${label}...`,
+            current: received,
+            total: plan.totalSize,
+          });
+        });
+        downloads.push(download.file);
+        downloadedBytes += download.transferred;
+      }
+
+      // A full file replaces whatever is installed; patches apply on top
+      const fullFile = steps[0]?.type === 'full' ? downloads[0] : undefined;
+      const patches = downloads.slice(fullFile ? 1 : 0);
+      AbortUtils.throwIfAborted(abort.signal);
+      if (patches.length > 0) {
+        chain = await this.generator.applyPatchChain(
+          fullFile ?? file,
+          patches,
+          file,
+          {
+            ...(options.backup ? { backup: true } : {}),
+            ...(options.backend ? { backend: options.backend } : {}),
+            timeout: 0,
+            signal: abort.signal,
+            onProgress: progress => {
+              tracker.update({
+                percentage:
+                  downloadShare +
+                  (progress.percentage * (100 - downloadShare)) / 100,
+                message: progress.message,
+              });
+            },
+          }
+        );
+        if (!chain.success) {
+          throw new UpdateError(
+            chain.errorCode ?? 'PATCH_APPLY_FAILED',
+            chain.error ?? 'Failed to apply patches'
+          );
+        }
+      } else if (fullFile) {
+        tracker.update({
+          percentage: downloadShare,
+          message: 'Instalando arquivo completo...',
+        });
+        await PatchClient._install(fullFile, file, options.backup === true);
+      }
+
+      if (!this.keepDownloads) {
+        for (const download of downloads) {
+          await fs.remove(download);
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      const finalResult: UpdateResult = {
+        success: true,
+        from,
+        to: plan.to,
+        steps,
+        downloadedBytes,
+        ...(chain ? { chain } : {}),
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+        },
+      };
+
+      tracker.update({
+        percentage: 100,
+        message: 'Atualização concluída!',
+      });
+
+      this._emitComplete(finalResult);
+
+      return finalResult;
+    } catch (error) {
+      // Downloads are kept, so a new attempt resumes them
+      const aborted = AbortUtils.getError(abort.signal);
+      const errorCode = aborted
+        ? aborted.code
+        : error instanceof UpdateError
+          ? error.code
+          : 'DOWNLOAD_FAILED';
+      const errorMessage = aborted
+        ? aborted.message
+        : error instanceof Error
+          ? error.message
+          : String(error);
+
+      this._emitError({
+        message: `Failed to update: ${errorMessage}`,
+        code: errorCode,
+        details: error,
+      });
+
+      const duration = Date.now() - startTime;
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode,
+        from,
+        ...(to !== undefined ? { to } : {}),
+        steps,
+        downloadedBytes,
+        ...(chain ? { chain } : {}),
+        metrics: {
+          duration,
+          durationFormatted: MetricsUtils.formatDuration(duration),
+        },
+      };
+    } finally {
+      abort.dispose();
+    }
+  }
+
+  /**
+   * Downloads one manifest file, resuming a previous partial download
+   * @param entry - Manifest file
+   * @param signal - Signal that stops the download
+   * @param onProgress - Receives the bytes of the file downloaded so far
+   * @returns Promise with the downloaded file and the bytes received now
+   * @throws UpdateError when the request fails or the checksum differs
+   * @private
+   */
+  private async _download(
+    entry: PatchServerFile,
+    signal: AbortSignal,
+    onProgress: (bytes: number) => void
+  ): Promise<{ file: string; transferred: number }> {
+    // Downloads are named by checksum, so finished ones are reused; links
+    // are never followed, so nothing placed in the directory can redirect a
+    // download to another file
+    const file = path.join(this.downloadDir, entry.checksum);
+    const partialFile = `${file}${PATCH_SERVER.PARTIAL_SUFFIX}`;
+    const [fileStats, partialStats] = await Promise.all([
+      fs.lstat(file).catch(() => undefined),
+      fs.lstat(partialFile).catch(() => undefined),
+    ]);
+    if (
+      fileStats?.isFile() &&
+      (await HashUtils.hashFile(file, PATCH_SERVER.HASH_ALGORITHM, signal)) ===
+        entry.checksum
+    ) {
+      onProgress(entry.size);
+      return { file, transferred: 0 };
+    }
+
+    let offset = partialStats?.isFile() ? partialStats.size : 0;
+    if (offset >= entry.size) {
+      offset = 0;
+    }
+
+    const url = new URL(
+      PATCH_SERVER.FILES_PATH.slice(1) +
+        entry.path.split('/').map(encodeURIComponent).join('/'),
+      this.baseUrl
+    );
+    // If-Range makes the server send the whole file when it has changed
+    const response = await PatchClient._get(
+      url,
+      offset > 0
+        ? { Range: `bytes=${offset}-`, 'If-Range': `"${entry.checksum}"` }
+        : {},
+      signal
+    );
+    const resumed =
+      offset > 0 &&
+      response.statusCode === 206 &&
+      response.headers['content-range']?.startsWith(`bytes ${offset}-`) ===
+        true;
+    if (!resumed && response.statusCode !== 200) {
+      response.resume();
+      throw new UpdateError(
+        'DOWNLOAD_FAILED',
+        `Failed to download ${entry.path}: HTTP ${response.statusCode}`
+      );
+    }
+    if (!resumed) {
+      offset = 0;
+      await fs.remove(partialFile);
+    }
+
+    // A new download is created, failing on anything left at its path
+    const {
+      O_WRONLY,
+      O_APPEND,
+      O_CREAT,
+      O_EXCL,
+      O_NOFOLLOW = 0,
+    } = fs.constants;
+    let fd: number;
+    try {
+      fd = await fs.open(
+        partialFile,
+        resumed
+          ? O_WRONLY | O_APPEND | O_NOFOLLOW
+          : O_WRONLY | O_CREAT | O_EXCL | O_NOFOLLOW,
+        0o600
+      );
+    } catch (error) {
+      response.resume();
+      throw error;
+    }
+
+    let received = offset;
+    let transferred = 0;
+    onProgress(received);
+    try {
+      await pipeline(
+        response,
+        async function* (source: AsyncIterable<Buffer>) {
+          for await (const chunk of source) {
+            received += chunk.length;
+            transferred += chunk.length;
+            onProgress(received);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(partialFile, { fd })
+      );
+    } catch (error) {
+      AbortUtils.throwIfAborted(signal);
+      throw new UpdateError(
+        'DOWNLOAD_FAILED',
+        `Failed to download ${entry.path}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+
+    const checksum = await HashUtils.hashFile(
+      partialFile,
+      PATCH_SERVER.HASH_ALGORITHM,
+      signal
+    );
+    if (checksum !== entry.checksum) {
+      await fs.remove(partialFile);
+      throw new UpdateError(
+        'CHECKSUM_MISMATCH',
+        `Checksum mismatch for ${entry.path}: expected ${entry.checksum}, got ${checksum}`
+      );
+    }
+    await fs.rename(partialFile, file);
+    return { file, transferred };
+  }
+
+  /**
+   * Creates the download directory, readable only by the current user, and
+   * refuses one that other users could place files in
+   * @throws UpdateError when the directory is a link, belongs to another
+   * user or is writable by everyone
+   * @private
+   */
+  private async _prepareDownloadDir(): Promise<void> {
+    await fs.ensureDir(this.downloadDir, { mode: 0o700 });
+    const stats = await fs.lstat(this.downloadDir);
+    const foreign =
+      process.getuid !== undefined && stats.uid !== process.getuid();
+    if (
+      !stats.isDirectory() ||
+      foreign ||
+      (process.platform !== 'win32' && (stats.mode & 0o002) !== 0)
+    ) {
+      throw new UpdateError(
+        'UNSAFE_DOWNLOAD_DIR',
+        `Download directory must be a directory of the current user that others cannot write to: ${this.downloadDir}`
+      );
+    }
+  }
+
+  /**
+   * Gets the default download directory, in the user's cache directory
+   * rather than a shared temporary one
+   * @returns Directory path
+   * @private
+   */
+  private static _defaultDownloadDir(): string {
+    const cacheDir =
+      process.env.XDG_CACHE_HOME ||
+      (process.platform === 'win32' ? process.env.LOCALAPPDATA : undefined) ||
+      path.join(os.homedir(), '.cache');
+    return path.join(cacheDir, PATCH_SERVER.CACHE_DIR, 'downloads');
+  }
+
+  /**
+   * Plans the downloads described by a manifest
+   * @param manifest - Server manifest
+   * @param from - Installed version, or null when there is none
+   * @param to - Wanted version (default: the manifest's latest)
+   * @returns Plan whose step files are manifest paths
+   * @private
+   */
+  private static _planFrom(
+    manifest: PatchServerManifest,
+    from: string | null,
+    to?: string
+  ): PatchPlan {
+    const target = to ?? manifest.latest;
+    if (target === undefined) {
+      return {
+        found: false,
+        error: 'No version given and the manifest has no latest version',
+        from,
+        to: '',
+        steps: [],
+        totalSize: 0,
+      };
+    }
+
+    const graph = new PatchGraph();
+    for (const entry of manifest.files) {
+      if (entry.from === undefined) {
+        graph.addFullFile(entry.to, entry.size, entry.path);
+      } else {
+        graph.addPatch(entry.from, entry.to, entry.size, entry.path);
+      }
+    }
+    return graph.plan(from, target);
+  }
+
+  /**
+   * Installs a downloaded full file over the target
+   * @param source - Downloaded file
+   * @param target - File to replace
+   * @param backup - Keep the previous target for rollback()
+   * @private
+   */
+  private static async _install(
+    source: string,
+    target: string,
+    backup: boolean
+  ): Promise<void> {
+    const tempFile = AtomicUtils.tempPathFor(target);
+    try {
+      await fs.ensureDir(path.dirname(target));
+      await fs.copy(source, tempFile);
+      if (backup) {
+        const journal = await BackupJournal.create(target, 'file');
+        await journal.record(path.basename(target));
+      }
+      await AtomicUtils.replace(tempFile, target);
+    } catch (error) {
+      await fs.remove(tempFile);
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a GET request
+   * @param url - Requested URL
+   * @param headers - Request headers
+   * @param signal - Signal that stops the request
+   * @returns Promise with the response
+   * @private
+   */
+  private static _get(
+    url: URL,
+    headers: Record<string, string>,
+    signal?: AbortSignal
+  ): Promise<http.IncomingMessage> {
+    return new Promise((resolve, reject) => {
+      const request = (url.protocol === 'https:' ? https : http).get(
+        url,
+        { headers, ...(signal ? { signal } : {}) },
+        resolve
+      );
+      request.on('error', error => {
+        reject(
+          new UpdateError(
+            'DOWNLOAD_FAILED',
+            `Request to ${url.href} failed: ${error.message}`
+          )
+        );
+      });
+    });
+  }
+}
+
+export default PatchClient;
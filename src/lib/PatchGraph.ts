@@ -0,0 +1,236 @@
+import fs from 'fs-extra';
+import type {
+  IPatchGraph,
+  PatchGraphEdge,
+  PatchGraphFile,
+  PatchPlan,
+} from '../types/index.js';
+
+/**
+ * Cheapest known way to reach a version
+ */
+type Route = {
+  size: number;
+  steps: number;
+  // Download that reaches the version, and the version it starts from
+  edge?: PatchGraphEdge;
+  previous?: string | null;
+};
+
+/**
+ * Patches and full files available between versions, used to plan the
+ * smallest download from the version a user has to the one they want
+ * @class PatchGraph
+ * @implements IPatchGraph
+ */
+class PatchGraph implements IPatchGraph {
+  // Patches by the version they apply to
+  private readonly patches = new Map<string, PatchGraphEdge[]>();
+  private readonly fullFiles: PatchGraphEdge[] = [];
+  private readonly known = new Set<string>();
+
+  /**
+   * Creates a graph from known downloads
+   * @param edges - Patches and full files
+   */
+  constructor(edges: PatchGraphEdge[] = []) {
+    for (const edge of edges) {
+      this.add(edge);
+    }
+  }
+
+  /**
+   * Creates a graph from patch and full files, reading their sizes
+   * @param files - Files with the versions they go from (patches) and to
+   * @returns Promise with the graph
+   */
+  static async load(files: PatchGraphFile[]): Promise<PatchGraph> {
+    const graph = new PatchGraph();
+    for (const entry of files) {
+      const { size } = await fs.stat(entry.file);
+      if (entry.from === undefined) {
+        graph.addFullFile(entry.to, size, entry.file);
+      } else {
+        graph.addPatch(entry.from, entry.to, size, entry.file);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Adds a patch between two versions
+   * @param from - Version the patch applies to
+   * @param to - Version it produces
+   * @param size - Bytes to download
+   * @param file - Patch file or location
+   * @returns The graph
+   */
+  addPatch(from: string, to: string, size: number, file?: string): this {
+    this.add({ type: 'patch', from, to, size, ...(file ? { file } : {}) });
+    return this;
+  }
+
+  /**
+   * Adds a full copy of a version, which can be installed from any version
+   * @param version - Version of the file
+   * @param size - Bytes to download
+   * @param file - Full file or location
+   * @returns The graph
+   */
+  addFullFile(version: string, size: number, file?: string): this {
+    this.add({ type: 'full', to: version, size, ...(file ? { file } : {}) });
+    return this;
+  }
+
+  /**
+   * Lists every version the graph knows, in the order they were added
+   * @returns Version names
+   */
+  versions(): string[] {
+    return [...this.known];
+  }
+
+  /**
+   * Finds the downloads with the smallest total size leading from one
+   * version to another (fewer steps first when sizes are equal)
+   * @param from - Installed version, or null when there is none
+   * @param to - Wanted version
+   * @returns Plan with the downloads in order, or found: false
+   */
+  plan(from: string | null, to: string): PatchPlan {
+    const notFound = (error: string): PatchPlan => ({
+      found: false,
+      error,
+      from,
+      to,
+      steps: [],
+      totalSize: 0,
+    });
+
+    if (!this.known.has(to)) {
+      return notFound(`Unknown version: ${to}`);
+    }
+    if (from === to) {
+      return { found: true, from, to, steps: [], totalSize: 0 };
+    }
+
+    const routes = this.search(from);
+    const route = routes.get(to);
+    if (!route) {
+      return notFound(
+        `No patches or full file lead from ${from ?? 'no installed version'} to ${to}`
+      );
+    }
+
+    const steps: PatchGraphEdge[] = [];
+    let version: string | null = to;
+    while (version !== from) {
+      const step: Route = routes.get(version)!;
+      steps.unshift(step.edge!);
+      version = step.previous!;
+    }
+
+    return { found: true, from, to, steps, totalSize: route.size };
+  }
+
+  /**
+   * Lists the versions that cannot be reached from a version
+   * @param from - Installed version, or null when there is none
+   * @returns Version names, in the order they were added
+   */
+  unreachable(from: string | null): string[] {
+    const routes = this.search(from);
+    return this.versions().filter(version => !routes.has(version));
+  }
+
+  /**
+   * Validates and stores a download
+   * @param edge - Patch or full file
+   * @private
+   */
+  private add(edge: PatchGraphEdge): void {
+    if (!Number.isFinite(edge.size) || edge.size < 0) {
+      throw new Error(`Invalid download size for ${edge.to}: ${edge.size}`);
+    }
+
+    if (edge.type === 'full') {
+      this.fullFiles.push(edge);
+    } else {
+      if (edge.from === undefined) {
+        throw new Error(`Patch to ${edge.to} has no source version`);
+      }
+      if (edge.from === edge.to) {
+        throw new Error(`Patch from ${edge.from} to itself`);
+      }
+      const patches = this.patches.get(edge.from) ?? [];
+      patches.push(edge);
+      this.patches.set(edge.from, patches);
+      this.known.add(edge.from);
+    }
+    this.known.add(edge.to);
+  }
+
+  /**
+   * Finds the cheapest route to every reachable version (Dijkstra)
+   * @param from - Starting version, or null when there is none
+   * @returns Routes by version, including the starting one
+   * @private
+   */
+  private search(from: string | null): Map<string | null, Route> {
+    const routes = new Map<string | null, Route>([
+      [from, { size: 0, steps: 0 }],
+    ]);
+    const settled = new Set<string | null>();
+
+    for (;;) {
+      // Cheapest version not settled yet
+      let current: { version: string | null; route: Route } | undefined;
+      for (const [version, route] of routes) {
+        if (
+          !settled.has(version) &&
+          (!current || PatchGraph.cheaper(route, current.route))
+        ) {
+          current = { version, route };
+        }
+      }
+      if (!current) break;
+      settled.add(current.version);
+
+      // Full files can be downloaded whatever version is installed
+      const edges = [
+        ...(current.version === null
+          ? []
+          : (this.patches.get(current.version) ?? [])),
+        ...this.fullFiles,
+      ];
+      for (const edge of edges) {
+        if (settled.has(edge.to)) continue;
+        const next: Route = {
+          size: current.route.size + edge.size,
+          steps: current.route.steps + 1,
+          edge,
+          previous: current.version,
+        };
+        const known = routes.get(edge.to);
+        if (!known || PatchGraph.cheaper(next, known)) {
+          routes.set(edge.to, next);
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  /**
+   * Compares two routes by total size, then by number of steps
+   * @param a - Route
+   * @param b - Route
+   * @returns True when a is cheaper than b
+   * @private
+   */
+  private static cheaper(a: Route, b: Route): boolean {
+    return a.size < b.size || (a.size === b.size && a.steps < b.steps);
+  }
+}
+
+export default PatchGraph;
@@ -0,0 +1,275 @@
+import http from 'http';
+import type { AddressInfo, Socket } from 'net';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import fs from 'fs-extra';
+import BatchUtils from '../utils/batchUtils.js';
+import HashUtils from '../utils/hashUtils.js';
+import { PATCH_SERVER } from '../constants/index.js';
+import type {
+  PatchGraphFile,
+  PatchServerFile,
+  PatchServerManifest,
+  PatchServerOptions,
+} from '../types/index.js';
+
+/**
+ * Serves a manifest of versions and patches, and the files it lists, over
+ * HTTP. Files answer Range requests, so PatchClient can resume downloads.
+ * @class PatchServer
+ */
+class PatchServer {
+  private readonly root: string;
+  private readonly entries: PatchGraphFile[];
+  private readonly options: PatchServerOptions;
+  private server: http.Server | undefined;
+  private readonly sockets = new Set<Socket>();
+  private manifestBody = Buffer.alloc(0);
+  // Files by manifest path; nothing else is served
+  private readonly files = new Map<
+    string,
+    { file: string; entry: PatchServerFile }
+  >();
+  private baseUrl = '';
+
+  /**
+   * @param root - Directory holding the files
+   * @param entries - Patches and full files, with paths relative to root
+   * @param options - Listening address and latest version
+   */
+  constructor(
+    root: string,
+    entries: PatchGraphFile[],
+    options: PatchServerOptions = {}
+  ) {
+    this.root = root;
+    this.entries = entries;
+    this.options = options;
+  }
+
+  /**
+   * Base URL of the running server ('' when stopped)
+   */
+  get url(): string {
+    return this.baseUrl;
+  }
+
+  /**
+   * Builds the manifest of a set of files, hashing each one
+   * @param root - Directory holding the files
+   * @param entries - Patches and full files, with paths relative to root
+   * @param latest - Version clients update to by default
+   * @returns Promise with the manifest
+   * @throws Error when a file is missing or outside root
+   */
+  static async createManifest(
+    root: string,
+    entries: PatchGraphFile[],
+    latest?: string
+  ): Promise<PatchServerManifest> {
+    const files: PatchServerFile[] = [];
+    for (const entry of entries) {
+      const file = BatchUtils.resolveInside(root, entry.file);
+      const { size } = await fs.stat(file);
+      files.push({
+        ...(entry.from !== undefined ? { from: entry.from } : {}),
+        to: entry.to,
+        path: path.relative(path.resolve(root), file).split(path.sep).join('/'),
+        size,
+        checksum: await HashUtils.hashFile(file, PATCH_SERVER.HASH_ALGORITHM),
+      });
+    }
+
+    return {
+      version: PATCH_SERVER.MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      hashAlgorithm: PATCH_SERVER.HASH_ALGORITHM,
+      ...(latest !== undefined ? { latest } : {}),
+      files,
+    };
+  }
+
+  /**
+   * Hashes the files, builds the manifest and starts listening
+   * @returns Promise with the base URL of the server
+   */
+  async start(): Promise<string> {
+    if (this.server) {
+      return this.baseUrl;
+    }
+
+    const manifest = await PatchServer.createManifest(
+      this.root,
+      this.entries,
+      this.options.latest
+    );
+    this.files.clear();
+    for (const entry of manifest.files) {
+      this.files.set(entry.path, {
+        file: path.join(this.root, ...entry.path.split('/')),
+        entry,
+      });
+    }
+    this.manifestBody = Buffer.from(JSON.stringify(manifest), 'utf8');
+
+    const server = http.createServer((request, response) => {
+      this.handle(request, response).catch(() => response.destroy());
+    });
+    // Open connections are closed by stop()
+    server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+
+    const host = this.options.host ?? PATCH_SERVER.DEFAULT_HOST;
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.options.port ?? 0, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = server.address() as AddressInfo;
+    this.server = server;
+    this.baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops listening and closes open connections
+   */
+  async stop(): Promise<void> {
+    const { server } = this;
+    if (!server) {
+      return;
+    }
+
+    this.server = undefined;
+    this.baseUrl = '';
+    const closed = new Promise<void>((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+    });
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await closed;
+  }
+
+  /**
+   * Answers one request: the manifest, a file (whole or a range) or an error
+   * @param request - Incoming request
+   * @param response - Response to write
+   * @private
+   */
+  private async handle(
+    request: http.IncomingMessage,
+    response: http.ServerResponse
+  ): Promise<void> {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    const head = request.method === 'HEAD';
+
+    const { pathname } = new URL(request.url ?? '/', 'http://localhost');
+    if (pathname === PATCH_SERVER.MANIFEST_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Length': this.manifestBody.length,
+        'Cache-Control': 'no-cache',
+      });
+      response.end(head ? undefined : this.manifestBody);
+      return;
+    }
+
+    let served: { file: string; entry: PatchServerFile } | undefined;
+    if (pathname.startsWith(PATCH_SERVER.FILES_PATH)) {
+      try {
+        served = this.files.get(
+          decodeURIComponent(pathname.slice(PATCH_SERVER.FILES_PATH.length))
+        );
+      } catch {
+        // Malformed escape sequence
+      }
+    }
+    if (!served) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const { size, checksum } = served.entry;
+    const etag = `"${checksum}"`;
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      'Content-Type': 'application/octet-stream',
+      ETag: etag,
+    };
+
+    // A range is only sent when the client resumes this same file
+    const ifRange = request.headers['if-range'];
+    const range =
+      ifRange === undefined || ifRange === etag
+        ? PatchServer.parseRange(request.headers.range, size)
+        : null;
+    if (range === 'unsatisfiable') {
+      response
+        .writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` })
+        .end();
+      return;
+    }
+
+    const start = range?.start ?? 0;
+    const end = range?.end ?? size - 1;
+    const length = end - start + 1;
+    response.writeHead(range ? 206 : 200, {
+      ...headers,
+      'Content-Length': length,
+      ...(range ? { 'Content-Range': `bytes ${start}-${end}/${size}` } : {}),
+    });
+    if (head || length === 0) {
+      response.end();
+      return;
+    }
+
+    await pipeline(fs.createReadStream(served.file, { start, end }), response);
+  }
+
+  /**
+   * Parses a Range header holding a single byte range
+   * @param header - Range header
+   * @param size - File size
+   * @returns The range, 'unsatisfiable', or null to send the whole file
+   * (no header, several ranges or a syntax the server does not handle)
+   * @private
+   */
+  private static parseRange(
+    header: string | undefined,
+    size: number
+  ): { start: number; end: number } | 'unsatisfiable' | null {
+    const match = header ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start: number;
+    let end = size - 1;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      const suffix = Number(match[2]);
+      if (suffix === 0) return 'unsatisfiable';
+      start = Math.max(0, size - suffix);
+    } else {
+      start = Number(match[1]);
+      if (match[2] !== '') {
+        const last = Number(match[2]);
+        if (last < start) return null;
+        end = Math.min(last, size - 1);
+      }
+    }
+
+    return start >= size ? 'unsatisfiable' : { start, end };
+  }
+}
+
+export default PatchServer;
@@ -1,2 +1,5 @@
 export { default as AdvancedPatchGenerator } from './AdvancedPatchGenerator.js';
 export { default as PatchAnalyzer } from './PatchAnalyzer.js';
+export { default as PatchGraph } from './PatchGraph.js';
+export { default as PatchServer } from './PatchServer.js';
+export { default as PatchClient } from './PatchClient.js';
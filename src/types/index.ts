@@ -1,4 +1,5 @@
 import { EventEmitter } from 'events';
+import type { Readable, Writable } from 'stream';
 
 // Progress event data
 export type ProgressData = {
@@ -31,7 +32,13 @@ export type FileInfo = {
 export type PatchResult = {
   success: boolean;
   error?: string;
+  // 'CANCELLED', 'TIMEOUT' or 'PATCH_CREATION_FAILED'
+  errorCode?: string;
+  // Name of the delta backend used
+  backend?: string;
   patchFile: FileInfo;
+  // Present when the patch was verified after creation (verify option)
+  verification?: VerifyPatchResult;
   metrics: {
     duration: number;
     durationFormatted: string;
@@ -39,35 +46,245 @@ export type PatchResult = {
     originalSize: number;
     patchSize: number;
     isLargeFile: boolean;
+    // Number of chunks when a chunked patch was created
+    chunks?: number;
+    // Entries of a GRF patch, by what the patch does with them
+    grfEntries?: {
+      added: number;
+      changed: number;
+      removed: number;
+      unchanged: number;
+    };
+    // Entries of a ZIP patch, by how their data is rebuilt
+    zipEntries?: {
+      recompressed: number;
+      raw: number;
+      unchanged: number;
+    };
   };
 };
 
+// Result of createPatchFromBuffers: the patch is returned in memory
+export type BufferPatchResult = Omit<PatchResult, 'patchFile'> & {
+  patch?: Buffer;
+};
+
+// Result of createPatchStream: the patch went to the output stream
+export type StreamPatchResult = Omit<PatchResult, 'patchFile'>;
+
+// Data given to createPatchStream and applyPatchToStream
+export type PatchInput = Buffer | Readable;
+
+// Delta backend: 'xdelta3' spawns the executable, 'js' uses the built-in
+// VCDIFF codec, 'bsdiff' the built-in BSDIFF40 codec and 'auto' prefers
+// xdelta3 when it is available
+export type PatchBackend = 'auto' | 'xdelta3' | 'js' | 'bsdiff';
+
+// Encoding of a whole-file delta, recognized from its first bytes on apply
+export type DeltaFormat = 'vcdiff' | 'bsdiff';
+
+// Secondary compressor xdelta3 applies to its sections (-S); 'lzma' needs an
+// xdelta3 built with liblzma
+export type XdeltaSecondaryCompressor = 'djw' | 'fgk' | 'lzma' | 'none';
+
+// xdelta3 settings, mapped to its command-line flags. Sizes are in bytes;
+// unset fields keep xdelta3's defaults
+export type XdeltaOptions = {
+  // Original file bytes searched for matches (-B). 'auto' widens it to the
+  // whole original file when that is larger than the default 64 MiB, up to
+  // 512 MiB (default: 'auto'). xdelta3 allocates the full window when
+  // encoding and decoding, so a number up to 2 GiB costs that much memory
+  // on both sides
+  sourceWindowSize?: number | 'auto';
+  // New file bytes encoded per window (-W)
+  windowSize?: number;
+  // Secondary compressor (-S)
+  secondaryCompression?: XdeltaSecondaryCompressor;
+  // Instructions buffered before they are optimized and written (-I); 0
+  // buffers the whole window
+  instructionBufferSize?: number;
+  // Window searched for repeats within the new file (-P)
+  duplicatesWindowSize?: number;
+  // false disables small string-matching compression (-N)
+  smallStringMatching?: boolean;
+  // false skips writing and checking window checksums (-n); default: true
+  checksums?: boolean;
+};
+
+// Options given to DeltaBackend.encode
+export type DeltaEncodeOptions = {
+  // 0 to 9
+  compression: number;
+  // Stored in the patch (the source pin); the backend's own header otherwise
+  appHeader?: Buffer;
+  // false for chunk payloads, which the built-in decoder reads in place
+  // (default: true); overrides xdeltaOptions.secondaryCompression
+  secondaryCompression?: boolean;
+  // xdelta3 settings; the built-in VCDIFF codec honours windowSize, a fixed
+  // sourceWindowSize and checksums, other backends ignore them
+  xdeltaOptions?: XdeltaOptions;
+  // Called with the fraction of the new file encoded
+  onProgress?: (progress: number) => void;
+  signal?: AbortSignal;
+};
+
+// Options given to DeltaBackend.decode
+export type DeltaDecodeOptions = {
+  // Size of the output, when the patch records it
+  targetSize?: number;
+  // xdelta3 settings; decoding uses sourceWindowSize and checksums
+  xdeltaOptions?: XdeltaOptions;
+  // Called with the fraction of the output written
+  onProgress?: (progress: number) => void;
+  signal?: AbortSignal;
+};
+
+// Codec creating and applying whole-file deltas. The built-in ones are
+// XdeltaBackend, VcdiffBackend and BsdiffBackend; any object of this shape
+// can be passed as the backend option
+export type DeltaBackend = {
+  readonly name: string;
+  readonly format: DeltaFormat;
+  // Whether the backend can run here (e.g. an executable was found)
+  probe(): Promise<boolean>;
+  // One line on what the backend runs, for describeBackend()
+  describe(): Promise<string>;
+  encode(
+    oldFile: string,
+    newFile: string,
+    patchFile: string,
+    options: DeltaEncodeOptions
+  ): Promise<void>;
+  decode(
+    oldFile: string,
+    patchFile: string,
+    newFile: string,
+    options: DeltaDecodeOptions
+  ): Promise<void>;
+};
+
+// Patch format: 'vcdiff' encodes the whole file (as BSDIFF40 with the
+// bsdiff backend), 'grf' and 'zip' diff two archives entry by entry (see
+// GRF_PATCH_FORMAT.md and ZIP_PATCH_FORMAT.md)
+export type PatchFormat = 'vcdiff' | 'grf' | 'zip';
+
+// How a GRF patch is applied: 'rebuild' writes a new archive, 'append'
+// adds the new entries and file table after the end of the original one
+export type GrfApplyMode = 'rebuild' | 'append';
+
+// Where an xdelta3 candidate came from, in resolution order
+export type XdeltaSource = 'option' | 'env' | 'bundled' | 'path';
+
+// xdelta3 executable considered during resolution
+export type XdeltaCandidate = {
+  path: string;
+  source: XdeltaSource;
+  usable: boolean;
+  version?: string;
+  // Why the candidate was rejected
+  reason?: string;
+};
+
+// Result of looking up the xdelta3 executable
+export type XdeltaResolution = {
+  found: boolean;
+  path?: string;
+  source?: XdeltaSource;
+  version?: string;
+  candidates: XdeltaCandidate[];
+};
+
+// Backend diagnostics returned by describeBackend()
+export type BackendDescription = {
+  // Backend names
+  requested: string;
+  selected: string;
+  reason: string;
+  xdelta3: XdeltaResolution;
+};
+
 // Apply patch result
 export type ApplyPatchResult = {
   success: boolean;
   error?: string;
+  // 'SOURCE_MISMATCH', 'TARGET_MISMATCH', 'CANCELLED', 'TIMEOUT' or
+  // 'PATCH_APPLY_FAILED'
+  errorCode?: string;
+  // Name of the delta backend used
+  backend?: string;
   newFile: FileInfo;
+  // Present when the patch is pinned to its source
+  sourceCheck?: SourceCheck;
+  metrics: {
+    duration: number;
+    durationFormatted: string;
+  };
+};
+
+// Patch applied by applyPatchChain
+export type PatchChainStep = {
+  patchFile: string;
+  success: boolean;
+  // Present when the patch is pinned to its source
+  sourceCheck?: SourceCheck;
   metrics: {
     duration: number;
     durationFormatted: string;
   };
 };
 
+// Apply chain result
+export type PatchChainResult = Omit<ApplyPatchResult, 'sourceCheck'> & {
+  // Index in the patch list of the patch that failed
+  failedStep?: number;
+  // Steps started, in order (the last one failed when success is false)
+  steps: PatchChainStep[];
+};
+
+// Result of applyPatchToStream: the new file went to the output stream
+export type StreamApplyResult = Omit<ApplyPatchResult, 'newFile'>;
+
 // Verify patch result
 export type VerifyPatchResult = {
   isValid: boolean;
   error?: string;
+  // 'CANCELLED' or 'TIMEOUT' when the verification was stopped
+  errorCode?: string;
+  // Digests of the expected file and of the patch output
+  algorithm?: string;
+  expectedDigest?: string;
+  actualDigest?: string;
+  // First byte offset where the output differs (absent when valid)
+  firstDifference?: number;
+  // GRF patches: first entry whose data differs (absent when valid)
+  differentEntry?: string;
   metrics: {
     duration: number;
     durationFormatted: string;
   };
 };
 
+// Result of HashUtils.compareFiles and HashUtils.compareBuffers
+export type FileComparison = {
+  algorithm: string;
+  expectedDigest: string;
+  actualDigest: string;
+  expectedSize: number;
+  actualSize: number;
+  firstDifference?: number;
+};
+
+// What a batch does with one file
+export type BatchOperation = 'patch' | 'add' | 'delete' | 'unchanged';
+
 // Batch operation result
 export type BatchResult = {
   file: string;
   status: 'success' | 'error' | 'skipped';
+  operation?: BatchOperation;
   error?: string;
+  // 'CANCELLED' or 'TIMEOUT' when the file was stopped
+  errorCode?: string;
   metrics?: {
     duration: number;
     durationFormatted: string;
@@ -81,13 +298,33 @@ export type AdvancedPatchGeneratorOptions = {
   verify?: boolean;
   showProgress?: boolean;
   largeFileThreshold?: number;
+  // New files larger than this get a chunked patch (with chunkedPatch)
+  extremeFileThreshold?: number;
+  // Milliseconds before an operation is stopped (0: no limit)
   timeout?: number;
+  // Memory the chunks of a chunked patch may use at once
   memoryLimit?: number;
+  // Ignored: chunked patches are requested with chunkedPatch
   enableChunkProcessing?: boolean;
+  // createPatch writes a chunked patch (CHUNKED_PATCH_FORMAT.md), which
+  // xdelta3 cannot apply, above extremeFileThreshold (default: false)
+  chunkedPatch?: boolean;
+  // Largest chunk of a chunked patch
+  maxChunkSize?: number;
+  backend?: PatchBackend | DeltaBackend;
+  // Default xdelta3 settings of createPatch and applyPatch
+  xdeltaOptions?: XdeltaOptions;
   onProgress?: (progress: ProgressData) => void;
   onError?: (error: ErrorData) => void;
   onComplete?: (
-    result: PatchResult | ApplyPatchResult | VerifyPatchResult
+    result:
+      | PatchResult
+      | BufferPatchResult
+      | StreamPatchResult
+      | ApplyPatchResult
+      | StreamApplyResult
+      | PatchChainResult
+      | VerifyPatchResult
   ) => void;
 };
 
@@ -95,17 +332,86 @@ export type AdvancedPatchGeneratorOptions = {
 export type CreatePatchOptions = {
   compression?: number;
   verify?: boolean;
+  // Record source and target hashes in the patch (default: true)
+  pinSource?: boolean;
   showProgress?: boolean;
+  // Milliseconds before the operation is stopped (0: no limit)
   timeout?: number;
+  // Stops the operation, killing the xdelta3 process
+  signal?: AbortSignal;
+  backend?: PatchBackend | DeltaBackend;
+  // Default: chosen from the file signatures when backend is 'auto' ('zip'
+  // when both files are ZIP archives and the ZIP patch is smaller than a
+  // whole-file delta), 'vcdiff' otherwise; GRF and ZIP deltas use the
+  // built-in encoder
+  format?: PatchFormat;
+  // Chunked patch above extremeFileThreshold (default: the generator's
+  // chunkedPatch)
+  chunkedPatch?: boolean;
+  // Tuning of the xdelta3 backend
+  xdeltaOptions?: XdeltaOptions;
   onProgress?: (progress: ProgressData) => void;
   onError?: (error: ErrorData) => void;
   onComplete?: (result: PatchResult) => void;
 };
 
+// Sizes and hashes of the files a patch was created from, stored in its
+// application header
+export type SourcePin = {
+  algorithm: string;
+  sourceSize: number;
+  sourceHash: string;
+  targetSize: number;
+  targetHash: string;
+};
+
+// Files checked by applyPatch against a SourcePin
+export type SourceCheck = {
+  algorithm: string;
+  expectedSourceSize: number;
+  actualSourceSize: number;
+  expectedSourceHash: string;
+  actualSourceHash: string;
+  expectedTargetHash: string;
+  // Absent when the source check failed and nothing was decoded
+  actualTargetHash?: string;
+};
+
+// Patch verification options
+export type VerifyPatchOptions = {
+  // Hash algorithm supported by node:crypto (default: 'sha256')
+  algorithm?: string;
+  // Milliseconds before the verification is stopped (0: no limit)
+  timeout?: number;
+  // Stops the verification, killing the xdelta3 process
+  signal?: AbortSignal;
+  backend?: PatchBackend | DeltaBackend;
+  onProgress?: (progress: ProgressData) => void;
+  onError?: (error: ErrorData) => void;
+  onComplete?: (result: VerifyPatchResult) => void;
+};
+
 // Apply patch options
 export type ApplyPatchOptions = {
+  // Check the source and output against a pinned patch (default: true)
+  checkSource?: boolean;
+  // Decode into a temporary file, then rename it over newFile (default: true)
+  atomic?: boolean;
+  // Keep the previous newFile for rollback() (default: false)
+  backup?: boolean;
   showProgress?: boolean;
+  // Milliseconds before the operation is stopped (0: no limit)
   timeout?: number;
+  // Stops the operation, killing the xdelta3 process
+  signal?: AbortSignal;
+  backend?: PatchBackend | DeltaBackend;
+  // Expected patch format; GRF and ZIP patches are recognized without it
+  format?: PatchFormat;
+  // GRF patches only (default: 'rebuild'). Appending in place, with
+  // atomic: false and no backup, leaves the original entries untouched
+  grfMode?: GrfApplyMode;
+  // Tuning of the xdelta3 backend (sourceWindowSize and checksums)
+  xdeltaOptions?: XdeltaOptions;
   onProgress?: (progress: ProgressData) => void;
   onError?: (error: ErrorData) => void;
   onComplete?: (result: ApplyPatchResult) => void;
@@ -114,18 +420,136 @@ export type ApplyPatchOptions = {
 // Batch options
 export type BatchOptions = {
   showProgress?: boolean;
+  // Milliseconds before each file is stopped (0: no limit)
   timeout?: number;
+  // Stops the batch; files not done yet are reported as CANCELLED
+  signal?: AbortSignal;
+  compression?: number;
+  backend?: PatchBackend | DeltaBackend;
+  // Files processed at once (default: 4)
+  maxParallel?: number;
+  // Apply every file or none of them (default: true)
+  atomic?: boolean;
+  // Keep the previous files for rollback() (default: false)
+  backup?: boolean;
   onProgress?: (progress: ProgressData) => void;
   onError?: (error: ErrorData) => void;
   onComplete?: (result: BatchResult[]) => void;
 };
 
+// One file recorded in a backup journal before it was first modified
+export type BackupJournalEntry = {
+  // Relative to the journal root, '/' separated
+  path: string;
+  // False when the file did not exist (rollback removes it)
+  existed: boolean;
+};
+
+// Result of rollback()
+export type RollbackResult = {
+  success: boolean;
+  error?: string;
+  // Files put back and files removed, relative to the journal root
+  restored: string[];
+  removed: string[];
+  metrics: {
+    duration: number;
+    durationFormatted: string;
+  };
+};
+
+// One file in a batch manifest; paths are relative and '/' separated
+export type BatchManifestEntry = {
+  path: string;
+  operation: BatchOperation;
+  // Delta (patch) or copied file (add), relative to the patches directory
+  patch?: string;
+  file?: string;
+  oldSize?: number;
+  oldHash?: string;
+  newSize?: number;
+  newHash?: string;
+};
+
+// manifest.json written by createBatchPatches
+export type BatchManifest = {
+  version: number;
+  createdAt: string;
+  hashAlgorithm: string;
+  // False when some files failed and are missing from the entries
+  complete: boolean;
+  entries: BatchManifestEntry[];
+};
+
+// Bundle entry; deltas and added files point into the payload area
+export type BundleManifestEntry = BatchManifestEntry & {
+  // Relative to the end of the manifest
+  offset?: number;
+  length?: number;
+  checksum?: string;
+};
+
+// Manifest stored inside an .apgpack bundle
+export type BundleManifest = Omit<BatchManifest, 'entries'> & {
+  entries: BundleManifestEntry[];
+};
+
+// Bundle header and manifest, as read by BundleUtils.read
+export type OpenedBundle = {
+  formatVersion: number;
+  manifest: BundleManifest;
+  // Absolute offset of the payload area
+  payloadStart: number;
+  payloadSize: number;
+};
+
+export type InspectBundleOptions = {
+  // Hash every payload against its checksum (default: false)
+  verifyChecksums?: boolean;
+};
+
+// Bundle inspection result
+export type BundleInspectionResult = {
+  success: boolean;
+  error?: string;
+  bundleInfo: {
+    size: number;
+    sizeFormatted: string;
+    formatVersion?: number;
+    createdAt?: string;
+    hashAlgorithm?: string;
+    complete?: boolean;
+    payloadSize?: number;
+    operations?: Record<BatchOperation, number>;
+    oldSize?: number;
+    newSize?: number;
+  };
+  entries?: BundleManifestEntry[];
+  // Paths whose payload does not match its checksum (verifyChecksums only)
+  corruptEntries?: string[];
+};
+
 // Command execution result
 export type CommandResult = {
   success: boolean;
   stdout: string;
   stderr: string;
   duration: number;
+  // Why the command failed (exit code, spawn error or abort)
+  error?: Error;
+  // Whether stdout or stderr went over maxOutput and lost its beginning
+  truncated?: boolean;
+};
+
+// Options of CommandUtils.run
+export type RunCommandOptions = {
+  // Receive the output as it is written
+  onStdout?: (data: string) => void;
+  onStderr?: (data: string) => void;
+  // Kills the command and everything it started
+  signal?: AbortSignal;
+  // Characters of stdout and of stderr kept in the result (default 1 MiB)
+  maxOutput?: number;
 };
 
 // Chunk information for large file processing
@@ -138,12 +562,206 @@ export type ChunkInfo = {
 
 // Large file options
 export type LargeFileOptions = {
+  // Bytes of the new file per chunk (default depends on the file size)
   chunkSize?: number;
+  // Source bytes added on each side of the range matched with each chunk,
+  // so data moved across a chunk boundary is still found
   overlap?: number;
   compression?: number;
+  pinSource?: boolean;
+  backend?: PatchBackend | DeltaBackend;
+  // Applied to each chunk; secondary compression stays off
+  xdeltaOptions?: XdeltaOptions;
+  signal?: AbortSignal;
   onProgress?: (progress: ProgressData) => void;
 };
 
+// One chunk of a chunked patch: a range of the new file, encoded against a
+// range of the original file
+export type PatchChunk = {
+  index: number;
+  targetStart: number;
+  targetLength: number;
+  sourceStart: number;
+  sourceLength: number;
+  // VCDIFF payload, located from the start of the payload area
+  offset?: number;
+  length?: number;
+};
+
+// Index stored at the start of a chunked patch (see CHUNKED_PATCH_FORMAT.md)
+export type ChunkedPatchIndex = {
+  createdAt: string;
+  chunkSize: number;
+  overlap: number;
+  sourceSize: number;
+  targetSize: number;
+  // Hashes of both files, unless the patch was created with pinSource: false
+  pin?: SourcePin;
+  chunks: PatchChunk[];
+};
+
+// Chunked patch header and index, as read by ChunkedPatchUtils.read
+export type OpenedChunkedPatch = {
+  formatVersion: number;
+  index: ChunkedPatchIndex;
+  payloadStart: number;
+  payloadSize: number;
+};
+
+// Entry of a GRF archive file table
+export type GrfEntry = {
+  // Raw name bytes read as latin1 (GRF names use the client's code page)
+  name: string;
+  flags: number;
+  // Stored (compressed) size, stored size padded for encryption, and
+  // decompressed size
+  compressedSize: number;
+  alignedSize: number;
+  size: number;
+  // Absolute position of the stored data in the archive
+  offset: number;
+};
+
+// Entry added, changed or removed by a GRF patch. Entry data is the
+// decompressed content, or the stored bytes of encrypted entries.
+export type GrfPatchEntry = {
+  name: string;
+  action: 'add' | 'change' | 'remove';
+  // New entry (add and change)
+  flags?: number;
+  size?: number;
+  // 'stored': the payload is the new stored data; 'vcdiff': the payload is
+  // a delta from the original entry data to the new one
+  encoding?: 'stored' | 'vcdiff';
+  // Stored sizes, when the stored data is kept as is (stored encoding or
+  // encrypted entries)
+  compressedSize?: number;
+  alignedSize?: number;
+  // Hashes of the original and new entry data, unless the patch was
+  // created with pinSource: false
+  sourceHash?: string;
+  targetHash?: string;
+  // Payload, located from the start of the payload area
+  offset?: number;
+  length?: number;
+};
+
+// Index stored at the start of a GRF patch (see GRF_PATCH_FORMAT.md)
+export type GrfPatchIndex = {
+  createdAt: string;
+  algorithm: string;
+  sourceSize: number;
+  sourceEntries: number;
+  targetSize: number;
+  targetEntries: number;
+  // Entries left out of the patch because their data did not change
+  unchanged: number;
+  entries: GrfPatchEntry[];
+};
+
+// GRF patch header and index, as read by GrfPatchUtils.read
+export type OpenedGrfPatch = {
+  formatVersion: number;
+  index: GrfPatchIndex;
+  payloadStart: number;
+  payloadSize: number;
+};
+
+// Entry of a ZIP central directory
+export type ZipEntry = {
+  // Raw name bytes read as latin1, so names of any encoding stay distinct
+  name: string;
+  flags: number;
+  method: number;
+  crc32: number;
+  compressedSize: number;
+  size: number;
+  // Absolute positions of the local header and of the entry data
+  headerOffset: number;
+  dataOffset: number;
+};
+
+// zlib settings that reproduce the data of a deflated ZIP entry
+export type DeflateParams = {
+  level: number;
+  memLevel: number;
+};
+
+// Data of one entry of the new archive in a ZIP patch
+export type ZipPatchEntry = {
+  name: string;
+  // Where the data goes in the new archive, and its size there
+  dataOffset: number;
+  compressedSize: number;
+  // 'copy': the data of the original entry `source`, unchanged;
+  // 'deflate': a delta of the decompressed content of `source`, compressed
+  // again with `deflate`; 'raw': a delta of the data of `source` as stored,
+  // or the data itself when there is no `source`
+  encoding: 'copy' | 'deflate' | 'raw';
+  source?: string;
+  // 'deflate' only: zlib settings, decompressed size and CRC-32
+  deflate?: DeflateParams;
+  size?: number;
+  crc32?: number;
+  // Hash of the rebuilt data, unless the patch was created with
+  // pinSource: false
+  dataHash?: string;
+  // Payload, located from the start of the payload area
+  offset?: number;
+  length?: number;
+};
+
+// Index stored at the start of a ZIP patch (see ZIP_PATCH_FORMAT.md)
+export type ZipPatchIndex = {
+  createdAt: string;
+  algorithm: string;
+  sourceSize: number;
+  targetSize: number;
+  pin?: SourcePin;
+  // Delta of the bytes around the entry data (headers, central directory)
+  skeleton: {
+    sourceLength: number;
+    targetLength: number;
+    offset: number;
+    length: number;
+  };
+  // Entries of the new archive, in data order
+  entries: ZipPatchEntry[];
+};
+
+// ZIP patch header and index, as read by ZipPatchUtils.read
+export type OpenedZipPatch = {
+  formatVersion: number;
+  index: ZipPatchIndex;
+  payloadStart: number;
+  payloadSize: number;
+};
+
+// Target bytes produced by each kind of VCDIFF instruction
+export type InstructionBreakdown = {
+  addBytes: number;
+  copySourceBytes: number;
+  copyTargetBytes: number;
+  runBytes: number;
+  instructionCount: number;
+};
+
+// Statistics of one VCDIFF window
+export type WindowAnalysis = InstructionBreakdown & {
+  index: number;
+  // Encoded size of the window in the patch
+  encodedSize: number;
+  targetSize: number;
+  // Where COPY instructions below the segment size read from
+  sourceType: 'source' | 'target' | 'none';
+  sourceSegmentSize: number;
+  sourceSegmentPosition: number;
+  secondaryCompressed: boolean;
+  // Adler-32 of the target window, when the patch stores it
+  checksum?: number;
+};
+
 // Patch analysis result
 export type PatchAnalysisResult = {
   success: boolean;
@@ -152,12 +770,31 @@ export type PatchAnalysisResult = {
     size: number;
     sizeFormatted: string;
     compressionRatio?: number;
+    // Smallest source size the patch can be applied to
     estimatedOriginalSize?: number;
+    // Reconstructed target size
     estimatedNewSize?: number;
   };
+  breakdown?: InstructionBreakdown;
+  windows?: WindowAnalysis[];
   metadata?: Record<string, unknown>;
 };
 
+// Encoding settings of a patch, as seen in its headers
+export type PatchSettings = {
+  windowCount: number;
+  // Largest target window
+  windowSize: number;
+  secondaryCompressor?: string;
+  hasChecksums: boolean;
+};
+
+// Patch comparison options
+export type ComparePatchesOptions = {
+  // Apply both patches to this file to prove equivalence
+  sourceFile?: string;
+};
+
 // Patch comparison result
 export type PatchComparisonResult = {
   success: boolean;
@@ -165,8 +802,56 @@ export type PatchComparisonResult = {
   comparison: {
     sizeDifference: number;
     sizeDifferenceFormatted: string;
+    // Compression ratio of patch2 minus that of patch1 (percentage points)
     compressionRatioDifference: number;
-    similarity: number; // 0-100%
+    // How alike the instruction mixes are, 0-100%
+    similarity: number;
+    sameTargetSize?: boolean;
+    // Undefined when it cannot be determined without a source file
+    sameTargetChecksum?: boolean;
+    // SHA-256 of each target, when both patches were applied to sourceFile
+    targetChecksums?: [string, string];
+    // Instruction bytes of patch2 minus those of patch1
+    instructionDifference?: InstructionBreakdown;
+    settings?: [PatchSettings, PatchSettings];
+    // Human-readable list of settings that differ
+    settingsDifferences?: string[];
+    // Whether both patches produce the same target from the same source;
+    // undefined when it cannot be determined
+    equivalent?: boolean;
+    // How equivalence was determined
+    equivalenceCheck?: 'decoded' | 'windowChecksums' | 'targetSize' | 'none';
+  };
+};
+
+// Header data read from a VCDIFF patch
+export type PatchMetadata = {
+  // Secondary compressor ('djw', 'lzma' or 'fgk'), if any; 'bzip2' for
+  // BSDIFF40 patches
+  secondaryCompressor?: string;
+  hasCodeTable: boolean;
+  // Raw application header and the file names xdelta3 stores in it
+  appHeader?: string;
+  sourceFileName?: string;
+  targetFileName?: string;
+  // Source and target the patch is pinned to (createPatch pinSource)
+  sourcePin?: SourcePin;
+  windowCount: number;
+  targetSize: number;
+  // Source segment size of each window (0 for windows without a source)
+  sourceSegmentSizes: number[];
+  // Chunks of a chunked patch (format 'apg-chunked'), one per window
+  chunks?: PatchChunk[];
+  // Entries of a GRF patch (format 'apg-grf'), which has no windows
+  grfEntries?: GrfPatchEntry[];
+  // Entries of a ZIP patch (format 'apg-zip'), which has no windows
+  zipEntries?: ZipPatchEntry[];
+  // Compressed block sizes of a BSDIFF40 patch (format 'bsdiff'), which
+  // has no windows
+  bsdiff?: {
+    controlLength: number;
+    diffLength: number;
+    extraLength: number;
   };
 };
 
@@ -180,7 +865,118 @@ export type PatchInfoResult = {
     format: string;
     version?: string;
     flags?: string[];
-    metadata?: Record<string, unknown>;
+    metadata?: PatchMetadata;
+  };
+};
+
+// Download known to a PatchGraph: a patch from one version to another, or a
+// full copy of a version, which can be installed whatever version is present
+export type PatchGraphEdge = {
+  type: 'patch' | 'full';
+  // Version the patch applies to (patches only)
+  from?: string;
+  to: string;
+  // Bytes to download
+  size: number;
+  // Patch or full file (or any location the caller understands)
+  file?: string;
+};
+
+// File given to PatchGraph.load; entries without from are full files
+export type PatchGraphFile = {
+  from?: string;
+  to: string;
+  file: string;
+};
+
+// Result of PatchGraph.plan
+export type PatchPlan = {
+  found: boolean;
+  error?: string;
+  // Installed version (null when there is none)
+  from: string | null;
+  to: string;
+  // Downloads to apply, in order
+  steps: PatchGraphEdge[];
+  totalSize: number;
+};
+
+// File listed in a PatchServer manifest; entries without from are full files
+export type PatchServerFile = {
+  from?: string;
+  to: string;
+  // Path relative to the server root, with '/' separators
+  path: string;
+  size: number;
+  checksum: string;
+};
+
+// Manifest served by PatchServer
+export type PatchServerManifest = {
+  version: number;
+  createdAt: string;
+  hashAlgorithm: string;
+  // Version clients update to by default
+  latest?: string;
+  files: PatchServerFile[];
+};
+
+// PatchServer options
+export type PatchServerOptions = {
+  // Interface and port to listen on (default: 127.0.0.1, any free port)
+  host?: string;
+  port?: number;
+  latest?: string;
+};
+
+// PatchClient options
+export type PatchClientOptions = {
+  // Generator used to apply the patches (default: a new one)
+  generator?: IAdvancedPatchGenerator;
+  // Where downloads are kept, so interrupted ones resume (default:
+  // advanced-patch-generator/downloads in the user's cache directory). It
+  // is created readable only by the current user, and one that is a link,
+  // belongs to another user or is writable by everyone is refused
+  downloadDir?: string;
+  // Keep downloaded files after a successful update (default: false)
+  keepDownloads?: boolean;
+  onProgress?: (progress: ProgressData) => void;
+  onError?: (error: ErrorData) => void;
+  onComplete?: (result: UpdateResult) => void;
+};
+
+// PatchClient.update options
+export type UpdateOptions = {
+  // Wanted version (default: the manifest's latest)
+  to?: string;
+  // Keep the previous file for rollback() (default: false)
+  backup?: boolean;
+  // Milliseconds before the update is stopped (0 or undefined: no limit)
+  timeout?: number;
+  signal?: AbortSignal;
+  backend?: PatchBackend | DeltaBackend;
+  onProgress?: (progress: ProgressData) => void;
+};
+
+// PatchClient.update result
+export type UpdateResult = {
+  success: boolean;
+  error?: string;
+  // 'UNREACHABLE', 'DOWNLOAD_FAILED', 'INVALID_MANIFEST',
+  // 'CHECKSUM_MISMATCH', 'UNSAFE_DOWNLOAD_DIR', 'CANCELLED', 'TIMEOUT' or the
+  // code returned by applyPatchChain
+  errorCode?: string;
+  from: string | null;
+  to?: string;
+  // Downloads of the plan, in order
+  steps: PatchGraphEdge[];
+  // Bytes received (resumed and cached downloads are not counted again)
+  downloadedBytes: number;
+  // Result of applying the patches, when they were applied
+  chain?: PatchChainResult;
+  metrics: {
+    duration: number;
+    durationFormatted: string;
   };
 };
 
@@ -191,6 +987,7 @@ export type IAdvancedPatchGenerator = EventEmitter & {
 
   // Core methods
   checkXdelta(): Promise<boolean>;
+  describeBackend(): Promise<BackendDescription>;
   getFileInfo(filePath: string): Promise<FileInfo>;
   createPatch(
     oldFile: string,
@@ -207,8 +1004,35 @@ export type IAdvancedPatchGenerator = EventEmitter & {
   verifyPatch(
     oldFile: string,
     patchFile: string,
-    expectedFile: string
+    expectedFile: string,
+    options?: VerifyPatchOptions
   ): Promise<VerifyPatchResult>;
+  applyPatchChain(
+    oldFile: string,
+    patchFiles: string[],
+    newFile: string,
+    options?: ApplyPatchOptions
+  ): Promise<PatchChainResult>;
+  rollback(target: string): Promise<RollbackResult>;
+
+  // Buffer and stream methods
+  createPatchFromBuffers(
+    oldData: Buffer,
+    newData: Buffer,
+    options?: CreatePatchOptions
+  ): Promise<BufferPatchResult>;
+  createPatchStream(
+    oldData: PatchInput,
+    newData: PatchInput,
+    output: Writable,
+    options?: CreatePatchOptions
+  ): Promise<StreamPatchResult>;
+  applyPatchToStream(
+    oldData: PatchInput,
+    patch: PatchInput,
+    output: Writable,
+    options?: ApplyPatchOptions
+  ): Promise<StreamApplyResult>;
 
   // Large file methods
   createPatchWithChunks(
@@ -217,7 +1041,11 @@ export type IAdvancedPatchGenerator = EventEmitter & {
     patchFile: string,
     options?: LargeFileOptions
   ): Promise<PatchResult>;
-  combinePatchChunks(patchChunks: string[], outputPath: string): Promise<void>;
+  combinePatchChunks(
+    patchChunks: string[],
+    outputPath: string,
+    index: ChunkedPatchIndex
+  ): Promise<ChunkedPatchIndex>;
 
   // Batch methods
   createBatchPatches(
@@ -233,6 +1061,19 @@ export type IAdvancedPatchGenerator = EventEmitter & {
     options?: BatchOptions
   ): Promise<BatchResult[]>;
 
+  // Bundle methods
+  createBundle(
+    oldDir: string,
+    newDir: string,
+    bundlePath: string,
+    options?: BatchOptions
+  ): Promise<BatchResult[]>;
+  applyBundle(
+    targetDir: string,
+    bundlePath: string,
+    options?: BatchOptions
+  ): Promise<BatchResult[]>;
+
   // Event emitter methods
   on(
     event: 'progress',
@@ -245,7 +1086,14 @@ export type IAdvancedPatchGenerator = EventEmitter & {
   on(
     event: 'complete',
     listener: (
-      result: PatchResult | ApplyPatchResult | VerifyPatchResult
+      result:
+        | PatchResult
+        | BufferPatchResult
+        | StreamPatchResult
+        | ApplyPatchResult
+        | StreamApplyResult
+        | PatchChainResult
+        | VerifyPatchResult
     ) => void
   ): IAdvancedPatchGenerator;
   on(
@@ -257,17 +1105,38 @@ export type IAdvancedPatchGenerator = EventEmitter & {
   emit(event: 'error', error: ErrorData): boolean;
   emit(
     event: 'complete',
-    result: PatchResult | ApplyPatchResult | VerifyPatchResult
+    result:
+      | PatchResult
+      | BufferPatchResult
+      | StreamPatchResult
+      | ApplyPatchResult
+      | StreamApplyResult
+      | PatchChainResult
+      | VerifyPatchResult
   ): boolean;
   emit(event: string, ...args: unknown[]): boolean;
 };
 
+// Patch graph type
+export type IPatchGraph = {
+  addPatch(from: string, to: string, size: number, file?: string): IPatchGraph;
+  addFullFile(version: string, size: number, file?: string): IPatchGraph;
+  versions(): string[];
+  plan(from: string | null, to: string): PatchPlan;
+  unreachable(from: string | null): string[];
+};
+
 // Patch analyzer type
 export type IPatchAnalyzer = {
   analyzePatch(patchFile: string): Promise<PatchAnalysisResult>;
   comparePatches(
     patch1: string,
-    patch2: string
+    patch2: string,
+    options?: ComparePatchesOptions
   ): Promise<PatchComparisonResult>;
   getPatchInfo(patchFile: string): Promise<PatchInfoResult>;
+  inspectBundle(
+    bundlePath: string,
+    options?: InspectBundleOptions
+  ): Promise<BundleInspectionResult>;
 };
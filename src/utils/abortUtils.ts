@@ -0,0 +1,98 @@
+/**
+ * Error of an operation stopped by its AbortSignal or its timeout
+ */
+export class OperationAbortedError extends Error {
+  constructor(
+    readonly code: 'CANCELLED' | 'TIMEOUT',
+    message: string
+  ) {
+    super(message);
+    this.name = 'OperationAbortedError';
+  }
+}
+
+// Why each signal created by createSignal was aborted
+const reasons = new WeakMap<AbortSignal, OperationAbortedError>();
+
+/**
+ * Utility functions for cancellation and timeouts
+ */
+class AbortUtils {
+  /**
+   * Creates the signal of one operation, aborted with the caller's signal or
+   * once the timeout expires
+   * @param signal - Caller's signal
+   * @param timeout - Milliseconds before the operation is stopped (0 or
+   * undefined: no limit)
+   * @returns The signal, a function that aborts it and a function that
+   * releases the timer and listener
+   */
+  static createSignal(
+    signal?: AbortSignal,
+    timeout?: number
+  ): { signal: AbortSignal; abort: () => void; dispose: () => void } {
+    const controller = new AbortController();
+    const abort = (error: OperationAbortedError): void => {
+      if (controller.signal.aborted) return;
+      reasons.set(controller.signal, error);
+      controller.abort();
+    };
+
+    // Nested signals keep the reason of their parent
+    const onAbort = () => abort(AbortUtils.getError(signal)!);
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const timer =
+      timeout && timeout > 0
+        ? setTimeout(
+            () =>
+              abort(
+                new OperationAbortedError(
+                  'TIMEOUT',
+                  `Operation timed out after ${timeout} ms`
+                )
+              ),
+            timeout
+          )
+        : undefined;
+
+    return {
+      signal: controller.signal,
+      abort: () =>
+        abort(new OperationAbortedError('CANCELLED', 'Operation cancelled')),
+      dispose: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  /**
+   * Gets the error of an aborted signal
+   * @param signal - Signal to check
+   * @returns The error, or undefined when the signal was not aborted
+   */
+  static getError(signal?: AbortSignal): OperationAbortedError | undefined {
+    if (!signal?.aborted) return undefined;
+    return (
+      reasons.get(signal) ??
+      new OperationAbortedError('CANCELLED', 'Operation cancelled')
+    );
+  }
+
+  /**
+   * Throws when a signal was aborted
+   * @param signal - Signal to check
+   * @throws OperationAbortedError when the signal was aborted
+   */
+  static throwIfAborted(signal?: AbortSignal): void {
+    const error = AbortUtils.getError(signal);
+    if (error) throw error;
+  }
+}
+
+export default AbortUtils;
@@ -0,0 +1,62 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ATOMIC } from '../constants/index.js';
+
+/**
+ * Utility functions for replacing files atomically
+ */
+class AtomicUtils {
+  /**
+   * Gets the temporary file written before it replaces its target
+   * @param target - File to replace
+   * @returns Temporary path in the same directory as the target
+   */
+  static tempPathFor(target: string): string {
+    return `${target}${ATOMIC.TEMP_SUFFIX}`;
+  }
+
+  /**
+   * Flushes a file to disk
+   * @param file - File path
+   */
+  static async fsyncFile(file: string): Promise<void> {
+    const fd = await fs.open(file, 'r+');
+    try {
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Flushes a directory entry list to disk, where the platform allows it
+   * @param dir - Directory path
+   */
+  static async fsyncDir(dir: string): Promise<void> {
+    let fd: number | undefined;
+    try {
+      fd = await fs.open(dir, 'r');
+      await fs.fsync(fd);
+    } catch {
+      // Directories cannot be opened or synced on Windows
+    } finally {
+      if (fd !== undefined) {
+        await fs.close(fd);
+      }
+    }
+  }
+
+  /**
+   * Flushes a temporary file and renames it over its target, so the target
+   * is either the old or the new version, never a partial one
+   * @param tempFile - Complete temporary file
+   * @param target - File to replace
+   */
+  static async replace(tempFile: string, target: string): Promise<void> {
+    await AtomicUtils.fsyncFile(tempFile);
+    await fs.rename(tempFile, target);
+    await AtomicUtils.fsyncDir(path.dirname(target));
+  }
+}
+
+export default AtomicUtils;
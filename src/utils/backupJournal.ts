@@ -0,0 +1,236 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ATOMIC } from '../constants/index.js';
+import BatchUtils from './batchUtils.js';
+import type { BackupJournalEntry } from '../types/index.js';
+
+// First line of the journal file
+type JournalHeader = {
+  version: number;
+  kind: 'file' | 'directory';
+  createdAt: string;
+};
+
+/**
+ * Previous versions of the files changed by an apply, kept in
+ * '<target>.apgbak/' so they can be restored
+ *
+ * Each file is recorded before it is first modified: its previous content
+ * goes to 'files/<path>' and a line is appended to 'journal.jsonl'.
+ * Recorded files must then be replaced by rename (AtomicUtils.replace) or
+ * removed, never rewritten in place, because backups may be hard links.
+ */
+class BackupJournal {
+  private readonly entries = new Map<string, BackupJournalEntry>();
+
+  /**
+   * @param root - Directory the recorded paths are relative to
+   * @param backupDir - Backup directory
+   */
+  private constructor(
+    readonly root: string,
+    readonly backupDir: string
+  ) {}
+
+  /**
+   * Gets the backup directory of a file or directory
+   * @param target - Patched file or directory
+   * @returns Backup directory path
+   */
+  static backupDirFor(target: string): string {
+    return `${path.resolve(target)}${ATOMIC.BACKUP_SUFFIX}`;
+  }
+
+  /**
+   * Starts a new journal, discarding any previous backup of the target
+   * @param target - Patched file or directory
+   * @param kind - Whether the target is a single file or a directory tree
+   * @returns Promise with the empty journal
+   */
+  static async create(
+    target: string,
+    kind: JournalHeader['kind']
+  ): Promise<BackupJournal> {
+    const journal = BackupJournal._forTarget(target, kind);
+    await fs.remove(journal.backupDir);
+    await fs.ensureDir(path.join(journal.backupDir, ATOMIC.FILES_DIR));
+
+    const header: JournalHeader = {
+      version: ATOMIC.JOURNAL_VERSION,
+      kind,
+      createdAt: new Date().toISOString(),
+    };
+    await fs.writeFile(journal._journalFile(), `${JSON.stringify(header)}\n`);
+    return journal;
+  }
+
+  /**
+   * Opens the journal left by a previous apply
+   * @param target - Patched file or directory
+   * @returns Promise with the journal, or null when there is no backup
+   * @throws Error when the journal is unreadable
+   */
+  static async load(target: string): Promise<BackupJournal | null> {
+    const journalFile = path.join(
+      BackupJournal.backupDirFor(target),
+      ATOMIC.JOURNAL_FILE
+    );
+    if (!(await fs.pathExists(journalFile))) {
+      return null;
+    }
+
+    const lines = (await fs.readFile(journalFile, 'utf8'))
+      .split('\n')
+      .filter(line => line.trim() !== '');
+    const header = JSON.parse(lines[0] ?? '{}') as JournalHeader;
+    if (header.version !== ATOMIC.JOURNAL_VERSION) {
+      throw new Error(`Unsupported backup journal version: ${header.version}`);
+    }
+
+    const journal = BackupJournal._forTarget(target, header.kind);
+    for (const line of lines.slice(1)) {
+      const entry = JSON.parse(line) as BackupJournalEntry;
+      journal.entries.set(entry.path, entry);
+    }
+    return journal;
+  }
+
+  /**
+   * Creates a journal object without touching the disk
+   * @param target - Patched file or directory
+   * @param kind - Whether the target is a single file or a directory tree
+   * @returns Journal object
+   * @private
+   */
+  private static _forTarget(
+    target: string,
+    kind: JournalHeader['kind']
+  ): BackupJournal {
+    const resolved = path.resolve(target);
+    return new BackupJournal(
+      kind === 'file' ? path.dirname(resolved) : resolved,
+      BackupJournal.backupDirFor(resolved)
+    );
+  }
+
+  /**
+   * Gets the journal file path
+   * @returns Journal file path
+   * @private
+   */
+  private _journalFile(): string {
+    return path.join(this.backupDir, ATOMIC.JOURNAL_FILE);
+  }
+
+  /**
+   * Gets the recorded files, in recording order
+   * @returns Journal entries
+   */
+  list(): BackupJournalEntry[] {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Keeps the current version of a file before it is first modified
+   * @param relativePath - Path relative to the root, '/' separated
+   */
+  async record(relativePath: string): Promise<void> {
+    if (this.entries.has(relativePath)) {
+      return;
+    }
+
+    const file = BatchUtils.resolveInside(this.root, relativePath);
+    const existed =
+      (await fs.pathExists(file)) && (await fs.stat(file)).isFile();
+    const entry: BackupJournalEntry = { path: relativePath, existed };
+    this.entries.set(relativePath, entry);
+
+    if (existed) {
+      const backup = this._backupFile(relativePath);
+      await fs.ensureDir(path.dirname(backup));
+      try {
+        await fs.link(file, backup);
+      } catch {
+        // Hard links are not supported everywhere (FAT, other devices)
+        await fs.copy(file, backup);
+      }
+    }
+    await fs.appendFile(this._journalFile(), `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Puts every recorded file back the way it was, newest change first
+   * @returns Promise with the restored and the removed paths
+   */
+  async restore(): Promise<{ restored: string[]; removed: string[] }> {
+    const restored: string[] = [];
+    const removed: string[] = [];
+
+    for (const entry of this.list().reverse()) {
+      const file = BatchUtils.resolveInside(this.root, entry.path);
+      const exists = await fs.pathExists(file);
+      const isDirectory = exists && (await fs.stat(file)).isDirectory();
+
+      if (!entry.existed) {
+        if (exists && !isDirectory) {
+          await fs.remove(file);
+          removed.push(entry.path);
+          await this._removeEmptyParents(file);
+        }
+        continue;
+      }
+
+      const backup = this._backupFile(entry.path);
+      if (!(await fs.pathExists(backup))) {
+        // Already put back by an interrupted rollback
+        if (exists && !isDirectory) continue;
+        throw new Error(`Backup is missing for ${entry.path}`);
+      }
+      // A directory that replaced the file must be empty by now
+      if (isDirectory) {
+        await fs.rmdir(file);
+      }
+      await fs.ensureDir(path.dirname(file));
+      await fs.move(backup, file, { overwrite: true });
+      restored.push(entry.path);
+    }
+
+    return { restored, removed };
+  }
+
+  /**
+   * Removes the directories left empty below the root by a removed file
+   * @param file - Removed file path
+   * @private
+   */
+  private async _removeEmptyParents(file: string): Promise<void> {
+    let dir = path.dirname(file);
+    while (dir !== this.root && dir.startsWith(this.root)) {
+      if ((await fs.readdir(dir)).length > 0) return;
+      await fs.rmdir(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Deletes the backup directory
+   */
+  async discard(): Promise<void> {
+    await fs.remove(this.backupDir);
+  }
+
+  /**
+   * Gets where the previous version of a file is kept
+   * @param relativePath - Path relative to the root, '/' separated
+   * @returns Backup file path
+   * @private
+   */
+  private _backupFile(relativePath: string): string {
+    return BatchUtils.resolveInside(
+      path.join(this.backupDir, ATOMIC.FILES_DIR),
+      relativePath
+    );
+  }
+}
+
+export default BackupJournal;
@@ -0,0 +1,101 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Utility functions for batch operations over directory trees
+ */
+class BatchUtils {
+  /**
+   * Lists every file below a directory
+   * @param rootDir - Directory to walk
+   * @param exclude - Absolute paths to skip (with everything below them)
+   * @returns Promise with file sizes keyed by relative path ('/' separated)
+   */
+  static async listFiles(
+    rootDir: string,
+    exclude: string[] = []
+  ): Promise<Map<string, number>> {
+    const files = new Map<string, number>();
+    const root = path.resolve(rootDir);
+    const excluded = new Set(exclude.map(entry => path.resolve(entry)));
+
+    const walk = async (dir: string): Promise<void> => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (excluded.has(fullPath)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(fullPath);
+          files.set(BatchUtils.toRelative(root, fullPath), stats.size);
+        }
+      }
+    };
+
+    await walk(root);
+    return new Map([...files].sort(([a], [b]) => (a < b ? -1 : 1)));
+  }
+
+  /**
+   * Converts a path below a root into a portable relative path
+   * @param root - Root directory
+   * @param fullPath - Path below the root
+   * @returns Relative path using '/' separators
+   */
+  static toRelative(root: string, fullPath: string): string {
+    return path.relative(root, fullPath).split(path.sep).join('/');
+  }
+
+  /**
+   * Resolves a portable relative path below a root, rejecting paths that
+   * escape it
+   * @param root - Root directory
+   * @param relativePath - Relative path using '/' separators
+   * @returns Absolute path
+   * @throws Error when the path is absolute or leaves the root
+   */
+  static resolveInside(root: string, relativePath: string): string {
+    const resolvedRoot = path.resolve(root);
+    const resolved = path.resolve(resolvedRoot, ...relativePath.split('/'));
+    const relative = path.relative(resolvedRoot, resolved);
+    if (
+      relative === '' ||
+      relative.startsWith('..') ||
+      path.isAbsolute(relative)
+    ) {
+      throw new Error(`Path escapes the directory: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Runs a task for each item with limited concurrency
+   * @param items - Items to process
+   * @param limit - Maximum tasks running at once
+   * @param task - Async task run for each item
+   * @returns Promise with the task results, in item order
+   */
+  static async runWithConcurrency<T, R>(
+    items: readonly T[],
+    limit: number,
+    task: (item: T, index: number) => Promise<R>
+  ): Promise<R[]> {
+    const results = new Array<R>(items.length);
+    let next = 0;
+
+    const worker = async (): Promise<void> => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await task(items[index]!, index);
+      }
+    };
+
+    const workers = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workers }, () => worker()));
+    return results;
+  }
+}
+
+export default BatchUtils;
@@ -0,0 +1,176 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { BUNDLE } from '../constants/index.js';
+import HashUtils from './hashUtils.js';
+import type {
+  BundleManifest,
+  BundleManifestEntry,
+  OpenedBundle,
+} from '../types/index.js';
+
+/**
+ * Utility functions for reading and writing .apgpack bundles
+ * (layout described in BUNDLE_FORMAT.md)
+ */
+class BundleUtils {
+  /**
+   * Writes a bundle, filling in the payload offsets, lengths and checksums
+   * @param bundlePath - Output bundle path
+   * @param manifest - Manifest to store
+   * @param payloads - Payload file for each manifest entry, if any
+   * @returns Promise with the stored manifest
+   */
+  static async write(
+    bundlePath: string,
+    manifest: BundleManifest,
+    payloads: (string | undefined)[]
+  ): Promise<BundleManifest> {
+    let offset = 0;
+    const entries: BundleManifestEntry[] = [];
+    for (const [index, entry] of manifest.entries.entries()) {
+      const payload = payloads[index];
+      if (payload === undefined) {
+        entries.push(entry);
+        continue;
+      }
+
+      const { size } = await fs.stat(payload);
+      entries.push({
+        ...entry,
+        offset,
+        length: size,
+        checksum: await HashUtils.hashFile(payload, manifest.hashAlgorithm),
+      });
+      offset += size;
+    }
+
+    const stored: BundleManifest = { ...manifest, entries };
+    const manifestBytes = Buffer.from(JSON.stringify(stored), 'utf8');
+    const header = Buffer.alloc(BUNDLE.HEADER_SIZE);
+    header.write(BUNDLE.MAGIC, 0, 'latin1');
+    header.writeUInt16BE(BUNDLE.FORMAT_VERSION, 8);
+    header.writeUInt32BE(manifestBytes.length, 12);
+    createHash('sha256').update(manifestBytes).digest().copy(header, 16);
+
+    const output = fs.createWriteStream(bundlePath);
+    await pipeline(async function* () {
+      yield header;
+      yield manifestBytes;
+      for (const payload of payloads) {
+        if (payload !== undefined) {
+          yield* fs.createReadStream(payload);
+        }
+      }
+    }, output);
+
+    return stored;
+  }
+
+  /**
+   * Reads and validates the header and manifest of a bundle
+   * @param bundlePath - Bundle path
+   * @returns Promise with the manifest and payload area location
+   * @throws Error when the file is not a valid bundle
+   */
+  static async read(bundlePath: string): Promise<OpenedBundle> {
+    const fd = await fs.open(bundlePath, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const header = Buffer.alloc(BUNDLE.HEADER_SIZE);
+      const { bytesRead } = await fs.read(fd, header, 0, header.length, 0);
+      if (
+        bytesRead < BUNDLE.HEADER_SIZE ||
+        header.toString('latin1', 0, 8) !== BUNDLE.MAGIC
+      ) {
+        throw new Error('Not an .apgpack bundle (bad magic)');
+      }
+
+      const formatVersion = header.readUInt16BE(8);
+      if (formatVersion !== BUNDLE.FORMAT_VERSION) {
+        throw new Error(`Unsupported bundle format version: ${formatVersion}`);
+      }
+
+      const manifestLength = header.readUInt32BE(12);
+      const payloadStart = BUNDLE.HEADER_SIZE + manifestLength;
+      if (payloadStart > size) {
+        throw new Error('Bundle is truncated (manifest)');
+      }
+
+      const manifestBytes = Buffer.alloc(manifestLength);
+      await fs.read(fd, manifestBytes, 0, manifestLength, BUNDLE.HEADER_SIZE);
+      const digest = createHash('sha256').update(manifestBytes).digest();
+      if (!digest.equals(header.subarray(16, 48))) {
+        throw new Error('Bundle manifest checksum mismatch');
+      }
+
+      const manifest = JSON.parse(
+        manifestBytes.toString('utf8')
+      ) as BundleManifest;
+      const payloadSize = size - payloadStart;
+      for (const entry of manifest.entries) {
+        if (
+          entry.offset !== undefined &&
+          entry.offset + (entry.length ?? 0) > payloadSize
+        ) {
+          throw new Error(`Bundle is truncated (payload of ${entry.path})`);
+        }
+      }
+
+      return { formatVersion, manifest, payloadStart, payloadSize };
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Checks an entry's payload against its checksum
+   * @param bundlePath - Bundle path
+   * @param bundle - Opened bundle
+   * @param entry - Entry with a payload
+   * @returns Promise with true when the payload is intact
+   */
+  static async verifyPayload(
+    bundlePath: string,
+    bundle: OpenedBundle,
+    entry: BundleManifestEntry
+  ): Promise<boolean> {
+    const hash = await HashUtils.hashFileRange(
+      bundlePath,
+      bundle.payloadStart + entry.offset!,
+      entry.length!,
+      bundle.manifest.hashAlgorithm
+    );
+    return hash === entry.checksum;
+  }
+
+  /**
+   * Copies an entry's payload out of the bundle
+   * @param bundlePath - Bundle path
+   * @param bundle - Opened bundle
+   * @param entry - Entry with a payload
+   * @param outputFile - Destination file
+   */
+  static async extractPayload(
+    bundlePath: string,
+    bundle: OpenedBundle,
+    entry: BundleManifestEntry,
+    outputFile: string
+  ): Promise<void> {
+    if (entry.length === 0) {
+      await fs.writeFile(outputFile, Buffer.alloc(0));
+      return;
+    }
+
+    const start = bundle.payloadStart + entry.offset!;
+    await pipeline(
+      fs.createReadStream(bundlePath, {
+        start,
+        end: start + entry.length! - 1,
+      }),
+      fs.createWriteStream(outputFile)
+    );
+  }
+}
+
+export default BundleUtils;
@@ -0,0 +1,139 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { CHUNKED_PATCH } from '../constants/index.js';
+import type {
+  ChunkedPatchIndex,
+  OpenedChunkedPatch,
+  PatchChunk,
+} from '../types/index.js';
+
+/**
+ * Utility functions for reading and writing chunked patches
+ * (layout described in CHUNKED_PATCH_FORMAT.md)
+ */
+class ChunkedPatchUtils {
+  /**
+   * Writes a chunked patch, filling in the payload offsets and lengths
+   * @param patchPath - Output patch path
+   * @param index - Index to store
+   * @param payloads - VCDIFF payload file of each chunk, in index order
+   * @returns Promise with the stored index
+   */
+  static async write(
+    patchPath: string,
+    index: ChunkedPatchIndex,
+    payloads: string[]
+  ): Promise<ChunkedPatchIndex> {
+    if (payloads.length !== index.chunks.length) {
+      throw new Error(
+        `Expected ${index.chunks.length} chunk payload(s), got ${payloads.length}`
+      );
+    }
+
+    let offset = 0;
+    const chunks: PatchChunk[] = [];
+    for (const [position, chunk] of index.chunks.entries()) {
+      const { size } = await fs.stat(payloads[position]!);
+      chunks.push({ ...chunk, offset, length: size });
+      offset += size;
+    }
+
+    const stored: ChunkedPatchIndex = { ...index, chunks };
+    const indexBytes = Buffer.from(JSON.stringify(stored), 'utf8');
+    const header = Buffer.alloc(CHUNKED_PATCH.HEADER_SIZE);
+    header.write(CHUNKED_PATCH.MAGIC, 0, 'latin1');
+    header.writeUInt16BE(CHUNKED_PATCH.FORMAT_VERSION, 8);
+    header.writeUInt32BE(indexBytes.length, 12);
+    createHash('sha256').update(indexBytes).digest().copy(header, 16);
+
+    const output = fs.createWriteStream(patchPath);
+    await pipeline(async function* () {
+      yield header;
+      yield indexBytes;
+      for (const payload of payloads) {
+        yield* fs.createReadStream(payload);
+      }
+    }, output);
+
+    return stored;
+  }
+
+  /**
+   * Checks whether a file starts with the chunked patch magic
+   * @param patchPath - Patch path
+   * @returns Promise with true for a chunked patch
+   */
+  static async isChunkedPatch(patchPath: string): Promise<boolean> {
+    const fd = await fs.open(patchPath, 'r');
+    try {
+      const magic = Buffer.alloc(CHUNKED_PATCH.MAGIC.length);
+      const { bytesRead } = await fs.read(fd, magic, 0, magic.length, 0);
+      return (
+        bytesRead === magic.length &&
+        magic.toString('latin1') === CHUNKED_PATCH.MAGIC
+      );
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Reads and validates the header and index of a chunked patch
+   * @param patchPath - Patch path
+   * @returns Promise with the index and payload area location
+   * @throws Error when the file is not a valid chunked patch
+   */
+  static async read(patchPath: string): Promise<OpenedChunkedPatch> {
+    const fd = await fs.open(patchPath, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const header = Buffer.alloc(CHUNKED_PATCH.HEADER_SIZE);
+      const { bytesRead } = await fs.read(fd, header, 0, header.length, 0);
+      if (
+        bytesRead < CHUNKED_PATCH.HEADER_SIZE ||
+        header.toString('latin1', 0, 8) !== CHUNKED_PATCH.MAGIC
+      ) {
+        throw new Error('Not a chunked patch (bad magic)');
+      }
+
+      const formatVersion = header.readUInt16BE(8);
+      if (formatVersion !== CHUNKED_PATCH.FORMAT_VERSION) {
+        throw new Error(
+          `Unsupported chunked patch format version: ${formatVersion}`
+        );
+      }
+
+      const indexLength = header.readUInt32BE(12);
+      const payloadStart = CHUNKED_PATCH.HEADER_SIZE + indexLength;
+      if (payloadStart > size) {
+        throw new Error('Chunked patch is truncated (index)');
+      }
+
+      const indexBytes = Buffer.alloc(indexLength);
+      await fs.read(fd, indexBytes, 0, indexLength, CHUNKED_PATCH.HEADER_SIZE);
+      const digest = createHash('sha256').update(indexBytes).digest();
+      if (!digest.equals(header.subarray(16, 48))) {
+        throw new Error('Chunked patch index checksum mismatch');
+      }
+
+      const index = JSON.parse(
+        indexBytes.toString('utf8')
+      ) as ChunkedPatchIndex;
+      const payloadSize = size - payloadStart;
+      for (const chunk of index.chunks) {
+        if ((chunk.offset ?? 0) + (chunk.length ?? 0) > payloadSize) {
+          throw new Error(
+            `Chunked patch is truncated (payload of chunk ${chunk.index})`
+          );
+        }
+      }
+
+      return { formatVersion, index, payloadStart, payloadSize };
+    } finally {
+      await fs.close(fd);
+    }
+  }
+}
+
+export default ChunkedPatchUtils;
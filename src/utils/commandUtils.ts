@@ -1,77 +1,241 @@
 import { spawn } from 'child_process';
-import type { CommandResult } from '../types/index.js';
+import type { ChildProcess } from 'child_process';
+import { COMMAND_OUTPUT } from '../constants/index.js';
+import type { CommandResult, RunCommandOptions } from '../types/index.js';
+
+// Characters a shell would treat as operators or expansions outside quotes
+const SHELL_SYNTAX = '|&;<>()$`*?';
+
+// executeCommand warns once per process
+let deprecationWarned = false;
 
 /**
  * Utility functions for command execution
  */
 class CommandUtils {
   /**
-   * Executes a command and returns the result
-   * @param command - Command to execute
+   * Runs an executable with an argument list, without a shell: arguments
+   * reach the process as they are, whatever quotes, '$' or backticks they
+   * contain
+   * @param binary - Executable path or name
+   * @param args - Arguments
+   * @param options - Output callbacks, abort signal and output limit
    * @returns Promise with command result
    */
-  static async executeCommand(command: string): Promise<CommandResult> {
+  static async run(
+    binary: string,
+    args: readonly string[],
+    options: RunCommandOptions = {}
+  ): Promise<CommandResult> {
     return new Promise(resolve => {
       const startTime = Date.now();
+      const { signal } = options;
+      const maxOutput = options.maxOutput ?? COMMAND_OUTPUT.MAX_LENGTH;
+
+      if (signal?.aborted) {
+        resolve({
+          success: false,
+          stdout: '',
+          stderr: 'Command aborted',
+          duration: 0,
+          error: new Error('Command aborted'),
+        });
+        return;
+      }
 
-      // Use a single command string with shell to preserve quotes and spaces in paths
-      const child = spawn(command, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
-        windowsVerbatimArguments: true,
+      // Outside Windows the command leads its own process group, so it and
+      // its children can be killed together
+      const child = spawn(binary, [...args], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true,
+        detached: process.platform !== 'win32',
       });
 
+      const onAbort = () => CommandUtils.killTree(child);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Only the end of long outputs is kept
       let stdout = '';
       let stderr = '';
+      let truncated = false;
+      const keep = (text: string): string => {
+        if (text.length <= maxOutput) return text;
+        truncated = true;
+        return text.slice(-maxOutput);
+      };
 
-      child.stdout?.on('data', (data: Buffer) => {
-        stdout += data.toString();
+      child.stdout?.setEncoding('utf8');
+      child.stdout?.on('data', (data: string) => {
+        stdout = keep(stdout + data);
+        options.onStdout?.(data);
       });
 
-      child.stderr?.on('data', (data: Buffer) => {
-        stderr += data.toString();
+      child.stderr?.setEncoding('utf8');
+      child.stderr?.on('data', (data: string) => {
+        stderr = keep(stderr + data);
+        options.onStderr?.(data);
       });
 
       child.on('close', (code: number | null) => {
-        const duration = Date.now() - startTime;
+        signal?.removeEventListener('abort', onAbort);
         const success = code === 0;
-
         resolve({
           success,
           stdout: stdout.trim(),
           stderr: stderr.trim(),
-          duration,
-          error: success
-            ? undefined
-            : new Error(`Command failed with code ${code}`),
-        } as CommandResult);
+          duration: Date.now() - startTime,
+          ...(success
+            ? {}
+            : { error: new Error(`Command failed with code ${code}`) }),
+          ...(truncated ? { truncated } : {}),
+        });
       });
 
       child.on('error', (error: Error) => {
-        const duration = Date.now() - startTime;
+        signal?.removeEventListener('abort', onAbort);
         resolve({
           success: false,
           stdout: '',
           stderr: error.message,
-          duration,
+          duration: Date.now() - startTime,
           error,
-        } as CommandResult);
+        });
       });
     });
   }
 
+  /**
+   * Runs a command line without a shell. Words are split on whitespace and
+   * may be quoted with '...' or "..." (\" is a quote inside double
+   * quotes); shell operators and expansions are refused instead of being
+   * run.
+   * @deprecated Use run(binary, args), which needs no quoting
+   * @param command - Command line
+   * @param options - Output callbacks, abort signal and output limit
+   * @returns Promise with command result
+   */
+  static async executeCommand(
+    command: string,
+    options: RunCommandOptions = {}
+  ): Promise<CommandResult> {
+    if (!deprecationWarned) {
+      deprecationWarned = true;
+      process.emitWarning(
+        'CommandUtils.executeCommand is deprecated, use CommandUtils.run(binary, args)',
+        'DeprecationWarning'
+      );
+    }
+
+    let words: string[];
+    try {
+      words = CommandUtils._splitCommandLine(command);
+    } catch (error) {
+      return {
+        success: false,
+        stdout: '',
+        stderr: (error as Error).message,
+        duration: 0,
+        error: error as Error,
+      };
+    }
+
+    const [binary, ...args] = words;
+    return binary === undefined
+      ? {
+          success: false,
+          stdout: '',
+          stderr: 'Empty command',
+          duration: 0,
+          error: new Error('Empty command'),
+        }
+      : CommandUtils.run(binary, args, options);
+  }
+
+  /**
+   * Splits a command line into words without running a shell
+   * @param command - Command line
+   * @returns The words, quotes removed
+   * @throws Error when the line uses shell syntax or has an open quote
+   * @private
+   */
+  private static _splitCommandLine(command: string): string[] {
+    const words: string[] = [];
+    // A quoted empty string is a word too
+    let word = '';
+    let inWord = false;
+    let quote: '"' | "'" | undefined;
+
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i]!;
+      if (quote === "'") {
+        if (char === "'") quote = undefined;
+        else word += char;
+      } else if (quote === '"') {
+        if (char === '\\' && command[i + 1] === '"') {
+          word += '"';
+          i++;
+        } else if (char === '"') {
+          quote = undefined;
+        } else if (char === '$' || char === '`') {
+          throw new Error(
+            `Shell expansion is not supported, use CommandUtils.run: ${command}`
+          );
+        } else {
+          word += char;
+        }
+      } else if (/\s/.test(char)) {
+        if (inWord) words.push(word);
+        word = '';
+        inWord = false;
+      } else if (SHELL_SYNTAX.includes(char)) {
+        throw new Error(
+          `Shell syntax is not supported, use CommandUtils.run: ${command}`
+        );
+      } else {
+        if (char === '"' || char === "'") quote = char;
+        else word += char;
+        inWord = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error(`Unterminated ${quote} quote: ${command}`);
+    }
+    if (inWord) words.push(word);
+    return words;
+  }
+
+  /**
+   * Kills a child process and every process it started
+   * @param child - Process started by run
+   */
+  static killTree(child: ChildProcess): void {
+    if (child.pid === undefined || child.exitCode !== null) return;
+
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], {
+        stdio: 'ignore',
+        windowsHide: true,
+      });
+      return;
+    }
+
+    try {
+      // Negative pid: the whole process group
+      process.kill(-child.pid, 'SIGKILL');
+    } catch {
+      child.kill('SIGKILL');
+    }
+  }
+
   /**
    * Checks if a command is available on the system
    * @param command - Command to check
    * @returns Promise with availability status
    */
   static async isCommandAvailable(command: string): Promise<boolean> {
-    try {
-      const result = await this.executeCommand(`${command} --version`);
-      return result.success;
-    } catch {
-      return false;
-    }
+    const result = await this.run(command, ['--version']);
+    return result.success;
   }
 }
 
@@ -0,0 +1,13 @@
+/**
+ * Error of a container patch entry (GRF or ZIP) that does not match the
+ * archive it is applied to, or whose rebuilt data does not match the patch
+ */
+export class EntryMismatchError extends Error {
+  constructor(
+    readonly code: 'SOURCE_MISMATCH' | 'TARGET_MISMATCH',
+    message: string
+  ) {
+    super(message);
+    this.name = 'EntryMismatchError';
+  }
+}
@@ -0,0 +1,110 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { GRF_PATCH } from '../constants/index.js';
+import type { GrfPatchIndex, OpenedGrfPatch } from '../types/index.js';
+
+/**
+ * Utility functions for reading and writing GRF patches
+ * (layout described in GRF_PATCH_FORMAT.md)
+ */
+class GrfPatchUtils {
+  /**
+   * Writes a GRF patch from its index and payload area
+   * @param patchPath - Output patch path
+   * @param index - Index to store, with the payload offsets filled in
+   * @param payloadFile - File holding every payload, in index order
+   */
+  static async write(
+    patchPath: string,
+    index: GrfPatchIndex,
+    payloadFile: string
+  ): Promise<void> {
+    const indexBytes = Buffer.from(JSON.stringify(index), 'utf8');
+    const header = Buffer.alloc(GRF_PATCH.HEADER_SIZE);
+    header.write(GRF_PATCH.MAGIC, 0, 'latin1');
+    header.writeUInt16BE(GRF_PATCH.FORMAT_VERSION, 8);
+    header.writeUInt32BE(indexBytes.length, 12);
+    createHash('sha256').update(indexBytes).digest().copy(header, 16);
+
+    await pipeline(async function* () {
+      yield header;
+      yield indexBytes;
+      yield* fs.createReadStream(payloadFile);
+    }, fs.createWriteStream(patchPath));
+  }
+
+  /**
+   * Checks whether a file starts with the GRF patch magic
+   * @param patchPath - Patch path
+   * @returns Promise with true for a GRF patch
+   */
+  static async isGrfPatch(patchPath: string): Promise<boolean> {
+    const fd = await fs.open(patchPath, 'r');
+    try {
+      const magic = Buffer.alloc(GRF_PATCH.MAGIC.length);
+      const { bytesRead } = await fs.read(fd, magic, 0, magic.length, 0);
+      return (
+        bytesRead === magic.length &&
+        magic.toString('latin1') === GRF_PATCH.MAGIC
+      );
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Reads and validates the header and index of a GRF patch
+   * @param patchPath - Patch path
+   * @returns Promise with the index and payload area location
+   * @throws Error when the file is not a valid GRF patch
+   */
+  static async read(patchPath: string): Promise<OpenedGrfPatch> {
+    const fd = await fs.open(patchPath, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const header = Buffer.alloc(GRF_PATCH.HEADER_SIZE);
+      const { bytesRead } = await fs.read(fd, header, 0, header.length, 0);
+      if (
+        bytesRead < GRF_PATCH.HEADER_SIZE ||
+        header.toString('latin1', 0, 8) !== GRF_PATCH.MAGIC
+      ) {
+        throw new Error('Not a GRF patch (bad magic)');
+      }
+
+      const formatVersion = header.readUInt16BE(8);
+      if (formatVersion !== GRF_PATCH.FORMAT_VERSION) {
+        throw new Error(
+          `Unsupported GRF patch format version: ${formatVersion}`
+        );
+      }
+
+      const indexLength = header.readUInt32BE(12);
+      const payloadStart = GRF_PATCH.HEADER_SIZE + indexLength;
+      if (payloadStart > size) {
+        throw new Error('GRF patch is truncated (index)');
+      }
+
+      const indexBytes = Buffer.alloc(indexLength);
+      await fs.read(fd, indexBytes, 0, indexLength, GRF_PATCH.HEADER_SIZE);
+      const digest = createHash('sha256').update(indexBytes).digest();
+      if (!digest.equals(header.subarray(16, 48))) {
+        throw new Error('GRF patch index checksum mismatch');
+      }
+
+      const index = JSON.parse(indexBytes.toString('utf8')) as GrfPatchIndex;
+      const payloadSize = size - payloadStart;
+      for (const entry of index.entries) {
+        if ((entry.offset ?? 0) + (entry.length ?? 0) > payloadSize) {
+          throw new Error(`GRF patch is truncated (payload of ${entry.name})`);
+        }
+      }
+
+      return { formatVersion, index, payloadStart, payloadSize };
+    } finally {
+      await fs.close(fd);
+    }
+  }
+}
+
+export default GrfPatchUtils;
@@ -0,0 +1,188 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import { HASH } from '../constants/index.js';
+import AbortUtils from './abortUtils.js';
+import type { FileComparison } from '../types/index.js';
+
+/**
+ * Utility functions for hashing files and buffers
+ */
+class HashUtils {
+  /**
+   * Hashes a file without loading it into memory
+   * @param filePath - Path to the file
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @param signal - Stops hashing between chunks
+   * @returns Promise with the hex digest
+   */
+  static async hashFile(
+    filePath: string,
+    algorithm: string = HASH.DEFAULT_ALGORITHM,
+    signal?: AbortSignal
+  ): Promise<string> {
+    const hash = createHash(algorithm);
+    const stream = fs.createReadStream(filePath);
+
+    // Leaving the loop early destroys the stream
+    for await (const chunk of stream) {
+      AbortUtils.throwIfAborted(signal);
+      hash.update(chunk as Buffer);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hashes a buffer
+   * @param buffer - Data to hash
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @returns Hex digest
+   */
+  static hashBuffer(
+    buffer: Buffer,
+    algorithm: string = HASH.DEFAULT_ALGORITHM
+  ): string {
+    return createHash(algorithm).update(buffer).digest('hex');
+  }
+
+  /**
+   * Hashes a byte range of a file without loading it into memory
+   * @param filePath - Path to the file
+   * @param start - Offset of the first byte
+   * @param length - Number of bytes to hash
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @returns Promise with the hex digest
+   */
+  static async hashFileRange(
+    filePath: string,
+    start: number,
+    length: number,
+    algorithm: string = HASH.DEFAULT_ALGORITHM
+  ): Promise<string> {
+    const hash = createHash(algorithm);
+    if (length > 0) {
+      const stream = fs.createReadStream(filePath, {
+        start,
+        end: start + length - 1,
+      });
+      for await (const chunk of stream) {
+        hash.update(chunk as Buffer);
+      }
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hashes two files in one pass and finds the first byte where they differ
+   * @param expectedFile - Reference file
+   * @param actualFile - File checked against it
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @returns Promise with both digests, sizes and the first differing offset
+   */
+  static async compareFiles(
+    expectedFile: string,
+    actualFile: string,
+    algorithm: string = HASH.DEFAULT_ALGORITHM
+  ): Promise<FileComparison> {
+    const expectedHash = createHash(algorithm);
+    const actualHash = createHash(algorithm);
+    const expectedFd = await fs.open(expectedFile, 'r');
+
+    try {
+      const actualFd = await fs.open(actualFile, 'r');
+      try {
+        const expectedBuffer = Buffer.alloc(HASH.BUFFER_SIZE);
+        const actualBuffer = Buffer.alloc(HASH.BUFFER_SIZE);
+        let position = 0;
+        let expectedSize = 0;
+        let actualSize = 0;
+        let firstDifference: number | undefined;
+
+        for (;;) {
+          const [expectedRead, actualRead] = await Promise.all([
+            fs.read(expectedFd, expectedBuffer, 0, HASH.BUFFER_SIZE, position),
+            fs.read(actualFd, actualBuffer, 0, HASH.BUFFER_SIZE, position),
+          ]);
+          const expectedChunk = expectedBuffer.subarray(
+            0,
+            expectedRead.bytesRead
+          );
+          const actualChunk = actualBuffer.subarray(0, actualRead.bytesRead);
+          if (expectedChunk.length === 0 && actualChunk.length === 0) break;
+
+          expectedHash.update(expectedChunk);
+          actualHash.update(actualChunk);
+          expectedSize += expectedChunk.length;
+          actualSize += actualChunk.length;
+
+          if (
+            firstDifference === undefined &&
+            !expectedChunk.equals(actualChunk)
+          ) {
+            let index = 0;
+            while (
+              index < expectedChunk.length &&
+              index < actualChunk.length &&
+              expectedChunk[index] === actualChunk[index]
+            ) {
+              index++;
+            }
+            firstDifference = position + index;
+          }
+          position += Math.max(expectedChunk.length, actualChunk.length);
+        }
+
+        return {
+          algorithm,
+          expectedDigest: expectedHash.digest('hex'),
+          actualDigest: actualHash.digest('hex'),
+          expectedSize,
+          actualSize,
+          ...(firstDifference !== undefined ? { firstDifference } : {}),
+        };
+      } finally {
+        await fs.close(actualFd);
+      }
+    } finally {
+      await fs.close(expectedFd);
+    }
+  }
+
+  /**
+   * Hashes two buffers and finds the first byte where they differ
+   * @param expected - Reference data
+   * @param actual - Data checked against it
+   * @param algorithm - Hash algorithm supported by node:crypto
+   * @returns Both digests, sizes and the first differing offset
+   */
+  static compareBuffers(
+    expected: Buffer,
+    actual: Buffer,
+    algorithm: string = HASH.DEFAULT_ALGORITHM
+  ): FileComparison {
+    let firstDifference: number | undefined;
+    if (!expected.equals(actual)) {
+      let index = 0;
+      while (
+        index < expected.length &&
+        index < actual.length &&
+        expected[index] === actual[index]
+      ) {
+        index++;
+      }
+      firstDifference = index;
+    }
+
+    return {
+      algorithm,
+      expectedDigest: HashUtils.hashBuffer(expected, algorithm),
+      actualDigest: HashUtils.hashBuffer(actual, algorithm),
+      expectedSize: expected.length,
+      actualSize: actual.length,
+      ...(firstDifference !== undefined ? { firstDifference } : {}),
+    };
+  }
+}
+
+export default HashUtils;
@@ -2,3 +2,19 @@ export { default as MetricsUtils } from './metrics.js';
 export { default as DisplayUtils } from './displayUtils.js';
 export { default as CommandUtils } from './commandUtils.js';
 export { default as LargeFileUtils } from './largeFileUtils.js';
+export { default as XdeltaResolver } from './xdeltaResolver.js';
+export {
+  default as XdeltaOptionsUtils,
+  XdeltaOptionsError,
+} from './xdeltaOptionsUtils.js';
+export { default as HashUtils } from './hashUtils.js';
+export { default as BatchUtils } from './batchUtils.js';
+export { default as BundleUtils } from './bundleUtils.js';
+export { default as ChunkedPatchUtils } from './chunkedPatchUtils.js';
+export { default as GrfPatchUtils } from './grfPatchUtils.js';
+export { default as ZipPatchUtils } from './zipPatchUtils.js';
+export { EntryMismatchError } from './entryMismatchError.js';
+export { default as AtomicUtils } from './atomicUtils.js';
+export { default as BackupJournal } from './backupJournal.js';
+export { default as ProgressTracker } from './progressTracker.js';
+export { default as AbortUtils, OperationAbortedError } from './abortUtils.js';
@@ -1,4 +1,6 @@
 import fs from 'fs-extra';
+import os from 'os';
+import { pipeline } from 'stream/promises';
 import type { ChunkInfo } from '../types/index.js';
 
 /**
@@ -70,6 +72,41 @@ class LargeFileUtils {
     if (fileSize < 1024 * 1024 * 1024) return 50 * 1024 * 1024; // 50MB
     return 100 * 1024 * 1024; // 100MB
   }
+
+  /**
+   * Gets how many chunks can be processed at once
+   * @param chunkMemory - Memory one chunk needs
+   * @param memoryLimit - Memory all chunks may use together
+   * @returns Number of chunks, from 1 to the number of CPUs
+   */
+  static getChunkParallelism(chunkMemory: number, memoryLimit: number): number {
+    const byMemory = Math.floor(memoryLimit / Math.max(1, chunkMemory));
+    return Math.max(1, Math.min(os.cpus().length, byMemory));
+  }
+
+  /**
+   * Copies a byte range of a file to another file
+   * @param filePath - Path to the file
+   * @param start - Start of the range
+   * @param length - Length of the range
+   * @param outputFile - Destination file
+   */
+  static async copyRange(
+    filePath: string,
+    start: number,
+    length: number,
+    outputFile: string
+  ): Promise<void> {
+    if (length === 0) {
+      await fs.writeFile(outputFile, Buffer.alloc(0));
+      return;
+    }
+
+    await pipeline(
+      fs.createReadStream(filePath, { start, end: start + length - 1 }),
+      fs.createWriteStream(outputFile)
+    );
+  }
 }
 
 export default LargeFileUtils;
@@ -68,7 +68,7 @@ class MetricsUtils {
     if (speed === 0 || processed >= total) return '0s';
     const remaining = total - processed;
     const etaSeconds = remaining / speed;
-    return this.formatDuration(etaSeconds * 1000);
+    return this.formatDuration(Math.round(etaSeconds * 1000));
   }
 }
 
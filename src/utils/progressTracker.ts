@@ -0,0 +1,121 @@
+import fs from 'fs-extra';
+import { PROGRESS } from '../constants/index.js';
+import MetricsUtils from './metrics.js';
+import type { ProgressData } from '../types/index.js';
+
+// Units printed by xdelta3 in its verbose output
+const XDELTA_UNITS = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB'];
+
+/**
+ * Emits the progress of one operation: percentages never go backwards and
+ * byte counts get a speed and an ETA
+ */
+class ProgressTracker {
+  private percentage = 0;
+  // Where speed is measured from; reset whenever the byte total changes
+  private rateStart: { time: number; bytes: number; total: number } | null =
+    null;
+
+  /**
+   * @param emit - Receives every progress update
+   */
+  constructor(private readonly emit: (data: ProgressData) => void) {}
+
+  /**
+   * Emits an update, holding the percentage at its highest value so far
+   * @param data - Progress data; current and total are byte counts
+   */
+  update(data: ProgressData): void {
+    this.percentage = Math.max(
+      this.percentage,
+      Math.min(100, Math.round(data.percentage))
+    );
+    const update: ProgressData = { ...data, percentage: this.percentage };
+
+    const { current, total } = data;
+    if (current !== undefined && total !== undefined && total > 0) {
+      const now = Date.now();
+      // A new phase starts when the total changes or the count restarts
+      if (
+        !this.rateStart ||
+        this.rateStart.total !== total ||
+        current < this.rateStart.bytes
+      ) {
+        this.rateStart = { time: now, bytes: current, total };
+      }
+
+      const elapsed = now - this.rateStart.time;
+      const bytes = current - this.rateStart.bytes;
+      if (elapsed > 0 && bytes > 0) {
+        update.speed = MetricsUtils.calculateSpeed(bytes, elapsed);
+        update.eta = MetricsUtils.calculateETA(
+          current,
+          total,
+          (bytes / elapsed) * 1000
+        );
+      }
+    }
+
+    this.emit(update);
+  }
+
+  /**
+   * Reports how much of a file has been written while another process
+   * writes it
+   * @param file - File being written
+   * @param expectedSize - Final size of the file
+   * @param onProgress - Called with the fraction written (0 to 1)
+   * @returns Function that stops watching
+   */
+  static watchFileSize(
+    file: string,
+    expectedSize: number,
+    onProgress: (progress: number) => void
+  ): () => void {
+    let last = 0;
+    let stopped = false;
+    const timer = setInterval(() => {
+      fs.stat(file)
+        .then(stats => {
+          const progress = Math.min(1, stats.size / expectedSize);
+          if (!stopped && progress > last) {
+            last = progress;
+            onProgress(progress);
+          }
+        })
+        .catch(() => {
+          // Not created yet
+        });
+    }, PROGRESS.POLL_INTERVAL);
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }
+
+  /**
+   * Reads the running totals from a line of xdelta3 -vv output
+   * ("xdelta3: 3: in 8.00 MiB (...): out 12.5 KiB (...): total in 32.0 MiB:
+   * out 50.1 KiB: 120 ms: srcpos ...")
+   * @param line - Line written to stderr
+   * @returns Bytes read and written so far (approximate), or null for other
+   * lines
+   */
+  static parseXdeltaTotals(
+    line: string
+  ): { totalIn: number; totalOut: number } | null {
+    const match = /total in ([\d.]+) (\w+): out ([\d.]+) (\w+)/.exec(line);
+    if (!match) return null;
+
+    const toBytes = (value: string, unit: string): number =>
+      parseFloat(value) *
+      Math.pow(1024, Math.max(0, XDELTA_UNITS.indexOf(unit)));
+    return {
+      totalIn: toBytes(match[1]!, match[2]!),
+      totalOut: toBytes(match[3]!, match[4]!),
+    };
+  }
+}
+
+export default ProgressTracker;
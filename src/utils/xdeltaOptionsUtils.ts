@@ -0,0 +1,269 @@
+import { XDELTA } from '../constants/index.js';
+import type { XdeltaOptions } from '../types/index.js';
+
+/**
+ * Error of an xdeltaOptions setting xdelta3 would not accept
+ */
+export class XdeltaOptionsError extends Error {
+  readonly code = 'INVALID_XDELTA_OPTIONS';
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'XdeltaOptionsError';
+  }
+}
+
+const KNOWN_OPTIONS = new Set<string>([
+  'sourceWindowSize',
+  'windowSize',
+  'secondaryCompression',
+  'instructionBufferSize',
+  'duplicatesWindowSize',
+  'smallStringMatching',
+  'checksums',
+]);
+
+/**
+ * Checks that a setting is a whole number of bytes within limits
+ * @param name - Option name, for the error message
+ * @param value - Option value
+ * @param min - Smallest accepted value
+ * @param max - Largest accepted value
+ * @throws XdeltaOptionsError when the value is out of range
+ */
+function checkSize(
+  name: string,
+  value: unknown,
+  min: number,
+  max: number = Number.MAX_SAFE_INTEGER
+): void {
+  if (
+    typeof value !== 'number' ||
+    !Number.isInteger(value) ||
+    value < min ||
+    value > max
+  ) {
+    const range =
+      max === Number.MAX_SAFE_INTEGER
+        ? `at least ${min}`
+        : `between ${min} and ${max}`;
+    throw new XdeltaOptionsError(
+      `xdeltaOptions.${name} must be a whole number of bytes ${range}, got ${String(value)}`
+    );
+  }
+}
+
+/**
+ * Checks that a setting is a boolean
+ * @param name - Option name, for the error message
+ * @param value - Option value
+ * @throws XdeltaOptionsError when the value is not a boolean
+ */
+function checkBoolean(name: string, value: unknown): void {
+  if (typeof value !== 'boolean') {
+    throw new XdeltaOptionsError(
+      `xdeltaOptions.${name} must be true or false, got ${String(value)}`
+    );
+  }
+}
+
+/**
+ * Validation of xdeltaOptions and their mapping to xdelta3 arguments and
+ * built-in encoder settings
+ */
+class XdeltaOptionsUtils {
+  /**
+   * Validates xdelta3 settings
+   * @param options - Settings to check (undefined is valid)
+   * @throws XdeltaOptionsError naming the first invalid setting
+   */
+  static validate(options: XdeltaOptions | undefined): void {
+    if (options === undefined) return;
+    if (typeof options !== 'object' || options === null) {
+      throw new XdeltaOptionsError('xdeltaOptions must be an object');
+    }
+
+    for (const key of Object.keys(options)) {
+      if (!KNOWN_OPTIONS.has(key)) {
+        throw new XdeltaOptionsError(`Unknown xdeltaOptions setting: ${key}`);
+      }
+    }
+
+    const {
+      sourceWindowSize,
+      windowSize,
+      secondaryCompression,
+      instructionBufferSize,
+      duplicatesWindowSize,
+      smallStringMatching,
+      checksums,
+    } = options;
+    if (sourceWindowSize !== undefined && sourceWindowSize !== 'auto') {
+      checkSize(
+        'sourceWindowSize',
+        sourceWindowSize,
+        XDELTA.MIN_SOURCE_WINDOW_SIZE,
+        XDELTA.MAX_SOURCE_WINDOW_SIZE
+      );
+    }
+    if (windowSize !== undefined) {
+      checkSize(
+        'windowSize',
+        windowSize,
+        XDELTA.MIN_WINDOW_SIZE,
+        XDELTA.MAX_WINDOW_SIZE
+      );
+    }
+    if (
+      secondaryCompression !== undefined &&
+      !(XDELTA.SECONDARY_COMPRESSORS as readonly string[]).includes(
+        secondaryCompression
+      )
+    ) {
+      throw new XdeltaOptionsError(
+        `xdeltaOptions.secondaryCompression must be one of ${XDELTA.SECONDARY_COMPRESSORS.join(', ')}, got ${String(secondaryCompression)}`
+      );
+    }
+    if (instructionBufferSize !== undefined) {
+      checkSize('instructionBufferSize', instructionBufferSize, 0);
+    }
+    if (duplicatesWindowSize !== undefined) {
+      checkSize('duplicatesWindowSize', duplicatesWindowSize, 1);
+    }
+    if (smallStringMatching !== undefined) {
+      checkBoolean('smallStringMatching', smallStringMatching);
+    }
+    if (checksums !== undefined) {
+      checkBoolean('checksums', checksums);
+    }
+  }
+
+  /**
+   * Adapts settings to patches read by the built-in decoder, which reads
+   * LZMA sections but not djw or fgk ones: those are turned off
+   * @param options - Settings
+   * @returns Settings without an unreadable secondary compressor
+   */
+  static forBuiltInDecoder(
+    options: XdeltaOptions | undefined
+  ): XdeltaOptions | undefined {
+    const secondary = options?.secondaryCompression;
+    return secondary === 'djw' || secondary === 'fgk'
+      ? { ...options, secondaryCompression: 'none' }
+      : options;
+  }
+
+  /**
+   * Gets the source window to ask xdelta3 for. 'auto' covers the original
+   * file up to XDELTA.MAX_AUTO_SOURCE_WINDOW_SIZE
+   * @param options - Validated settings
+   * @param sourceSize - Size of the original file
+   * @returns Window size, or undefined to keep xdelta3's default
+   */
+  static getSourceWindowSize(
+    options: XdeltaOptions | undefined,
+    sourceSize: number
+  ): number | undefined {
+    const requested = options?.sourceWindowSize ?? 'auto';
+    if (requested !== 'auto') return requested;
+
+    // The default window already holds the whole file
+    if (sourceSize <= XDELTA.DEFAULT_SOURCE_WINDOW_SIZE) return undefined;
+    const aligned =
+      Math.ceil(sourceSize / XDELTA.SOURCE_WINDOW_ALIGNMENT) *
+      XDELTA.SOURCE_WINDOW_ALIGNMENT;
+    return Math.min(aligned, XDELTA.MAX_AUTO_SOURCE_WINDOW_SIZE);
+  }
+
+  /**
+   * Maps settings to the tuning arguments of an encode command
+   * @param options - Settings
+   * @param sourceSize - Size of the original file
+   * @param secondaryCompression - false forces -S none
+   * @returns xdelta3 arguments
+   * @throws XdeltaOptionsError when a setting is invalid
+   */
+  static toEncodeArgs(
+    options: XdeltaOptions | undefined,
+    sourceSize: number,
+    secondaryCompression = true
+  ): string[] {
+    XdeltaOptionsUtils.validate(options);
+    const args = XdeltaOptionsUtils.sourceWindowArgs(options, sourceSize);
+
+    const secondary =
+      secondaryCompression === false ? 'none' : options?.secondaryCompression;
+    if (secondary) args.push('-S', secondary);
+    if (options?.windowSize !== undefined) {
+      args.push('-W', String(options.windowSize));
+    }
+    if (options?.instructionBufferSize !== undefined) {
+      args.push('-I', String(options.instructionBufferSize));
+    }
+    if (options?.duplicatesWindowSize !== undefined) {
+      args.push('-P', String(options.duplicatesWindowSize));
+    }
+    if (options?.smallStringMatching === false) args.push('-N');
+    if (options?.checksums === false) args.push('-n');
+    return args;
+  }
+
+  /**
+   * Maps settings to the tuning arguments of a decode command; the others
+   * only affect encoding
+   * @param options - Settings
+   * @param sourceSize - Size of the original file
+   * @returns xdelta3 arguments
+   * @throws XdeltaOptionsError when a setting is invalid
+   */
+  static toDecodeArgs(
+    options: XdeltaOptions | undefined,
+    sourceSize: number
+  ): string[] {
+    XdeltaOptionsUtils.validate(options);
+    const args = XdeltaOptionsUtils.sourceWindowArgs(options, sourceSize);
+    if (options?.checksums === false) args.push('-n');
+    return args;
+  }
+
+  /**
+   * Maps settings to the built-in VCDIFF encoder. 'auto' keeps its default
+   * source window, as it holds the window in memory
+   * @param options - Settings
+   * @returns Encoder settings
+   * @throws XdeltaOptionsError when a setting is invalid
+   */
+  static toVcdiffOptions(options: XdeltaOptions | undefined): {
+    windowSize?: number;
+    sourceWindowSize?: number;
+    checksum?: boolean;
+  } {
+    XdeltaOptionsUtils.validate(options);
+    return {
+      ...(options?.windowSize !== undefined
+        ? { windowSize: options.windowSize }
+        : {}),
+      ...(typeof options?.sourceWindowSize === 'number'
+        ? { sourceWindowSize: options.sourceWindowSize }
+        : {}),
+      ...(options?.checksums === false ? { checksum: false } : {}),
+    };
+  }
+
+  /**
+   * Gets the -B argument
+   * @param options - Settings
+   * @param sourceSize - Size of the original file
+   * @returns Arguments (empty for xdelta3's default)
+   * @private
+   */
+  private static sourceWindowArgs(
+    options: XdeltaOptions | undefined,
+    sourceSize: number
+  ): string[] {
+    const size = XdeltaOptionsUtils.getSourceWindowSize(options, sourceSize);
+    return size === undefined ? [] : ['-B', String(size)];
+  }
+}
+
+export default XdeltaOptionsUtils;
@@ -0,0 +1,199 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import CommandUtils from './commandUtils.js';
+import { XDELTA } from '../constants/index.js';
+import type {
+  XdeltaCandidate,
+  XdeltaResolution,
+  XdeltaSource,
+} from '../types/index.js';
+
+/**
+ * Locates a working xdelta3 executable
+ */
+class XdeltaResolver {
+  /**
+   * Resolves the executable, trying each source in order: the explicit
+   * option, the XDELTA3_PATH environment variable, the executable shipped
+   * with the package (Windows) and finally xdelta3 on PATH
+   * @param explicitPath - Path given in the xdeltaPath option
+   * @returns Promise with the resolution and every candidate tried
+   */
+  static async resolve(explicitPath?: string): Promise<XdeltaResolution> {
+    const candidates: XdeltaCandidate[] = [];
+
+    for (const {
+      path: candidatePath,
+      source,
+      reason,
+    } of await this.listCandidates(explicitPath)) {
+      // Commands missing from PATH are reported without being run
+      const candidate = reason
+        ? { path: candidatePath, source, usable: false, reason }
+        : await this.probe(candidatePath, source);
+      candidates.push(candidate);
+
+      if (candidate.usable) {
+        return {
+          found: true,
+          path: candidate.path,
+          source: candidate.source,
+          ...(candidate.version ? { version: candidate.version } : {}),
+          candidates,
+        };
+      }
+    }
+
+    return { found: false, candidates };
+  }
+
+  /**
+   * Runs `<executable> -V` and checks that it reports an xdelta version
+   * @param executable - Executable path
+   * @param source - Where the path came from
+   * @returns Promise with the probed candidate
+   */
+  static async probe(
+    executable: string,
+    source: XdeltaSource
+  ): Promise<XdeltaCandidate> {
+    const candidate: XdeltaCandidate = {
+      path: executable,
+      source,
+      usable: false,
+    };
+
+    if (!(await fs.pathExists(executable))) {
+      return { ...candidate, reason: 'File not found' };
+    }
+
+    const result = await CommandUtils.run(executable, ['-V']);
+    const output = `${result.stdout}\n${result.stderr}`;
+    const match = output.match(/xdelta3?\s+version\s+(\S+)/i);
+
+    if (!result.success) {
+      const detail = result.stderr.split('\n')[0]?.trim();
+      return {
+        ...candidate,
+        reason: `"-V" failed${detail ? `: ${detail}` : ''}`,
+      };
+    }
+
+    if (!match) {
+      return {
+        ...candidate,
+        reason: '"-V" did not report an xdelta version',
+      };
+    }
+
+    return {
+      ...candidate,
+      usable: true,
+      version: match[1]!.replace(/,$/, ''),
+    };
+  }
+
+  /**
+   * Lists the paths to try, in resolution order
+   * @param explicitPath - Path given in the xdeltaPath option
+   * @returns Promise with the candidate paths; a command not found on PATH
+   * comes with the reason instead
+   * @private
+   */
+  private static async listCandidates(
+    explicitPath?: string
+  ): Promise<Array<{ path: string; source: XdeltaSource; reason?: string }>> {
+    const candidates: Array<{
+      path: string;
+      source: XdeltaSource;
+      reason?: string;
+    }> = [];
+    const seen = new Set<string>();
+
+    const add = async (command: string, source: XdeltaSource) => {
+      const found = await this.resolveCommand(command);
+      if (!found) {
+        candidates.push({ path: command, source, reason: 'Not found on PATH' });
+        return;
+      }
+      const resolved = path.resolve(found);
+      if (seen.has(resolved)) return;
+      seen.add(resolved);
+      candidates.push({ path: resolved, source });
+    };
+
+    // An explicit path disables automatic discovery
+    if (explicitPath) {
+      await add(explicitPath, 'option');
+      return candidates;
+    }
+
+    const envPath = process.env[XDELTA.ENV_VAR];
+    if (envPath) {
+      await add(envPath, 'env');
+    }
+
+    // The executable shipped at the package root only runs on Windows
+    if (process.platform === 'win32') {
+      await add(
+        path.join(
+          path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..'),
+          XDELTA.LEGACY_BUNDLED
+        ),
+        'bundled'
+      );
+    }
+
+    await add(XDELTA.COMMAND, 'path');
+
+    return candidates;
+  }
+
+  /**
+   * Resolves a bare command name (no directory) through PATH, never through
+   * the working directory
+   * @param command - Path or command name
+   * @returns Promise with the path to probe, or null when a command name is
+   * not on PATH
+   * @private
+   */
+  private static async resolveCommand(command: string): Promise<string | null> {
+    if (path.basename(command) !== command) {
+      return command;
+    }
+    return this.findOnPath(command);
+  }
+
+  /**
+   * Searches the directories in PATH for a command
+   * @param command - Command name
+   * @returns Promise with the full path, or null when not found
+   * @private
+   */
+  private static async findOnPath(command: string): Promise<string | null> {
+    const directories = (process.env.PATH ?? '')
+      .split(path.delimiter)
+      .filter(Boolean);
+    const extensions =
+      process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT ?? '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+
+    for (const directory of directories) {
+      for (const extension of extensions) {
+        const candidate = path.join(directory, command + extension);
+        try {
+          if ((await fs.stat(candidate)).isFile()) {
+            return candidate;
+          }
+        } catch {
+          // Not in this directory
+        }
+      }
+    }
+    return null;
+  }
+}
+
+export default XdeltaResolver;
@@ -1,5 +1,5 @@
 import fs from 'fs-extra';
-import CommandUtils from '../utils/commandUtils.js';
+import XdeltaResolver from '../utils/xdeltaResolver.js';
 
 /**
  * File validation utilities
@@ -62,11 +62,12 @@ class FileValidation {
   }
 
   /**
-   * Validates if Xdelta is available
+   * Validates if Xdelta is available, using the same lookup as the generator
+   * @param xdeltaPath - Optional explicit executable path
    * @returns Promise with validation result
    */
-  static async validateXdeltaAvailable(): Promise<boolean> {
-    return CommandUtils.isCommandAvailable('xdelta3');
+  static async validateXdeltaAvailable(xdeltaPath?: string): Promise<boolean> {
+    return (await XdeltaResolver.resolve(xdeltaPath)).found;
   }
 }
 
@@ -0,0 +1,230 @@
+import { VCDIFF } from '../constants/index.js';
+import AddressCache from './addressCache.js';
+import { adler32 } from './adler32.js';
+import { INSTRUCTION } from './codeTable.js';
+import { walkInstructions } from './instructions.js';
+import { SectionReader, VcdiffError } from './readers.js';
+import VcdiffReader from './VcdiffReader.js';
+import { FileByteSink, FileByteSource } from './byteSource.js';
+import type { ByteSink, ByteSource } from './byteSource.js';
+import type { VcdiffSections } from './VcdiffReader.js';
+
+export type VcdiffDecodeOptions = {
+  // Verify the Adler-32 checksum of each window (default: true)
+  verifyChecksums?: boolean;
+  // Called after each window with patch bytes consumed and patch size
+  onProgress?: (processed: number, total: number) => void;
+  // Stops decoding between windows
+  signal?: AbortSignal;
+};
+
+export type VcdiffDecodeResult = {
+  windows: number;
+  targetSize: number;
+};
+
+/**
+ * Pure-JavaScript VCDIFF decoder compatible with xdelta3 patches
+ * @class VcdiffDecoder
+ */
+class VcdiffDecoder {
+  /**
+   * Decodes a patch against a source, writing the target to a sink
+   * @param patch - Patch bytes
+   * @param source - Source (original) bytes, or null for patches without one
+   * @param target - Destination of the decoded bytes
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   * @throws VcdiffError for malformed patches or checksum mismatches
+   */
+  static async decode(
+    patch: ByteSource,
+    source: ByteSource | null,
+    target: ByteSink,
+    options: VcdiffDecodeOptions = {}
+  ): Promise<VcdiffDecodeResult> {
+    const verifyChecksums = options.verifyChecksums ?? true;
+    const reader = await VcdiffReader.open(patch);
+    reader.assertDecodable();
+
+    const cache = new AddressCache();
+    let windows = 0;
+
+    for (;;) {
+      if (options.signal?.aborted) {
+        throw new VcdiffError('Decoding aborted');
+      }
+      const window = await reader.nextWindow();
+      if (!window) break;
+
+      if (window.targetWindowLength > VCDIFF.MAX_WINDOW_SIZE) {
+        throw new VcdiffError(
+          `Target length of window ${window.index} (${window.targetWindowLength}) exceeds ${VCDIFF.MAX_WINDOW_SIZE} bytes`
+        );
+      }
+      if (window.sourceSegmentSize > VCDIFF.MAX_SOURCE_WINDOW_SIZE) {
+        throw new VcdiffError(
+          `Source segment of window ${window.index} (${window.sourceSegmentSize}) exceeds ${VCDIFF.MAX_SOURCE_WINDOW_SIZE} bytes`
+        );
+      }
+
+      let sourceSegment: Buffer = Buffer.alloc(0);
+      if (window.indicator & VCDIFF.WIN_SOURCE) {
+        if (!source) {
+          throw new VcdiffError('Patch requires a source file');
+        }
+        sourceSegment = await source.read(
+          window.sourceSegmentPosition,
+          window.sourceSegmentSize
+        );
+      } else if (window.indicator & VCDIFF.WIN_TARGET) {
+        if (!target.read) {
+          throw new VcdiffError(
+            'Target copies are not supported by this output'
+          );
+        }
+        sourceSegment = await target.read(
+          window.sourceSegmentPosition,
+          window.sourceSegmentSize
+        );
+      }
+
+      if (sourceSegment.length !== window.sourceSegmentSize) {
+        throw new VcdiffError(
+          `Source segment of window ${window.index} is out of range (source too small)`
+        );
+      }
+
+      const output = VcdiffDecoder.decodeWindow(
+        reader.decodeSections(window),
+        sourceSegment,
+        window.targetWindowLength,
+        cache
+      );
+
+      if (verifyChecksums && window.checksum !== undefined) {
+        const actual = adler32(output);
+        if (actual !== window.checksum) {
+          throw new VcdiffError(
+            `Checksum mismatch in window ${window.index} (wrong source file?)`
+          );
+        }
+      }
+
+      await target.write(output);
+      windows++;
+      options.onProgress?.(reader.position, reader.size);
+    }
+
+    return { windows, targetSize: target.written };
+  }
+
+  /**
+   * Decodes a patch file into an output file
+   * @param sourceFile - Original file path
+   * @param patchFile - Patch file path
+   * @param outputFile - Output file path
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   */
+  static async decodeFile(
+    sourceFile: string,
+    patchFile: string,
+    outputFile: string,
+    options: VcdiffDecodeOptions = {}
+  ): Promise<VcdiffDecodeResult> {
+    const patch = await FileByteSource.open(patchFile);
+    try {
+      return await VcdiffDecoder.decodeToFile(
+        sourceFile,
+        patch,
+        outputFile,
+        options
+      );
+    } finally {
+      await patch.close();
+    }
+  }
+
+  /**
+   * Decodes a patch read from any byte source (e.g. a range of a bundle)
+   * into an output file
+   * @param sourceFile - Original file path
+   * @param patch - Patch bytes (left open)
+   * @param outputFile - Output file path
+   * @param options - Decode options
+   * @returns Promise with decode statistics
+   */
+  static async decodeToFile(
+    sourceFile: string,
+    patch: ByteSource,
+    outputFile: string,
+    options: VcdiffDecodeOptions = {}
+  ): Promise<VcdiffDecodeResult> {
+    const source = await FileByteSource.open(sourceFile);
+    try {
+      const target = await FileByteSink.create(outputFile);
+      try {
+        return await VcdiffDecoder.decode(patch, source, target, options);
+      } finally {
+        await target.close();
+      }
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Executes the instructions of one window
+   * @param sections - Decompressed window sections
+   * @param sourceSegment - Source (or earlier target) segment
+   * @param targetLength - Expected target window length
+   * @param cache - Address cache (reset for the window)
+   * @returns Target window bytes
+   * @private
+   */
+  private static decodeWindow(
+    sections: VcdiffSections,
+    sourceSegment: Buffer,
+    targetLength: number,
+    cache: AddressCache
+  ): Buffer {
+    const data = new SectionReader(sections.data, 'data');
+    const target = Buffer.alloc(targetLength);
+    const sourceLength = sourceSegment.length;
+
+    walkInstructions(
+      sections.instructions,
+      sections.addresses,
+      sourceLength,
+      targetLength,
+      cache,
+      (type, size, position, address) => {
+        if (type === INSTRUCTION.ADD) {
+          data.readBytes(size).copy(target, position);
+        } else if (type === INSTRUCTION.RUN) {
+          target.fill(data.readByte(), position, position + size);
+        } else if (address + size <= sourceLength) {
+          sourceSegment.copy(target, position, address, address + size);
+        } else {
+          // Copies reaching into the target may overlap their own output
+          for (let i = 0; i < size; i++) {
+            const from = address + i;
+            target[position + i] =
+              from < sourceLength
+                ? sourceSegment[from]!
+                : target[from - sourceLength]!;
+          }
+        }
+      }
+    );
+
+    if (data.remaining !== 0) {
+      throw new VcdiffError('Window has unused data or addresses');
+    }
+
+    return target;
+  }
+}
+
+export default VcdiffDecoder;
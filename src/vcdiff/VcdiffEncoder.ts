@@ -0,0 +1,610 @@
+import { VCDIFF } from '../constants/index.js';
+import AddressCache from './addressCache.js';
+import { adler32 } from './adler32.js';
+import { INSTRUCTION } from './codeTable.js';
+import { ByteWriter } from './writers.js';
+import { VcdiffError } from './readers.js';
+import { FileByteSink, FileByteSource } from './byteSource.js';
+import type { ByteSink, ByteSource } from './byteSource.js';
+
+export type VcdiffEncodeOptions = {
+  // Matching effort, 0 (fastest) to 9 (smallest patch)
+  compression?: number;
+  // Maximum target bytes per window
+  windowSize?: number;
+  // Maximum source bytes visible to each window
+  sourceWindowSize?: number;
+  // Application header stored in the patch (xdelta3 stores file names here)
+  appHeader?: Buffer;
+  // Store an Adler-32 checksum per window (default: true)
+  checksum?: boolean;
+  // Called while encoding with target bytes processed and target size
+  onProgress?: (processed: number, total: number) => void;
+  // Stops encoding between windows
+  signal?: AbortSignal;
+};
+
+export type VcdiffEncodeResult = {
+  windows: number;
+  targetSize: number;
+  patchSize: number;
+};
+
+type MatchParams = {
+  // Bytes hashed to find match candidates (also the minimum match length)
+  blockSize: number;
+  // Distance between indexed source positions
+  sourceStep: number;
+};
+
+type Instruction = {
+  type: number;
+  size: number;
+  // ADD: offset of the literal bytes in the target window
+  start: number;
+  // COPY: address in the source + target address space
+  address: number;
+  // RUN: repeated byte
+  byte: number;
+};
+
+const HASH_BASE = 257;
+const MIN_RUN = 8;
+const PROGRESS_STEP = 1024 * 1024;
+
+/**
+ * Matching parameters for each compression level
+ * @param compression - Compression level (0-9)
+ * @returns Matching parameters
+ */
+function getMatchParams(compression: number): MatchParams {
+  if (compression <= 0) return { blockSize: 32, sourceStep: 32 };
+  if (compression <= 3) return { blockSize: 16, sourceStep: 8 };
+  if (compression <= 6) return { blockSize: 12, sourceStep: 2 };
+  return { blockSize: 8, sourceStep: 1 };
+}
+
+/**
+ * Rolling polynomial hash over a fixed-size block
+ */
+class RollingHash {
+  readonly blockSize: number;
+  private readonly outFactor: number;
+
+  constructor(blockSize: number) {
+    this.blockSize = blockSize;
+    let factor = 1;
+    for (let i = 1; i < blockSize; i++) factor = Math.imul(factor, HASH_BASE);
+    this.outFactor = factor;
+  }
+
+  at(data: Uint8Array, position: number): number {
+    let hash = 0;
+    for (let i = 0; i < this.blockSize; i++) {
+      hash = (Math.imul(hash, HASH_BASE) + data[position + i]!) | 0;
+    }
+    return hash;
+  }
+
+  roll(hash: number, outByte: number, inByte: number): number {
+    return (
+      (Math.imul(hash - Math.imul(outByte, this.outFactor), HASH_BASE) +
+        inByte) |
+      0
+    );
+  }
+}
+
+/**
+ * Table bucket for a hash value
+ * @param hash - Rolling hash
+ * @param bits - Table size in bits
+ * @returns Bucket index
+ */
+function bucket(hash: number, bits: number): number {
+  return Math.imul(hash, 0x9e3779b1) >>> (32 - bits);
+}
+
+/**
+ * Table size (in bits) for a number of entries
+ * @param entries - Expected entries
+ * @param maxBits - Upper bound
+ * @returns Table size in bits
+ */
+function tableBits(entries: number, maxBits: number): number {
+  let bits = 10;
+  while (bits < maxBits && 1 << bits < entries * 2) bits++;
+  return bits;
+}
+
+/**
+ * Hash index of a source segment
+ */
+class SourceIndex {
+  readonly data: Buffer;
+  readonly bits: number;
+  readonly table: Int32Array;
+
+  constructor(data: Buffer, hasher: RollingHash, step: number) {
+    this.data = data;
+    this.bits = tableBits(Math.ceil(data.length / step), 24);
+    this.table = new Int32Array(1 << this.bits);
+
+    const block = hasher.blockSize;
+    if (data.length < block) return;
+
+    let hash = hasher.at(data, 0);
+    for (let position = 0; ; position++) {
+      if (position % step === 0) {
+        this.table[bucket(hash, this.bits)] = position + 1;
+      }
+      if (position + block >= data.length) break;
+      hash = hasher.roll(hash, data[position]!, data[position + block]!);
+    }
+  }
+}
+
+/**
+ * Pure-JavaScript VCDIFF encoder producing patches xdelta3 can decode
+ * @class VcdiffEncoder
+ */
+class VcdiffEncoder {
+  /**
+   * Encodes the difference between a source and a target
+   * @param source - Source (original) bytes, or null to encode without one
+   * @param target - Target (new) bytes
+   * @param sink - Destination of the patch
+   * @param options - Encode options
+   * @returns Promise with encode statistics
+   */
+  static async encode(
+    source: ByteSource | null,
+    target: ByteSource,
+    sink: ByteSink,
+    options: VcdiffEncodeOptions = {}
+  ): Promise<VcdiffEncodeResult> {
+    const windowSize = options.windowSize ?? VCDIFF.DEFAULT_WINDOW_SIZE;
+    const sourceWindowSize =
+      options.sourceWindowSize ?? VCDIFF.DEFAULT_SOURCE_WINDOW_SIZE;
+    const params = getMatchParams(options.compression ?? 9);
+    const hasher = new RollingHash(params.blockSize);
+    const checksum = options.checksum ?? true;
+    const sourceSize = source?.size ?? 0;
+    const targetSize = target.size;
+
+    await sink.write(VcdiffEncoder.encodeHeader(options.appHeader));
+
+    // Small sources are indexed once and shared by every window
+    let sharedIndex: { index: SourceIndex; position: number } | null = null;
+    if (source && sourceSize > 0 && sourceSize <= sourceWindowSize) {
+      const data = await source.read(0, sourceSize);
+      sharedIndex = {
+        index: new SourceIndex(data, hasher, params.sourceStep),
+        position: 0,
+      };
+    }
+
+    let windows = 0;
+    for (let start = 0; start < targetSize; start += windowSize) {
+      if (options.signal?.aborted) {
+        throw new VcdiffError('Encoding aborted');
+      }
+      const targetWindow = await target.read(
+        start,
+        Math.min(windowSize, targetSize - start)
+      );
+
+      let segment = sharedIndex;
+      if (!segment && source && sourceSize > 0) {
+        // Large sources: use the region at the same relative position
+        const length = Math.min(sourceWindowSize, sourceSize);
+        const center = Math.round((start / targetSize) * sourceSize);
+        const position = Math.max(
+          0,
+          Math.min(
+            sourceSize - length,
+            center - Math.floor((length - targetWindow.length) / 2)
+          )
+        );
+        const data = await source.read(position, length);
+        segment = {
+          index: new SourceIndex(data, hasher, params.sourceStep),
+          position,
+        };
+      }
+
+      const encoded = VcdiffEncoder.encodeWindow(
+        targetWindow,
+        segment,
+        hasher,
+        checksum,
+        processed => options.onProgress?.(start + processed, targetSize)
+      );
+      await sink.write(encoded);
+      windows++;
+      options.onProgress?.(start + targetWindow.length, targetSize);
+    }
+
+    return { windows, targetSize, patchSize: sink.written };
+  }
+
+  /**
+   * Encodes a patch between two files
+   * @param sourceFile - Original file path
+   * @param targetFile - New file path
+   * @param patchFile - Output patch path
+   * @param options - Encode options
+   * @returns Promise with encode statistics
+   */
+  static async encodeFile(
+    sourceFile: string,
+    targetFile: string,
+    patchFile: string,
+    options: VcdiffEncodeOptions = {}
+  ): Promise<VcdiffEncodeResult> {
+    const source = await FileByteSource.open(sourceFile);
+    const target = await FileByteSource.open(targetFile).catch(async error => {
+      await source.close();
+      throw error;
+    });
+
+    try {
+      const sink = await FileByteSink.create(patchFile);
+      try {
+        return await VcdiffEncoder.encode(source, target, sink, options);
+      } finally {
+        await sink.close();
+      }
+    } finally {
+      await source.close();
+      await target.close();
+    }
+  }
+
+  /**
+   * Encodes the file header
+   * @param appHeader - Optional application header
+   * @returns Header bytes
+   * @private
+   */
+  private static encodeHeader(appHeader?: Buffer): Buffer {
+    const writer = new ByteWriter(16 + (appHeader?.length ?? 0));
+    writer.writeBytes(Uint8Array.from(VCDIFF.MAGIC));
+    writer.writeByte(VCDIFF.VERSION);
+    writer.writeByte(appHeader ? VCDIFF.HDR_APPHEADER : 0);
+    if (appHeader) {
+      writer.writeVarint(appHeader.length);
+      writer.writeBytes(appHeader);
+    }
+    return writer.toBuffer();
+  }
+
+  /**
+   * Finds matches for one target window
+   * @param target - Target window bytes
+   * @param segment - Indexed source segment, if any
+   * @param hasher - Rolling hash
+   * @param onProgress - Called with bytes of the window processed
+   * @returns Instructions reconstructing the window
+   * @private
+   */
+  private static findInstructions(
+    target: Buffer,
+    segment: SourceIndex | null,
+    hasher: RollingHash,
+    onProgress: (processed: number) => void
+  ): Instruction[] {
+    const instructions: Instruction[] = [];
+    const block = hasher.blockSize;
+    const length = target.length;
+    const source = segment?.data ?? Buffer.alloc(0);
+    const sourceLength = source.length;
+    const targetBits = tableBits(length, 22);
+    const targetTable = new Int32Array(1 << targetBits);
+    let position = 0;
+    let addStart = 0;
+    let nextReport = PROGRESS_STEP;
+
+    const flushAdd = (end: number) => {
+      if (end > addStart) {
+        instructions.push({
+          type: INSTRUCTION.ADD,
+          size: end - addStart,
+          start: addStart,
+          address: 0,
+          byte: 0,
+        });
+      }
+    };
+
+    let hash = length >= block ? hasher.at(target, 0) : 0;
+
+    while (position + block <= length) {
+      if (position >= nextReport) {
+        onProgress(position);
+        nextReport += PROGRESS_STEP;
+      }
+
+      // Runs of a repeated byte
+      const byte = target[position]!;
+      if (
+        target[position + 1] === byte &&
+        target[position + 2] === byte &&
+        target[position + 3] === byte
+      ) {
+        let run = 4;
+        while (position + run < length && target[position + run] === byte) {
+          run++;
+        }
+        if (run >= MIN_RUN) {
+          flushAdd(position);
+          instructions.push({
+            type: INSTRUCTION.RUN,
+            size: run,
+            start: 0,
+            address: 0,
+            byte,
+          });
+          position += run;
+          addStart = position;
+          if (position + block <= length) hash = hasher.at(target, position);
+          continue;
+        }
+      }
+
+      let bestLength = 0;
+      let bestBack = 0;
+      let bestAddress = 0;
+
+      if (segment) {
+        const candidate = segment.table[bucket(hash, segment.bits)]! - 1;
+        if (candidate >= 0) {
+          let forward = 0;
+          while (
+            position + forward < length &&
+            candidate + forward < sourceLength &&
+            source[candidate + forward] === target[position + forward]
+          ) {
+            forward++;
+          }
+          if (forward >= block) {
+            let back = 0;
+            while (
+              position - back > addStart &&
+              candidate - back > 0 &&
+              source[candidate - back - 1] === target[position - back - 1]
+            ) {
+              back++;
+            }
+            bestLength = forward;
+            bestBack = back;
+            bestAddress = candidate - back;
+          }
+        }
+      }
+
+      const targetKey = bucket(hash, targetBits);
+      const earlier = targetTable[targetKey]! - 1;
+      if (earlier >= 0) {
+        let forward = 0;
+        while (
+          position + forward < length &&
+          target[earlier + forward] === target[position + forward]
+        ) {
+          forward++;
+        }
+        if (forward >= block && forward > bestLength) {
+          let back = 0;
+          while (
+            position - back > addStart &&
+            earlier - back > 0 &&
+            target[earlier - back - 1] === target[position - back - 1]
+          ) {
+            back++;
+          }
+          bestLength = forward;
+          bestBack = back;
+          bestAddress = sourceLength + earlier - back;
+        }
+      }
+      targetTable[targetKey] = position + 1;
+
+      if (bestLength > 0) {
+        flushAdd(position - bestBack);
+        instructions.push({
+          type: INSTRUCTION.COPY,
+          size: bestLength + bestBack,
+          start: 0,
+          address: bestAddress,
+          byte: 0,
+        });
+        position += bestLength;
+        addStart = position;
+        if (position + block <= length) hash = hasher.at(target, position);
+        continue;
+      }
+
+      if (position + block < length) {
+        hash = hasher.roll(hash, target[position]!, target[position + block]!);
+      }
+      position++;
+    }
+
+    flushAdd(length);
+    return instructions;
+  }
+
+  /**
+   * Encodes one target window
+   * @param target - Target window bytes
+   * @param segment - Indexed source segment and its position, if any
+   * @param hasher - Rolling hash
+   * @param checksum - Whether to store the Adler-32 checksum
+   * @param onProgress - Called with bytes of the window processed
+   * @returns Encoded window
+   * @private
+   */
+  private static encodeWindow(
+    target: Buffer,
+    segment: { index: SourceIndex; position: number } | null,
+    hasher: RollingHash,
+    checksum: boolean,
+    onProgress: (processed: number) => void
+  ): Buffer {
+    const instructions = VcdiffEncoder.findInstructions(
+      target,
+      segment?.index ?? null,
+      hasher,
+      onProgress
+    );
+    const sourceLength = segment?.index.data.length ?? 0;
+    const data = new ByteWriter(target.length / 4);
+    const inst = new ByteWriter(instructions.length * 2);
+    const addr = new ByteWriter(instructions.length * 2);
+    const cache = new AddressCache();
+    let position = 0;
+
+    const writeAddress = (encoded: { value: number; isByte: boolean }) => {
+      if (encoded.isByte) addr.writeByte(encoded.value);
+      else addr.writeVarint(encoded.value);
+    };
+
+    const emitAdd = (add: Instruction) => {
+      if (add.size <= 17) {
+        inst.writeByte(1 + add.size);
+      } else {
+        inst.writeByte(1);
+        inst.writeVarint(add.size);
+      }
+      data.writeBytes(target.subarray(add.start, add.start + add.size));
+    };
+
+    const emitCopy = (copy: Instruction, mode: number) => {
+      const base = 19 + mode * 16;
+      if (copy.size >= 4 && copy.size <= 18) {
+        inst.writeByte(base + copy.size - 3);
+      } else {
+        inst.writeByte(base);
+        inst.writeVarint(copy.size);
+      }
+    };
+
+    for (let i = 0; i < instructions.length; i++) {
+      const current = instructions[i]!;
+      const next = instructions[i + 1];
+
+      if (current.type === INSTRUCTION.RUN) {
+        inst.writeByte(0);
+        inst.writeVarint(current.size);
+        data.writeByte(current.byte);
+        position += current.size;
+        continue;
+      }
+
+      if (current.type === INSTRUCTION.ADD) {
+        if (current.size <= 4 && next?.type === INSTRUCTION.COPY) {
+          // Try the combined ADD + COPY opcodes of the default code table
+          const encoded = cache.encode(
+            next.address,
+            sourceLength + position + current.size
+          );
+          const mode = encoded.mode;
+          let opcode = -1;
+          if (mode <= 5 && next.size >= 4 && next.size <= 6) {
+            opcode = 163 + mode * 12 + (current.size - 1) * 3 + next.size - 4;
+          } else if (mode >= 6 && next.size === 4) {
+            opcode = 235 + (mode - 6) * 4 + current.size - 1;
+          }
+
+          if (opcode >= 0) {
+            inst.writeByte(opcode);
+            data.writeBytes(
+              target.subarray(current.start, current.start + current.size)
+            );
+          } else {
+            emitAdd(current);
+            emitCopy(next, mode);
+          }
+          writeAddress(encoded);
+          position += current.size + next.size;
+          i++;
+          continue;
+        }
+
+        emitAdd(current);
+        position += current.size;
+        continue;
+      }
+
+      const encoded = cache.encode(current.address, sourceLength + position);
+      if (
+        current.size === 4 &&
+        next?.type === INSTRUCTION.ADD &&
+        next.size === 1
+      ) {
+        // Combined COPY + ADD opcode
+        inst.writeByte(247 + encoded.mode);
+        writeAddress(encoded);
+        data.writeByte(target[next.start]!);
+        position += 5;
+        i++;
+        continue;
+      }
+
+      emitCopy(current, encoded.mode);
+      writeAddress(encoded);
+      position += current.size;
+    }
+
+    return VcdiffEncoder.assembleWindow(
+      target,
+      segment,
+      data.toBuffer(),
+      inst.toBuffer(),
+      addr.toBuffer(),
+      checksum
+    );
+  }
+
+  /**
+   * Writes the window header followed by its sections
+   * @private
+   */
+  private static assembleWindow(
+    target: Buffer,
+    segment: { index: SourceIndex; position: number } | null,
+    data: Buffer,
+    instructions: Buffer,
+    addresses: Buffer,
+    checksum: boolean
+  ): Buffer {
+    const delta = new ByteWriter(
+      16 + data.length + instructions.length + addresses.length
+    );
+    delta.writeVarint(target.length);
+    delta.writeByte(0); // No secondary compression
+    delta.writeVarint(data.length);
+    delta.writeVarint(instructions.length);
+    delta.writeVarint(addresses.length);
+    if (checksum) delta.writeUInt32BE(adler32(target));
+    delta.writeBytes(data);
+    delta.writeBytes(instructions);
+    delta.writeBytes(addresses);
+    const encodedDelta = delta.toBuffer();
+
+    const window = new ByteWriter(encodedDelta.length + 32);
+    let indicator = checksum ? VCDIFF.WIN_ADLER32 : 0;
+    if (segment) indicator |= VCDIFF.WIN_SOURCE;
+    window.writeByte(indicator);
+    if (segment) {
+      window.writeVarint(segment.index.data.length);
+      window.writeVarint(segment.position);
+    }
+    window.writeVarint(encodedDelta.length);
+    window.writeBytes(encodedDelta);
+
+    return window.toBuffer();
+  }
+}
+
+export default VcdiffEncoder;
@@ -0,0 +1,282 @@
+import { VCDIFF } from '../constants/index.js';
+import { SectionReader, StreamReader, VcdiffError } from './readers.js';
+import { decompressXz } from './xz.js';
+import type { ByteSource } from './byteSource.js';
+
+/**
+ * Error raised for valid VCDIFF features this implementation cannot decode
+ */
+export class VcdiffUnsupportedError extends VcdiffError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VcdiffUnsupportedError';
+  }
+}
+
+export type VcdiffHeader = {
+  version: number;
+  indicator: number;
+  secondaryId: number | undefined;
+  secondaryCompressor: string | undefined;
+  hasCodeTable: boolean;
+  appHeader: Buffer | undefined;
+  // Encoded size of the file header in bytes
+  size: number;
+};
+
+export type VcdiffWindow = {
+  index: number;
+  // Position of the window in the patch
+  offset: number;
+  indicator: number;
+  sourceSegmentSize: number;
+  sourceSegmentPosition: number;
+  targetWindowLength: number;
+  deltaIndicator: number;
+  checksum: number | undefined;
+  dataLength: number;
+  instructionsLength: number;
+  addressesLength: number;
+  // Raw (possibly secondary-compressed) sections, absent when skipped
+  data?: Buffer;
+  instructions?: Buffer;
+  addresses?: Buffer;
+  // Encoded size of the whole window in bytes
+  size: number;
+};
+
+export type VcdiffSections = {
+  data: Buffer;
+  instructions: Buffer;
+  addresses: Buffer;
+};
+
+/**
+ * Sequential parser of VCDIFF (RFC 3284) files as written by xdelta3
+ * @class VcdiffReader
+ */
+class VcdiffReader {
+  readonly header: VcdiffHeader;
+  private readonly reader: StreamReader;
+  private windowIndex = 0;
+
+  private constructor(reader: StreamReader, header: VcdiffHeader) {
+    this.reader = reader;
+    this.header = header;
+  }
+
+  /**
+   * Parses the file header and prepares to read windows
+   * @param source - Patch bytes
+   * @returns Promise with the reader
+   * @throws VcdiffError when the data is not a VCDIFF file
+   */
+  static async open(source: ByteSource): Promise<VcdiffReader> {
+    const reader = new StreamReader(source);
+    const header = await VcdiffReader.readHeader(reader);
+    return new VcdiffReader(reader, header);
+  }
+
+  private static async readHeader(reader: StreamReader): Promise<VcdiffHeader> {
+    if (reader.size < 5) {
+      throw new VcdiffError('File is too small to be a VCDIFF patch');
+    }
+
+    const magic = await reader.readBytes(3);
+    if (!VCDIFF.MAGIC.every((byte, i) => magic[i] === byte)) {
+      throw new VcdiffError('Missing VCDIFF magic bytes');
+    }
+
+    const version = await reader.readByte();
+    if (version !== VCDIFF.VERSION) {
+      throw new VcdiffError(`Unsupported VCDIFF version ${version}`);
+    }
+
+    const indicator = await reader.readByte();
+    if (indicator & ~0x07) {
+      throw new VcdiffError(
+        `Invalid header indicator 0x${indicator.toString(16)}`
+      );
+    }
+
+    let secondaryId: number | undefined;
+    if (indicator & VCDIFF.HDR_SECONDARY) {
+      secondaryId = await reader.readByte();
+    }
+
+    const hasCodeTable = (indicator & VCDIFF.HDR_CODETABLE) !== 0;
+    if (hasCodeTable) {
+      const length = await reader.readVarint();
+      await reader.skip(length);
+    }
+
+    let appHeader: Buffer | undefined;
+    if (indicator & VCDIFF.HDR_APPHEADER) {
+      const length = await reader.readVarint();
+      appHeader = Buffer.from(await reader.readBytes(length));
+    }
+
+    return {
+      version,
+      indicator,
+      secondaryId,
+      secondaryCompressor:
+        secondaryId === undefined
+          ? undefined
+          : (VCDIFF.SECONDARY[secondaryId] ?? `unknown(${secondaryId})`),
+      hasCodeTable,
+      appHeader,
+      size: reader.position,
+    };
+  }
+
+  /** Current position in the patch */
+  get position(): number {
+    return this.reader.position;
+  }
+
+  /** Total size of the patch */
+  get size(): number {
+    return this.reader.size;
+  }
+
+  /**
+   * Reads the next window
+   * @param withSections - Whether to load the section contents
+   * @returns Promise with the window, or null at the end of the patch
+   */
+  async nextWindow(withSections: boolean = true): Promise<VcdiffWindow | null> {
+    const reader = this.reader;
+    if (reader.eof) return null;
+
+    const offset = reader.position;
+    const indicator = await reader.readByte();
+    if (indicator & ~0x07) {
+      throw new VcdiffError(
+        `Invalid window indicator 0x${indicator.toString(16)}`
+      );
+    }
+    if (
+      (indicator & VCDIFF.WIN_SOURCE) !== 0 &&
+      (indicator & VCDIFF.WIN_TARGET) !== 0
+    ) {
+      throw new VcdiffError('Window uses both VCD_SOURCE and VCD_TARGET');
+    }
+
+    let sourceSegmentSize = 0;
+    let sourceSegmentPosition = 0;
+    if (indicator & (VCDIFF.WIN_SOURCE | VCDIFF.WIN_TARGET)) {
+      sourceSegmentSize = await reader.readVarint();
+      sourceSegmentPosition = await reader.readVarint();
+    }
+
+    const deltaLength = await reader.readVarint();
+    const deltaStart = reader.position;
+    const targetWindowLength = await reader.readVarint();
+    const deltaIndicator = await reader.readByte();
+    const dataLength = await reader.readVarint();
+    const instructionsLength = await reader.readVarint();
+    const addressesLength = await reader.readVarint();
+
+    let checksum: number | undefined;
+    if (indicator & VCDIFF.WIN_ADLER32) {
+      checksum = (await reader.readBytes(4)).readUInt32BE(0);
+    }
+
+    const sectionsLength = dataLength + instructionsLength + addressesLength;
+    if (reader.position - deltaStart + sectionsLength !== deltaLength) {
+      throw new VcdiffError('Window length does not match its sections');
+    }
+
+    const window: VcdiffWindow = {
+      index: this.windowIndex++,
+      offset,
+      indicator,
+      sourceSegmentSize,
+      sourceSegmentPosition,
+      targetWindowLength,
+      deltaIndicator,
+      checksum,
+      dataLength,
+      instructionsLength,
+      addressesLength,
+      size: 0,
+    };
+
+    if (withSections) {
+      window.data = Buffer.from(await reader.readBytes(dataLength));
+      window.instructions = Buffer.from(
+        await reader.readBytes(instructionsLength)
+      );
+      window.addresses = Buffer.from(await reader.readBytes(addressesLength));
+    } else {
+      await reader.skip(sectionsLength);
+    }
+
+    window.size = reader.position - offset;
+    return window;
+  }
+
+  /**
+   * Returns the window sections, undoing secondary compression
+   * @param window - Window read with its sections
+   * @returns Decompressed sections
+   * @throws VcdiffUnsupportedError for compressors other than LZMA
+   */
+  decodeSections(window: VcdiffWindow): VcdiffSections {
+    if (!window.data || !window.instructions || !window.addresses) {
+      throw new VcdiffError('Window was read without its sections');
+    }
+
+    return {
+      data: this.decompress(window.data, VCDIFF.DELTA_DATACOMP, window),
+      instructions: this.decompress(
+        window.instructions,
+        VCDIFF.DELTA_INSTCOMP,
+        window
+      ),
+      addresses: this.decompress(
+        window.addresses,
+        VCDIFF.DELTA_ADDRCOMP,
+        window
+      ),
+    };
+  }
+
+  private decompress(
+    section: Buffer,
+    flag: number,
+    window: VcdiffWindow
+  ): Buffer {
+    if ((window.deltaIndicator & flag) === 0) return section;
+
+    if (this.header.secondaryCompressor !== 'lzma') {
+      throw new VcdiffUnsupportedError(
+        `Secondary compressor "${this.header.secondaryCompressor ?? 'none'}" is not supported`
+      );
+    }
+
+    // xdelta3 prefixes the compressed stream with the decompressed size
+    const reader = new SectionReader(section, 'secondary');
+    const size = reader.readVarint();
+    return decompressXz(section.subarray(reader.position), size);
+  }
+
+  /**
+   * Ensures the patch uses only features this implementation supports
+   * @throws VcdiffUnsupportedError otherwise
+   */
+  assertDecodable(): void {
+    if (this.header.hasCodeTable) {
+      throw new VcdiffUnsupportedError('Custom code tables are not supported');
+    }
+    const compressor = this.header.secondaryCompressor;
+    if (compressor !== undefined && compressor !== 'lzma') {
+      throw new VcdiffUnsupportedError(
+        `Secondary compressor "${compressor}" is not supported`
+      );
+    }
+  }
+}
+
+export default VcdiffReader;
@@ -0,0 +1,128 @@
+import { VCDIFF } from '../constants/index.js';
+import { VcdiffError } from './readers.js';
+import type { SectionReader } from './readers.js';
+
+// Address modes 0 and 1 are VCD_SELF and VCD_HERE
+export const MODE_SELF = 0;
+export const MODE_HERE = 1;
+
+/**
+ * VCDIFF address cache (RFC 3284, section 5.3)
+ */
+class AddressCache {
+  readonly nearSize: number;
+  readonly sameSize: number;
+  private readonly near: number[];
+  private readonly same: number[];
+  private nextSlot = 0;
+
+  constructor(
+    nearSize: number = VCDIFF.NEAR_CACHE_SIZE,
+    sameSize: number = VCDIFF.SAME_CACHE_SIZE
+  ) {
+    this.nearSize = nearSize;
+    this.sameSize = sameSize;
+    this.near = new Array<number>(nearSize).fill(0);
+    this.same = new Array<number>(sameSize * 256).fill(0);
+  }
+
+  /** Number of address modes supported by this cache */
+  get modeCount(): number {
+    return 2 + this.nearSize + this.sameSize;
+  }
+
+  /** Resets the cache at the start of each window */
+  reset(): void {
+    this.nextSlot = 0;
+    this.near.fill(0);
+    this.same.fill(0);
+  }
+
+  /**
+   * Records an address in the near and same caches
+   * @param address - Decoded or encoded address
+   */
+  update(address: number): void {
+    if (this.nearSize > 0) {
+      this.near[this.nextSlot] = address;
+      this.nextSlot = (this.nextSlot + 1) % this.nearSize;
+    }
+    if (this.sameSize > 0) {
+      this.same[address % (this.sameSize * 256)] = address;
+    }
+  }
+
+  /**
+   * Decodes a COPY address
+   * @param here - Current position in the source + target address space
+   * @param mode - Address mode from the instruction
+   * @param addresses - Reader over the addresses section
+   * @returns Decoded address
+   */
+  decode(here: number, mode: number, addresses: SectionReader): number {
+    let address: number;
+
+    if (mode === MODE_SELF) {
+      address = addresses.readVarint();
+    } else if (mode === MODE_HERE) {
+      address = here - addresses.readVarint();
+    } else if (mode - 2 < this.nearSize) {
+      address = this.near[mode - 2]! + addresses.readVarint();
+    } else {
+      const sameIndex = mode - 2 - this.nearSize;
+      if (sameIndex >= this.sameSize) {
+        throw new VcdiffError(`Invalid address mode ${mode}`);
+      }
+      address = this.same[sameIndex * 256 + addresses.readByte()]!;
+    }
+
+    if (address < 0 || address >= here) {
+      throw new VcdiffError(`Invalid COPY address ${address}`);
+    }
+
+    this.update(address);
+    return address;
+  }
+
+  /**
+   * Chooses the cheapest mode to encode a COPY address
+   * @param address - Address to encode
+   * @param here - Current position in the source + target address space
+   * @returns Mode and the value to write (a single byte for same-cache modes)
+   */
+  encode(
+    address: number,
+    here: number
+  ): { mode: number; value: number; isByte: boolean } {
+    const sameIndex = address % (this.sameSize * 256);
+    if (this.sameSize > 0 && this.same[sameIndex] === address) {
+      this.update(address);
+      return {
+        mode: 2 + this.nearSize + Math.floor(sameIndex / 256),
+        value: sameIndex % 256,
+        isByte: true,
+      };
+    }
+
+    let mode = MODE_SELF;
+    let value = address;
+
+    if (here - address < value) {
+      mode = MODE_HERE;
+      value = here - address;
+    }
+
+    for (let i = 0; i < this.nearSize; i++) {
+      const delta = address - this.near[i]!;
+      if (delta >= 0 && delta < value) {
+        mode = 2 + i;
+        value = delta;
+      }
+    }
+
+    this.update(address);
+    return { mode, value, isByte: false };
+  }
+}
+
+export default AddressCache;
@@ -0,0 +1,27 @@
+const ADLER_MOD = 65521;
+// Largest block that cannot overflow the 32-bit sums before reduction
+const ADLER_BLOCK = 5552;
+
+/**
+ * Computes the Adler-32 checksum used by xdelta3 for target windows
+ * @param data - Bytes to checksum
+ * @param initial - Running checksum to continue from
+ * @returns Unsigned 32-bit checksum
+ */
+export function adler32(data: Uint8Array, initial: number = 1): number {
+  let a = initial & 0xffff;
+  let b = (initial >>> 16) & 0xffff;
+  let index = 0;
+
+  while (index < data.length) {
+    const end = Math.min(index + ADLER_BLOCK, data.length);
+    for (; index < end; index++) {
+      a += data[index]!;
+      b += a;
+    }
+    a %= ADLER_MOD;
+    b %= ADLER_MOD;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
@@ -0,0 +1,87 @@
+import { SOURCE_PIN } from '../constants/index.js';
+import type { SourcePin } from '../types/index.js';
+
+/**
+ * File names stored by xdelta3 in the VCDIFF application header
+ */
+export type XdeltaAppHeader = {
+  targetName: string;
+  targetCompression: string;
+  sourceName: string;
+  sourceCompression: string;
+};
+
+/**
+ * Builds the application header xdelta3 writes ("target/comp/source/comp")
+ * @param targetName - Target file name
+ * @param sourceName - Source file name
+ * @returns Header bytes
+ */
+export function formatXdeltaAppHeader(
+  targetName: string,
+  sourceName: string
+): Buffer {
+  return Buffer.from(`${targetName}//${sourceName}/`);
+}
+
+/**
+ * Parses an xdelta3 application header
+ * @param appHeader - Raw application header
+ * @returns File names, or null when the header has another layout
+ */
+export function parseXdeltaAppHeader(
+  appHeader: Buffer
+): XdeltaAppHeader | null {
+  const parts = appHeader.toString('utf8').split('/');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [targetName, targetCompression, sourceName, sourceCompression] =
+    parts as [string, string, string, string];
+  return { targetName, targetCompression, sourceName, sourceCompression };
+}
+
+/**
+ * Builds the application header that pins a patch to its source and target
+ * @param pin - Sizes and hashes of both files
+ * @returns Header bytes
+ */
+export function formatSourcePin(pin: SourcePin): Buffer {
+  return Buffer.from(
+    [
+      SOURCE_PIN.PREFIX,
+      pin.algorithm,
+      pin.sourceSize,
+      pin.sourceHash,
+      pin.targetSize,
+      pin.targetHash,
+    ].join(':')
+  );
+}
+
+/**
+ * Parses a source pin application header
+ * @param appHeader - Raw application header
+ * @returns Source pin, or null when the header is not one
+ */
+export function parseSourcePin(appHeader: Buffer): SourcePin | null {
+  const parts = appHeader.toString('utf8').split(':');
+  if (parts.length !== 6 || parts[0] !== SOURCE_PIN.PREFIX) {
+    return null;
+  }
+
+  const [, algorithm, sourceSize, sourceHash, targetSize, targetHash] =
+    parts as [string, string, string, string, string, string];
+  if (!/^\d+$/.test(sourceSize) || !/^\d+$/.test(targetSize)) {
+    return null;
+  }
+
+  return {
+    algorithm,
+    sourceSize: Number(sourceSize),
+    sourceHash,
+    targetSize: Number(targetSize),
+    targetHash,
+  };
+}
@@ -0,0 +1,260 @@
+import { createHash } from 'crypto';
+import type { Hash } from 'crypto';
+import fs from 'fs-extra';
+
+/**
+ * Random-access source of bytes (a file, a file range or a buffer)
+ */
+export type ByteSource = {
+  readonly size: number;
+  read(position: number, length: number): Promise<Buffer>;
+  close(): Promise<void>;
+};
+
+/**
+ * Byte source backed by an in-memory buffer
+ */
+export class BufferByteSource implements ByteSource {
+  readonly size: number;
+  private readonly buffer: Buffer;
+
+  constructor(buffer: Buffer) {
+    this.buffer = buffer;
+    this.size = buffer.length;
+  }
+
+  async read(position: number, length: number): Promise<Buffer> {
+    const start = Math.min(position, this.size);
+    return this.buffer.subarray(start, Math.min(start + length, this.size));
+  }
+
+  async close(): Promise<void> {
+    // Nothing to release
+  }
+}
+
+/**
+ * Byte source backed by a file, optionally restricted to a byte range
+ */
+export class FileByteSource implements ByteSource {
+  readonly size: number;
+  private readonly fd: number;
+  private readonly offset: number;
+  private closed = false;
+
+  private constructor(fd: number, offset: number, size: number) {
+    this.fd = fd;
+    this.offset = offset;
+    this.size = size;
+  }
+
+  /**
+   * Opens a file (or a range of it) for reading
+   * @param filePath - File path
+   * @param offset - Start of the range
+   * @param length - Length of the range (defaults to the rest of the file)
+   * @returns Promise with the byte source
+   */
+  static async open(
+    filePath: string,
+    offset: number = 0,
+    length?: number
+  ): Promise<FileByteSource> {
+    const fd = await fs.open(filePath, 'r');
+    try {
+      const stats = await fs.fstat(fd);
+      const available = Math.max(0, stats.size - offset);
+      return new FileByteSource(
+        fd,
+        offset,
+        length === undefined ? available : Math.min(length, available)
+      );
+    } catch (error) {
+      await fs.close(fd);
+      throw error;
+    }
+  }
+
+  async read(position: number, length: number): Promise<Buffer> {
+    const start = Math.min(position, this.size);
+    const wanted = Math.min(length, this.size - start);
+    const buffer = Buffer.alloc(wanted);
+    let filled = 0;
+
+    while (filled < wanted) {
+      const { bytesRead } = await fs.read(
+        this.fd,
+        buffer,
+        filled,
+        wanted - filled,
+        this.offset + start + filled
+      );
+      if (bytesRead === 0) break;
+      filled += bytesRead;
+    }
+
+    return filled === wanted ? buffer : buffer.subarray(0, filled);
+  }
+
+  async close(): Promise<void> {
+    if (!this.closed) {
+      this.closed = true;
+      await fs.close(this.fd);
+    }
+  }
+}
+
+/**
+ * Sequential destination for decoded bytes
+ *
+ * `read` gives access to data already written, which VCDIFF windows that
+ * copy from earlier target data (VCD_TARGET) need.
+ */
+export type ByteSink = {
+  readonly written: number;
+  write(chunk: Buffer): Promise<void>;
+  read?(position: number, length: number): Promise<Buffer>;
+  close(): Promise<void>;
+};
+
+/**
+ * Byte sink that writes to a file, optionally from an offset
+ */
+export class FileByteSink implements ByteSink {
+  written = 0;
+  private readonly fd: number;
+  private readonly offset: number;
+  private closed = false;
+
+  private constructor(fd: number, offset: number = 0) {
+    this.fd = fd;
+    this.offset = offset;
+  }
+
+  /**
+   * Creates (or truncates) a file for writing
+   * @param filePath - File path
+   * @returns Promise with the byte sink
+   */
+  static async create(filePath: string): Promise<FileByteSink> {
+    return new FileByteSink(await fs.open(filePath, 'w+'));
+  }
+
+  /**
+   * Opens an existing file for writing from an offset, leaving the rest of
+   * it as it is
+   * @param filePath - File path
+   * @param offset - Where the first byte is written
+   * @returns Promise with the byte sink
+   */
+  static async open(filePath: string, offset: number): Promise<FileByteSink> {
+    return new FileByteSink(await fs.open(filePath, 'r+'), offset);
+  }
+
+  async write(chunk: Buffer): Promise<void> {
+    let offset = 0;
+    while (offset < chunk.length) {
+      const { bytesWritten } = await fs.write(
+        this.fd,
+        chunk,
+        offset,
+        chunk.length - offset,
+        this.offset + this.written + offset
+      );
+      offset += bytesWritten;
+    }
+    this.written += chunk.length;
+  }
+
+  async read(position: number, length: number): Promise<Buffer> {
+    const wanted = Math.max(0, Math.min(length, this.written - position));
+    const buffer = Buffer.alloc(wanted);
+    let filled = 0;
+    while (filled < wanted) {
+      const { bytesRead } = await fs.read(
+        this.fd,
+        buffer,
+        filled,
+        wanted - filled,
+        this.offset + position + filled
+      );
+      if (bytesRead === 0) break;
+      filled += bytesRead;
+    }
+    return buffer.subarray(0, filled);
+  }
+
+  async close(): Promise<void> {
+    if (!this.closed) {
+      this.closed = true;
+      await fs.close(this.fd);
+    }
+  }
+}
+
+/**
+ * Byte sink that keeps everything written in memory
+ */
+export class BufferByteSink implements ByteSink {
+  written = 0;
+  private chunks: Buffer[] = [];
+
+  async write(chunk: Buffer): Promise<void> {
+    // Copied, as the writer may reuse its buffer
+    this.chunks.push(Buffer.from(chunk));
+    this.written += chunk.length;
+  }
+
+  async read(position: number, length: number): Promise<Buffer> {
+    const buffer = this.toBuffer();
+    const start = Math.min(position, buffer.length);
+    return buffer.subarray(start, Math.min(start + length, buffer.length));
+  }
+
+  /**
+   * Returns everything written so far
+   * @returns Buffer with the written bytes
+   */
+  toBuffer(): Buffer {
+    if (this.chunks.length !== 1) {
+      this.chunks = [Buffer.concat(this.chunks, this.written)];
+    }
+    return this.chunks[0]!;
+  }
+
+  async close(): Promise<void> {
+    // Nothing to release
+  }
+}
+
+/**
+ * Byte sink that only hashes what is written
+ *
+ * Has no `read`, so it cannot decode windows that copy from the target.
+ */
+export class HashByteSink implements ByteSink {
+  written = 0;
+  private readonly hash: Hash;
+
+  /**
+   * @param algorithm - Hash algorithm supported by node:crypto
+   */
+  constructor(algorithm: string = 'sha256') {
+    this.hash = createHash(algorithm);
+  }
+
+  async write(chunk: Buffer): Promise<void> {
+    this.hash.update(chunk);
+    this.written += chunk.length;
+  }
+
+  /**
+   * Returns the hex digest of everything written
+   * @returns Hex digest
+   */
+  digest(): string {
+    return this.hash.digest('hex');
+  }
+
+  async close(): Promise<void> {}
+}
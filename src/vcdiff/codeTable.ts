@@ -0,0 +1,96 @@
+/**
+ * VCDIFF instruction code table (RFC 3284, section 5.6)
+ */
+
+export const INSTRUCTION = {
+  NOOP: 0,
+  ADD: 1,
+  RUN: 2,
+  COPY: 3,
+} as const;
+
+export type CodeTableEntry = {
+  type1: number;
+  size1: number;
+  mode1: number;
+  type2: number;
+  size2: number;
+  mode2: number;
+};
+
+/**
+ * Builds the default code table defined by RFC 3284
+ * @returns The 256 code table entries
+ */
+function buildDefaultCodeTable(): CodeTableEntry[] {
+  const { NOOP, ADD, RUN, COPY } = INSTRUCTION;
+  const table: CodeTableEntry[] = [];
+  const single = (type: number, size: number, mode: number) =>
+    table.push({
+      type1: type,
+      size1: size,
+      mode1: mode,
+      type2: NOOP,
+      size2: 0,
+      mode2: 0,
+    });
+
+  // 0: RUN with explicit size
+  single(RUN, 0, 0);
+
+  // 1-18: ADD with explicit size, then sizes 1..17
+  for (let size = 0; size <= 17; size++) single(ADD, size, 0);
+
+  // 19-162: COPY in every mode, explicit size then sizes 4..18
+  for (let mode = 0; mode < 9; mode++) {
+    single(COPY, 0, mode);
+    for (let size = 4; size <= 18; size++) single(COPY, size, mode);
+  }
+
+  // 163-234: ADD (1..4) + COPY (4..6) for modes 0..5
+  for (let mode = 0; mode < 6; mode++) {
+    for (let addSize = 1; addSize <= 4; addSize++) {
+      for (let copySize = 4; copySize <= 6; copySize++) {
+        table.push({
+          type1: ADD,
+          size1: addSize,
+          mode1: 0,
+          type2: COPY,
+          size2: copySize,
+          mode2: mode,
+        });
+      }
+    }
+  }
+
+  // 235-246: ADD (1..4) + COPY (4) for modes 6..8
+  for (let mode = 6; mode < 9; mode++) {
+    for (let addSize = 1; addSize <= 4; addSize++) {
+      table.push({
+        type1: ADD,
+        size1: addSize,
+        mode1: 0,
+        type2: COPY,
+        size2: 4,
+        mode2: mode,
+      });
+    }
+  }
+
+  // 247-255: COPY (4) + ADD (1) for modes 0..8
+  for (let mode = 0; mode < 9; mode++) {
+    table.push({
+      type1: COPY,
+      size1: 4,
+      mode1: mode,
+      type2: ADD,
+      size2: 1,
+      mode2: 0,
+    });
+  }
+
+  return table;
+}
+
+export const DEFAULT_CODE_TABLE: readonly CodeTableEntry[] =
+  buildDefaultCodeTable();
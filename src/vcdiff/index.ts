@@ -0,0 +1,36 @@
+export { default as VcdiffDecoder } from './VcdiffDecoder.js';
+export { default as VcdiffEncoder } from './VcdiffEncoder.js';
+export {
+  default as VcdiffReader,
+  VcdiffUnsupportedError,
+} from './VcdiffReader.js';
+export { VcdiffError } from './readers.js';
+export { adler32 } from './adler32.js';
+export {
+  formatXdeltaAppHeader,
+  parseXdeltaAppHeader,
+  formatSourcePin,
+  parseSourcePin,
+} from './appHeader.js';
+export {
+  BufferByteSource,
+  BufferByteSink,
+  FileByteSource,
+  FileByteSink,
+  HashByteSink,
+} from './byteSource.js';
+export type { ByteSource, ByteSink } from './byteSource.js';
+export type {
+  VcdiffHeader,
+  VcdiffWindow,
+  VcdiffSections,
+} from './VcdiffReader.js';
+export type {
+  VcdiffDecodeOptions,
+  VcdiffDecodeResult,
+} from './VcdiffDecoder.js';
+export type {
+  VcdiffEncodeOptions,
+  VcdiffEncodeResult,
+} from './VcdiffEncoder.js';
+export type { XdeltaAppHeader } from './appHeader.js';
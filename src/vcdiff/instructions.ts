@@ -0,0 +1,73 @@
+import AddressCache from './addressCache.js';
+import { DEFAULT_CODE_TABLE, INSTRUCTION } from './codeTable.js';
+import { SectionReader, VcdiffError } from './readers.js';
+
+/**
+ * Called for each ADD, RUN and COPY instruction of a window
+ * @param type - Instruction type (see INSTRUCTION)
+ * @param size - Number of target bytes produced
+ * @param position - Target window offset the instruction writes to
+ * @param address - COPY address in the source + target address space
+ */
+export type InstructionVisitor = (
+  type: number,
+  size: number,
+  position: number,
+  address: number
+) => void;
+
+/**
+ * Walks the instructions of one window, resolving sizes and COPY addresses
+ * @param instructions - Decompressed instructions section
+ * @param addresses - Decompressed addresses section
+ * @param sourceLength - Length of the window's source segment
+ * @param targetLength - Expected target window length
+ * @param cache - Address cache (reset for the window)
+ * @param visit - Called for every instruction
+ * @throws VcdiffError when the instructions do not match the window
+ */
+export function walkInstructions(
+  instructions: Buffer,
+  addresses: Buffer,
+  sourceLength: number,
+  targetLength: number,
+  cache: AddressCache,
+  visit: InstructionVisitor
+): void {
+  const instReader = new SectionReader(instructions, 'instructions');
+  const addrReader = new SectionReader(addresses, 'addresses');
+  let position = 0;
+
+  cache.reset();
+
+  const step = (type: number, tableSize: number, mode: number) => {
+    if (type === INSTRUCTION.NOOP) return;
+
+    const size = tableSize === 0 ? instReader.readVarint() : tableSize;
+    if (position + size > targetLength) {
+      throw new VcdiffError('Instruction overflows the target window');
+    }
+
+    const address =
+      type === INSTRUCTION.COPY
+        ? cache.decode(sourceLength + position, mode, addrReader)
+        : 0;
+    visit(type, size, position, address);
+    position += size;
+  };
+
+  while (instReader.remaining > 0) {
+    const entry = DEFAULT_CODE_TABLE[instReader.readByte()]!;
+    step(entry.type1, entry.size1, entry.mode1);
+    step(entry.type2, entry.size2, entry.mode2);
+  }
+
+  if (position !== targetLength) {
+    throw new VcdiffError(
+      `Window decoded to ${position} bytes, expected ${targetLength}`
+    );
+  }
+  if (addrReader.remaining !== 0) {
+    throw new VcdiffError('Window has unused data or addresses');
+  }
+}
@@ -0,0 +1,158 @@
+import { VCDIFF } from '../constants/index.js';
+import type { ByteSource } from './byteSource.js';
+
+/**
+ * Error raised for malformed or unsupported VCDIFF data
+ */
+export class VcdiffError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VcdiffError';
+  }
+}
+
+/**
+ * Synchronous reader over an in-memory section of a delta window
+ */
+export class SectionReader {
+  position = 0;
+  private readonly buffer: Buffer;
+  private readonly name: string;
+
+  constructor(buffer: Buffer, name: string) {
+    this.buffer = buffer;
+    this.name = name;
+  }
+
+  get remaining(): number {
+    return this.buffer.length - this.position;
+  }
+
+  readByte(): number {
+    if (this.position >= this.buffer.length) {
+      throw new VcdiffError(`Unexpected end of ${this.name} section`);
+    }
+    return this.buffer[this.position++]!;
+  }
+
+  /**
+   * Reads a VCDIFF variable-length integer (big-endian base 128)
+   * @returns Decoded integer
+   */
+  readVarint(): number {
+    let value = 0;
+    for (;;) {
+      const byte = this.readByte();
+      value = value * 128 + (byte & 0x7f);
+      if (value > Number.MAX_SAFE_INTEGER) {
+        throw new VcdiffError(`Integer overflow in ${this.name} section`);
+      }
+      if ((byte & 0x80) === 0) return value;
+    }
+  }
+
+  readBytes(length: number): Buffer {
+    if (length > this.remaining) {
+      throw new VcdiffError(`Unexpected end of ${this.name} section`);
+    }
+    const bytes = this.buffer.subarray(this.position, this.position + length);
+    this.position += length;
+    return bytes;
+  }
+}
+
+/**
+ * Buffered sequential reader over a byte source
+ */
+export class StreamReader {
+  private readonly source: ByteSource;
+  private buffer: Buffer = Buffer.alloc(0);
+  private bufferStart = 0;
+  private offset = 0;
+
+  constructor(source: ByteSource) {
+    this.source = source;
+  }
+
+  /** Current absolute position in the source */
+  get position(): number {
+    return this.bufferStart + this.offset;
+  }
+
+  get size(): number {
+    return this.source.size;
+  }
+
+  get eof(): boolean {
+    return this.position >= this.source.size;
+  }
+
+  private async fill(minimum: number): Promise<void> {
+    if (this.buffer.length - this.offset >= minimum) return;
+
+    const position = this.position;
+    const length = Math.max(minimum, VCDIFF.READ_BUFFER_SIZE);
+    this.buffer = await this.source.read(position, length);
+    this.bufferStart = position;
+    this.offset = 0;
+
+    if (this.buffer.length < minimum) {
+      throw new VcdiffError('Unexpected end of patch data');
+    }
+  }
+
+  async readByte(): Promise<number> {
+    await this.fill(1);
+    return this.buffer[this.offset++]!;
+  }
+
+  /**
+   * Reads a VCDIFF variable-length integer (big-endian base 128)
+   * @returns Decoded integer
+   */
+  async readVarint(): Promise<number> {
+    let value = 0;
+    for (;;) {
+      const byte = await this.readByte();
+      value = value * 128 + (byte & 0x7f);
+      if (value > Number.MAX_SAFE_INTEGER) {
+        throw new VcdiffError('Integer overflow in patch header');
+      }
+      if ((byte & 0x80) === 0) return value;
+    }
+  }
+
+  async readBytes(length: number): Promise<Buffer> {
+    if (length > VCDIFF.READ_BUFFER_SIZE) {
+      // Large sections bypass the internal buffer
+      const position = this.position;
+      const bytes = await this.source.read(position, length);
+      if (bytes.length < length) {
+        throw new VcdiffError('Unexpected end of patch data');
+      }
+      this.buffer = Buffer.alloc(0);
+      this.bufferStart = position + length;
+      this.offset = 0;
+      return bytes;
+    }
+
+    await this.fill(length);
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  async skip(length: number): Promise<void> {
+    if (this.position + length > this.source.size) {
+      throw new VcdiffError('Unexpected end of patch data');
+    }
+    if (this.offset + length <= this.buffer.length) {
+      this.offset += length;
+      return;
+    }
+    const position = this.position + length;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = position;
+    this.offset = 0;
+  }
+}
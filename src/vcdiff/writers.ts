@@ -0,0 +1,77 @@
+/**
+ * Growable byte buffer used to assemble VCDIFF sections
+ */
+export class ByteWriter {
+  private buffer: Buffer;
+  private length = 0;
+
+  constructor(initialCapacity: number = 1024) {
+    this.buffer = Buffer.alloc(Math.max(16, initialCapacity));
+  }
+
+  get size(): number {
+    return this.length;
+  }
+
+  private ensure(extra: number): void {
+    if (this.length + extra <= this.buffer.length) return;
+    let capacity = this.buffer.length * 2;
+    while (capacity < this.length + extra) capacity *= 2;
+    const next = Buffer.alloc(capacity);
+    this.buffer.copy(next, 0, 0, this.length);
+    this.buffer = next;
+  }
+
+  writeByte(byte: number): void {
+    this.ensure(1);
+    this.buffer[this.length++] = byte;
+  }
+
+  writeBytes(bytes: Uint8Array): void {
+    this.ensure(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Writes a VCDIFF variable-length integer (big-endian base 128)
+   * @param value - Non-negative integer
+   */
+  writeVarint(value: number): void {
+    const groups: number[] = [value % 128];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+      groups.push((value % 128) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    this.ensure(groups.length);
+    for (let i = groups.length - 1; i >= 0; i--) {
+      this.buffer[this.length++] = groups[i]!;
+    }
+  }
+
+  writeUInt32BE(value: number): void {
+    this.ensure(4);
+    this.buffer.writeUInt32BE(value >>> 0, this.length);
+    this.length += 4;
+  }
+
+  /** Returns the written bytes (a view, not a copy) */
+  toBuffer(): Buffer {
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+/**
+ * Number of bytes needed to encode a VCDIFF variable-length integer
+ * @param value - Non-negative integer
+ * @returns Encoded size
+ */
+export function varintSize(value: number): number {
+  let size = 1;
+  while (value >= 128) {
+    value = Math.floor(value / 128);
+    size++;
+  }
+  return size;
+}
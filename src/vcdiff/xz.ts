@@ -0,0 +1,520 @@
+/**
+ * XZ / LZMA2 decoder used for xdelta3's LZMA secondary compression
+ *
+ * xdelta3 compresses delta sections with liblzma's stream encoder, so each
+ * compressed section is a complete .xz stream holding LZMA2 chunks.
+ */
+
+import { VcdiffError } from './readers.js';
+
+const XZ_MAGIC = [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00];
+const XZ_FILTER_LZMA2 = 0x21;
+// Size of the integrity check for each check type id
+const XZ_CHECK_SIZES: Record<number, number> = { 0: 0, 1: 4, 4: 8, 10: 32 };
+
+const NUM_STATES = 12;
+const POS_STATES_MAX = 16;
+const LEN_LOW_SYMBOLS = 8;
+const LEN_MID_SYMBOLS = 8;
+const LEN_HIGH_SYMBOLS = 256;
+const DIST_STATES = 4;
+const DIST_SLOTS = 64;
+const DIST_MODEL_END = 14;
+const FULL_DISTANCES = 128;
+const ALIGN_BITS = 4;
+const MATCH_MIN_LEN = 2;
+const PROB_INIT = 1024;
+
+/**
+ * Binary range decoder of the LZMA format
+ */
+class RangeDecoder {
+  private input: Uint8Array = new Uint8Array(0);
+  private position = 0;
+  private range = 0;
+  private code = 0;
+
+  /**
+   * Starts decoding a new compressed chunk
+   * @param input - Compressed data
+   * @param position - Offset of the chunk
+   */
+  init(input: Uint8Array, position: number): void {
+    this.input = input;
+    this.position = position;
+    if (this.nextByte() !== 0) {
+      throw new VcdiffError('Corrupt LZMA data');
+    }
+    this.range = 0xffffffff;
+    this.code = 0;
+    for (let i = 0; i < 4; i++) {
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    }
+  }
+
+  private nextByte(): number {
+    if (this.position >= this.input.length) {
+      throw new VcdiffError('Unexpected end of LZMA data');
+    }
+    return this.input[this.position++]!;
+  }
+
+  private normalize(): void {
+    if (this.range < 0x1000000) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    }
+  }
+
+  decodeBit(probs: Uint16Array, index: number): number {
+    const prob = probs[index]!;
+    const bound = (this.range >>> 11) * prob;
+    let bit: number;
+
+    if (this.code < bound) {
+      this.range = bound;
+      probs[index] = prob + ((2048 - prob) >>> 5);
+      bit = 0;
+    } else {
+      this.range -= bound;
+      this.code -= bound;
+      probs[index] = prob - (prob >>> 5);
+      bit = 1;
+    }
+
+    this.normalize();
+    return bit;
+  }
+
+  decodeDirectBits(count: number): number {
+    let result = 0;
+    for (let i = 0; i < count; i++) {
+      this.range = this.range >>> 1;
+      let bit = 0;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+        bit = 1;
+      }
+      result = result * 2 + bit;
+      this.normalize();
+    }
+    return result;
+  }
+
+  decodeTree(probs: Uint16Array, base: number, bits: number): number {
+    let symbol = 1;
+    for (let i = 0; i < bits; i++) {
+      symbol = (symbol << 1) | this.decodeBit(probs, base + symbol);
+    }
+    return symbol - (1 << bits);
+  }
+
+  decodeReverseTree(probs: Uint16Array, base: number, bits: number): number {
+    let symbol = 1;
+    let result = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = this.decodeBit(probs, base + symbol);
+      symbol = (symbol << 1) | bit;
+      result |= bit << i;
+    }
+    return result;
+  }
+}
+
+/**
+ * Length decoder (shared layout for match and repeated-match lengths)
+ */
+class LengthDecoder {
+  private readonly choice = new Uint16Array(2);
+  private readonly low = new Uint16Array(POS_STATES_MAX << 3);
+  private readonly mid = new Uint16Array(POS_STATES_MAX << 3);
+  private readonly high = new Uint16Array(LEN_HIGH_SYMBOLS);
+
+  reset(): void {
+    this.choice.fill(PROB_INIT);
+    this.low.fill(PROB_INIT);
+    this.mid.fill(PROB_INIT);
+    this.high.fill(PROB_INIT);
+  }
+
+  decode(rc: RangeDecoder, posState: number): number {
+    if (rc.decodeBit(this.choice, 0) === 0) {
+      return rc.decodeTree(this.low, posState << 3, 3);
+    }
+    if (rc.decodeBit(this.choice, 1) === 0) {
+      return LEN_LOW_SYMBOLS + rc.decodeTree(this.mid, posState << 3, 3);
+    }
+    return LEN_LOW_SYMBOLS + LEN_MID_SYMBOLS + rc.decodeTree(this.high, 0, 8);
+  }
+}
+
+/**
+ * LZMA2 decoder writing into a preallocated output buffer
+ */
+class Lzma2Decoder {
+  private readonly rc = new RangeDecoder();
+  private readonly output: Uint8Array;
+  private outPos = 0;
+  private dictStart = 0;
+
+  private lc = 0;
+  private lp = 0;
+  private pb = 0;
+  private literalProbs = new Uint16Array(0x300);
+  private readonly isMatch = new Uint16Array(NUM_STATES << 4);
+  private readonly isRep = new Uint16Array(NUM_STATES);
+  private readonly isRepG0 = new Uint16Array(NUM_STATES);
+  private readonly isRepG1 = new Uint16Array(NUM_STATES);
+  private readonly isRepG2 = new Uint16Array(NUM_STATES);
+  private readonly isRep0Long = new Uint16Array(NUM_STATES << 4);
+  private readonly distSlots = new Uint16Array(DIST_STATES * DIST_SLOTS);
+  private readonly distSpecial = new Uint16Array(
+    1 + FULL_DISTANCES - DIST_MODEL_END
+  );
+  private readonly align = new Uint16Array(1 << ALIGN_BITS);
+  private readonly lenDecoder = new LengthDecoder();
+  private readonly repLenDecoder = new LengthDecoder();
+
+  private state = 0;
+  private rep0 = 0;
+  private rep1 = 0;
+  private rep2 = 0;
+  private rep3 = 0;
+  private needProps = true;
+
+  constructor(output: Uint8Array) {
+    this.output = output;
+  }
+
+  get written(): number {
+    return this.outPos;
+  }
+
+  private setProperties(props: number): void {
+    if (props > 4 * 9 + 4 * 5 * 9 + 8) {
+      throw new VcdiffError('Invalid LZMA properties');
+    }
+    this.lc = props % 9;
+    props = Math.floor(props / 9);
+    this.lp = props % 5;
+    this.pb = Math.floor(props / 5);
+    if (this.lc + this.lp > 4) {
+      throw new VcdiffError('Invalid LZMA2 properties');
+    }
+    this.literalProbs = new Uint16Array(0x300 << (this.lc + this.lp));
+    this.needProps = false;
+  }
+
+  private resetState(): void {
+    this.literalProbs.fill(PROB_INIT);
+    this.isMatch.fill(PROB_INIT);
+    this.isRep.fill(PROB_INIT);
+    this.isRepG0.fill(PROB_INIT);
+    this.isRepG1.fill(PROB_INIT);
+    this.isRepG2.fill(PROB_INIT);
+    this.isRep0Long.fill(PROB_INIT);
+    this.distSlots.fill(PROB_INIT);
+    this.distSpecial.fill(PROB_INIT);
+    this.align.fill(PROB_INIT);
+    this.lenDecoder.reset();
+    this.repLenDecoder.reset();
+    this.state = 0;
+    this.rep0 = this.rep1 = this.rep2 = this.rep3 = 0;
+  }
+
+  private putByte(byte: number): void {
+    if (this.outPos >= this.output.length) {
+      throw new VcdiffError('LZMA output exceeds declared size');
+    }
+    this.output[this.outPos++] = byte;
+  }
+
+  private decodeLiteral(): void {
+    const rc = this.rc;
+    const pos = this.outPos;
+    const prevByte = pos > this.dictStart ? this.output[pos - 1]! : 0;
+    const litState =
+      ((pos & ((1 << this.lp) - 1)) << this.lc) + (prevByte >>> (8 - this.lc));
+    const base = 0x300 * litState;
+    const probs = this.literalProbs;
+    let symbol = 1;
+
+    if (this.state >= 7) {
+      let matchByte = this.output[pos - this.rep0 - 1]!;
+      while (symbol < 0x100) {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(probs, base + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) break;
+      }
+    }
+
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | rc.decodeBit(probs, base + symbol);
+    }
+
+    this.putByte(symbol - 0x100);
+
+    if (this.state < 4) this.state = 0;
+    else if (this.state < 10) this.state -= 3;
+    else this.state -= 6;
+  }
+
+  private decodeDistance(len: number): number {
+    const rc = this.rc;
+    const lenState = Math.min(len, DIST_STATES - 1);
+    const slot = rc.decodeTree(this.distSlots, lenState * DIST_SLOTS, 6);
+
+    if (slot < 4) return slot;
+
+    const directBits = (slot >>> 1) - 1;
+    let distance = (2 | (slot & 1)) * 2 ** directBits;
+
+    if (slot < DIST_MODEL_END) {
+      distance += rc.decodeReverseTree(
+        this.distSpecial,
+        distance - slot,
+        directBits
+      );
+    } else {
+      distance +=
+        rc.decodeDirectBits(directBits - ALIGN_BITS) * (1 << ALIGN_BITS);
+      distance += rc.decodeReverseTree(this.align, 0, ALIGN_BITS);
+    }
+
+    return distance;
+  }
+
+  private copyMatch(distance: number, length: number): void {
+    const output = this.output;
+    let source = this.outPos - distance - 1;
+
+    if (source < this.dictStart) {
+      throw new VcdiffError('Corrupt LZMA data (distance out of range)');
+    }
+    if (this.outPos + length > output.length) {
+      throw new VcdiffError('LZMA output exceeds declared size');
+    }
+
+    for (let i = 0; i < length; i++) {
+      output[this.outPos++] = output[source++]!;
+    }
+  }
+
+  /**
+   * Decodes one LZMA chunk
+   * @param unpackedSize - Bytes produced by the chunk
+   */
+  private decodeChunk(unpackedSize: number): void {
+    const rc = this.rc;
+    const end = this.outPos + unpackedSize;
+    const pbMask = (1 << this.pb) - 1;
+
+    while (this.outPos < end) {
+      const posState = this.outPos & pbMask;
+
+      if (rc.decodeBit(this.isMatch, (this.state << 4) + posState) === 0) {
+        this.decodeLiteral();
+        continue;
+      }
+
+      let length: number;
+
+      if (rc.decodeBit(this.isRep, this.state) === 0) {
+        length = this.lenDecoder.decode(rc, posState);
+        this.state = this.state < 7 ? 7 : 10;
+        this.rep3 = this.rep2;
+        this.rep2 = this.rep1;
+        this.rep1 = this.rep0;
+        this.rep0 = this.decodeDistance(length);
+        if (this.rep0 === 0xffffffff) {
+          throw new VcdiffError('Unexpected LZMA end marker');
+        }
+      } else {
+        if (this.outPos === this.dictStart) {
+          throw new VcdiffError('Corrupt LZMA data (repeat without history)');
+        }
+        if (rc.decodeBit(this.isRepG0, this.state) === 0) {
+          if (
+            rc.decodeBit(this.isRep0Long, (this.state << 4) + posState) === 0
+          ) {
+            this.state = this.state < 7 ? 9 : 11;
+            this.copyMatch(this.rep0, 1);
+            continue;
+          }
+        } else {
+          let distance: number;
+          if (rc.decodeBit(this.isRepG1, this.state) === 0) {
+            distance = this.rep1;
+          } else {
+            if (rc.decodeBit(this.isRepG2, this.state) === 0) {
+              distance = this.rep2;
+            } else {
+              distance = this.rep3;
+              this.rep3 = this.rep2;
+            }
+            this.rep2 = this.rep1;
+          }
+          this.rep1 = this.rep0;
+          this.rep0 = distance;
+        }
+        length = this.repLenDecoder.decode(rc, posState);
+        this.state = this.state < 7 ? 8 : 11;
+      }
+
+      this.copyMatch(this.rep0, length + MATCH_MIN_LEN);
+    }
+  }
+
+  /**
+   * Decodes an LZMA2 chunk sequence
+   * @param input - Compressed data
+   * @param position - Offset of the first chunk
+   * @returns Offset just past the end-of-stream marker (or end of input)
+   */
+  decode(input: Uint8Array, position: number): number {
+    for (;;) {
+      // xdelta3 omits the trailer once the declared size has been produced
+      if (this.outPos === this.output.length && position >= input.length) {
+        return position;
+      }
+      if (position >= input.length) {
+        throw new VcdiffError('Unexpected end of LZMA2 data');
+      }
+      const control = input[position++]!;
+
+      if (control === 0x00) {
+        return position;
+      }
+
+      if (control === 0x01 || control === 0x02) {
+        // Uncompressed chunk, 0x01 also resets the dictionary
+        if (control === 0x01) this.dictStart = this.outPos;
+        const size = ((input[position]! << 8) | input[position + 1]!) + 1;
+        position += 2;
+        if (position + size > input.length) {
+          throw new VcdiffError('Unexpected end of LZMA2 data');
+        }
+        for (let i = 0; i < size; i++) this.putByte(input[position + i]!);
+        position += size;
+        continue;
+      }
+
+      if (control < 0x80) {
+        throw new VcdiffError(
+          `Invalid LZMA2 control byte 0x${control.toString(16)}`
+        );
+      }
+
+      const unpackedSize =
+        (control & 0x1f) * 0x10000 +
+        ((input[position]! << 8) | input[position + 1]!) +
+        1;
+      const packedSize =
+        ((input[position + 2]! << 8) | input[position + 3]!) + 1;
+      position += 4;
+
+      const reset = (control >>> 5) & 0x03;
+      if (reset === 3) this.dictStart = this.outPos;
+      if (reset >= 2) this.setProperties(input[position++]!);
+      if (this.needProps) {
+        throw new VcdiffError('LZMA2 chunk without properties');
+      }
+      if (reset >= 1) this.resetState();
+
+      this.rc.init(input.subarray(0, position + packedSize), position);
+      this.decodeChunk(unpackedSize);
+      position += packedSize;
+    }
+  }
+}
+
+/**
+ * Reads an XZ multibyte integer (little-endian base 128)
+ * @param input - Source buffer
+ * @param position - Start offset
+ * @returns Value and offset after it
+ */
+function readXzVarint(
+  input: Uint8Array,
+  position: number
+): { value: number; position: number } {
+  let value = 0;
+  let shift = 0;
+  for (;;) {
+    if (position >= input.length || shift > 49) {
+      throw new VcdiffError('Corrupt XZ header');
+    }
+    const byte = input[position++]!;
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+    if ((byte & 0x80) === 0) return { value, position };
+  }
+}
+
+/**
+ * Decompresses an XZ stream containing LZMA2 blocks
+ * @param input - Complete .xz stream
+ * @param expectedSize - Size of the decompressed data
+ * @returns Decompressed data
+ */
+export function decompressXz(input: Uint8Array, expectedSize: number): Buffer {
+  for (let i = 0; i < XZ_MAGIC.length; i++) {
+    if (input[i] !== XZ_MAGIC[i]) {
+      throw new VcdiffError('Invalid XZ stream header');
+    }
+  }
+
+  const checkType = input[7]! & 0x0f;
+  const checkSize = XZ_CHECK_SIZES[checkType];
+  if (checkSize === undefined) {
+    throw new VcdiffError(`Unsupported XZ check type ${checkType}`);
+  }
+
+  const output = Buffer.alloc(expectedSize);
+  const decoder = new Lzma2Decoder(output);
+  let position = 12;
+
+  // Blocks follow until the index indicator (0x00); xdelta3 may also
+  // truncate the stream right after the last chunk
+  while (
+    position < input.length &&
+    input[position] !== 0x00 &&
+    decoder.written < expectedSize
+  ) {
+    const headerStart = position;
+    const headerSize = (input[position]! + 1) * 4;
+    const flags = input[position + 1]!;
+    position += 2;
+
+    if ((flags & 0x03) !== 0) {
+      throw new VcdiffError('Unsupported XZ filter chain');
+    }
+    if (flags & 0x40) position = readXzVarint(input, position).position;
+    if (flags & 0x80) position = readXzVarint(input, position).position;
+
+    const filter = readXzVarint(input, position);
+    if (filter.value !== XZ_FILTER_LZMA2) {
+      throw new VcdiffError(
+        `Unsupported XZ filter 0x${filter.value.toString(16)}`
+      );
+    }
+
+    position = headerStart + headerSize;
+    const blockStart = position;
+    position = decoder.decode(input, position);
+
+    // Block padding to a multiple of four, then the integrity check
+    position += (4 - ((position - blockStart) % 4)) % 4;
+    position += checkSize;
+  }
+
+  if (decoder.written !== expectedSize) {
+    throw new VcdiffError(
+      `XZ stream produced ${decoder.written} bytes, expected ${expectedSize}`
+    );
+  }
+
+  return output;
+}
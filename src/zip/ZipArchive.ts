@@ -0,0 +1,461 @@
+import { promisify } from 'util';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { ZIP } from '../constants/index.js';
+import { crc32 } from './crc32.js';
+import type { DeflateParams, ZipEntry } from '../types/index.js';
+
+const inflateRaw = promisify(zlib.inflateRaw);
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Value of a 16/32-bit field whose real value is in the ZIP64 records
+const ZIP64_MARKER_16 = 0xffff;
+const ZIP64_MARKER_32 = 0xffffffff;
+
+/**
+ * Read access to a ZIP archive (and JAR, APK and other ZIP-based files):
+ * central directory, entry data and the bytes around it
+ * @class ZipArchive
+ */
+class ZipArchive {
+  private readonly byName = new Map<string, ZipEntry>();
+
+  /**
+   * @param file - Archive path
+   * @param fd - Open file descriptor
+   * @param size - Archive size
+   * @param entries - Central directory entries, in data order
+   */
+  private constructor(
+    readonly file: string,
+    private readonly fd: number,
+    readonly size: number,
+    readonly entries: ZipEntry[]
+  ) {
+    // The first of several entries with the same name wins, as in unzip
+    for (const entry of entries) {
+      if (!this.byName.has(entry.name)) {
+        this.byName.set(entry.name, entry);
+      }
+    }
+  }
+
+  /**
+   * Checks whether a file starts with a ZIP signature (a local header, or
+   * the end record of an empty archive)
+   * @param file - File path
+   * @returns Promise with true for a ZIP archive
+   */
+  static async isZip(file: string): Promise<boolean> {
+    const fd = await fs.open(file, 'r');
+    try {
+      const signature = Buffer.alloc(4);
+      const { bytesRead } = await fs.read(fd, signature, 0, 4, 0);
+      if (bytesRead < 4) return false;
+      const value = signature.readUInt32LE(0);
+      return (
+        value === ZIP.LOCAL_HEADER_SIGNATURE || value === ZIP.END_SIGNATURE
+      );
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * Opens an archive and reads its central directory and local headers
+   * @param file - Archive path
+   * @returns Promise with the open archive; close it when done
+   * @throws Error when the file is not a ZIP archive this reader handles
+   * (split archives, overlapping entries)
+   */
+  static async open(file: string): Promise<ZipArchive> {
+    const fd = await fs.open(file, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const { count, directoryOffset, directorySize } =
+        await ZipArchive.readEnd(fd, size, file);
+      if (directoryOffset + directorySize > size) {
+        throw new Error(`ZIP central directory is truncated: ${file}`);
+      }
+
+      const directory = await ZipArchive.readAt(
+        fd,
+        directoryOffset,
+        directorySize
+      );
+      const entries: ZipEntry[] = [];
+      let position = 0;
+      for (let index = 0; index < count; index++) {
+        const entry = ZipArchive.parseCentralHeader(directory, position, file);
+        position = entry.next;
+
+        const local = await ZipArchive.readAt(
+          fd,
+          entry.headerOffset,
+          ZIP.LOCAL_HEADER_SIZE
+        );
+        if (local.readUInt32LE(0) !== ZIP.LOCAL_HEADER_SIGNATURE) {
+          throw new Error(
+            `ZIP local header not found for ${entry.name}: ${file}`
+          );
+        }
+        const dataOffset =
+          entry.headerOffset +
+          ZIP.LOCAL_HEADER_SIZE +
+          local.readUInt16LE(26) +
+          local.readUInt16LE(28);
+        entries.push({
+          name: entry.name,
+          flags: entry.flags,
+          method: entry.method,
+          crc32: entry.crc32,
+          compressedSize: entry.compressedSize,
+          size: entry.size,
+          headerOffset: entry.headerOffset,
+          dataOffset,
+        });
+      }
+
+      // Everything outside the entry data is read as one block by
+      // readLayout(), so the data ranges must not overlap
+      entries.sort((a, b) => a.dataOffset - b.dataOffset);
+      let end = 0;
+      for (const entry of entries) {
+        if (entry.dataOffset < end) {
+          throw new Error(`ZIP entry ${entry.name} overlaps another: ${file}`);
+        }
+        end = entry.dataOffset + entry.compressedSize;
+        if (end > directoryOffset) {
+          throw new Error(
+            `ZIP entry ${entry.name} lies outside the archive: ${file}`
+          );
+        }
+      }
+
+      return new ZipArchive(file, fd, size, entries);
+    } catch (error) {
+      await fs.close(fd);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether an entry's content can be decompressed (stored or
+   * deflated, and not encrypted)
+   * @param entry - Archive entry
+   * @returns True when read() can return its content
+   */
+  static canInflate(entry: Pick<ZipEntry, 'flags' | 'method'>): boolean {
+    return (
+      (entry.flags & ZIP.FLAG_ENCRYPTED) === 0 &&
+      (entry.method === ZIP.METHOD_STORED ||
+        entry.method === ZIP.METHOD_DEFLATED)
+    );
+  }
+
+  /**
+   * Compresses entry content with raw deflate
+   * @param content - Decompressed content
+   * @param params - zlib settings
+   * @returns Promise with the compressed data
+   */
+  static deflate(content: Buffer, params: DeflateParams): Promise<Buffer> {
+    return deflateRaw(content, {
+      level: params.level,
+      memLevel: params.memLevel,
+    });
+  }
+
+  /**
+   * Looks for zlib settings that compress an entry's content back into
+   * exactly its stored data
+   * @param content - Decompressed content
+   * @param data - Stored data
+   * @param preferred - Settings to try first (those of the previous entry)
+   * @returns Promise with the settings, or undefined when none match
+   */
+  static async findDeflateParams(
+    content: Buffer,
+    data: Buffer,
+    preferred?: DeflateParams
+  ): Promise<DeflateParams | undefined> {
+    const candidates: DeflateParams[] = preferred ? [preferred] : [];
+    for (const memLevel of ZIP.MEM_LEVELS) {
+      for (const level of ZIP.LEVELS) {
+        if (preferred?.level !== level || preferred.memLevel !== memLevel) {
+          candidates.push({ level, memLevel });
+        }
+      }
+    }
+
+    for (const params of candidates) {
+      const compressed = await ZipArchive.deflate(content, params);
+      if (compressed.equals(data)) {
+        return params;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Finds an entry by name
+   * @param name - Entry name
+   * @returns The entry, or undefined when the archive does not have it
+   */
+  get(name: string): ZipEntry | undefined {
+    return this.byName.get(name);
+  }
+
+  /**
+   * Reads the data of an entry as stored in the archive
+   * @param entry - Archive entry
+   * @returns Promise with the stored (compressed) data
+   */
+  readData(entry: ZipEntry): Promise<Buffer> {
+    return ZipArchive.readAt(this.fd, entry.dataOffset, entry.compressedSize);
+  }
+
+  /**
+   * Reads the decompressed content of an entry, checking its size and CRC-32
+   * @param entry - Archive entry
+   * @returns Promise with the content
+   * @throws Error when the entry cannot be decompressed or is corrupt
+   */
+  async read(entry: ZipEntry): Promise<Buffer> {
+    if (!ZipArchive.canInflate(entry)) {
+      throw new Error(`ZIP entry ${entry.name} cannot be decompressed`);
+    }
+
+    const data = await this.readData(entry);
+    const content =
+      entry.method === ZIP.METHOD_STORED ? data : await inflateRaw(data);
+    if (content.length !== entry.size || crc32(content) !== entry.crc32) {
+      throw new Error(`ZIP entry ${entry.name} is corrupt`);
+    }
+    return content;
+  }
+
+  /**
+   * Reads every byte of the archive outside the entry data (local headers,
+   * data descriptors, central directory, end records), in order
+   * @returns Promise with the bytes around the entry data
+   */
+  async readLayout(): Promise<Buffer> {
+    const parts: Buffer[] = [];
+    let position = 0;
+    for (const entry of this.entries) {
+      parts.push(
+        await ZipArchive.readAt(this.fd, position, entry.dataOffset - position)
+      );
+      position = entry.dataOffset + entry.compressedSize;
+    }
+    parts.push(
+      await ZipArchive.readAt(this.fd, position, this.size - position)
+    );
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Closes the archive
+   */
+  async close(): Promise<void> {
+    await fs.close(this.fd);
+  }
+
+  /**
+   * Reads the end of central directory record (and its ZIP64 version)
+   * @param fd - Open file descriptor
+   * @param size - Archive size
+   * @param file - Archive path, for error messages
+   * @returns Promise with the entry count and central directory location
+   * @private
+   */
+  private static async readEnd(
+    fd: number,
+    size: number,
+    file: string
+  ): Promise<{
+    count: number;
+    directoryOffset: number;
+    directorySize: number;
+  }> {
+    const tailSize = Math.min(size, ZIP.END_SIZE + ZIP.MAX_COMMENT_SIZE);
+    const tail = await ZipArchive.readAt(fd, size - tailSize, tailSize);
+
+    // The last signature whose comment reaches the end of the file
+    let end = -1;
+    for (let index = tailSize - ZIP.END_SIZE; index >= 0; index--) {
+      if (
+        tail.readUInt32LE(index) === ZIP.END_SIGNATURE &&
+        index + ZIP.END_SIZE + tail.readUInt16LE(index + 20) === tailSize
+      ) {
+        end = index;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error(`Not a ZIP archive (no end record): ${file}`);
+    }
+
+    if (tail.readUInt16LE(end + 4) !== 0 || tail.readUInt16LE(end + 6) !== 0) {
+      throw new Error(`Split ZIP archives are not supported: ${file}`);
+    }
+    let count = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+
+    if (
+      count === ZIP64_MARKER_16 ||
+      directorySize === ZIP64_MARKER_32 ||
+      directoryOffset === ZIP64_MARKER_32
+    ) {
+      const locatorPosition = size - tailSize + end - ZIP.ZIP64_LOCATOR_SIZE;
+      const locator =
+        locatorPosition >= 0
+          ? await ZipArchive.readAt(fd, locatorPosition, ZIP.ZIP64_LOCATOR_SIZE)
+          : undefined;
+      if (locator?.readUInt32LE(0) === ZIP.ZIP64_LOCATOR_SIGNATURE) {
+        const record = await ZipArchive.readAt(
+          fd,
+          ZipArchive.toSafeNumber(locator.readBigUInt64LE(8), file),
+          56
+        );
+        if (record.readUInt32LE(0) !== ZIP.ZIP64_END_SIGNATURE) {
+          throw new Error(`ZIP64 end record not found: ${file}`);
+        }
+        count = ZipArchive.toSafeNumber(record.readBigUInt64LE(32), file);
+        directorySize = ZipArchive.toSafeNumber(
+          record.readBigUInt64LE(40),
+          file
+        );
+        directoryOffset = ZipArchive.toSafeNumber(
+          record.readBigUInt64LE(48),
+          file
+        );
+      }
+    }
+
+    return { count, directoryOffset, directorySize };
+  }
+
+  /**
+   * Parses one central directory header
+   * @param directory - Central directory bytes
+   * @param position - Header position in the directory
+   * @param file - Archive path, for error messages
+   * @returns Entry fields and the position of the next header
+   * @private
+   */
+  private static parseCentralHeader(
+    directory: Buffer,
+    position: number,
+    file: string
+  ): Omit<ZipEntry, 'dataOffset'> & { next: number } {
+    if (
+      position + ZIP.CENTRAL_HEADER_SIZE > directory.length ||
+      directory.readUInt32LE(position) !== ZIP.CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error(`ZIP central directory is corrupt: ${file}`);
+    }
+
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameStart = position + ZIP.CENTRAL_HEADER_SIZE;
+    const extraStart = nameStart + nameLength;
+    const next = extraStart + extraLength + commentLength;
+    if (next > directory.length) {
+      throw new Error(`ZIP central directory is corrupt: ${file}`);
+    }
+
+    let size = directory.readUInt32LE(position + 24);
+    let compressedSize = directory.readUInt32LE(position + 20);
+    let headerOffset = directory.readUInt32LE(position + 42);
+
+    // ZIP64 extra field: the 64-bit values of the fields set to 0xffffffff,
+    // in this order
+    if (
+      size === ZIP64_MARKER_32 ||
+      compressedSize === ZIP64_MARKER_32 ||
+      headerOffset === ZIP64_MARKER_32
+    ) {
+      let extra = extraStart;
+      while (extra + 4 <= extraStart + extraLength) {
+        const id = directory.readUInt16LE(extra);
+        const length = directory.readUInt16LE(extra + 2);
+        if (id === ZIP.ZIP64_EXTRA_ID) {
+          let field = extra + 4;
+          const readField = () => {
+            const value = directory.readBigUInt64LE(field);
+            field += 8;
+            return ZipArchive.toSafeNumber(value, file);
+          };
+          if (size === ZIP64_MARKER_32) size = readField();
+          if (compressedSize === ZIP64_MARKER_32) compressedSize = readField();
+          if (headerOffset === ZIP64_MARKER_32) headerOffset = readField();
+          break;
+        }
+        extra += 4 + length;
+      }
+    }
+
+    return {
+      name: directory.toString('latin1', nameStart, extraStart),
+      flags: directory.readUInt16LE(position + 8),
+      method: directory.readUInt16LE(position + 10),
+      crc32: directory.readUInt32LE(position + 16),
+      compressedSize,
+      size,
+      headerOffset,
+      next,
+    };
+  }
+
+  /**
+   * Reads a range of a file, failing when it is cut short
+   * @param fd - Open file descriptor
+   * @param position - Start of the range
+   * @param length - Range length
+   * @returns Promise with the bytes
+   * @private
+   */
+  private static async readAt(
+    fd: number,
+    position: number,
+    length: number
+  ): Promise<Buffer> {
+    const data = Buffer.alloc(length);
+    let read = 0;
+    while (read < length) {
+      const { bytesRead } = await fs.read(
+        fd,
+        data,
+        read,
+        length - read,
+        position + read
+      );
+      if (bytesRead === 0) {
+        throw new Error('ZIP archive is truncated');
+      }
+      read += bytesRead;
+    }
+    return data;
+  }
+
+  /**
+   * Converts a 64-bit field to a number
+   * @param value - Field value
+   * @param file - Archive path, for error messages
+   * @returns The value
+   * @throws Error when the value is beyond Number.MAX_SAFE_INTEGER
+   * @private
+   */
+  private static toSafeNumber(value: bigint, file: string): number {
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error(`ZIP64 field is out of range: ${file}`);
+    }
+    return Number(value);
+  }
+}
+
+export default ZipArchive;
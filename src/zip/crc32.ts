@@ -0,0 +1,23 @@
+// Table for the reflected CRC-32 polynomial used by ZIP and zlib
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Computes the CRC-32 checksum ZIP stores for each entry
+ * @param data - Bytes to checksum
+ * @param initial - Running checksum to continue from
+ * @returns Unsigned 32-bit checksum
+ */
+export function crc32(data: Uint8Array, initial: number = 0): number {
+  let crc = ~initial;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]!) & 0xff]! ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
@@ -0,0 +1,2 @@
+export { default as ZipArchive } from './ZipArchive.js';
+export { crc32 } from './crc32.js';
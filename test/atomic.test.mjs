@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PatchAnalyzer } from '../dist/index.js';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeVersions,
+  assertSameFile,
+  writeTree,
+  readTree,
+} from './helpers.mjs';
+
+/**
+ * Writes both versions and a patch with several windows whose last byte is
+ * corrupted, so that decoding fails after some output was written
+ * @param dir - Directory
+ * @returns Promise with the paths
+ */
+async function writeCorruptedPatch(dir) {
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  await createGenerator().createPatch(oldFile, newFile, patchFile, {
+    xdeltaOptions: { windowSize: 16 * 1024 },
+  });
+  const { info } = await PatchAnalyzer.getPatchInfo(patchFile);
+  assert.ok(info.metadata.windowCount > 1);
+
+  const patch = await fs.readFile(patchFile);
+  patch[patch.length - 1] ^= 0xff;
+  await fs.writeFile(patchFile, patch);
+  return { oldFile, newFile, patchFile };
+}
+
+test('a failed apply leaves no partial target behind', async () => {
+  const dir = await tempDir();
+  const { oldFile, patchFile } = await writeCorruptedPatch(dir);
+  const existing = path.join(dir, 'existing.bin');
+  await fs.writeFile(existing, 'previous version');
+  const generator = createGenerator();
+
+  const replaced = await generator.applyPatch(oldFile, patchFile, existing);
+  assert.equal(replaced.success, false);
+  assert.equal(await fs.readFile(existing, 'utf8'), 'previous version');
+
+  const created = await generator.applyPatch(
+    oldFile,
+    patchFile,
+    path.join(dir, 'missing.bin')
+  );
+  assert.equal(created.success, false);
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    'existing.bin',
+    'new.bin',
+    'old.bin',
+    'patch',
+  ]);
+});
+
+test('a patch can be applied over its own source file', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const generator = createGenerator();
+  await generator.createPatch(oldFile, newFile, patchFile);
+
+  const result = await generator.applyPatch(oldFile, patchFile, oldFile);
+  assert.equal(result.success, true, result.error);
+  await assertSameFile(newFile, oldFile);
+});
+
+test('rollback restores the file replaced with backup: true', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator();
+  await generator.createPatch(oldFile, newFile, patchFile);
+  await fs.writeFile(outFile, 'previous version');
+
+  const applied = await generator.applyPatch(oldFile, patchFile, outFile, {
+    backup: true,
+  });
+  assert.equal(applied.success, true, applied.error);
+  await assertSameFile(newFile, outFile);
+
+  const rolledBack = await generator.rollback(outFile);
+  assert.equal(rolledBack.success, true, rolledBack.error);
+  assert.deepEqual(rolledBack.restored, ['out.bin']);
+  assert.equal(await fs.readFile(outFile, 'utf8'), 'previous version');
+
+  // The backup is used once
+  assert.equal((await generator.rollback(outFile)).success, false);
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    'new.bin',
+    'old.bin',
+    'out.bin',
+    'patch',
+  ]);
+});
+
+test('rollback removes a file created with backup: true', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator();
+  await generator.createPatch(oldFile, newFile, patchFile);
+  await generator.applyPatch(oldFile, patchFile, outFile, { backup: true });
+
+  const rolledBack = await generator.rollback(outFile);
+  assert.equal(rolledBack.success, true, rolledBack.error);
+  assert.deepEqual(rolledBack.removed, ['out.bin']);
+  await assert.rejects(fs.access(outFile));
+});
+
+test('rollback restores a directory updated by a batch with backup: true', async () => {
+  const dir = await tempDir();
+  const oldDir = path.join(dir, 'old');
+  const newDir = path.join(dir, 'new');
+  const patchesDir = path.join(dir, 'patches');
+  const base = randomBytes(40000, 41);
+  const oldFiles = {
+    'app.bin': base,
+    'removed.txt': Buffer.from('removed'),
+  };
+  await writeTree(oldDir, oldFiles);
+  await writeTree(newDir, {
+    'app.bin': mutate(base, 42),
+    'sub/added.txt': Buffer.from('added'),
+  });
+  const generator = createGenerator();
+  await generator.createBatchPatches(oldDir, newDir, patchesDir);
+
+  const applied = await generator.applyBatchPatches(
+    oldDir,
+    patchesDir,
+    oldDir,
+    { backup: true }
+  );
+  assert.ok(
+    applied.every(result => result.status === 'success'),
+    JSON.stringify(applied)
+  );
+  assert.deepEqual(await readTree(oldDir), await readTree(newDir));
+
+  const rolledBack = await generator.rollback(oldDir);
+  assert.equal(rolledBack.success, true, rolledBack.error);
+  assert.deepEqual(rolledBack.restored.sort(), ['app.bin', 'removed.txt']);
+  assert.deepEqual(rolledBack.removed, ['sub/added.txt']);
+  assert.deepEqual(await readTree(oldDir), oldFiles);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+  tempDir,
+  createGenerator,
+  writeVersions,
+  assertSameFile,
+} from './helpers.mjs';
+
+for (const backend of ['js', 'bsdiff']) {
+  test(`whole-file patch round trip (${backend})`, async () => {
+    const dir = await tempDir();
+    const { oldFile, newFile } = await writeVersions(dir);
+    const patchFile = path.join(dir, 'patch');
+    const outFile = path.join(dir, 'out.bin');
+    const generator = createGenerator({ backend });
+
+    const created = await generator.createPatch(oldFile, newFile, patchFile);
+    assert.equal(created.success, true, created.error);
+    assert.equal(created.backend, backend);
+
+    const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newFile, outFile);
+
+    const wrongSource = await generator.applyPatch(newFile, patchFile, outFile);
+    assert.equal(wrongSource.errorCode, 'SOURCE_MISMATCH');
+  });
+}
@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { HashUtils } from '../dist/utils/index.js';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeTree,
+  readTree,
+} from './helpers.mjs';
+
+const base = randomBytes(50000, 31);
+const oldFiles = {
+  'app.bin': base,
+  'same-size.bin': Buffer.from('version 1'),
+  'readme.txt': Buffer.from('unchanged'),
+  'removed.txt': Buffer.from('removed'),
+};
+const newFiles = {
+  'app.bin': mutate(base, 32),
+  'same-size.bin': Buffer.from('version 2'),
+  'readme.txt': Buffer.from('unchanged'),
+  'data/added.txt': Buffer.from('added'),
+};
+
+/**
+ * Writes both versions of the tree and creates the batch patches
+ * @returns Promise with the directories and the creation results
+ */
+async function createBatch() {
+  const dir = await tempDir();
+  const oldDir = path.join(dir, 'old');
+  const newDir = path.join(dir, 'new');
+  const patchesDir = path.join(dir, 'patches');
+  await writeTree(oldDir, oldFiles);
+  await writeTree(newDir, newFiles);
+  const results = await createGenerator().createBatchPatches(
+    oldDir,
+    newDir,
+    patchesDir
+  );
+  return { dir, oldDir, newDir, patchesDir, results };
+}
+
+test('createBatchPatches classifies every file and writes the manifest', async () => {
+  const { oldDir, newDir, patchesDir, results } = await createBatch();
+
+  assert.deepEqual(
+    results.map(({ file, status, operation }) => [file, status, operation]),
+    [
+      ['app.bin', 'success', 'patch'],
+      ['data/added.txt', 'success', 'add'],
+      ['readme.txt', 'skipped', 'unchanged'],
+      ['removed.txt', 'success', 'delete'],
+      ['same-size.bin', 'success', 'patch'],
+    ]
+  );
+
+  const manifest = JSON.parse(
+    await fs.readFile(path.join(patchesDir, 'manifest.json'), 'utf8')
+  );
+  assert.equal(manifest.version, 1);
+  assert.equal(manifest.hashAlgorithm, 'sha256');
+  assert.equal(manifest.complete, true);
+  const entries = Object.fromEntries(
+    manifest.entries.map(entry => [entry.path, entry])
+  );
+  const hash = file => HashUtils.hashFile(file, 'sha256');
+
+  assert.deepEqual(entries['app.bin'], {
+    path: 'app.bin',
+    operation: 'patch',
+    oldSize: base.length,
+    oldHash: await hash(path.join(oldDir, 'app.bin')),
+    newSize: newFiles['app.bin'].length,
+    newHash: await hash(path.join(newDir, 'app.bin')),
+    patch: 'patches/app.bin.xdelta',
+  });
+  assert.equal(entries['same-size.bin'].operation, 'patch');
+  assert.deepEqual(entries['data/added.txt'], {
+    path: 'data/added.txt',
+    operation: 'add',
+    newSize: 5,
+    newHash: await hash(path.join(newDir, 'data', 'added.txt')),
+    file: 'files/data/added.txt',
+  });
+  assert.equal(entries['removed.txt'].operation, 'delete');
+  assert.equal(entries['removed.txt'].newHash, undefined);
+  assert.equal(entries['readme.txt'].operation, 'unchanged');
+  assert.equal(entries['readme.txt'].oldHash, entries['readme.txt'].newHash);
+
+  // Only deltas and added files are stored
+  assert.deepEqual(Object.keys(await readTree(patchesDir)).sort(), [
+    'files/data/added.txt',
+    'manifest.json',
+    'patches/app.bin.xdelta',
+    'patches/same-size.bin.xdelta',
+  ]);
+});
+
+test('applyBatchPatches rebuilds the new tree in another directory', async () => {
+  const { dir, oldDir, patchesDir } = await createBatch();
+  const outputDir = path.join(dir, 'output');
+
+  const results = await createGenerator().applyBatchPatches(
+    oldDir,
+    patchesDir,
+    outputDir
+  );
+  assert.ok(
+    results.every(result => result.status !== 'error'),
+    JSON.stringify(results)
+  );
+  // Unchanged files are copied, removed ones are not
+  assert.deepEqual(await readTree(outputDir), newFiles);
+  assert.deepEqual(await readTree(oldDir), oldFiles);
+});
+
+test('applyBatchPatches updates the original directory in place', async () => {
+  const { dir, oldDir, patchesDir } = await createBatch();
+
+  const results = await createGenerator().applyBatchPatches(
+    oldDir,
+    patchesDir,
+    oldDir
+  );
+  assert.ok(
+    results.every(result => result.status !== 'error'),
+    JSON.stringify(results)
+  );
+  assert.deepEqual(await readTree(oldDir), newFiles);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['new', 'old', 'patches']);
+});
+
+test('a modified source file fails its check and nothing is written', async () => {
+  const { oldDir, patchesDir } = await createBatch();
+  await fs.writeFile(path.join(oldDir, 'app.bin'), mutate(base, 33));
+  const modified = await readTree(oldDir);
+
+  const results = await createGenerator().applyBatchPatches(
+    oldDir,
+    patchesDir,
+    oldDir
+  );
+  const byFile = Object.fromEntries(
+    results.map(result => [result.file, result])
+  );
+  assert.equal(byFile['app.bin'].status, 'error');
+  assert.match(byFile['app.bin'].error, /does not match the manifest/);
+  for (const file of ['data/added.txt', 'removed.txt', 'same-size.bin']) {
+    assert.equal(byFile[file].status, 'skipped', file);
+  }
+  assert.deepEqual(await readTree(oldDir), modified);
+});
+
+test('a delta failing during the apply rolls back the files already written', async () => {
+  const { dir, oldDir, patchesDir } = await createBatch();
+  // The last delta of the manifest cannot be decoded
+  await fs.writeFile(
+    path.join(patchesDir, 'patches', 'same-size.bin.xdelta'),
+    'not a patch'
+  );
+
+  const results = await createGenerator().applyBatchPatches(
+    oldDir,
+    patchesDir,
+    oldDir,
+    { maxParallel: 1 }
+  );
+  const byFile = Object.fromEntries(
+    results.map(result => [result.file, result])
+  );
+  assert.equal(byFile['same-size.bin'].status, 'error');
+  for (const file of ['app.bin', 'data/added.txt', 'removed.txt']) {
+    assert.equal(byFile[file].status, 'error', file);
+    assert.match(byFile[file].error, /Rolled back/);
+  }
+  assert.deepEqual(await readTree(oldDir), oldFiles);
+  // The journal is discarded with the rollback
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['new', 'old', 'patches']);
+});
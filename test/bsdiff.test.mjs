@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BsdiffEncoder,
+  BsdiffDecoder,
+  BufferByteSource,
+  BufferByteSink,
+  bzip2Compress,
+  bzip2Decompress,
+} from '../dist/index.js';
+import { randomBytes, mutate } from './helpers.mjs';
+
+/**
+ * Encodes and decodes with the bsdiff codec
+ * @param source - Source bytes
+ * @param target - Target bytes
+ * @returns Promise with the patch and the decoded target
+ */
+async function bsdiffRoundTrip(source, target) {
+  const patchSink = new BufferByteSink();
+  await BsdiffEncoder.encode(
+    new BufferByteSource(source),
+    new BufferByteSource(target),
+    patchSink
+  );
+  const patch = patchSink.toBuffer();
+
+  const output = new BufferByteSink();
+  await BsdiffDecoder.decode(
+    new BufferByteSource(patch),
+    new BufferByteSource(source),
+    output
+  );
+  return { patch, output: output.toBuffer() };
+}
+
+test('bzip2 round trip', async () => {
+  const cases = [
+    Buffer.alloc(0),
+    Buffer.from('hello, world\n'),
+    Buffer.alloc(300000, 0x61),
+    randomBytes(250000, 11),
+    Buffer.concat([randomBytes(1000, 12), Buffer.alloc(5000, 0)]),
+  ];
+  for (const data of cases) {
+    const compressed = await bzip2Compress(data, 1);
+    assert.deepEqual(await bzip2Decompress(compressed), data);
+  }
+});
+
+test('bsdiff round trip', async () => {
+  const source = randomBytes(100000, 13);
+  const target = mutate(source, 14);
+  const { patch, output } = await bsdiffRoundTrip(source, target);
+  assert.equal(patch.subarray(0, 8).toString('latin1'), 'BSDIFF40');
+  assert.deepEqual(output, target);
+
+  for (const [from, to] of [
+    [Buffer.alloc(0), source.subarray(0, 1000)],
+    [source.subarray(0, 1000), Buffer.alloc(0)],
+    [source, source],
+  ]) {
+    assert.deepEqual((await bsdiffRoundTrip(from, to)).output, to);
+  }
+});
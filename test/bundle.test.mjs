@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('bundle round trip', async () => {
+  const dir = await tempDir();
+  const oldDir = path.join(dir, 'old');
+  const newDir = path.join(dir, 'new');
+  const bundle = path.join(dir, 'update.apgpack');
+  const base = randomBytes(60000, 51);
+  await fs.mkdir(path.join(oldDir, 'sub'), { recursive: true });
+  await fs.mkdir(path.join(newDir, 'sub'), { recursive: true });
+  await fs.writeFile(path.join(oldDir, 'sub', 'changed.bin'), base);
+  await fs.writeFile(path.join(newDir, 'sub', 'changed.bin'), mutate(base));
+  await fs.writeFile(path.join(oldDir, 'same.txt'), 'same');
+  await fs.writeFile(path.join(newDir, 'same.txt'), 'same');
+  await fs.writeFile(path.join(oldDir, 'removed.txt'), 'removed');
+  await fs.writeFile(path.join(newDir, 'added.txt'), 'added');
+  const generator = createGenerator();
+
+  const created = await generator.createBundle(oldDir, newDir, bundle);
+  assert.ok(created.every(result => result.status !== 'error'));
+
+  const applied = await generator.applyBundle(oldDir, bundle);
+  assert.ok(applied.every(result => result.status !== 'error'));
+  await assertSameFile(
+    path.join(newDir, 'sub', 'changed.bin'),
+    path.join(oldDir, 'sub', 'changed.bin')
+  );
+  await assertSameFile(
+    path.join(newDir, 'added.txt'),
+    path.join(oldDir, 'added.txt')
+  );
+  await assert.rejects(fs.access(path.join(oldDir, 'removed.txt')));
+});
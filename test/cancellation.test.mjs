@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { HashUtils, OperationAbortedError } from '../dist/utils/index.js';
+import {
+  tempDir,
+  createGenerator,
+  writeVersions,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('aborting the signal while encoding returns CANCELLED and removes the patch', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir, 2 * 1024 * 1024);
+  const patchFile = path.join(dir, 'patch');
+  const controller = new AbortController();
+
+  const result = await createGenerator().createPatch(
+    oldFile,
+    newFile,
+    patchFile,
+    {
+      signal: controller.signal,
+      onProgress: progress => {
+        if (progress.percentage > 30) controller.abort();
+      },
+    }
+  );
+  assert.equal(controller.signal.aborted, true);
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'CANCELLED');
+  await assert.rejects(fs.access(patchFile));
+});
+
+test('an expired timeout returns TIMEOUT and leaves the target as it was', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir, 2 * 1024 * 1024);
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator();
+
+  const created = await generator.createPatch(oldFile, newFile, patchFile, {
+    timeout: 1,
+  });
+  assert.equal(created.success, false);
+  assert.equal(created.errorCode, 'TIMEOUT');
+  await assert.rejects(fs.access(patchFile));
+
+  assert.equal(
+    (await generator.createPatch(oldFile, newFile, patchFile)).success,
+    true
+  );
+  await fs.copyFile(oldFile, outFile);
+  const applied = await generator.applyPatch(oldFile, patchFile, outFile, {
+    timeout: 1,
+  });
+  assert.equal(applied.success, false);
+  assert.equal(applied.errorCode, 'TIMEOUT');
+  await assertSameFile(oldFile, outFile);
+  assert.deepEqual(await fs.readdir(dir), [
+    'new.bin',
+    'old.bin',
+    'out.bin',
+    'patch',
+  ]);
+});
+
+test('the operations have no time limit by default', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const generator = createGenerator();
+
+  assert.equal(generator.defaultOptions.timeout, 0);
+  const created = await generator.createPatch(oldFile, newFile, patchFile);
+  assert.equal(created.success, true, created.error);
+});
+
+test('hashing a file stops when the signal is aborted', async () => {
+  const dir = await tempDir();
+  const { oldFile } = await writeVersions(dir);
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    HashUtils.hashFile(oldFile, 'sha256', controller.signal),
+    error =>
+      error instanceof OperationAbortedError && error.code === 'CANCELLED'
+  );
+  assert.match(await HashUtils.hashFile(oldFile, 'sha256'), /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('patch chain round trip', async () => {
+  const dir = await tempDir();
+  const v1 = path.join(dir, 'v1');
+  const v2 = path.join(dir, 'v2');
+  const v3 = path.join(dir, 'v3');
+  const out = path.join(dir, 'out');
+  const data = randomBytes(80000, 61);
+  await fs.writeFile(v1, data);
+  await fs.writeFile(v2, mutate(data, 62));
+  await fs.writeFile(v3, mutate(mutate(data, 62), 63));
+  const generator = createGenerator();
+
+  for (const [from, to, patch] of [
+    [v1, v2, 'p12'],
+    [v2, v3, 'p23'],
+  ]) {
+    const created = await generator.createPatch(
+      from,
+      to,
+      path.join(dir, patch)
+    );
+    assert.equal(created.success, true, created.error);
+  }
+
+  const result = await generator.applyPatchChain(
+    v1,
+    [path.join(dir, 'p12'), path.join(dir, 'p23')],
+    out
+  );
+  assert.equal(result.success, true, result.error);
+  await assertSameFile(v3, out);
+});
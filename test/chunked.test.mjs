@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { PatchAnalyzer } from '../dist/index.js';
+import {
+  tempDir,
+  createGenerator,
+  writeVersions,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('chunked patch round trip', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir, 400000);
+  const patchFile = path.join(dir, 'patch.apgchunk');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator();
+
+  const created = await generator.createPatchWithChunks(
+    oldFile,
+    newFile,
+    patchFile,
+    { chunkSize: 64 * 1024, overlap: 16 * 1024 }
+  );
+  assert.equal(created.success, true, created.error);
+  assert.ok(created.metrics.chunks > 1);
+  assert.equal(
+    (await PatchAnalyzer.getPatchInfo(patchFile)).info.format,
+    'apg-chunked'
+  );
+
+  const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+  assert.equal(applied.success, true, applied.error);
+  await assertSameFile(newFile, outFile);
+});
+
+test('createPatch writes a chunked patch only with chunkedPatch', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator({
+    extremeFileThreshold: 1024,
+    maxChunkSize: 64 * 1024,
+  });
+
+  for (const [chunkedPatch, format] of [
+    [undefined, 'vcdiff'],
+    [true, 'apg-chunked'],
+  ]) {
+    const created = await generator.createPatch(oldFile, newFile, patchFile, {
+      chunkedPatch,
+    });
+    assert.equal(created.success, true, created.error);
+    assert.equal(
+      (await PatchAnalyzer.getPatchInfo(patchFile)).info.format,
+      format
+    );
+
+    const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newFile, outFile);
+  }
+});
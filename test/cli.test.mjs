@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tempDir, writeVersions, assertSameFile } from './helpers.mjs';
+
+const cli = fileURLToPath(new URL('../dist/cli/index.js', import.meta.url));
+
+/**
+ * Runs the CLI with the built-in codec
+ * @param args - Command-line arguments
+ * @returns Exit code, standard output and standard error
+ */
+function run(...args) {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [cli, '--backend', 'js', ...args],
+    { encoding: 'utf8' }
+  );
+  return { status, stdout, stderr };
+}
+
+test('create, apply and verify exit with 0 and print JSON results', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+
+  const created = run('create', oldFile, newFile, patchFile, '--json');
+  assert.equal(created.status, 0, created.stderr);
+  const result = JSON.parse(created.stdout);
+  assert.equal(result.success, true);
+  assert.equal(result.metrics.patchSize, (await fs.stat(patchFile)).size);
+
+  const applied = run('apply', oldFile, patchFile, outFile, '--quiet');
+  assert.equal(applied.status, 0, applied.stderr);
+  assert.equal(applied.stdout, '');
+  await assertSameFile(newFile, outFile);
+
+  const verified = run('verify', oldFile, patchFile, newFile, '--json');
+  assert.equal(verified.status, 0, verified.stderr);
+  assert.equal(JSON.parse(verified.stdout).isValid, true);
+});
+
+test('a failed operation exits with 1', async () => {
+  const dir = await tempDir();
+  const { oldFile } = await writeVersions(dir);
+
+  const { status, stdout } = run(
+    'apply',
+    oldFile,
+    path.join(dir, 'missing.patch'),
+    path.join(dir, 'out.bin'),
+    '--json'
+  );
+  assert.equal(status, 1);
+  const result = JSON.parse(stdout);
+  assert.equal(result.success, false);
+  assert.ok(result.errorCode);
+});
+
+test('a usage error exits with 2', () => {
+  for (const args of [['create', 'only-one-file'], ['unknown'], []]) {
+    assert.equal(run(...args).status, 2, args.join(' '));
+  }
+
+  const { status, stdout } = run('apply', '--json');
+  assert.equal(status, 2);
+  assert.deepEqual(Object.keys(JSON.parse(stdout)), ['success', 'error']);
+});
+
+test('a patch that does not yield the expected file exits with 3', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const otherFile = path.join(dir, 'other.bin');
+  const other = await fs.readFile(newFile);
+  other[other.length - 1] ^= 0xff;
+  await fs.writeFile(otherFile, other);
+  assert.equal(run('create', oldFile, newFile, patchFile, '-q').status, 0);
+
+  const { status, stdout } = run(
+    'verify',
+    oldFile,
+    patchFile,
+    otherFile,
+    '--json'
+  );
+  assert.equal(status, 3);
+  const result = JSON.parse(stdout);
+  assert.equal(result.isValid, false);
+  assert.equal(result.firstDifference, other.length - 1);
+});
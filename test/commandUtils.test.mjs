@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { CommandUtils } from '../dist/utils/index.js';
+import {
+  tempDir,
+  createGenerator,
+  writeVersions,
+  writeFakeXdelta,
+  assertSameFile,
+} from './helpers.mjs';
+
+const posix = process.platform !== 'win32';
+
+test('run reports a failed command in error', async () => {
+  const failed = await CommandUtils.run(process.execPath, [
+    '-e',
+    'process.exit(3)',
+  ]);
+  assert.equal(failed.success, false);
+  assert.match(failed.error.message, /code 3/);
+
+  const missing = await CommandUtils.run(
+    path.join(await tempDir(), 'missing'),
+    []
+  );
+  assert.equal(missing.success, false);
+  assert.ok(missing.error instanceof Error);
+
+  const ok = await CommandUtils.run(process.execPath, ['-e', '']);
+  assert.equal(ok.success, true);
+  assert.equal(ok.error, undefined);
+});
+
+test('executeCommand splits a quoted command line and runs it without a shell', async () => {
+  const result = await CommandUtils.executeCommand(
+    `"${process.execPath}" -e "console.log(JSON.stringify(process.argv.slice(1)))" 'a b' "c\\"d" '' 'x|y'`
+  );
+  assert.equal(result.success, true, result.stderr);
+  assert.deepEqual(JSON.parse(result.stdout), ['a b', 'c"d', '', 'x|y']);
+});
+
+test('executeCommand refuses shell syntax instead of running it', async () => {
+  const dir = await tempDir();
+  const marker = path.join(dir, 'ran');
+
+  for (const command of [
+    `"${process.execPath}" -e "" $(touch ${marker})`,
+    `"${process.execPath}" -e "" "\`touch ${marker}\`"`,
+    `"${process.execPath}" -e "" ; touch ${marker}`,
+    `"${process.execPath}" -e "" | touch ${marker}`,
+    `"${process.execPath}" -e "`,
+  ]) {
+    const result = await CommandUtils.executeCommand(command);
+    assert.equal(result.success, false, command);
+    assert.ok(result.error instanceof Error, command);
+  }
+  await assert.rejects(fs.access(marker));
+});
+
+test(
+  'file names with quotes, $(...) and backticks reach xdelta3 unchanged',
+  { skip: !posix },
+  async () => {
+    const dir = await tempDir();
+    const { executable, calls } = await writeFakeXdelta(dir);
+    const { oldFile, newFile } = await writeVersions(dir);
+    const oldName = path.join(dir, `it's "old" $(touch pwned).bin`);
+    const newName = path.join(dir, 'new `touch pwned` $HOME.bin');
+    const patchFile = path.join(dir, 'patch "$(id)".xdelta');
+    const outFile = path.join(dir, 'out \' \\ ".bin');
+    await fs.rename(oldFile, oldName);
+    await fs.rename(newFile, newName);
+    const generator = createGenerator({
+      backend: 'xdelta3',
+      xdeltaPath: executable,
+    });
+
+    const created = await generator.createPatch(oldName, newName, patchFile);
+    assert.equal(created.success, true, created.error);
+    const applied = await generator.applyPatch(oldName, patchFile, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newName, outFile);
+
+    const logged = await calls();
+    const encode = logged.find(args => args[0] === '-e');
+    const decode = logged.filter(args => args[0] === '-d').at(-1);
+    assert.deepEqual(encode.slice(-3), [oldName, newName, patchFile]);
+    assert.deepEqual(decode.slice(-3, -1), [oldName, patchFile]);
+    // Decoded next to the target, then renamed over it
+    assert.ok(decode.at(-1).startsWith(outFile));
+    await assert.rejects(fs.access(path.join(dir, 'pwned')));
+    await assert.rejects(fs.access('pwned'));
+  }
+);
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { tempDir, createGenerator, writeVersions } from './helpers.mjs';
+
+test('a failure is returned, and emitted only to error listeners', async () => {
+  const dir = await tempDir();
+  const { oldFile } = await writeVersions(dir);
+  const missing = path.join(dir, 'missing.patch');
+  const outFile = path.join(dir, 'out.bin');
+  const generator = createGenerator();
+
+  const unheard = await generator.applyPatch(oldFile, missing, outFile);
+  assert.equal(unheard.success, false);
+  assert.ok(unheard.errorCode);
+
+  const events = [];
+  generator.on('error', error => events.push(error));
+  const heard = await generator.applyPatch(oldFile, missing, outFile);
+  assert.equal(heard.success, false);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].code, heard.errorCode);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VcdiffDecoder } from '../dist/index.js';
+import { tempDir } from './helpers.mjs';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Patches made by xdelta3 (LZMA secondary compression), with the files they
+// were made from
+const fixtures = [
+  ['consumer-test', 'patch.xdelta', 'additional_old.grf', 'additional_new.grf'],
+  [
+    'consumer-test',
+    'patch_events.xdelta',
+    'additional_old.grf',
+    'additional_new.grf',
+  ],
+  [
+    'consumer-test',
+    'patch_events_js.xdelta',
+    'additional_old.grf',
+    'additional_new.grf',
+  ],
+  [
+    'consumer-test',
+    'patch_javascript.xdelta',
+    'additional_old.grf',
+    'additional_new.grf',
+  ],
+  [
+    'consumer-test',
+    'patch_typescript.xdelta',
+    'additional_old.grf',
+    'additional_new.grf',
+  ],
+  [
+    'consumer-test',
+    'large_test_patch.xdelta',
+    'large_test_old.txt',
+    'large_test_new.txt',
+  ],
+  ['para_teste', 'patch_gepard.xdelta', 'gepard.grf', 'gepard_new.grf'],
+];
+
+for (const [dir, patch, source, expected] of fixtures) {
+  test(`built-in decoder reproduces ${dir}/${expected} from ${patch}`, async () => {
+    const output = path.join(await tempDir(), expected);
+    await VcdiffDecoder.decodeFile(
+      path.join(root, dir, source),
+      path.join(root, dir, patch),
+      output
+    );
+    assert.deepEqual(
+      await fs.readFile(output),
+      await fs.readFile(path.join(root, dir, expected))
+    );
+  });
+}
@@ -0,0 +1,20 @@
+// Stand-in for the xdelta3 executable: appends its arguments to the file
+// named by FAKE_XDELTA3_LOG, then encodes or decodes with the built-in codec
+import fs from 'fs';
+import { VcdiffEncoder, VcdiffDecoder } from '../../dist/index.js';
+
+const args = process.argv.slice(2);
+if (args[0] === '-V') {
+  console.error('Xdelta version 3.1.0, Copyright (C) Joshua MacDonald');
+  process.exit(0);
+}
+if (process.env.FAKE_XDELTA3_LOG) {
+  fs.appendFileSync(process.env.FAKE_XDELTA3_LOG, `${JSON.stringify(args)}\n`);
+}
+
+const [source, input, output] = args.slice(-3);
+if (args[0] === '-e') {
+  await VcdiffEncoder.encodeFile(source, input, output);
+} else {
+  await VcdiffDecoder.decodeFile(source, input, output);
+}
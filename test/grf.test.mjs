@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { GrfArchive, PatchAnalyzer } from '../dist/index.js';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeGrf,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('GRF patch round trip', async () => {
+  const dir = await tempDir();
+  const oldFile = path.join(dir, 'old.grf');
+  const newFile = path.join(dir, 'new.grf');
+  const patchFile = path.join(dir, 'patch.grfp');
+  const outFile = path.join(dir, 'out.grf');
+  const shared = randomBytes(40000, 31);
+  await writeGrf(oldFile, {
+    'data\\kept.txt': Buffer.from('unchanged entry'),
+    'data\\changed.bin': shared,
+    'data\\removed.txt': Buffer.from('removed entry'),
+  });
+  await writeGrf(newFile, {
+    'data\\kept.txt': Buffer.from('unchanged entry'),
+    'data\\changed.bin': mutate(shared, 32),
+    'data\\added.txt': Buffer.from('added entry'),
+  });
+  const generator = createGenerator();
+
+  const created = await generator.createPatch(oldFile, newFile, patchFile, {
+    format: 'grf',
+  });
+  assert.equal(created.success, true, created.error);
+
+  for (const grfMode of ['rebuild', 'append']) {
+    const applied = await generator.applyPatch(oldFile, patchFile, outFile, {
+      grfMode,
+    });
+    assert.equal(applied.success, true, applied.error);
+    const comparison = await GrfArchive.compare(newFile, outFile, 'sha256');
+    assert.equal(comparison.differentEntry, undefined, grfMode);
+  }
+});
+
+test('GRF archives get a whole-file delta unless format is grf', async () => {
+  const dir = await tempDir();
+  const oldFile = path.join(dir, 'old.grf');
+  const newFile = path.join(dir, 'new.grf');
+  const outFile = path.join(dir, 'out.grf');
+  const text = Buffer.from('line of text\n'.repeat(5000));
+  await writeGrf(oldFile, { 'data\\readme.txt': text });
+  await writeGrf(newFile, {
+    'data\\readme.txt': Buffer.concat([Buffer.from('first line\n'), text]),
+  });
+  const generator = createGenerator();
+
+  for (const [format, expected] of [
+    [undefined, 'vcdiff'],
+    ['grf', 'apg-grf'],
+  ]) {
+    const patchFile = path.join(dir, `patch-${format ?? 'default'}`);
+    const created = await generator.createPatch(oldFile, newFile, patchFile, {
+      format,
+    });
+    assert.equal(created.success, true, created.error);
+    assert.equal(created.metrics.grfEntries !== undefined, format === 'grf');
+    assert.equal(
+      (await PatchAnalyzer.getPatchInfo(patchFile)).info.format,
+      expected
+    );
+
+    const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newFile, outFile);
+  }
+});
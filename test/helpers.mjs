@@ -0,0 +1,258 @@
+import assert from 'node:assert/strict';
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import {
+  AdvancedPatchGenerator,
+  GrfWriter,
+  VcdiffEncoder,
+  VcdiffDecoder,
+  BufferByteSource,
+  BufferByteSink,
+} from '../dist/index.js';
+import { crc32 } from '../dist/zip/index.js';
+
+// Every temporary directory of a test file lives under one root, removed when
+// the process exits (node:test only has t.after from Node 18.13 on)
+const tempRoot = fsSync.mkdtempSync(path.join(os.tmpdir(), 'apg-test-'));
+process.on('exit', () =>
+  fsSync.rmSync(tempRoot, { recursive: true, force: true })
+);
+
+/**
+ * Creates a temporary directory removed when the test process exits
+ * @returns Promise with the directory path
+ */
+export async function tempDir() {
+  return fs.mkdtemp(path.join(tempRoot, 'case-'));
+}
+
+/**
+ * Deterministic pseudo-random bytes (xorshift32)
+ * @param length - Number of bytes
+ * @param seed - Non-zero seed
+ * @returns The bytes
+ */
+export function randomBytes(length, seed = 1) {
+  const data = Buffer.alloc(length);
+  let state = seed >>> 0 || 1;
+  for (let i = 0; i < length; i++) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    data[i] = state & 0xff;
+  }
+  return data;
+}
+
+/**
+ * Copy of data with a changed range, an insertion and a block moved to the
+ * end, so that a delta needs ADD and COPY instructions
+ * @param data - Original bytes
+ * @param seed - Seed of the new bytes
+ * @returns The new version
+ */
+export function mutate(data, seed = 2) {
+  const quarter = Math.floor(data.length / 4);
+  const changed = Buffer.from(data);
+  randomBytes(Math.min(64, quarter), seed).copy(changed, quarter);
+  return Buffer.concat([
+    changed.subarray(0, 2 * quarter),
+    randomBytes(100, seed + 1),
+    changed.subarray(3 * quarter),
+    changed.subarray(2 * quarter, 3 * quarter),
+  ]);
+}
+
+/**
+ * Writes an original and a new version of a file
+ * @param dir - Directory
+ * @param size - Size of the original
+ * @returns Promise with both paths
+ */
+export async function writeVersions(dir, size = 150000) {
+  const oldFile = path.join(dir, 'old.bin');
+  const newFile = path.join(dir, 'new.bin');
+  const data = randomBytes(size, 21);
+  await fs.writeFile(oldFile, data);
+  await fs.writeFile(newFile, mutate(data, 22));
+  return { oldFile, newFile };
+}
+
+/**
+ * Asserts that two files hold the same bytes
+ * @param expected - Expected file
+ * @param actual - Actual file
+ */
+export async function assertSameFile(expected, actual) {
+  assert.deepEqual(await fs.readFile(actual), await fs.readFile(expected));
+}
+
+/**
+ * Writes files under a directory, creating subdirectories
+ * @param root - Directory
+ * @param files - Contents by '/' separated relative path
+ */
+export async function writeTree(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(root, ...name.split('/'));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+  }
+}
+
+/**
+ * Reads every file under a directory
+ * @param root - Directory
+ * @returns Promise with the contents by '/' separated relative path
+ */
+export async function readTree(root) {
+  const files = {};
+  const walk = async relative => {
+    const entries = await fs.readdir(path.join(root, relative), {
+      withFileTypes: true,
+    });
+    for (const entry of entries) {
+      const name = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) await walk(name);
+      else files[name] = await fs.readFile(path.join(root, name));
+    }
+  };
+  await walk('');
+  return files;
+}
+
+/**
+ * Encodes and decodes with the VCDIFF codec
+ * @param source - Source bytes, or null
+ * @param target - Target bytes
+ * @param options - Encode options
+ * @returns Promise with the patch and the decoded target
+ */
+export async function vcdiffRoundTrip(source, target, options = {}) {
+  const patchSink = new BufferByteSink();
+  await VcdiffEncoder.encode(
+    source && new BufferByteSource(source),
+    new BufferByteSource(target),
+    patchSink,
+    options
+  );
+  const patch = patchSink.toBuffer();
+
+  const output = new BufferByteSink();
+  await VcdiffDecoder.decode(
+    new BufferByteSource(patch),
+    source && new BufferByteSource(source),
+    output
+  );
+  return { patch, output: output.toBuffer() };
+}
+
+/**
+ * Creates a generator with the built-in codec and no console output
+ * @param options - Extra generator options
+ * @returns The generator
+ */
+export function createGenerator(options = {}) {
+  return new AdvancedPatchGenerator({
+    showProgress: false,
+    backend: 'js',
+    ...options,
+  });
+}
+
+/**
+ * Writes a GRF archive with compressed entries
+ * @param file - Output path
+ * @param entries - Entry names and contents
+ */
+export async function writeGrf(file, entries) {
+  const writer = await GrfWriter.create(file);
+  try {
+    for (const [name, content] of Object.entries(entries)) {
+      await writer.addFile(name, content);
+    }
+    await writer.finish();
+  } finally {
+    await writer.close();
+  }
+}
+
+/**
+ * Writes a ZIP archive, deflating each entry with zlib
+ * @param file - Output path
+ * @param entries - Entry names and contents
+ * @param level - Deflate level
+ */
+export async function writeZip(file, entries, level = 6) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(entries)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(content, { level });
+    const crc = crc32(content);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(content.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    local.push(header, nameBytes, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += header.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  await fs.writeFile(file, Buffer.concat([...local, directory, end]));
+}
+
+/**
+ * Writes an xdelta3 stand-in (POSIX only) that logs its arguments, one
+ * JSON array per line, and runs the built-in codec
+ * @param dir - Directory of the executable and the log
+ * @returns Promise with the executable path and a function reading the
+ * logged argument lists
+ */
+export async function writeFakeXdelta(dir) {
+  const executable = path.join(dir, 'xdelta3');
+  const log = path.join(dir, 'xdelta3.log');
+  const script = fileURLToPath(
+    new URL('./fixtures/fake-xdelta3.mjs', import.meta.url)
+  );
+  await fs.writeFile(
+    executable,
+    `#!/bin/sh\nFAKE_XDELTA3_LOG='${log}' exec '${process.execPath}' '${script}' "$@"\n`,
+    { mode: 0o755 }
+  );
+  const calls = async () =>
+    (await fs.readFile(log, 'utf8').catch(() => ''))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  return { executable, calls };
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PatchAnalyzer } from '../dist/index.js';
+import { HashUtils } from '../dist/utils/index.js';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeVersions,
+  vcdiffRoundTrip,
+} from './helpers.mjs';
+
+test('getPatchInfo reads the VCDIFF header and rejects other files', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const created = await createGenerator().createPatch(
+    oldFile,
+    newFile,
+    patchFile
+  );
+  assert.equal(created.success, true, created.error);
+
+  const { success, info } = await PatchAnalyzer.getPatchInfo(patchFile);
+  assert.equal(success, true);
+  assert.equal(info.format, 'vcdiff');
+  assert.equal(info.size, (await fs.stat(patchFile)).size);
+  assert.equal(info.metadata.windowCount, 1);
+  assert.equal(info.metadata.targetSize, (await fs.stat(newFile)).size);
+  assert.equal(
+    info.metadata.sourcePin.sourceHash,
+    await HashUtils.hashFile(oldFile, 'sha256')
+  );
+
+  const notPatch = await PatchAnalyzer.getPatchInfo(oldFile);
+  assert.equal(notPatch.success, false);
+  assert.equal(notPatch.info.format, 'unknown');
+  assert.ok(notPatch.error);
+});
+
+test('analyzePatch counts the target bytes of each kind of instruction', async () => {
+  const dir = await tempDir();
+  const source = randomBytes(20000, 5);
+  const added = randomBytes(3000, 6);
+  // COPY from the source, RUN, ADD, then COPY of the added bytes
+  const target = Buffer.concat([
+    source.subarray(0, 10000),
+    Buffer.alloc(500, 0x41),
+    added,
+    added,
+  ]);
+  const { patch } = await vcdiffRoundTrip(source, target);
+  const patchFile = path.join(dir, 'patch');
+  await fs.writeFile(patchFile, patch);
+
+  const analysis = await PatchAnalyzer.analyzePatch(patchFile);
+  assert.equal(analysis.success, true, analysis.error);
+  assert.deepEqual(analysis.breakdown, {
+    addBytes: 3000,
+    copySourceBytes: 10000,
+    copyTargetBytes: 3000,
+    runBytes: 500,
+    instructionCount: 4,
+  });
+  assert.equal(analysis.patchInfo.size, patch.length);
+  assert.equal(analysis.patchInfo.estimatedNewSize, target.length);
+  assert.equal(analysis.patchInfo.estimatedOriginalSize, source.length);
+  assert.equal(analysis.windows.length, 1);
+  assert.equal(analysis.windows[0].sourceType, 'source');
+  assert.equal(analysis.windows[0].targetSize, target.length);
+});
+
+test('comparePatches detects equivalent patches from window checksums or by decoding', async () => {
+  const dir = await tempDir();
+  const source = randomBytes(60000, 7);
+  const target = mutate(source, 8);
+  const other = Buffer.from(target);
+  other[0] ^= 0xff;
+  const sourceFile = path.join(dir, 'source.bin');
+  await fs.writeFile(sourceFile, source);
+  const write = async (name, bytes, options) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(
+      file,
+      (await vcdiffRoundTrip(source, bytes, options)).patch
+    );
+    return file;
+  };
+  const fast = await write('fast', target, { compression: 1 });
+  const best = await write('best', target, { compression: 9 });
+  const different = await write('different', other, { compression: 9 });
+  const shorter = await write('shorter', target.subarray(1), {});
+
+  const same = await PatchAnalyzer.comparePatches(fast, best);
+  assert.equal(same.success, true, same.error);
+  assert.equal(same.comparison.equivalenceCheck, 'windowChecksums');
+  assert.equal(same.comparison.equivalent, true);
+
+  const changed = await PatchAnalyzer.comparePatches(best, different);
+  assert.equal(changed.comparison.equivalenceCheck, 'windowChecksums');
+  assert.equal(changed.comparison.equivalent, false);
+
+  const resized = await PatchAnalyzer.comparePatches(best, shorter);
+  assert.equal(resized.comparison.equivalenceCheck, 'targetSize');
+  assert.equal(resized.comparison.equivalent, false);
+
+  const decoded = await PatchAnalyzer.comparePatches(fast, best, {
+    sourceFile,
+  });
+  assert.equal(decoded.comparison.equivalenceCheck, 'decoded');
+  assert.equal(decoded.comparison.equivalent, true);
+  const [checksum1, checksum2] = decoded.comparison.targetChecksums;
+  assert.equal(checksum1, checksum2);
+
+  const decodedChanged = await PatchAnalyzer.comparePatches(best, different, {
+    sourceFile,
+  });
+  assert.equal(decodedChanged.comparison.equivalenceCheck, 'decoded');
+  assert.equal(decodedChanged.comparison.equivalent, false);
+});
@@ -0,0 +1,271 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { PatchServer, PatchClient } from '../dist/index.js';
+import { tempDir, randomBytes, mutate, createGenerator } from './helpers.mjs';
+
+/**
+ * Writes two versions of a file, the patch between them and a server
+ * publishing the patch and the full new version, runs a function and stops
+ * the server
+ * @param fn - Function receiving the paths, the patch checksum and the server
+ * @returns Promise with the function result
+ */
+async function withServer(fn) {
+  const dir = await tempDir();
+  const root = path.join(dir, 'releases');
+  const v1 = path.join(dir, 'v1.bin');
+  const v2 = path.join(root, 'v2.bin');
+  const patch = path.join(root, 'v1-v2.xdelta');
+  const data = randomBytes(120000, 71);
+  await fs.mkdir(root);
+  await fs.writeFile(v1, data);
+  await fs.writeFile(v2, mutate(data, 72));
+  const created = await createGenerator().createPatch(v1, v2, patch);
+  assert.equal(created.success, true, created.error);
+
+  const server = new PatchServer(
+    root,
+    [
+      { from: '1.0', to: '2.0', file: 'v1-v2.xdelta' },
+      { to: '2.0', file: 'v2.bin' },
+    ],
+    { latest: '2.0' }
+  );
+  const url = await server.start();
+  try {
+    const patchBytes = await fs.readFile(patch);
+    const checksum = crypto
+      .createHash('sha256')
+      .update(patchBytes)
+      .digest('hex');
+    return await fn({ dir, v1, v2, patchBytes, checksum, server, url });
+  } finally {
+    await server.stop();
+  }
+}
+
+/**
+ * Runs a function against an HTTP server answering every request with a
+ * handler, then closes the server
+ * @param handler - Request handler
+ * @param fn - Function receiving the server URL
+ * @returns Promise with the function result
+ */
+async function withHandler(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Creates a client that applies patches with the built-in codec
+ * @param url - Server URL
+ * @param downloadDir - Download directory
+ * @returns The client
+ */
+function createClient(url, downloadDir) {
+  return new PatchClient(url, { generator: createGenerator(), downloadDir });
+}
+
+/**
+ * Sends a GET request and reads the whole response
+ * @param url - Requested URL
+ * @param headers - Request headers
+ * @returns Promise with the status code, headers and body
+ */
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () =>
+          resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+      })
+      .on('error', reject);
+  });
+}
+
+test('update downloads and applies a patch, or the full file', () =>
+  withServer(async ({ dir, v1, v2, patchBytes, url }) => {
+    const client = createClient(url, path.join(dir, 'downloads'));
+
+    const patched = await client.update(v1, '1.0');
+    assert.equal(patched.success, true, patched.error);
+    assert.equal(patched.to, '2.0');
+    assert.equal(patched.downloadedBytes, patchBytes.length);
+    assert.deepEqual(await fs.readFile(v1), await fs.readFile(v2));
+
+    const installed = path.join(dir, 'installed.bin');
+    const full = await client.update(installed, null);
+    assert.equal(full.success, true, full.error);
+    assert.deepEqual(await fs.readFile(installed), await fs.readFile(v2));
+  }));
+
+test('update resumes a partial download with a Range request', () =>
+  withServer(async ({ dir, v1, v2, patchBytes, checksum, url }) => {
+    const downloadDir = path.join(dir, 'downloads');
+    const half = Math.floor(patchBytes.length / 2);
+    await fs.mkdir(downloadDir);
+    await fs.writeFile(
+      path.join(downloadDir, `${checksum}.part`),
+      patchBytes.subarray(0, half)
+    );
+
+    const result = await createClient(url, downloadDir).update(v1, '1.0');
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.downloadedBytes, patchBytes.length - half);
+    assert.deepEqual(await fs.readFile(v1), await fs.readFile(v2));
+  }));
+
+test('the server only answers a range for the same file version', () =>
+  withServer(async ({ patchBytes, checksum, url }) => {
+    const fileUrl = `${url}/files/v1-v2.xdelta`;
+
+    const resumed = await get(fileUrl, {
+      Range: 'bytes=100-',
+      'If-Range': `"${checksum}"`,
+    });
+    assert.equal(resumed.statusCode, 206);
+    assert.equal(
+      resumed.headers['content-range'],
+      `bytes 100-${patchBytes.length - 1}/${patchBytes.length}`
+    );
+    assert.deepEqual(resumed.body, patchBytes.subarray(100));
+
+    const changed = await get(fileUrl, {
+      Range: 'bytes=100-',
+      'If-Range': '"another-version"',
+    });
+    assert.equal(changed.statusCode, 200);
+    assert.deepEqual(changed.body, patchBytes);
+  }));
+
+test('update returns DOWNLOAD_FAILED when the server is down', () =>
+  withServer(async ({ dir, v1, server, url }) => {
+    await server.stop();
+    const original = await fs.readFile(v1);
+
+    const result = await createClient(url, path.join(dir, 'downloads')).update(
+      v1,
+      '1.0'
+    );
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, 'DOWNLOAD_FAILED');
+    assert.deepEqual(await fs.readFile(v1), original);
+  }));
+
+test('update rejects a manifest checksum that is not a SHA-256', async () => {
+  const dir = await tempDir();
+  const manifest = JSON.stringify({
+    version: 1,
+    createdAt: new Date().toISOString(),
+    hashAlgorithm: 'sha256',
+    latest: '2.0',
+    files: [{ to: '2.0', path: 'v2.bin', size: 4, checksum: '../../evil' }],
+  });
+
+  const result = await withHandler(
+    (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(manifest);
+    },
+    url =>
+      createClient(url, path.join(dir, 'downloads')).update(
+        path.join(dir, 'installed.bin'),
+        null
+      )
+  );
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'INVALID_MANIFEST');
+  await assert.rejects(fs.access(path.join(dir, 'evil')));
+});
+
+test('update stops reading a manifest over the size limit', async () => {
+  const dir = await tempDir();
+  const block = Buffer.alloc(1024 * 1024, 0x20);
+  let sent = 0;
+
+  const result = await withHandler(
+    (request, response) => {
+      // Chunked, so only the bytes received show the size
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      const write = () => {
+        while (sent < 64) {
+          sent++;
+          if (!response.write(block)) {
+            response.once('drain', write);
+            return;
+          }
+        }
+        response.end('{}');
+      };
+      response.on('error', () => undefined);
+      write();
+    },
+    url =>
+      createClient(url, path.join(dir, 'downloads')).update(
+        path.join(dir, 'installed.bin'),
+        null
+      )
+  );
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'INVALID_MANIFEST');
+  assert.ok(sent < 64);
+});
+
+test('downloads never follow links left in the download directory', () =>
+  withServer(async ({ dir, v1, v2, patchBytes, checksum, url }) => {
+    const downloadDir = path.join(dir, 'downloads');
+    const victim = path.join(dir, 'victim.txt');
+    await fs.mkdir(downloadDir);
+    await fs.writeFile(victim, 'keep');
+    await fs.symlink(victim, path.join(downloadDir, `${checksum}.part`));
+    await fs.symlink(victim, path.join(downloadDir, checksum));
+
+    const result = await createClient(url, downloadDir).update(v1, '1.0');
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.downloadedBytes, patchBytes.length);
+    assert.deepEqual(await fs.readFile(v1), await fs.readFile(v2));
+    assert.equal(await fs.readFile(victim, 'utf8'), 'keep');
+  }));
+
+test(
+  'update refuses a download directory others can write to',
+  { skip: process.platform === 'win32' },
+  () =>
+    withServer(async ({ dir, v1, url }) => {
+      const real = path.join(dir, 'real');
+      const linked = path.join(dir, 'linked');
+      const shared = path.join(dir, 'shared');
+      await fs.mkdir(real);
+      await fs.symlink(real, linked);
+      await fs.mkdir(shared);
+      await fs.chmod(shared, 0o777);
+
+      for (const downloadDir of [linked, shared]) {
+        const result = await createClient(url, downloadDir).update(v1, '1.0');
+        assert.equal(result.success, false, downloadDir);
+        assert.equal(result.errorCode, 'UNSAFE_DOWNLOAD_DIR', downloadDir);
+      }
+
+      const created = path.join(dir, 'created');
+      const result = await createClient(url, created).update(v1, '1.0');
+      assert.equal(result.success, true, result.error);
+      assert.equal((await fs.stat(created)).mode & 0o777, 0o700);
+    })
+);
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PatchGraph } from '../dist/index.js';
+import { tempDir } from './helpers.mjs';
+
+/**
+ * Steps of a plan as [from, to] pairs (from is null for full files)
+ * @param plan - Plan returned by PatchGraph.plan
+ * @returns The pairs
+ */
+function route(plan) {
+  return plan.steps.map(step => [step.from ?? null, step.to]);
+}
+
+test('plan finds the smallest total download', () => {
+  const graph = new PatchGraph()
+    .addPatch('1.0', '1.1', 100)
+    .addPatch('1.1', '1.2', 100)
+    .addPatch('1.0', '1.2', 500);
+
+  const plan = graph.plan('1.0', '1.2');
+  assert.equal(plan.found, true);
+  assert.deepEqual(route(plan), [
+    ['1.0', '1.1'],
+    ['1.1', '1.2'],
+  ]);
+  assert.equal(plan.totalSize, 200);
+  assert.deepEqual(graph.plan('1.2', '1.2').steps, []);
+});
+
+test('a full file is preferred over a longer chain of patches', () => {
+  const graph = new PatchGraph()
+    .addPatch('1.0', '1.1', 400)
+    .addPatch('1.1', '1.2', 400)
+    .addPatch('1.2', '1.3', 400)
+    .addFullFile('1.3', 1000, 'game-1.3.bin');
+
+  const plan = graph.plan('1.0', '1.3');
+  assert.deepEqual(plan.steps, [
+    { type: 'full', to: '1.3', size: 1000, file: 'game-1.3.bin' },
+  ]);
+  assert.equal(plan.totalSize, 1000);
+  // Without an installed version only full files can start a route
+  assert.deepEqual(route(graph.plan(null, '1.3')), [[null, '1.3']]);
+  assert.equal(graph.plan('1.2', '1.3').totalSize, 400);
+});
+
+test('equal sizes are broken by the number of steps', () => {
+  const graph = new PatchGraph()
+    .addPatch('1.0', '1.1', 100)
+    .addPatch('1.1', '1.2', 100)
+    .addPatch('1.0', '1.2', 200);
+
+  assert.deepEqual(route(graph.plan('1.0', '1.2')), [['1.0', '1.2']]);
+});
+
+test('unreachable lists the versions no route leads to', () => {
+  const graph = new PatchGraph([
+    { type: 'patch', from: '1.0', to: '1.1', size: 10 },
+    { type: 'patch', from: '2.0', to: '2.1', size: 10 },
+  ]);
+
+  assert.deepEqual(graph.versions(), ['1.0', '1.1', '2.0', '2.1']);
+  assert.deepEqual(graph.unreachable('1.0'), ['2.0', '2.1']);
+  assert.deepEqual(graph.unreachable(null), graph.versions());
+
+  const plan = graph.plan('1.0', '2.1');
+  assert.equal(plan.found, false);
+  assert.match(plan.error, /No patches or full file lead from 1\.0 to 2\.1/);
+  assert.equal(graph.plan('1.0', '3.0').found, false);
+
+  graph.addFullFile('2.0', 50);
+  assert.deepEqual(graph.unreachable('1.0'), []);
+});
+
+test('invalid downloads are rejected', () => {
+  const graph = new PatchGraph();
+  for (const size of [-1, NaN, Infinity]) {
+    assert.throws(
+      () => graph.addPatch('1.0', '1.1', size),
+      /Invalid download size/
+    );
+    assert.throws(
+      () => graph.addFullFile('1.1', size),
+      /Invalid download size/
+    );
+  }
+  assert.throws(() => graph.addPatch('1.0', '1.0', 10), /to itself/);
+  assert.throws(
+    () => new PatchGraph([{ type: 'patch', to: '1.1', size: 10 }]),
+    /no source version/
+  );
+  assert.deepEqual(graph.versions(), []);
+});
+
+test('load reads the download sizes from the files', async () => {
+  const dir = await tempDir();
+  const patch = path.join(dir, '1.0-1.1.xdelta');
+  const full = path.join(dir, '1.1.bin');
+  await fs.writeFile(patch, Buffer.alloc(30));
+  await fs.writeFile(full, Buffer.alloc(80));
+
+  const graph = await PatchGraph.load([
+    { from: '1.0', to: '1.1', file: patch },
+    { to: '1.1', file: full },
+  ]);
+  assert.deepEqual(graph.plan('1.0', '1.1').steps, [
+    { type: 'patch', from: '1.0', to: '1.1', size: 30, file: patch },
+  ]);
+  assert.equal(graph.plan(null, '1.1').totalSize, 80);
+});
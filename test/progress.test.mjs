@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeVersions,
+  writeTree,
+} from './helpers.mjs';
+
+/**
+ * Asserts that progress never goes backwards and ends at 100%
+ * @param events - Progress data received by onProgress
+ */
+function assertMonotonic(events) {
+  assert.ok(events.length > 2);
+  for (let i = 1; i < events.length; i++) {
+    assert.ok(
+      events[i].percentage >= events[i - 1].percentage,
+      `${events[i - 1].percentage}% then ${events[i].percentage}%`
+    );
+  }
+  assert.equal(events.at(-1).percentage, 100);
+}
+
+test('createPatch and applyPatch report increasing progress with speed and ETA', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir, 2 * 1024 * 1024);
+  const patchFile = path.join(dir, 'patch');
+  const generator = createGenerator();
+
+  for (const run of [
+    onProgress =>
+      generator.createPatch(oldFile, newFile, patchFile, { onProgress }),
+    onProgress =>
+      generator.applyPatch(oldFile, patchFile, path.join(dir, 'out.bin'), {
+        onProgress,
+      }),
+  ]) {
+    const events = [];
+    const result = await run(progress => events.push(progress));
+    assert.equal(result.success, true, result.error);
+    assertMonotonic(events);
+
+    const measured = events.filter(progress => progress.speed !== undefined);
+    assert.ok(measured.length > 0);
+    for (const progress of measured) {
+      assert.match(progress.speed, /\/s$/);
+      assert.equal(typeof progress.eta, 'string');
+      assert.ok(progress.current <= progress.total);
+    }
+  }
+});
+
+test('batches report increasing progress for the whole tree', async () => {
+  const dir = await tempDir();
+  const oldDir = path.join(dir, 'old');
+  const newDir = path.join(dir, 'new');
+  const patchesDir = path.join(dir, 'patches');
+  const files = {};
+  for (let i = 0; i < 6; i++) files[`file${i}.bin`] = randomBytes(60000, i + 1);
+  await writeTree(oldDir, files);
+  await writeTree(
+    newDir,
+    Object.fromEntries(
+      Object.entries(files).map(([name, data], i) => [
+        name,
+        mutate(data, i + 10),
+      ])
+    )
+  );
+  const generator = createGenerator();
+
+  for (const run of [
+    onProgress =>
+      generator.createBatchPatches(oldDir, newDir, patchesDir, {
+        maxParallel: 2,
+        onProgress,
+      }),
+    onProgress =>
+      generator.applyBatchPatches(oldDir, patchesDir, oldDir, {
+        maxParallel: 2,
+        onProgress,
+      }),
+  ]) {
+    const events = [];
+    const results = await run(progress => events.push(progress));
+    assert.ok(
+      results.every(result => result.status === 'success'),
+      JSON.stringify(results)
+    );
+    assertMonotonic(events);
+  }
+});
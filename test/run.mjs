@@ -0,0 +1,18 @@
+// Runs every *.test.mjs file of this directory with node:test. The files
+// are listed here rather than by a shell glob, which Windows does not expand
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const files = fs
+  .readdirSync(dir)
+  .filter(name => name.endsWith('.test.mjs'))
+  .sort()
+  .map(name => path.join(dir, name));
+
+const result = spawnSync(process.execPath, ['--test', ...files], {
+  stdio: 'inherit',
+});
+process.exit(result.status ?? 1);
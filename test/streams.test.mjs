@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  assertSameFile,
+} from './helpers.mjs';
+
+/**
+ * Writable stream keeping what it receives
+ * @returns The stream and a function returning the received bytes
+ */
+function collect() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  return { stream, bytes: () => Buffer.concat(chunks) };
+}
+
+/**
+ * Readable stream giving the data in small chunks
+ * @param data - Bytes to read
+ * @returns The stream
+ */
+function chunked(data) {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += 7000) {
+    chunks.push(data.subarray(i, i + 7000));
+  }
+  return Readable.from(chunks);
+}
+
+const oldData = randomBytes(120000, 61);
+const newData = mutate(oldData, 62);
+
+test('createPatchFromBuffers returns a patch that applyPatchToStream applies', async () => {
+  const generator = createGenerator();
+
+  const created = await generator.createPatchFromBuffers(oldData, newData);
+  assert.equal(created.success, true, created.error);
+  assert.ok(Buffer.isBuffer(created.patch));
+  assert.equal(created.metrics.patchSize, created.patch.length);
+
+  const output = collect();
+  const applied = await generator.applyPatchToStream(
+    oldData,
+    created.patch,
+    output.stream
+  );
+  assert.equal(applied.success, true, applied.error);
+  assert.equal(output.stream.writableFinished, true);
+  assert.deepEqual(output.bytes(), newData);
+});
+
+test('createPatchStream writes a patch that applyPatch applies', async () => {
+  const dir = await tempDir();
+  const oldFile = path.join(dir, 'old.bin');
+  const newFile = path.join(dir, 'new.bin');
+  const patchFile = path.join(dir, 'patch');
+  const outFile = path.join(dir, 'out.bin');
+  await fs.writeFile(oldFile, oldData);
+  await fs.writeFile(newFile, newData);
+  const generator = createGenerator();
+
+  const output = collect();
+  const created = await generator.createPatchStream(
+    chunked(oldData),
+    chunked(newData),
+    output.stream
+  );
+  assert.equal(created.success, true, created.error);
+  assert.equal(output.stream.writableFinished, true);
+  await fs.writeFile(patchFile, output.bytes());
+
+  const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+  assert.equal(applied.success, true, applied.error);
+  await assertSameFile(newFile, outFile);
+});
+
+test('applyPatchToStream reads streams and writes nothing for a wrong source', async () => {
+  const generator = createGenerator();
+  const { patch } = await generator.createPatchFromBuffers(oldData, newData);
+
+  const output = collect();
+  const applied = await generator.applyPatchToStream(
+    chunked(oldData),
+    chunked(patch),
+    output.stream
+  );
+  assert.equal(applied.success, true, applied.error);
+  assert.deepEqual(output.bytes(), newData);
+
+  const rejected = collect();
+  const mismatch = await generator.applyPatchToStream(
+    mutate(oldData, 63),
+    patch,
+    rejected.stream
+  );
+  assert.equal(mismatch.success, false);
+  assert.equal(mismatch.errorCode, 'SOURCE_MISMATCH');
+  assert.equal(rejected.bytes().length, 0);
+  assert.equal(rejected.stream.writableEnded, false);
+});
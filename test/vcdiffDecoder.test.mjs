@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VcdiffDecoder,
+  VcdiffError,
+  BufferByteSource,
+  BufferByteSink,
+} from '../dist/index.js';
+import { randomBytes, mutate, vcdiffRoundTrip } from './helpers.mjs';
+
+test('VCDIFF decoder rejects a corrupted window checksum', async () => {
+  const source = randomBytes(10000, 9);
+  const { patch } = await vcdiffRoundTrip(source, mutate(source));
+  const corrupted = Buffer.from(patch);
+  corrupted[corrupted.length - 1] ^= 0xff;
+  await assert.rejects(
+    VcdiffDecoder.decode(
+      new BufferByteSource(corrupted),
+      new BufferByteSource(source),
+      new BufferByteSink()
+    ),
+    VcdiffError
+  );
+});
+
+test('VCDIFF decoder rejects oversized windows before allocating them', async () => {
+  const header = [0xd6, 0xc3, 0xc4, 0x00, 0x00];
+  // Target window of 2 GiB with empty sections
+  const hugeTarget = Buffer.from([
+    ...header,
+    0x00,
+    0x09,
+    ...[0x88, 0x80, 0x80, 0x80, 0x00],
+    0x00,
+    0x00,
+    0x00,
+    0x00,
+  ]);
+  // VCD_SOURCE segment of 4 GiB
+  const hugeSource = Buffer.from([
+    ...header,
+    0x01,
+    ...[0x90, 0x80, 0x80, 0x80, 0x00],
+    0x00,
+    0x05,
+    0x00,
+    0x00,
+    0x00,
+    0x00,
+    0x00,
+  ]);
+
+  for (const [patch, pattern] of [
+    [hugeTarget, /Target length of window 0 .* exceeds/],
+    [hugeSource, /Source segment of window 0 .* exceeds/],
+  ]) {
+    await assert.rejects(
+      VcdiffDecoder.decode(
+        new BufferByteSource(patch),
+        new BufferByteSource(Buffer.alloc(16)),
+        new BufferByteSink()
+      ),
+      error => error instanceof VcdiffError && pattern.test(error.message)
+    );
+  }
+});
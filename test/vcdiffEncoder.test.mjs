@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes, mutate, vcdiffRoundTrip } from './helpers.mjs';
+
+test('VCDIFF round trip of an edited file', async () => {
+  const source = randomBytes(200000);
+  const target = mutate(source);
+  const { patch, output } = await vcdiffRoundTrip(source, target);
+  assert.deepEqual(output, target);
+  assert.ok(patch.length < target.length / 10);
+});
+
+test('VCDIFF round trip at every compression level', async () => {
+  const source = randomBytes(20000, 7);
+  const target = mutate(source, 8);
+  for (let compression = 0; compression <= 9; compression++) {
+    const { output } = await vcdiffRoundTrip(source, target, { compression });
+    assert.deepEqual(output, target, `compression ${compression}`);
+  }
+});
+
+test('VCDIFF round trip over several windows and a sliding source', async () => {
+  const source = randomBytes(300000, 3);
+  const target = mutate(source, 4);
+  const { output } = await vcdiffRoundTrip(source, target, {
+    windowSize: 32 * 1024,
+    sourceWindowSize: 64 * 1024,
+  });
+  assert.deepEqual(output, target);
+});
+
+test('VCDIFF round trip of edge cases', async () => {
+  const data = randomBytes(5000, 5);
+  const runs = Buffer.alloc(50000, 0x41);
+  const cases = [
+    [null, data],
+    [Buffer.alloc(0), data],
+    [data, Buffer.alloc(0)],
+    [data, data],
+    [data, runs],
+  ];
+  for (const [source, target] of cases) {
+    const { output } = await vcdiffRoundTrip(source, target);
+    assert.deepEqual(output, target);
+  }
+  const { output } = await vcdiffRoundTrip(data, mutate(data), {
+    checksum: false,
+  });
+  assert.deepEqual(output, mutate(data));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { HashUtils } from '../dist/utils/index.js';
+import { tempDir, createGenerator, writeVersions } from './helpers.mjs';
+
+test('verifyPatch reports the first differing byte and both digests', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const otherFile = path.join(dir, 'other.bin');
+  const generator = createGenerator();
+  await generator.createPatch(oldFile, newFile, patchFile);
+
+  const valid = await generator.verifyPatch(oldFile, patchFile, newFile);
+  assert.equal(valid.isValid, true, valid.error);
+  assert.equal(valid.algorithm, 'sha256');
+  assert.equal(valid.actualDigest, valid.expectedDigest);
+  assert.equal(valid.expectedDigest, await HashUtils.hashFile(newFile));
+  assert.equal(valid.firstDifference, undefined);
+
+  // Same length, different content
+  const other = await fs.readFile(newFile);
+  other[12345] ^= 0xff;
+  await fs.writeFile(otherFile, other);
+  const invalid = await generator.verifyPatch(oldFile, patchFile, otherFile);
+  assert.equal(invalid.isValid, false);
+  assert.equal(invalid.firstDifference, 12345);
+  assert.equal(invalid.expectedDigest, await HashUtils.hashFile(otherFile));
+  assert.equal(invalid.actualDigest, await HashUtils.hashFile(newFile));
+
+  // The patch output is not left next to the files
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    'new.bin',
+    'old.bin',
+    'other.bin',
+    'patch',
+  ]);
+});
+
+test('verifyPatch hashes with the requested algorithm', async () => {
+  const dir = await tempDir();
+  const { oldFile, newFile } = await writeVersions(dir);
+  const patchFile = path.join(dir, 'patch');
+  const generator = createGenerator();
+  await generator.createPatch(oldFile, newFile, patchFile);
+
+  const result = await generator.verifyPatch(oldFile, patchFile, newFile, {
+    algorithm: 'sha1',
+  });
+  assert.equal(result.isValid, true, result.error);
+  assert.equal(result.algorithm, 'sha1');
+  assert.equal(result.actualDigest, await HashUtils.hashFile(newFile, 'sha1'));
+});
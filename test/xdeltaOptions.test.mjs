@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  tempDir,
+  randomBytes,
+  mutate,
+  createGenerator,
+  writeFakeXdelta,
+} from './helpers.mjs';
+import XdeltaOptionsUtils from '../dist/utils/xdeltaOptionsUtils.js';
+
+const posix = process.platform !== 'win32';
+
+/**
+ * Gets the value following a flag in an argument list
+ * @param args - Arguments
+ * @param flag - Flag
+ * @returns The value, or undefined without the flag
+ */
+function flagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+test(
+  'bundle payloads are encoded without djw/fgk secondary compression',
+  { skip: !posix },
+  async () => {
+    const dir = await tempDir();
+    const { executable, calls } = await writeFakeXdelta(dir);
+    const oldDir = path.join(dir, 'old');
+    const newDir = path.join(dir, 'new');
+    const bundle = path.join(dir, 'update.apgpack');
+    const data = randomBytes(50000, 71);
+    await fs.mkdir(oldDir);
+    await fs.mkdir(newDir);
+    await fs.writeFile(path.join(oldDir, 'file.bin'), data);
+    await fs.writeFile(path.join(newDir, 'file.bin'), mutate(data, 72));
+    const generator = createGenerator({
+      backend: 'xdelta3',
+      xdeltaPath: executable,
+      xdeltaOptions: { secondaryCompression: 'djw' },
+    });
+
+    const created = await generator.createBundle(oldDir, newDir, bundle);
+    assert.ok(created.every(result => result.status !== 'error'));
+    const encodes = (await calls()).filter(args => args[0] === '-e');
+    assert.equal(encodes.length, 1);
+    assert.equal(flagValue(encodes[0], '-S'), 'none');
+
+    const applied = await generator.applyBundle(oldDir, bundle);
+    assert.ok(applied.every(result => result.status !== 'error'));
+    assert.deepEqual(
+      await fs.readFile(path.join(oldDir, 'file.bin')),
+      mutate(data, 72)
+    );
+
+    // Regular patches keep the requested compressor
+    const patch = path.join(dir, 'patch.xdelta');
+    const result = await generator.createPatch(
+      path.join(newDir, 'file.bin'),
+      path.join(oldDir, 'file.bin'),
+      patch,
+      { verify: false }
+    );
+    assert.equal(result.success, true, result.error);
+    assert.equal(flagValue((await calls()).at(-1), '-S'), 'djw');
+  }
+);
+
+test('the automatic source window covers the original up to 512 MiB', () => {
+  const MiB = 1024 * 1024;
+  const window = (sourceSize, sourceWindowSize) =>
+    flagValue(
+      XdeltaOptionsUtils.toEncodeArgs({ sourceWindowSize }, sourceSize),
+      '-B'
+    );
+
+  assert.equal(window(64 * MiB, 'auto'), undefined);
+  assert.equal(window(100 * MiB + 1, 'auto'), String(101 * MiB));
+  assert.equal(window(3 * 1024 * MiB, 'auto'), String(512 * MiB));
+  assert.equal(window(3 * 1024 * MiB, 1024 * MiB), String(1024 * MiB));
+  assert.deepEqual(XdeltaOptionsUtils.toDecodeArgs(undefined, 3 * 1024 * MiB), [
+    '-B',
+    String(512 * MiB),
+  ]);
+});
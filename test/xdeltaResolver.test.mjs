@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { XdeltaResolver } from '../dist/index.js';
+import { tempDir, writeFakeXdelta } from './helpers.mjs';
+
+const posix = process.platform !== 'win32';
+
+/**
+ * Runs a function with changed environment variables and working directory
+ * @param env - Variables to set (undefined removes one)
+ * @param cwd - Working directory
+ * @param fn - Function to run
+ * @returns Promise with the function result
+ */
+async function withEnvironment(env, cwd, fn) {
+  const saved = Object.fromEntries(
+    Object.keys(env).map(key => [key, process.env[key]])
+  );
+  const savedCwd = process.cwd();
+  const apply = values => {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+  apply(env);
+  process.chdir(cwd);
+  try {
+    return await fn();
+  } finally {
+    process.chdir(savedCwd);
+    apply(saved);
+  }
+}
+
+test(
+  'an executable in the working directory is never run',
+  { skip: !posix },
+  async () => {
+    const dir = await tempDir();
+    await writeFakeXdelta(dir);
+    const empty = path.join(dir, 'empty');
+    await fs.mkdir(empty);
+
+    const resolution = await withEnvironment(
+      { PATH: empty, XDELTA3_PATH: 'xdelta3' },
+      dir,
+      () => XdeltaResolver.resolve()
+    );
+    assert.equal(resolution.found, false);
+    assert.deepEqual(
+      resolution.candidates.map(({ source, reason }) => [source, reason]),
+      [
+        ['env', 'Not found on PATH'],
+        ['path', 'Not found on PATH'],
+      ]
+    );
+  }
+);
+
+test('xdelta3 on PATH is found and probed', { skip: !posix }, async () => {
+  const dir = await tempDir();
+  await writeFakeXdelta(dir);
+
+  const resolution = await withEnvironment(
+    { PATH: dir, XDELTA3_PATH: undefined },
+    dir,
+    () => XdeltaResolver.resolve()
+  );
+  assert.equal(resolution.found, true);
+  assert.equal(resolution.source, 'path');
+  assert.equal(resolution.version, '3.1.0');
+});
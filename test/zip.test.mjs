@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { PatchAnalyzer } from '../dist/index.js';
+import {
+  tempDir,
+  randomBytes,
+  createGenerator,
+  writeZip,
+  assertSameFile,
+} from './helpers.mjs';
+
+test('ZIP patch rebuilds the archive byte for byte', async () => {
+  const dir = await tempDir();
+  const oldFile = path.join(dir, 'old.zip');
+  const newFile = path.join(dir, 'new.zip');
+  const patchFile = path.join(dir, 'patch.zipp');
+  const outFile = path.join(dir, 'out.zip');
+  const text = Buffer.from('line of text\n'.repeat(5000));
+  await writeZip(oldFile, {
+    'readme.txt': text,
+    'data.bin': randomBytes(30000, 41),
+  });
+  await writeZip(newFile, {
+    'readme.txt': Buffer.concat([text, Buffer.from('one more line\n')]),
+    'data.bin': randomBytes(30000, 41),
+    'added.txt': Buffer.from('added entry'),
+  });
+  const generator = createGenerator();
+
+  const created = await generator.createPatch(oldFile, newFile, patchFile, {
+    format: 'zip',
+  });
+  assert.equal(created.success, true, created.error);
+  assert.equal(
+    (await PatchAnalyzer.getPatchInfo(patchFile)).info.format,
+    'apg-zip'
+  );
+
+  const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+  assert.equal(applied.success, true, applied.error);
+  await assertSameFile(newFile, outFile);
+});
+
+test('a detected ZIP patch is kept only when smaller than a whole-file delta', async () => {
+  const dir = await tempDir();
+  const text = Buffer.from(
+    Array.from(
+      { length: 4000 },
+      (_, i) => `line ${i}: ${(i * 7919) % 1000}\n`
+    ).join('')
+  );
+  const edited = Buffer.from(text);
+  edited[100] = 0x2a;
+  const outFile = path.join(dir, 'out.zip');
+  const generator = createGenerator({ backend: 'auto' });
+  // A line inserted at the start changes the whole deflate stream, while a
+  // byte replaced in an entry deflated at level 0 (stored blocks) only
+  // changes that byte of the archive
+  const cases = [
+    [
+      'inserted',
+      Buffer.concat([Buffer.from('first line\n'), text]),
+      6,
+      'apg-zip',
+    ],
+    ['stored', edited, 0, 'vcdiff'],
+  ];
+
+  for (const [name, content, level, expected] of cases) {
+    const oldFile = path.join(dir, `${name}-old.zip`);
+    const newFile = path.join(dir, `${name}-new.zip`);
+    await writeZip(oldFile, { 'readme.txt': text }, level);
+    await writeZip(newFile, { 'readme.txt': content }, level);
+
+    const sizes = {};
+    for (const format of ['zip', 'vcdiff', undefined]) {
+      const patchFile = path.join(dir, `${name}-${format ?? 'auto'}`);
+      const created = await generator.createPatch(oldFile, newFile, patchFile, {
+        format,
+      });
+      assert.equal(created.success, true, created.error);
+      sizes[format ?? 'auto'] = created.metrics.patchSize;
+    }
+    assert.equal(sizes.auto, Math.min(sizes.zip, sizes.vcdiff), name);
+
+    const autoPatch = path.join(dir, `${name}-auto`);
+    assert.equal(
+      (await PatchAnalyzer.getPatchInfo(autoPatch)).info.format,
+      expected,
+      name
+    );
+    const applied = await generator.applyPatch(oldFile, autoPatch, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newFile, outFile);
+  }
+});
+
+test('an explicit backend writes a whole-file delta of ZIP archives', async () => {
+  const dir = await tempDir();
+  const oldFile = path.join(dir, 'old.zip');
+  const newFile = path.join(dir, 'new.zip');
+  const outFile = path.join(dir, 'out.zip');
+  const text = Buffer.from('line of text\n'.repeat(5000));
+  await writeZip(oldFile, { 'readme.txt': text });
+  await writeZip(newFile, {
+    'readme.txt': Buffer.concat([Buffer.from('first line\n'), text]),
+  });
+
+  for (const [backend, expected] of [
+    ['js', 'vcdiff'],
+    ['bsdiff', 'bsdiff'],
+  ]) {
+    const patchFile = path.join(dir, `patch-${backend}`);
+    const generator = createGenerator({ backend });
+    const created = await generator.createPatch(oldFile, newFile, patchFile);
+    assert.equal(created.success, true, created.error);
+    assert.equal(created.backend, backend);
+    assert.equal(
+      (await PatchAnalyzer.getPatchInfo(patchFile)).info.format,
+      expected
+    );
+
+    const applied = await generator.applyPatch(oldFile, patchFile, outFile);
+    assert.equal(applied.success, true, applied.error);
+    await assertSameFile(newFile, outFile);
+  }
+});